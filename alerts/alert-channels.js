@@ -0,0 +1,103 @@
+/**
+ * Alert channels
+ *
+ * Each channel has a `name` and `sendAlert(type, data)`, where data carries
+ * at least a human-readable `message`. Used by DNSMonitor for DNS alerts and
+ * by ApprovalWorkflow to ask for deployment approvals.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+
+class ConsoleAlertChannel {
+  constructor() {
+    this.name = 'Console';
+  }
+
+  async sendAlert(type, data) {
+    const timestamp = new Date().toISOString();
+    console.log(`\n🔔 ALERT [${type.toUpperCase()}] ${timestamp}`);
+    console.log(`   ${data.message}`);
+    
+    if (data.issues && data.issues.length > 0) {
+      console.log('   Issues:');
+      data.issues.forEach(issue => {
+        console.log(`   - ${issue.severity.toUpperCase()}: ${issue.message}`);
+      });
+    }
+  }
+}
+
+class FileAlertChannel {
+  constructor(logPath) {
+    this.name = 'File';
+    this.logPath = logPath || path.join(__dirname, '..', 'logs', 'dns-alerts.jsonl');
+  }
+
+  async sendAlert(type, data) {
+    const alert = {
+      timestamp: new Date().toISOString(),
+      type: type,
+      message: data.message,
+      issues: data.issues || [],
+      results: data.results ? {
+        overall: data.results.overall,
+        dns: data.results.dns.success,
+        http: data.results.http.success,
+        ssl: data.results.ssl.success
+      } : null
+    };
+
+    const logLine = JSON.stringify(alert) + '\n';
+    
+    await fs.mkdir(path.dirname(this.logPath), { recursive: true });
+    await fs.appendFile(this.logPath, logLine);
+  }
+}
+
+class WebhookAlertChannel {
+  constructor(webhookUrl) {
+    this.name = 'Webhook';
+    this.webhookUrl = webhookUrl;
+  }
+
+  async sendAlert(type, data) {
+    if (!this.webhookUrl) return;
+
+    const payload = {
+      text: data.message,
+      type: type,
+      timestamp: new Date().toISOString(),
+      domain: data.results?.fqdn,
+      issues: data.issues,
+      details: data.details
+    };
+
+    await axios.post(this.webhookUrl, payload, {
+      timeout: 5000,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+class EmailAlertChannel {
+  constructor(config) {
+    this.name = 'Email';
+    this.config = config;
+  }
+
+  async sendAlert(type, data) {
+    if (!this.config) return;
+    
+    // Implementation would depend on email service (SendGrid, SES, etc.)
+    console.log(`📧 Email alert would be sent to: ${this.config.recipients}`);
+  }
+}
+
+module.exports = {
+  ConsoleAlertChannel,
+  FileAlertChannel,
+  WebhookAlertChannel,
+  EmailAlertChannel
+};
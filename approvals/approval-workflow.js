@@ -0,0 +1,215 @@
+/**
+ * Approval Workflow
+ *
+ * The two-person rule for environments with `approval.required` in
+ * config/production.yml. A deploy or promotion request is saved to the
+ * deployment history with outcome 'pending_approval' and the approvers are
+ * told through the alert channels (alerts/alert-channels.js). Someone other
+ * than the requester then approves or rejects it; requests nobody answers
+ * within `approval.expires_after` seconds expire.
+ *
+ * Decisions and comments are kept on the deployment record:
+ *   approval: {
+ *     status: 'pending' | 'approved' | 'rejected' | 'expired',
+ *     requestedAt, expiresAt,
+ *     decisions: [{ user, username, decision, comment, decidedAt }]
+ *   }
+ *
+ * Channels come from the environment:
+ *   APPROVAL_WEBHOOK_URL (or WEBHOOK_URL)    - JSON POST, e.g. a Slack webhook
+ *   APPROVAL_EMAIL_CONFIG (or EMAIL_CONFIG)  - JSON with `recipients`
+ *   APPROVAL_LOG_FILE                        - default logs/approvals.jsonl
+ */
+
+const path = require('path');
+const {
+  ConsoleAlertChannel,
+  FileAlertChannel,
+  WebhookAlertChannel,
+  EmailAlertChannel
+} = require('../alerts/alert-channels');
+const { getConfig, environmentSettings } = require('../config/config-loader');
+
+const DEFAULT_EXPIRY_SECONDS = 3600;
+const DEFAULT_LOG_FILE = path.join(__dirname, '..', 'logs', 'approvals.jsonl');
+
+class ApprovalWorkflow {
+  constructor({ history, channels, dashboardUrl } = {}) {
+    this.history = history;
+    this.channels = channels || [];
+    this.dashboardUrl = dashboardUrl;
+  }
+
+  static fromEnvironment(history, env = process.env) {
+    const emailConfig = env.APPROVAL_EMAIL_CONFIG || env.EMAIL_CONFIG;
+
+    return new ApprovalWorkflow({
+      history,
+      channels: [
+        new ConsoleAlertChannel(),
+        new FileAlertChannel(env.APPROVAL_LOG_FILE || DEFAULT_LOG_FILE),
+        new WebhookAlertChannel(env.APPROVAL_WEBHOOK_URL || env.WEBHOOK_URL),
+        new EmailAlertChannel(emailConfig ? JSON.parse(emailConfig) : null)
+      ],
+      dashboardUrl: env.DASHBOARD_URL || new URL(getConfig().api?.base_url || 'https://localhost').origin
+    });
+  }
+
+  /**
+   * Save `deployment` as waiting for approval and ask the approvers
+   */
+  async request(deployment, { expiresAfter = DEFAULT_EXPIRY_SECONDS, now = Date.now() } = {}) {
+    const record = {
+      ...deployment,
+      outcome: 'pending_approval',
+      approval: {
+        status: 'pending',
+        requestedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + expiresAfter * 1000).toISOString(),
+        decisions: []
+      }
+    };
+
+    await this.history.save(record);
+    await this.notify('approval_requested', record,
+      `${record.user} wants to ${describeRequest(record)}. ` +
+      `Please approve or reject it at ${this.dashboardUrl} before ${formatTime(record.approval.expiresAt)}.`
+    );
+    return record;
+  }
+
+  isExpired(record, now = Date.now()) {
+    return record.outcome === 'pending_approval' && new Date(record.approval.expiresAt).getTime() <= now;
+  }
+
+  /**
+   * Why `user` can't decide on `record` right now, as { status, error, code },
+   * or null when they can
+   */
+  checkDecision(record, user, now = Date.now()) {
+    if (!record || !record.approval) {
+      return { status: 404, error: 'Approval request not found', code: 'NOT_FOUND' };
+    }
+    if (this.isExpired(record, now) || record.outcome === 'expired') {
+      return { status: 409, error: 'This request has expired - please ask for the update again', code: 'APPROVAL_EXPIRED' };
+    }
+    if (record.outcome !== 'pending_approval') {
+      return { status: 409, error: 'This update is no longer waiting for approval', code: 'APPROVAL_DECIDED' };
+    }
+    if (record.username && record.username === user.username) {
+      return { status: 403, error: "You can't approve your own update - please ask someone else", code: 'SELF_APPROVAL' };
+    }
+    return null;
+  }
+
+  /**
+   * Add a decision to `record`. Only changes the record: callers save it,
+   * together with whatever starting the deployment changes, then announce().
+   */
+  recordDecision(record, user, { decision, comment }, now = Date.now()) {
+    const approved = decision === 'approve';
+    const decidedAt = new Date(now).toISOString();
+
+    record.approval.decisions.push({
+      user: user.name,
+      username: user.username,
+      decision: approved ? 'approved' : 'rejected',
+      comment: comment || null,
+      decidedAt
+    });
+    record.approval.status = approved ? 'approved' : 'rejected';
+
+    if (!approved) {
+      record.outcome = 'rejected';
+      record.finishedAt = decidedAt;
+    }
+    return record;
+  }
+
+  /**
+   * Tell everyone how a request was decided
+   */
+  async announce(record) {
+    const decision = record.approval.decisions[record.approval.decisions.length - 1];
+    const comment = decision.comment ? ` ("${decision.comment}")` : '';
+
+    await this.notify(`approval_${decision.decision}`, record,
+      `${decision.user} ${decision.decision} ${record.user}'s request to ${describeRequest(record)}${comment}.`
+    );
+  }
+
+  /**
+   * Mark a pending request whose time is up as expired; resolves true when
+   * it did
+   */
+  async expire(record, now = Date.now()) {
+    if (!this.isExpired(record, now)) return false;
+
+    record.outcome = 'expired';
+    record.approval.status = 'expired';
+    record.finishedAt = new Date(now).toISOString();
+    await this.history.save(record);
+
+    await this.notify('approval_expired', record,
+      `Nobody approved ${record.user}'s request to ${describeRequest(record)} in time.`
+    );
+    return true;
+  }
+
+  async expireStale(now = Date.now()) {
+    const pending = await this.history.query({ outcome: 'pending_approval' });
+    const expired = [];
+
+    for (const record of pending) {
+      if (await this.expire(record, now)) expired.push(record);
+    }
+    return expired;
+  }
+
+  /**
+   * Requests still waiting for a decision, oldest first
+   */
+  async pending({ environment, now = Date.now() } = {}) {
+    await this.expireStale(now);
+    const records = await this.history.query({ environment, outcome: 'pending_approval' });
+    return records.reverse();
+  }
+
+  // Send through every channel; one failing channel doesn't stop the others
+  async notify(type, record, message) {
+    const data = {
+      message,
+      details: {
+        deploymentId: record.id,
+        type: record.type,
+        environment: record.environment,
+        requestedBy: record.user,
+        approval: record.approval
+      }
+    };
+
+    for (const channel of this.channels) {
+      try {
+        await channel.sendAlert(type, data);
+      } catch (error) {
+        console.error(`Approval channel ${channel.name} failed:`, error.message);
+      }
+    }
+  }
+}
+
+// "update Production" / "promote staging version 2.4.7 to Production"
+function describeRequest(record) {
+  const label = environmentSettings(record.environment)?.label || record.environment;
+
+  if (record.type === 'promote' && record.promotedFrom) {
+    return `promote ${record.promotedFrom.environment} version ${record.promotedFrom.version} to ${label}`;
+  }
+  return `update ${label}`;
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+module.exports = ApprovalWorkflow;
@@ -0,0 +1,109 @@
+/**
+ * Authenticator
+ *
+ * Ties the user list and session tokens together behind the
+ * features.authentication flag. With the flag off, every request acts as
+ * the client-supplied user (the original behaviour); with it on, deploy
+ * actions need a valid `Authorization: Bearer <token>` header and the
+ * deploying user is whoever the token belongs to.
+ *
+ * Roles (auth/permissions.js) are read from the user list on every request,
+ * so a role change saved to config/users.json applies without signing in
+ * again (AUTH_USERS changes need a restart or redeploy). With the flag off
+ * everyone is an admin, as before.
+ */
+
+const UserDirectory = require('./user-directory');
+const { createSessionToken, verifySessionToken } = require('./session-tokens');
+const { loadFeatureFlags } = require('../config/config-loader');
+const { normalizeRole, hasPermission, permissionsFor, forbiddenPayload } = require('./permissions');
+
+const DEFAULT_USER = 'Leslie';
+
+class Authenticator {
+  constructor({ enabled = false, secret, users, ttlSeconds } = {}) {
+    this.enabled = Boolean(enabled);
+    this.secret = secret;
+    this.users = users || new UserDirectory();
+    this.ttlSeconds = ttlSeconds;
+
+    if (this.enabled && !this.secret) {
+      console.error('🔒 Authentication is enabled but AUTH_SECRET is not set - all sign-ins will be refused');
+    }
+  }
+
+  static fromEnvironment(features = loadFeatureFlags()) {
+    return new Authenticator({
+      enabled: features.authentication,
+      secret: process.env.AUTH_SECRET,
+      ttlSeconds: process.env.AUTH_SESSION_TTL ? Number(process.env.AUTH_SESSION_TTL) : undefined
+    });
+  }
+
+  /**
+   * Exchange a username and password for a session token
+   */
+  login(username, password) {
+    if (!this.secret) return null;
+
+    const user = this.users.authenticate(username, password);
+    if (!user) return null;
+
+    return {
+      token: createSessionToken(user, this.secret, this.ttlSeconds),
+      user: withPermissions(user)
+    };
+  }
+
+  /**
+   * Work out who is making a request
+   * Returns { user } on success or { error } when a sign-in is required.
+   */
+  identify(authorizationHeader, requestedUser) {
+    if (!this.enabled) {
+      const name = requestedUser || DEFAULT_USER;
+      return { user: withPermissions({ username: name, name, role: 'admin' }) };
+    }
+
+    const token = (authorizationHeader || '').replace(/^Bearer\s+/i, '');
+    const claims = verifySessionToken(token, this.secret);
+    const record = claims && this.users.find(claims.sub);
+
+    if (!record) {
+      return { error: 'Please sign in to continue' };
+    }
+
+    return {
+      user: withPermissions({
+        username: record.username,
+        name: record.name || record.username,
+        role: record.role
+      })
+    };
+  }
+
+  /**
+   * Identify the caller and check they may perform `permission`
+   * Returns { user } or { status, body } with a ready-to-send 401/403 payload.
+   */
+  authorize(authorizationHeader, permission, requestedUser) {
+    const { user, error } = this.identify(authorizationHeader, requestedUser);
+
+    if (error) {
+      return { status: 401, body: { success: false, error, code: 'AUTH_REQUIRED' } };
+    }
+
+    if (!hasPermission(user.role, permission)) {
+      return { status: 403, body: forbiddenPayload(user, permission) };
+    }
+
+    return { user };
+  }
+}
+
+function withPermissions(user) {
+  const role = normalizeRole(user.role);
+  return { ...user, role, permissions: permissionsFor(role) };
+}
+
+module.exports = Authenticator;
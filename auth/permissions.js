@@ -0,0 +1,98 @@
+/**
+ * Roles and permissions
+ *
+ * Three roles, each including everything the one before it can do:
+ *   viewer   - watch deployment status, history and DNS status
+ *   deployer - also press "Update Calendar Now", cancel a running update,
+ *              schedule updates and promote staging to production
+ *   admin    - also roll back, approve updates, change DNS, edit settings
+ *              and manage outgoing webhooks
+ */
+
+const ROLES = ['viewer', 'deployer', 'admin'];
+const DEFAULT_ROLE = 'viewer';
+
+// Lowest role allowed to perform each action
+const PERMISSIONS = {
+  'status:read': 'viewer',
+  'history:read': 'viewer',
+  'dns:read': 'viewer',
+  'settings:read': 'viewer',
+  deploy: 'deployer',
+  cancel: 'deployer',
+  promote: 'deployer',
+  schedule: 'deployer',
+  rollback: 'admin',
+  approve: 'admin',
+  'dns:manage': 'admin',
+  'settings:edit': 'admin',
+  'webhooks:manage': 'admin'
+};
+
+// Wording for the 403 message: "Only <role>s can <action>"
+const ACTION_NAMES = {
+  deploy: 'update the calendar',
+  cancel: 'cancel updates',
+  promote: 'promote a tested version',
+  schedule: 'schedule updates',
+  rollback: 'roll back the calendar',
+  approve: 'approve updates',
+  'dns:manage': 'change DNS settings',
+  'settings:edit': 'change dashboard settings',
+  'webhooks:manage': 'manage webhooks'
+};
+
+// Feature flags admins may change through PUT /api/settings: the ones read
+// on every request. authentication and deployment_history are read once at
+// startup, so they only change in config/production.yml.
+const EDITABLE_FEATURE_FLAGS = ['rollback_enabled', 'analytics', 'error_tracking'];
+
+function normalizeRole(role) {
+  return ROLES.includes(role) ? role : DEFAULT_ROLE;
+}
+
+function hasPermission(role, permission) {
+  const required = PERMISSIONS[permission];
+  if (!required) return false;
+
+  return ROLES.indexOf(normalizeRole(role)) >= ROLES.indexOf(required);
+}
+
+// Every permission a role has, for the dashboard to decide what to show
+function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+}
+
+// The flags in a settings change that PUT /api/settings must refuse
+function lockedFeatureFlags(changes) {
+  return Object.keys(changes).filter(flag => !EDITABLE_FEATURE_FLAGS.includes(flag));
+}
+
+/**
+ * Body of a 403 response when `user` lacks `permission`
+ */
+function forbiddenPayload(user, permission) {
+  const requiredRole = PERMISSIONS[permission];
+  const action = ACTION_NAMES[permission] || 'do that';
+
+  return {
+    success: false,
+    error: `Only ${requiredRole}s can ${action}`,
+    code: 'FORBIDDEN',
+    permission,
+    requiredRole,
+    role: normalizeRole(user?.role)
+  };
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  EDITABLE_FEATURE_FLAGS,
+  normalizeRole,
+  hasPermission,
+  permissionsFor,
+  lockedFeatureFlags,
+  forbiddenPayload
+};
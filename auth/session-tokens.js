@@ -0,0 +1,61 @@
+/**
+ * Signed session tokens
+ *
+ * A token is `<payload>.<signature>`: the payload is base64url-encoded JSON
+ * ({ sub, name, iat, exp }) and the signature is an HMAC-SHA256 of it with
+ * the server secret. Tokens are stateless, so the Express server and the
+ * Netlify functions can verify each other's tokens with the same secret.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 12 * 60 * 60; // 12 hours
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function createSessionToken(user, secret, ttlSeconds = DEFAULT_TTL_SECONDS) {
+  if (!secret) throw new Error('AUTH_SECRET is not configured');
+
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.username,
+    name: user.name,
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Returns the token's claims, or null if it is malformed, forged or expired
+ */
+function verifySessionToken(token, secret) {
+  if (!secret || typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.sub || !claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  createSessionToken,
+  verifySessionToken
+};
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Local user list for dashboard sign-in
+ *
+ * Users come from the AUTH_USERS environment variable (a JSON array, which
+ * is how the Netlify functions get them) or from config/users.json
+ * (override with AUTH_USERS_FILE):
+ *
+ *   [{ "username": "leslie", "name": "Leslie", "role": "deployer", "passwordHash": "scrypt$..." }]
+ *
+ * `role` is viewer, deployer or admin (see auth/permissions.js); users
+ * without one are viewers. The file is read again whenever it has been
+ * saved since the last read, so edits apply without a restart.
+ *
+ * Generate a password hash with:
+ *   node auth/user-directory.js hash <password>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_USERS_FILE = path.join(__dirname, '..', 'config', 'users.json');
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function checkPassword(password, passwordHash) {
+  const [scheme, salt, hash] = (passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+class UserDirectory {
+  constructor({ users, file } = {}) {
+    this.file = file || process.env.AUTH_USERS_FILE || DEFAULT_USERS_FILE;
+    this.users = users || null;
+    // A list given here or in AUTH_USERS can't change while we run
+    this.fixed = Boolean(users);
+    this.loadedAt = null;
+  }
+
+  load() {
+    if (this.fixed) return this.users;
+
+    if (process.env.AUTH_USERS) {
+      this.users = JSON.parse(process.env.AUTH_USERS);
+      this.fixed = true;
+      return this.users;
+    }
+
+    let modifiedAt;
+    try {
+      modifiedAt = fs.statSync(this.file).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`User list ${this.file} is unreadable: ${error.message}`);
+      }
+      this.users = [];
+      this.loadedAt = null;
+      return this.users;
+    }
+
+    if (this.users && modifiedAt === this.loadedAt) return this.users;
+
+    try {
+      this.users = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.loadedAt = modifiedAt;
+    } catch (error) {
+      // Most likely caught mid-save; the next call reads it again
+      if (!this.users) throw new Error(`User list ${this.file} is unreadable: ${error.message}`);
+      console.warn(`⚠️ Keeping the previous user list - ${this.file} is unreadable: ${error.message}`);
+    }
+    return this.users;
+  }
+
+  find(username) {
+    const wanted = String(username || '').toLowerCase();
+    return this.load().find(user => user.username.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Resolve a username/password pair to a public user profile, or null
+   */
+  authenticate(username, password) {
+    const user = this.find(username);
+    if (!user || !checkPassword(password, user.passwordHash)) return null;
+
+    return { username: user.username, name: user.name || user.username, role: user.role };
+  }
+}
+
+UserDirectory.hashPassword = hashPassword;
+
+// CLI: print a password hash for config/users.json
+if (require.main === module) {
+  const [command, password] = process.argv.slice(2);
+
+  if (command !== 'hash' || !password) {
+    console.error('Usage: node auth/user-directory.js hash <password>');
+    process.exit(1);
+  }
+
+  console.log(hashPassword(password));
+}
+
+module.exports = UserDirectory;
@@ -15,14 +15,14 @@
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
-const { exec } = require('child_process').promises;
+const { dnsSettings } = require('./config/config-loader');
+const { providerChain } = require('./dns-providers/provider-registry');
 
 class BackupDeploymentStrategy {
   constructor(config = {}) {
+    // Domain, target, provider and TTL come from config/production.yml
     this.config = {
-      domain: config.domain || 'candlefish.ai',
-      subdomain: config.subdomain || 'fogg',
-      target: config.target || 'fogg-calendar.netlify.app',
+      ...dnsSettings(),
       netlifyApiToken: config.netlifyApiToken || process.env.NETLIFY_API_TOKEN,
       githubToken: config.githubToken || process.env.GITHUB_TOKEN,
       ...config
@@ -240,17 +240,23 @@ class AlternativeSubdomainStrategy {
   }
 
   async execute() {
+    const { subdomain } = this.config;
     const alternatives = [
-      'fogg-cal',
-      'fogg-dashboard',
-      'calendar-fogg',
-      'fogg-app',
-      'dashboard-fogg'
+      `${subdomain}-cal`,
+      `${subdomain}-dashboard`,
+      `calendar-${subdomain}`,
+      `${subdomain}-app`,
+      `dashboard-${subdomain}`
     ];
 
+    const provider = await this.healthyProvider();
+    if (!provider) {
+      return { success: false, error: 'No DNS provider available' };
+    }
+
     for (const alt of alternatives) {
       try {
-        const result = await this.trySubdomain(alt);
+        const result = await this.trySubdomain(provider, alt);
         if (result.success) {
           return {
             success: true,
@@ -275,13 +281,34 @@ class AlternativeSubdomainStrategy {
     };
   }
 
-  async trySubdomain(subdomain) {
-    // This would attempt to create DNS record for alternative subdomain
-    // For now, return mock success for demonstration
+  // Point `subdomain` at the target through `provider`
+  async trySubdomain(provider, subdomain) {
     console.log(`   Testing: ${subdomain}.${this.config.domain}`);
-    
-    // In real implementation, would call DNS management system
-    return { success: subdomain === 'fogg-cal' }; // Mock: first alt succeeds
+
+    // Don't take over a name that is already in use for something else
+    const existing = await provider.getRecord(this.config.domain, subdomain, 'CNAME');
+    if (existing && existing.content !== this.config.target) {
+      return { success: false, error: `${subdomain} already points at ${existing.content}` };
+    }
+
+    await provider.upsertRecord(this.config.domain, {
+      name: subdomain,
+      type: 'CNAME',
+      content: this.config.target,
+      ttl: this.config.ttl
+    }, { actor: this.config.actor, reason: 'backup plan: alternative subdomain' });
+    return { success: true, provider: provider.name };
+  }
+
+  /**
+   * The first provider in the chain (dns-providers/provider-registry.js)
+   * that passes its health check, or null
+   */
+  async healthyProvider() {
+    for (const candidate of providerChain(this.config.provider)) {
+      if ((await candidate.healthCheck()).healthy) return candidate;
+    }
+    return null;
   }
 }
 
@@ -323,13 +350,14 @@ class NetlifyRedirectStrategy {
   }
 
   generateRedirectRules() {
+    const { target } = this.config;
     return `# Emergency redirect for FOGG dashboard
-/fogg/* https://fogg-calendar.netlify.app/:splat 200!
-/fogg https://fogg-calendar.netlify.app/ 200!
+/fogg/* https://${target}/:splat 200!
+/fogg https://${target}/ 200!
 
 # Alternative paths
-/calendar/* https://fogg-calendar.netlify.app/:splat 200!
-/dashboard/* https://fogg-calendar.netlify.app/:splat 200!
+/calendar/* https://${target}/:splat 200!
+/dashboard/* https://${target}/:splat 200!
 `;
   }
 
@@ -388,7 +416,7 @@ const PORT = process.env.PORT || 8080;
 
 // Proxy configuration
 const proxyOptions = {
-  target: 'https://fogg-calendar.netlify.app',
+  target: 'https://${this.config.target}',
   changeOrigin: true,
   secure: true,
   followRedirects: true,
@@ -478,7 +506,7 @@ class GitHubPagesStrategy {
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>FOGG Calendar Dashboard - Backup Access</title>
-    <meta http-equiv="refresh" content="0; url=https://fogg-calendar.netlify.app">
+    <meta http-equiv="refresh" content="0; url=https://${this.config.target}">
     <style>
         body {
             font-family: Arial, sans-serif;
@@ -525,7 +553,7 @@ class GitHubPagesStrategy {
         </div>
         
         <p>If you're not redirected automatically, click the button below:</p>
-        <a href="https://fogg-calendar.netlify.app" class="btn">
+        <a href="https://${this.config.target}" class="btn">
             🚀 Access Dashboard
         </a>
         
@@ -535,7 +563,7 @@ class GitHubPagesStrategy {
     <script>
         // Automatic redirect after 3 seconds
         setTimeout(() => {
-            window.location.href = 'https://fogg-calendar.netlify.app';
+            window.location.href = 'https://${this.config.target}';
         }, 3000);
     </script>
 </body>
@@ -591,7 +619,7 @@ class DirectIPStrategy {
   async resolveNetlifyIP() {
     try {
       const dns = require('dns').promises;
-      const addresses = await dns.resolve4('fogg-calendar.netlify.app');
+      const addresses = await dns.resolve4(this.config.target);
       
       console.log(`   🌐 Resolved IP: ${addresses[0]}`);
       return addresses[0];
@@ -655,10 +683,12 @@ class CDNRoutingStrategy {
 
 // CLI interface
 if (require.main === module) {
+  // Anything not given comes from config/production.yml
+  const [domain, subdomain, target] = process.argv.slice(2);
   const config = {
-    domain: process.argv[2] || 'candlefish.ai',
-    subdomain: process.argv[3] || 'fogg',
-    target: process.argv[4] || 'fogg-calendar.netlify.app'
+    ...(domain && { domain }),
+    ...(subdomain && { subdomain }),
+    ...(target && { target })
   };
 
   console.log('🆘 Backup Deployment Strategy System');
@@ -0,0 +1,406 @@
+/**
+ * Runtime configuration
+ *
+ * config/production.yml is the single source of settings for the server,
+ * the Netlify functions and the DNS tools. On top of it, in order:
+ *
+ *   1. config/<environment>.yml, if it exists, for the environment named by
+ *      CONFIG_ENV (e.g. config/staging.yml) - merged key by key, lists replaced
+ *   2. Environment variables named FOGG__<SECTION>__<KEY>, e.g.
+ *      FOGG__DNS__TTL=60 or FOGG__FEATURES__ROLLBACK_ENABLED=false
+ *      (values are parsed as YAML, so numbers and booleans keep their type)
+ *   3. Feature flags changed from the dashboard, kept in
+ *      data/feature-overrides.json (FEATURE_OVERRIDES_FILE)
+ *
+ * The result is checked against config/schema.js; a bad value stops the
+ * process with a ConfigError listing every problem.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateConfig, ZONE_SCHEMA } = require('./schema');
+const { checkTimeZone } = require('../schedules/zoned-time');
+
+const CONFIG_DIR = __dirname;
+const BASE_FILE = 'production.yml';
+const ENV_PREFIX = 'FOGG__';
+const DEFAULT_OVERRIDES_FILE = path.join(__dirname, '..', 'data', 'feature-overrides.json');
+const DEFAULT_ZONE_FILE = 'config/dns-zone.yml';
+
+class ConfigError extends Error {
+  constructor(errors, source) {
+    super(`Invalid configuration (${source}):\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+let cached = null;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, overlay) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(overlay || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : value;
+  }
+  return result;
+}
+
+function readYaml(file, { optional = false } = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (optional && error.code === 'ENOENT') return {};
+    throw new ConfigError([`cannot read ${path.basename(file)}: ${error.message}`], file);
+  }
+
+  try {
+    return yaml.load(text) || {};
+  } catch (error) {
+    throw new ConfigError([`${path.basename(file)} is not valid YAML: ${error.reason || error.message}`], file);
+  }
+}
+
+// FOGG__DNS__ROOT_DOMAIN=example.com -> { dns: { root_domain: 'example.com' } }
+function environmentOverrides(env) {
+  const overrides = {};
+
+  for (const [name, raw] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX)) continue;
+
+    const keys = name.slice(ENV_PREFIX.length).toLowerCase().split('__');
+    let target = overrides;
+    keys.slice(0, -1).forEach(key => {
+      target = target[key] = target[key] || {};
+    });
+
+    let value;
+    try {
+      value = yaml.load(raw);
+    } catch {
+      value = raw;
+    }
+    target[keys[keys.length - 1]] = value;
+  }
+  return overrides;
+}
+
+function overridesFile() {
+  return process.env.FEATURE_OVERRIDES_FILE || DEFAULT_OVERRIDES_FILE;
+}
+
+function loadFeatureOverrides() {
+  try {
+    return JSON.parse(fs.readFileSync(overridesFile(), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('Ignoring unreadable feature overrides:', error.message);
+    }
+    return {};
+  }
+}
+
+/**
+ * Read, merge and validate the configuration
+ * options.environment picks the overlay (default CONFIG_ENV, else none);
+ * options.env replaces process.env, options.directory the config folder.
+ */
+function loadConfig(options = {}) {
+  const directory = options.directory || CONFIG_DIR;
+  const env = options.env || process.env;
+  const environment = options.environment || env.CONFIG_ENV || 'production';
+
+  let config = readYaml(path.join(directory, BASE_FILE));
+  const sources = [BASE_FILE];
+
+  if (environment !== 'production') {
+    const overlayFile = `${environment}.yml`;
+    config = deepMerge(config, readYaml(path.join(directory, overlayFile), { optional: true }));
+    sources.push(overlayFile);
+  }
+
+  const fromEnv = environmentOverrides(env);
+  if (Object.keys(fromEnv).length > 0) {
+    config = deepMerge(config, fromEnv);
+    sources.push(`${ENV_PREFIX}* variables`);
+  }
+
+  config = deepMerge(config, { features: loadFeatureOverrides() });
+
+  const errors = [
+    ...validateConfig(config),
+    ...checkEnvironments(config),
+    ...checkScheduling(config),
+    ...checkWebhooks(config)
+  ];
+  if (errors.length > 0) {
+    throw new ConfigError(errors, sources.join(' + '));
+  }
+
+  return config;
+}
+
+// Cross-references the schema can't express
+function checkEnvironments(config) {
+  const environments = config.environments || {};
+  const names = Object.keys(environments);
+  const errors = [];
+
+  if (names.length === 0) return errors;
+
+  const fallback = config.deployment?.environment;
+  if (fallback && !names.includes(fallback)) {
+    errors.push(`deployment.environment must be one of ${names.join(', ')} (got "${fallback}")`);
+  }
+
+  for (const [name, settings] of Object.entries(environments)) {
+    const source = settings?.promote_from;
+    if (source && (source === name || !names.includes(source))) {
+      errors.push(`environments.${name}.promote_from must name another environment (got "${source}")`);
+    }
+  }
+  return errors;
+}
+
+function checkScheduling(config) {
+  const { timezone, blackout_windows: windows = [] } = config.scheduling || {};
+  const names = Object.keys(config.environments || { [defaultEnvironment(config)]: {} });
+  const errors = [];
+
+  if (timezone) {
+    try {
+      checkTimeZone(timezone);
+    } catch {
+      errors.push(`scheduling.timezone must be a time zone like "America/Denver" (got "${timezone}")`);
+    }
+  }
+
+  (Array.isArray(windows) ? windows : []).forEach((window, index) => {
+    const path = `scheduling.blackout_windows[${index}]`;
+    const weekly = Boolean(window?.start && window?.end);
+    const oneOff = Boolean(window?.from && window?.until);
+
+    if (weekly === oneOff) {
+      errors.push(`${path} needs either start and end, or from and until`);
+    } else if (oneOff && !(new Date(window.from) < new Date(window.until))) {
+      errors.push(`${path}.until must be after from`);
+    }
+
+    for (const name of window?.environments || []) {
+      if (!names.includes(name)) {
+        errors.push(`${path}.environments must only name configured environments (got "${name}")`);
+      }
+    }
+  });
+  return errors;
+}
+
+// The dashboard's test button picks an endpoint by name
+function checkWebhooks(config) {
+  const endpoints = config.webhooks?.endpoints;
+  const names = (Array.isArray(endpoints) ? endpoints : []).map(endpoint => endpoint?.name);
+
+  return names
+    .filter((name, index) => name && names.indexOf(name) !== index)
+    .map(name => `webhooks.endpoints names must be unique (got "${name}" twice)`);
+}
+
+// Loaded once per process; call reloadConfig() after changing the files
+function getConfig() {
+  if (!cached) {
+    cached = loadConfig();
+  }
+  return cached;
+}
+
+function reloadConfig() {
+  cached = null;
+  return getConfig();
+}
+
+function loadFeatureFlags() {
+  return { ...getConfig().features, ...loadFeatureOverrides() };
+}
+
+/**
+ * Persist changed flags and return the merged result
+ * Only flags that already exist as booleans can be changed.
+ */
+function saveFeatureOverrides(changes) {
+  const current = loadFeatureFlags();
+  const unknown = Object.keys(changes).filter(key =>
+    typeof current[key] !== 'boolean' || typeof changes[key] !== 'boolean'
+  );
+
+  if (unknown.length > 0) {
+    throw new Error(`Not an on/off setting: ${unknown.join(', ')}`);
+  }
+
+  const overrides = { ...loadFeatureOverrides(), ...changes };
+  fs.mkdirSync(path.dirname(overridesFile()), { recursive: true });
+  fs.writeFileSync(overridesFile(), JSON.stringify(overrides, null, 2));
+
+  return { ...current, ...changes };
+}
+
+/**
+ * DNS settings in the shape the DNS classes use
+ * (intervals and timeouts converted from seconds to milliseconds)
+ */
+function dnsSettings(config = getConfig()) {
+  const { dns = {}, monitoring = {} } = config;
+
+  return {
+    provider: dns.provider || 'porkbun',
+    domain: dns.root_domain,
+    subdomain: dns.subdomain,
+    fqdn: `${dns.subdomain}.${dns.root_domain}`,
+    target: dns.target,
+    ttl: dns.ttl,
+    recordType: dns.record_type || 'CNAME',
+    maxRetries: dns.max_retries ?? 3,
+    verificationTimeout: (dns.verification_timeout ?? 300) * 1000,
+    verificationInterval: (dns.verification_interval ?? 10) * 1000,
+    monitoringInterval: (monitoring.dns_check_interval ?? 60) * 1000,
+    retryInterval: (monitoring.dns_retry_interval ?? 30) * 1000,
+    alertThreshold: monitoring.alert_threshold ?? 3,
+    healthCheckTimeout: (monitoring.health_check_timeout ?? 10) * 1000,
+    zoneFile: path.resolve(CONFIG_DIR, '..', dns.zone_file || DEFAULT_ZONE_FILE),
+    driftCheckInterval: (monitoring.dns_drift_check_interval ?? 900) * 1000
+  };
+}
+
+/**
+ * The declared DNS records (dns.zone_file) in the shape DNSZone uses;
+ * throws a ConfigError listing every problem in the file
+ */
+function loadZoneFile(file = null) {
+  const settings = dnsSettings();
+  const zoneFile = file || settings.zoneFile;
+  const zone = readYaml(zoneFile);
+  const errors = validateConfig(zone, ZONE_SCHEMA);
+
+  // One record per name and type, so the plan can match them up
+  const keys = (Array.isArray(zone.records) ? zone.records : [])
+    .map(record => `${record?.name} ${String(record?.type).toUpperCase()}`);
+  keys
+    .filter((key, index) => keys.indexOf(key) !== index)
+    .forEach(key => errors.push(`records must not declare ${key} twice`));
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors, path.basename(zoneFile));
+  }
+
+  return {
+    file: zoneFile,
+    domain: zone.domain,
+    provider: zone.provider || settings.provider,
+    prune: Boolean(zone.prune),
+    records: zone.records.map(({ name, type, content, ttl, proxied }) => ({
+      name: String(name),
+      type,
+      content,
+      ttl: ttl ?? zone.ttl ?? settings.ttl,
+      proxied: Boolean(proxied)
+    }))
+  };
+}
+
+/**
+ * Outgoing webhook settings in the shape WebhookDispatcher uses (an
+ * endpoint without `events` gets them all)
+ */
+function webhookSettings(config = getConfig()) {
+  const { webhooks = {} } = config;
+
+  return {
+    endpoints: (webhooks.endpoints || []).map(endpoint => ({
+      name: endpoint.name,
+      url: endpoint.url,
+      secretEnv: endpoint.secret_env || null,
+      events: endpoint.events || null
+    })),
+    maxAttempts: webhooks.max_attempts ?? 4,
+    retryDelay: webhooks.retry_delay ?? 2000
+  };
+}
+
+/**
+ * Scheduled deployment settings (check interval in milliseconds)
+ */
+function schedulingSettings(config = getConfig()) {
+  const { scheduling = {} } = config;
+
+  return {
+    timeZone: scheduling.timezone || undefined,
+    checkInterval: (scheduling.check_interval ?? 30) * 1000,
+    blackoutWindows: scheduling.blackout_windows || []
+  };
+}
+
+function defaultEnvironment(config = getConfig()) {
+  return config.deployment?.environment || 'production';
+}
+
+/**
+ * Settings for one deployment environment, or null for an unknown name
+ * Without an `environments` section there is a single environment named
+ * by deployment.environment.
+ */
+function environmentSettings(name, config = getConfig()) {
+  const fallback = defaultEnvironment(config);
+  const environments = config.environments || {
+    [fallback]: { domain: config.deployment?.domain, build_hook_env: 'NETLIFY_BUILD_HOOK_URL' }
+  };
+  const settings = Object.prototype.hasOwnProperty.call(environments, name) && environments[name];
+  if (!settings) return null;
+
+  return {
+    name,
+    label: settings.label || name,
+    domain: settings.domain,
+    url: `https://${settings.domain}`,
+    siteId: settings.site_id || null,
+    branch: settings.branch || null,
+    buildHookEnv: settings.build_hook_env || null,
+    promoteFrom: settings.promote_from || null,
+    approvalRequired: Boolean(settings.approval?.required),
+    approvalExpiresAfter: settings.approval?.expires_after ?? 3600,
+    isDefault: name === fallback
+  };
+}
+
+function listEnvironments(config = getConfig()) {
+  const names = Object.keys(config.environments || { [defaultEnvironment(config)]: {} });
+  return names.map(name => environmentSettings(name, config));
+}
+
+// Environment settings without the Netlify wiring the dashboard doesn't need
+function publicEnvironment({ siteId, buildHookEnv, ...environment }) {
+  return environment;
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  getConfig,
+  reloadConfig,
+  loadFeatureFlags,
+  saveFeatureOverrides,
+  dnsSettings,
+  loadZoneFile,
+  schedulingSettings,
+  webhookSettings,
+  defaultEnvironment,
+  environmentSettings,
+  listEnvironments,
+  publicEnvironment
+};
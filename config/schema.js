@@ -0,0 +1,263 @@
+/**
+ * Schema for config/production.yml
+ *
+ * Small declarative format checked by validateConfig():
+ *   { type: 'object', properties: {...}, required: [...] }
+ *   { type: 'string', enum: [...], pattern: /.../ }
+ *   { type: 'integer' | 'number', min, max }
+ *   { type: 'boolean' }
+ *   { type: 'array', items: <schema> }
+ *   { type: 'map', keys: /.../, values: <schema> }   (an object keyed by name)
+ *
+ * Keys the schema doesn't mention are allowed, so new sections can be added
+ * to the YAML before anything reads them.
+ */
+
+const { WEEKDAYS } = require('../schedules/zoned-time');
+const { WEBHOOK_EVENTS } = require('../webhooks/webhook-events');
+
+const HOSTNAME = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/i;
+const URL = /^https?:\/\/[^\s/$.?#].[^\s]*$/i;
+
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+const string = (options = {}) => ({ type: 'string', ...options });
+const hostname = () => string({ pattern: HOSTNAME, description: 'a hostname' });
+const url = () => string({ pattern: URL, description: 'an http(s) URL' });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const boolean = () => ({ type: 'boolean' });
+const array = items => ({ type: 'array', items });
+const map = (values, keys) => ({ type: 'map', keys, values });
+
+const ENVIRONMENT_NAME = /^[a-z0-9-]+$/;
+const ENV_VAR_NAME = /^[A-Z][A-Z0-9_]*$/;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+// js-yaml turns unquoted timestamps into Dates, so these must be quoted
+const ISO_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+// '@' for the domain itself; otherwise relative, like 'fogg' or '_dmarc'
+const RECORD_NAME = /^(@|[a-z0-9_*]([a-z0-9_.-]*[a-z0-9_])?)$/i;
+
+const DNS_PROVIDERS = ['porkbun', 'cloudflare', 'netlify', 'route53'];
+
+const CONFIG_SCHEMA = object({
+  deployment: object({
+    environment: string(),
+    domain: hostname(),
+    alternate_domains: array(hostname())
+  }),
+
+  // Environment names end up in lock keys and release archive paths
+  environments: map(object({
+    label: string(),
+    domain: hostname(),
+    site_id: string(),
+    branch: string(),
+    build_hook_env: string({ pattern: ENV_VAR_NAME, description: 'an environment variable name' }),
+    promote_from: string({ pattern: ENVIRONMENT_NAME, description: 'an environment name' }),
+    approval: object({
+      required: boolean(),
+      expires_after: integer({ min: 60 })
+    })
+  }, ['domain']), ENVIRONMENT_NAME),
+
+  scheduling: object({
+    timezone: string(),
+    check_interval: integer({ min: 5 }),
+    blackout_windows: array(object({
+      name: string(),
+      reason: string(),
+      days: array(string({ enum: WEEKDAYS })),
+      start: string({ pattern: TIME_OF_DAY, description: 'a time like "08:30"' }),
+      end: string({ pattern: TIME_OF_DAY, description: 'a time like "08:30"' }),
+      from: string({ pattern: ISO_TIME, description: 'a quoted time like "2026-12-24T00:00:00Z"' }),
+      until: string({ pattern: ISO_TIME, description: 'a quoted time like "2026-12-24T00:00:00Z"' }),
+      environments: array(string({ pattern: ENVIRONMENT_NAME, description: 'an environment name' }))
+    }, ['name']))
+  }),
+
+  webhooks: object({
+    max_attempts: integer({ min: 1, max: 10 }),
+    retry_delay: integer({ min: 0 }),
+    endpoints: array(object({
+      name: string(),
+      url: url(),
+      secret_env: string({ pattern: ENV_VAR_NAME, description: 'an environment variable name' }),
+      events: array(string({ enum: WEBHOOK_EVENTS }))
+    }, ['name', 'url']))
+  }),
+
+  netlify: object({
+    site_name: string(),
+    site_id: string(),
+    build_command: string(),
+    publish_directory: string(),
+    functions_directory: string()
+  }),
+
+  dns: object({
+    provider: string({ enum: DNS_PROVIDERS }),
+    subdomain: string({ pattern: /^[a-z0-9-]+$/i, description: 'a single DNS label' }),
+    root_domain: hostname(),
+    ttl: integer({ min: 60, max: 86400 }),
+    record_type: string({ enum: ['CNAME', 'A', 'ALIAS'] }),
+    target: hostname(),
+    verification_timeout: integer({ min: 1 }),
+    verification_interval: integer({ min: 1 }),
+    max_retries: integer({ min: 0 }),
+    zone_file: string()
+  }, ['subdomain', 'root_domain', 'target', 'ttl']),
+
+  ssl: object({
+    auto_provision: boolean(),
+    force_https: boolean(),
+    hsts_enabled: boolean(),
+    hsts_max_age: integer({ min: 0 })
+  }),
+
+  monitoring: object({
+    health_check_interval: integer({ min: 1 }),
+    health_check_timeout: integer({ min: 1 }),
+    dns_check_interval: integer({ min: 1 }),
+    dns_retry_interval: integer({ min: 1 }),
+    dns_drift_check_interval: integer({ min: 60 }),
+    alert_threshold: integer({ min: 1 }),
+    alert_email: string({ pattern: /^[^@\s]+@[^@\s]+$/, description: 'an email address' }),
+    uptime_threshold: number({ min: 0, max: 100 })
+  }),
+
+  failover: object({
+    check_interval: integer({ min: 1 }),
+    failover_threshold: integer({ min: 1 }),
+    recovery_threshold: integer({ min: 1 }),
+    endpoints: array(object({
+      name: string(),
+      url: url()
+    }, ['name', 'url']))
+  }),
+
+  rate_limiting: object({
+    enabled: boolean(),
+    requests_per_minute: integer({ min: 1 }),
+    burst_size: integer({ min: 1 })
+  }),
+
+  features: object({
+    authentication: boolean(),
+    analytics: boolean(),
+    error_tracking: boolean(),
+    deployment_history: boolean(),
+    rollback_enabled: boolean()
+  }),
+
+  api: object({
+    base_url: url()
+  }),
+
+  limits: object({
+    max_deployment_time: integer({ min: 1 }),
+    max_retries: integer({ min: 0 }),
+    retry_delay: integer({ min: 0 })
+  }),
+
+  logging: object({
+    level: string({ enum: ['debug', 'info', 'warn', 'error'] }),
+    format: string({ enum: ['json', 'text'] }),
+    retention_days: integer({ min: 1 })
+  })
+}, ['dns']);
+
+// The declared DNS records (config/dns-zone.yml), see dns-zone.js
+const ZONE_SCHEMA = object({
+  domain: hostname(),
+  provider: string({ enum: DNS_PROVIDERS }),
+  ttl: integer({ min: 1, max: 86400 }),
+  prune: boolean(),
+  records: array(object({
+    name: string({ pattern: RECORD_NAME, description: "a name relative to the domain, or '@'" }),
+    type: string({ enum: ['A', 'AAAA', 'CNAME', 'ALIAS', 'TXT', 'MX'] }),
+    content: string(),
+    ttl: integer({ min: 1, max: 86400 }),
+    proxied: boolean()
+  }, ['name', 'type', 'content']))
+}, ['domain', 'records']);
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function describe(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+function typeMatches(value, type) {
+  switch (type) {
+    case 'object':
+    case 'map': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Check `value` against `schema`; returns a list of readable problems such
+ * as 'dns.ttl must be at least 60 (got 5)'
+ */
+function validateConfig(value, schema = CONFIG_SCHEMA, path = '') {
+  if (!typeMatches(value, schema.type)) {
+    const article = /^[aeiou]/.test(schema.type) ? 'an' : 'a';
+    return [`${path || 'The configuration'} must be ${schema.description || `${article} ${schema.type}`} (got ${describe(value)})`];
+  }
+
+  const errors = [];
+
+  if (schema.type === 'object') {
+    for (const key of schema.required) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${join(path, key)} is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(schema.properties)) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateConfig(value[key], child, join(path, key)));
+      }
+    }
+  }
+
+  if (schema.type === 'map') {
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.keys && !schema.keys.test(key)) {
+        errors.push(`${join(path, key)} is not a valid name (must match ${schema.keys})`);
+      }
+      errors.push(...validateConfig(child, schema.values, join(path, key)));
+    }
+  }
+
+  if (schema.type === 'array') {
+    value.forEach((item, index) => {
+      errors.push(...validateConfig(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')} (got ${describe(value)})`);
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(`${path} must be ${schema.description || `a string matching ${schema.pattern}`} (got ${describe(value)})`);
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    errors.push(`${path} must be at least ${schema.min} (got ${describe(value)})`);
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    errors.push(`${path} must be at most ${schema.max} (got ${describe(value)})`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  ZONE_SCHEMA,
+  validateConfig
+};
@@ -8,10 +8,18 @@ set -e
 echo "🚀 Starting FOGG Calendar Dashboard Deployment..."
 
 # Configuration
+# DEPLOY_ENVIRONMENT (production, staging, preview) picks the target; every
+# environment other than production gets its own directory on the server
+DEPLOY_ENVIRONMENT="${DEPLOY_ENVIRONMENT:-production}"
 DEPLOY_USER="deploy"
 DEPLOY_HOST="deploy.foggcalendar.com"
-DEPLOY_PATH="/var/www/fogg-dashboard"
-BACKUP_PATH="/var/backups/fogg-dashboard"
+if [ "${DEPLOY_ENVIRONMENT}" = "production" ]; then
+    DEPLOY_PATH="/var/www/fogg-dashboard"
+    BACKUP_PATH="/var/backups/fogg-dashboard"
+else
+    DEPLOY_PATH="/var/www/fogg-dashboard-${DEPLOY_ENVIRONMENT}"
+    BACKUP_PATH="/var/backups/fogg-dashboard-${DEPLOY_ENVIRONMENT}"
+fi
 
 # Colors for output
 GREEN='\033[0;32m'
@@ -32,25 +40,56 @@ print_error() {
     echo -e "${RED}✗${NC} $1"
 }
 
+# Report progress to the dashboard (see pipeline/script-deployment.js for the protocol)
+report_progress() {
+    echo "Progress: $1 - $2"
+}
+
+report_stage() {
+    echo "Stage: $1 $2${3:+ - $3}"
+}
+
 # Check if running from correct directory
+report_stage guardian active "Running pre-flight checks"
 if [ ! -f "package.json" ]; then
     print_error "Please run this script from the deployment-dashboard directory"
+    report_stage guardian failed "package.json not found"
     exit 1
 fi
-
-# Step 1: Run tests
-print_status "Running tests..."
-npm test || {
-    print_error "Tests failed. Deployment aborted."
-    exit 1
-}
-
-# Step 2: Build the application
-print_status "Building application..."
-npm run build || {
-    print_error "Build failed. Deployment aborted."
-    exit 1
-}
+report_stage guardian complete "Pre-flight checks passed"
+report_progress 10 "Pre-flight checks passed"
+
+# DEPLOY_SKIP_BUILD=true ships the existing dist/ as-is (used for rollbacks)
+if [ "${DEPLOY_SKIP_BUILD}" = "true" ]; then
+    print_warning "Skipping tests and build - shipping existing dist/"
+    if [ ! -f "dist/index.html" ]; then
+        print_error "dist/index.html not found. Nothing to ship."
+        exit 1
+    fi
+    report_stage architect active "Packaging existing build"
+    report_progress 45 "Using existing build"
+else
+    # Step 1: Run tests
+    report_stage detective active "Running tests"
+    print_status "Running tests..."
+    npm test || {
+        print_error "Tests failed. Deployment aborted."
+        report_stage detective failed "Tests failed"
+        exit 1
+    }
+    report_stage detective complete "Tests passed"
+    report_progress 30 "Tests passed"
+
+    # Step 2: Build the application
+    report_stage architect active "Building application"
+    print_status "Building application..."
+    npm run build || {
+        print_error "Build failed. Deployment aborted."
+        report_stage architect failed "Build failed"
+        exit 1
+    }
+    report_progress 45 "Build finished"
+fi
 
 # Step 3: Create deployment package
 print_status "Creating deployment package..."
@@ -60,22 +99,26 @@ tar -czf deploy-package.tar.gz \
     package*.json \
     ecosystem.config.js \
     .env.example
+report_stage architect complete "Deployment package created"
+report_progress 55 "Deployment package created"
 
 # Step 4: Transfer to server
-print_status "Transferring to production server..."
+report_stage speedster active "Shipping the package to ${DEPLOY_ENVIRONMENT}"
+print_status "Transferring to ${DEPLOY_ENVIRONMENT} server..."
 scp deploy-package.tar.gz ${DEPLOY_USER}@${DEPLOY_HOST}:${DEPLOY_PATH}/
+report_progress 65 "Package transferred"
 
 # Step 5: Deploy on server
 print_status "Deploying on server..."
-ssh ${DEPLOY_USER}@${DEPLOY_HOST} << 'ENDSSH'
-    cd /var/www/fogg-dashboard
+ssh ${DEPLOY_USER}@${DEPLOY_HOST} "DEPLOY_PATH=${DEPLOY_PATH} BACKUP_PATH=${BACKUP_PATH} bash -s" << 'ENDSSH'
+    cd "$DEPLOY_PATH"
     
     # Backup current deployment
     echo "Creating backup..."
     timestamp=$(date +%Y%m%d_%H%M%S)
-    mkdir -p /var/backups/fogg-dashboard
+    mkdir -p "$BACKUP_PATH"
     if [ -d "dist" ]; then
-        tar -czf /var/backups/fogg-dashboard/backup_${timestamp}.tar.gz dist/ server.js
+        tar -czf "$BACKUP_PATH/backup_${timestamp}.tar.gz" dist/ server.js
     fi
     
     # Extract new deployment
@@ -101,6 +144,7 @@ ssh ${DEPLOY_USER}@${DEPLOY_HOST} << 'ENDSSH'
     
     echo "✅ Deployment complete!"
 ENDSSH
+report_progress 85 "Deployed on server"
 
 # Step 6: Clean up local files
 print_status "Cleaning up..."
@@ -111,7 +155,10 @@ print_status "Verifying deployment..."
 sleep 5
 curl -f -s -o /dev/null -w "%{http_code}" https://deploy.foggcalendar.com/api/status || {
     print_error "Deployment verification failed. Please check the server."
+    report_stage speedster failed "Deployment verification failed"
     exit 1
 }
+report_stage speedster complete "${DEPLOY_ENVIRONMENT} is serving the new version"
+report_progress 95 "Deployment verified"
 
 print_status "🎉 Deployment successful! Dashboard is live at https://deploy.foggcalendar.com"
\ No newline at end of file
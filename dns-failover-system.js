@@ -15,89 +15,65 @@ const dns = require('dns').promises;
 const axios = require('axios');
 const EventEmitter = require('events');
 const { performance } = require('perf_hooks');
+const { getConfig, dnsSettings } = require('./config/config-loader');
+const { createDNSProvider } = require('./dns-providers/provider-registry');
+
+// Providers a failover updates, by registry key, with the record settings
+// each gets
+const FAILOVER_PROVIDERS = [
+  // 1 minute for fast propagation, through Cloudflare's CDN
+  { key: 'cloudflare', priority: 1, ttl: 60, proxied: true },
+  { key: 'netlify', priority: 2 },
+  // A PRIMARY/SECONDARY pair tied to Route53 health checks, so Route53
+  // keeps failing over between our checks
+  { key: 'route53', priority: 3, ttl: 60, healthCheckFailover: true }
+];
 
 class DNSFailoverSystem extends EventEmitter {
   constructor(config = {}) {
     super();
     
+    // Defaults from the dns and failover sections of config/production.yml
+    const settings = dnsSettings();
+    const failover = getConfig().failover || {};
+
     this.config = {
-      domain: config.domain || 'candlefish.ai',
-      subdomain: config.subdomain || 'fogg',
-      checkInterval: config.checkInterval || 5000, // 5 seconds
-      failoverThreshold: config.failoverThreshold || 2, // 2 consecutive failures
-      recoveryThreshold: config.recoveryThreshold || 3, // 3 consecutive successes
+      domain: settings.domain,
+      subdomain: settings.subdomain,
+      ttl: settings.ttl,
+      checkInterval: (failover.check_interval ?? 5) * 1000,
+      failoverThreshold: failover.failover_threshold ?? 2, // consecutive failures
+      recoveryThreshold: failover.recovery_threshold ?? 3, // consecutive successes
+      endpoints: failover.endpoints || [{ name: 'Primary', url: `https://${settings.target}` }],
       ...config
     };
 
     this.fqdn = `${this.config.subdomain}.${this.config.domain}`;
     
-    // DNS Provider configurations
-    this.providers = {
-      cloudflare: {
-        name: 'Cloudflare',
-        api: 'https://api.cloudflare.com/client/v4',
-        token: process.env.CLOUDFLARE_API_TOKEN,
-        zoneId: process.env.CLOUDFLARE_ZONE_ID,
-        priority: 1,
-        ttl: 60, // 1 minute for fast propagation
-        proxied: true, // Use Cloudflare's CDN
-        features: ['ddos-protection', 'ssl', 'cdn', 'analytics']
-      },
-      netlify: {
-        name: 'Netlify',
-        api: 'https://api.netlify.com/api/v1',
-        token: process.env.NETLIFY_TOKEN,
-        siteId: process.env.NETLIFY_SITE_ID,
-        priority: 2,
-        ttl: 300,
-        features: ['edge-functions', 'split-testing', 'forms']
-      },
-      route53: {
-        name: 'AWS Route53',
-        api: 'https://route53.amazonaws.com/2013-04-01',
-        accessKey: process.env.AWS_ACCESS_KEY_ID,
-        secretKey: process.env.AWS_SECRET_ACCESS_KEY,
-        hostedZoneId: process.env.ROUTE53_ZONE_ID,
-        priority: 3,
-        ttl: 60,
-        healthCheckId: null,
-        features: ['health-checks', 'geo-routing', 'failover']
-      }
-    };
+    // DNS providers, from dns-providers/provider-registry.js
+    this.providers = FAILOVER_PROVIDERS.map(({ key, ...options }) => ({
+      ...options,
+      key,
+      provider: createDNSProvider(key),
+      available: false
+    }));
 
     // Endpoints for health checking
-    this.endpoints = [
-      {
-        name: 'Primary',
-        url: 'https://fogg-calendar.netlify.app',
-        target: 'fogg-calendar.netlify.app',
-        type: 'CNAME',
-        healthy: true,
-        consecutiveFailures: 0,
-        consecutiveSuccesses: 0,
-        lastCheck: null,
-        metrics: {
-          uptime: 100,
-          avgResponseTime: 0,
-          lastResponseTime: 0
-        }
-      },
-      {
-        name: 'Secondary',
-        url: 'https://fogg-backup.netlify.app',
-        target: 'fogg-backup.netlify.app',
-        type: 'CNAME',
-        healthy: true,
-        consecutiveFailures: 0,
-        consecutiveSuccesses: 0,
-        lastCheck: null,
-        metrics: {
-          uptime: 100,
-          avgResponseTime: 0,
-          lastResponseTime: 0
-        }
+    this.endpoints = this.config.endpoints.map(({ name, url }) => ({
+      name,
+      url,
+      target: new URL(url).hostname,
+      type: 'CNAME',
+      healthy: true,
+      consecutiveFailures: 0,
+      consecutiveSuccesses: 0,
+      lastCheck: null,
+      metrics: {
+        uptime: 100,
+        avgResponseTime: 0,
+        lastResponseTime: 0
       }
-    ];
+    }));
 
     this.currentEndpoint = this.endpoints[0];
     this.isFailingOver = false;
@@ -135,61 +111,18 @@ class DNSFailoverSystem extends EventEmitter {
   async verifyProviders() {
     console.log('🔐 Verifying DNS providers...');
 
-    for (const [key, provider] of Object.entries(this.providers)) {
-      try {
-        await this.testProviderAPI(provider);
-        provider.available = true;
-        console.log(`  ✓ ${provider.name}: Available`);
-      } catch (error) {
-        provider.available = false;
-        console.log(`  ✗ ${provider.name}: ${error.message}`);
-      }
+    for (const entry of this.providers) {
+      const { healthy, error } = await entry.provider.healthCheck();
+      entry.available = healthy;
+      console.log(healthy ? `  ✓ ${entry.provider.name}: Available` : `  ✗ ${entry.provider.name}: ${error}`);
     }
 
-    const availableProviders = Object.values(this.providers).filter(p => p.available);
+    const availableProviders = this.providers.filter(p => p.available);
     if (availableProviders.length === 0) {
       throw new Error('No DNS providers available');
     }
 
-    console.log(`  📊 ${availableProviders.length}/${Object.keys(this.providers).length} providers available`);
-  }
-
-  /**
-   * Test provider API connectivity
-   */
-  async testProviderAPI(provider) {
-    switch (provider.name) {
-      case 'Cloudflare':
-        if (!provider.token) throw new Error('Missing API token');
-        
-        const cfResponse = await axios.get(`${provider.api}/zones/${provider.zoneId}`, {
-          headers: { 'Authorization': `Bearer ${provider.token}` },
-          timeout: 5000
-        });
-        
-        if (!cfResponse.data.success) {
-          throw new Error('API authentication failed');
-        }
-        break;
-
-      case 'Netlify':
-        if (!provider.token) throw new Error('Missing API token');
-        
-        await axios.get(`${provider.api}/sites/${provider.siteId}`, {
-          headers: { 'Authorization': `Bearer ${provider.token}` },
-          timeout: 5000
-        });
-        break;
-
-      case 'AWS Route53':
-        // Route53 verification would use AWS SDK
-        if (!provider.accessKey || !provider.secretKey) {
-          throw new Error('Missing AWS credentials');
-        }
-        break;
-    }
-
-    return true;
+    console.log(`  📊 ${availableProviders.length}/${this.providers.length} providers available`);
   }
 
   /**
@@ -429,9 +362,10 @@ class DNSFailoverSystem extends EventEmitter {
   }
 
   /**
-   * Perform DNS failover
+   * Perform DNS failover; `actor` and `reason` go into the DNS change
+   * journal (the failover system itself and the failover's cause by default)
    */
-  async performFailover(newEndpoint) {
+  async performFailover(newEndpoint, { actor = 'dns-failover', reason } = {}) {
     console.log(`🔄 Initiating failover from ${this.currentEndpoint.name} to ${newEndpoint.name}...`);
     
     this.isFailingOver = true;
@@ -446,17 +380,21 @@ class DNSFailoverSystem extends EventEmitter {
       duration: 0,
       providers: []
     };
+    const context = {
+      actor,
+      reason: reason || `${failoverRecord.reason}: failover from ${failoverRecord.from} to ${failoverRecord.to}`
+    };
 
     try {
       // Update DNS with all available providers in parallel
       const updatePromises = [];
       
-      for (const [key, provider] of Object.entries(this.providers)) {
-        if (provider.available) {
+      for (const entry of this.providers) {
+        if (entry.available) {
           updatePromises.push(
-            this.updateDNSProvider(provider, newEndpoint)
-              .then(result => ({ provider: provider.name, ...result }))
-              .catch(error => ({ provider: provider.name, success: false, error: error.message }))
+            this.updateDNSProvider(entry, newEndpoint, context)
+              .then(result => ({ provider: entry.provider.name, ...result }))
+              .catch(error => ({ provider: entry.provider.name, success: false, error: error.message }))
           );
         }
       }
@@ -494,120 +432,65 @@ class DNSFailoverSystem extends EventEmitter {
   }
 
   /**
-   * Update DNS with specific provider
+   * Point the record at `endpoint` through one provider
    */
-  async updateDNSProvider(provider, endpoint) {
+  async updateDNSProvider(entry, endpoint, context = {}) {
     const startTime = Date.now();
-    
-    switch (provider.name) {
-      case 'Cloudflare':
-        return await this.updateCloudflare(provider, endpoint);
-      
-      case 'Netlify':
-        return await this.updateNetlify(provider, endpoint);
-      
-      case 'AWS Route53':
-        return await this.updateRoute53(provider, endpoint);
-      
-      default:
-        throw new Error(`Unknown provider: ${provider.name}`);
-    }
-  }
+    const { provider } = entry;
 
-  /**
-   * Update Cloudflare DNS
-   */
-  async updateCloudflare(provider, endpoint) {
-    const recordName = this.fqdn;
-    
-    // First, get existing record ID
-    const listResponse = await axios.get(
-      `${provider.api}/zones/${provider.zoneId}/dns_records?name=${recordName}`,
-      {
-        headers: { 'Authorization': `Bearer ${provider.token}` }
-      }
-    );
+    if (entry.healthCheckFailover && provider.capabilities().failoverRecords) {
+      return this.updateFailoverRecords(entry, endpoint, startTime, context);
+    }
 
-    const existingRecord = listResponse.data.result[0];
-    
-    // Update or create record
-    const recordData = {
-      type: 'CNAME',
+    const { action, record } = await provider.upsertRecord(this.config.domain, {
       name: this.config.subdomain,
+      type: endpoint.type,
       content: endpoint.target,
-      ttl: provider.ttl,
-      proxied: provider.proxied
-    };
-
-    let response;
-    if (existingRecord) {
-      // Update existing record
-      response = await axios.put(
-        `${provider.api}/zones/${provider.zoneId}/dns_records/${existingRecord.id}`,
-        recordData,
-        {
-          headers: { 'Authorization': `Bearer ${provider.token}` }
-        }
-      );
-    } else {
-      // Create new record
-      response = await axios.post(
-        `${provider.api}/zones/${provider.zoneId}/dns_records`,
-        recordData,
-        {
-          headers: { 'Authorization': `Bearer ${provider.token}` }
-        }
-      );
-    }
+      ttl: entry.ttl ?? this.config.ttl,
+      proxied: entry.proxied
+    }, context);
 
     // Purge cache for immediate effect
-    await axios.post(
-      `${provider.api}/zones/${provider.zoneId}/purge_cache`,
-      { purge_everything: true },
-      {
-        headers: { 'Authorization': `Bearer ${provider.token}` }
-      }
-    );
+    if (action !== 'unchanged' && provider.capabilities().cachePurge) {
+      await provider.purgeCache(this.config.domain);
+    }
 
     return {
-      success: response.data.success,
+      success: true,
+      action,
       duration: Date.now() - startTime,
-      recordId: response.data.result.id
+      recordId: record.id
     };
   }
 
   /**
-   * Update Netlify DNS
+   * Point the provider's failover records at the new endpoint, with the
+   * endpoint we're leaving (or the next one) as the secondary
    */
-  async updateNetlify(provider, endpoint) {
-    // Netlify DNS is managed through site configuration
-    const response = await axios.patch(
-      `${provider.api}/sites/${provider.siteId}`,
-      {
-        custom_domain: this.fqdn,
-        force_ssl: true
-      },
-      {
-        headers: { 'Authorization': `Bearer ${provider.token}` }
-      }
-    );
-
-    return {
-      success: true,
-      duration: Date.now() - startTime
+  async updateFailoverRecords(entry, endpoint, startTime, context) {
+    const { provider } = entry;
+    const secondary = this.currentEndpoint !== endpoint
+      ? this.currentEndpoint
+      : this.endpoints.find(e => e !== endpoint);
+
+    const target = async e => e && {
+      content: e.target,
+      healthCheckId: await provider.ensureHealthCheck(e.url)
     };
-  }
 
-  /**
-   * Update AWS Route53
-   */
-  async updateRoute53(provider, endpoint) {
-    // Route53 would use AWS SDK
-    // This is a placeholder for the actual implementation
+    const { changeId } = await provider.upsertFailoverRecords(this.config.domain, {
+      name: this.config.subdomain,
+      type: endpoint.type,
+      ttl: entry.ttl ?? this.config.ttl,
+      primary: await target(endpoint),
+      secondary: await target(secondary)
+    }, context);
+
     return {
       success: true,
-      duration: 100,
-      message: 'Route53 update would be performed here'
+      action: 'updated',
+      duration: Date.now() - startTime,
+      recordId: changeId
     };
   }
 
@@ -678,11 +561,12 @@ class DNSFailoverSystem extends EventEmitter {
         consecutiveFailures: e.consecutiveFailures,
         lastCheck: e.lastCheck
       })),
-      providers: Object.values(this.providers).map(p => ({
-        name: p.name,
+      providers: this.providers.map(p => ({
+        key: p.key,
+        name: p.provider.name,
         available: p.available,
         priority: p.priority,
-        features: p.features
+        capabilities: p.provider.capabilities()
       })),
       failoverHistory: this.failoverHistory.slice(-10),
       isFailingOver: this.isFailingOver
@@ -710,13 +594,7 @@ module.exports = DNSFailoverSystem;
 
 // CLI interface
 if (require.main === module) {
-  const failoverSystem = new DNSFailoverSystem({
-    domain: 'candlefish.ai',
-    subdomain: 'fogg',
-    checkInterval: 5000,
-    failoverThreshold: 2,
-    recoveryThreshold: 3
-  });
+  const failoverSystem = new DNSFailoverSystem();
 
   // Handle graceful shutdown
   process.on('SIGINT', () => {
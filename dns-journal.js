@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * DNS Change Journal - list and undo
+ *
+ * Every DNS change the providers make is in the journal
+ * (dns-providers/dns-change-journal.js). Undoing an entry puts the record
+ * back the way it was before that change, through the provider that made
+ * it, and is journaled itself (with `undoOf`). An entry whose record has
+ * changed again since, or that was already undone, is only undone with
+ * `force`.
+ *
+ * Usage: node dns-journal.js list [--name fogg] [--provider porkbun] [--limit 20]
+ *        node dns-journal.js undo <id> [--force]
+ */
+
+const DNSChangeJournal = require('./dns-providers/dns-change-journal');
+const { DNSProvider } = require('./dns-providers/dns-provider');
+const { createDNSProvider, providerKeys } = require('./dns-providers/provider-registry');
+
+class DNSUndoError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'DNSUndoError';
+    this.status = status;
+  }
+}
+
+/**
+ * Undo journal entry `id` (or a unique prefix of it); resolves the entry
+ * that was undone. providerOptions (apiBase, credentials) go to
+ * createDNSProvider.
+ *
+ * Throws a DNSUndoError for an id that matches no entry (404) or several
+ * (400), an entry whose provider is no longer registered (400), and the
+ * conflicts above (409); a DNSProviderError when the provider's API fails.
+ */
+async function undoChange(id, { journal = DNSChangeJournal.shared(), actor, force = false, providerOptions = {} } = {}) {
+  const entry = await findEntry(journal, id);
+  if (!providerKeys().includes(entry.provider)) {
+    throw new DNSUndoError(`Entry ${shortId(entry)} was made through ${entry.provider}, which is not a registered DNS provider`, 400);
+  }
+
+  const undoneBy = (await journal.entries()).find(other => other.undoOf === entry.id);
+  if (undoneBy && !force) {
+    throw new DNSUndoError(`Entry ${shortId(entry)} was already undone by ${shortId(undoneBy)} (${undoneBy.actor}, ${undoneBy.timestamp})`);
+  }
+
+  const provider = createDNSProvider(entry.provider, { journal, ...providerOptions });
+  const context = { actor, reason: `undo ${shortId(entry)}: ${describeEntry(entry)}`, undoOf: entry.id };
+
+  if (entry.action === 'failover') {
+    await undoFailover(provider, entry, context, force);
+  } else {
+    await undoRecord(provider, entry, context, force);
+  }
+
+  console.log(`↩️ Undid ${shortId(entry)} on ${entry.providerName}: ${describeEntry(entry)}`);
+  return entry;
+}
+
+async function findEntry(journal, id) {
+  let entry = null;
+  try {
+    if (id) entry = await journal.get(String(id));
+  } catch (error) {
+    if (error.code === 'AMBIGUOUS_ID') throw new DNSUndoError(error.message, 400);
+    throw error;
+  }
+
+  if (!entry) {
+    throw new DNSUndoError(`No DNS journal entry ${id}`, 404);
+  }
+  return entry;
+}
+
+async function undoRecord(provider, entry, context, force) {
+  const { domain, name, type, before, after } = entry;
+  const singleValue = DNSProvider.SINGLE_VALUE_TYPES.includes(type);
+  const live = await provider.listRecords(domain, { name, type });
+  const matches = value => record => provider.sameRecord(record, { ...value, proxied: Boolean(value.proxied) });
+
+  // The record should still be what this entry left behind
+  const current = after ? live.find(matches(after)) || null : null;
+  const changed = after
+    ? !current
+    : live.some(matches(before)) || (singleValue && live.length > 0);
+  if (changed && !force) {
+    throw new DNSUndoError(`${name} ${type} on ${domain} has changed since entry ${shortId(entry)}; pass force to undo anyway`);
+  }
+
+  // Forced, a single-value record goes whatever it has changed to since
+  const replacing = current || (singleValue ? live[0] || null : null);
+  if (!before) {
+    if (replacing) await provider.deleteRecord(domain, { name, type, content: replacing.content }, context);
+  } else {
+    await provider.restoreRecord(domain, replacing, { name, type, ...before }, context);
+  }
+}
+
+async function undoFailover(provider, entry, context, force) {
+  const { domain, name, type, before, after } = entry;
+  if (!before) {
+    throw new DNSUndoError(`${name} ${type} had no failover records before entry ${shortId(entry)}, so there is nothing to go back to`);
+  }
+
+  const live = provider.failoverValue(await provider.listFailoverRecords(domain, name, type));
+  const targets = ({ primary, secondary }) => [primary?.content, secondary?.content].join();
+  if (targets(live) !== targets(after) && !force) {
+    throw new DNSUndoError(`${name} ${type} failover records on ${domain} have changed since entry ${shortId(entry)}; pass force to undo anyway`);
+  }
+
+  await provider.upsertFailoverRecords(domain, { name, type, ...before }, context);
+}
+
+function shortId({ id }) {
+  return id.slice(0, 8);
+}
+
+function describeValue(value) {
+  if (!value) return '(none)';
+  if (!('content' in value)) {
+    return `primary ${value.primary?.content || '(none)'}, secondary ${value.secondary?.content || '(none)'}`;
+  }
+  return `${value.content} (ttl ${value.ttl}${value.proxied ? ', proxied' : ''})`;
+}
+
+function describeEntry({ action, name, type, before, after }) {
+  switch (action) {
+    case 'created': return `created ${name} ${type} ${describeValue(after)}`;
+    case 'deleted': return `deleted ${name} ${type} ${describeValue(before)}`;
+    default: return `${action} ${name} ${type} ${describeValue(before)} → ${describeValue(after)}`;
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+  const [command, id] = args.filter((arg, index) => !arg.startsWith('--') && !args[index - 1]?.match(/^--(name|provider|limit)$/));
+
+  async function main() {
+    const journal = DNSChangeJournal.shared();
+
+    if (command === 'list') {
+      const entries = await journal.list({ name: option('name'), provider: option('provider'), limit: option('limit') });
+      if (entries.length === 0) {
+        console.log(`📒 No DNS changes in ${journal.file}`);
+      }
+      entries.forEach(entry => {
+        console.log(`${shortId(entry)}  ${entry.timestamp}  ${entry.providerName}  ${entry.domain}  ${describeEntry(entry)}`);
+        console.log(`          by ${entry.actor}${entry.reason ? ` - ${entry.reason}` : ''}`);
+      });
+      return 0;
+    }
+
+    if (command === 'undo' && id) {
+      await undoChange(id, { journal, force: args.includes('--force') });
+      return 0;
+    }
+
+    console.error('Usage: node dns-journal.js list [--name fogg] [--provider porkbun] [--limit 20]');
+    console.error('       node dns-journal.js undo <id> [--force]');
+    return 1;
+  }
+
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error('💥 DNS journal command failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  DNSUndoError,
+  undoChange,
+  describeEntry
+};
@@ -15,24 +15,19 @@ const axios = require('axios');
 const dns = require('dns').promises;
 const fs = require('fs').promises;
 const path = require('path');
+const { dnsSettings } = require('./config/config-loader');
+const { providerChain } = require('./dns-providers/provider-registry');
 
 class DNSManager {
-  constructor() {
-    this.providers = [
-      new PorkbunProvider(),
-      new CloudflareProvider(),
-      new NetlifyDNSProvider()
-    ];
-    
+  constructor(config = {}) {
+    // Domain, target, TTL and timings come from config/production.yml
     this.config = {
-      domain: 'candlefish.ai',
-      subdomain: 'fogg',
-      target: 'fogg-calendar.netlify.app',
-      ttl: 300,
-      maxRetries: 3,
-      verificationTimeout: 300000, // 5 minutes
-      monitoringInterval: 60000 // 1 minute
+      ...dnsSettings(),
+      ...config
     };
+
+    // dns.provider first, then the others in fallback order
+    this.providers = providerChain(this.config.provider);
     
     this.monitoring = new DNSMonitoring(this.config);
   }
@@ -79,16 +74,16 @@ class DNSManager {
         throw new Error(`Provider health check failed: ${healthCheck.error}`);
       }
 
-      // Create DNS record
-      const record = await provider.createRecord({
-        domain: this.config.domain,
-        subdomain: this.config.subdomain,
-        target: this.config.target,
+      // Create the DNS record, or correct the existing one; safe to re-run
+      const { action, removed } = await provider.upsertRecord(this.config.domain, {
+        name: this.config.subdomain,
+        type: this.config.recordType,
+        content: this.config.target,
         ttl: this.config.ttl
-      });
-
-      if (!record.success) {
-        throw new Error(record.error || 'Failed to create DNS record');
+      }, { actor: this.config.actor, reason: 'configure DNS' });
+      console.log(`📝 ${this.config.fqdn} ${this.config.recordType} record ${action}`);
+      if (removed.length > 0) {
+        console.log(`🧹 Removed ${removed.length} duplicate ${this.config.recordType} record(s): ${removed.map(r => r.content).join(', ')}`);
       }
 
       // Verify DNS propagation
@@ -128,7 +123,7 @@ class DNSManager {
       }
       
       console.log('⏳ Waiting for DNS propagation...');
-      await this.sleep(10000); // Wait 10 seconds
+      await this.sleep(this.config.verificationInterval);
     }
     
     return { success: false, error: 'DNS propagation timeout' };
@@ -141,7 +136,7 @@ class DNSManager {
     try {
       const url = `https://${this.config.subdomain}.${this.config.domain}`;
       const response = await axios.get(url, { 
-        timeout: 10000,
+        timeout: this.config.healthCheckTimeout,
         validateStatus: () => true // Accept any status code
       });
       
@@ -192,7 +187,7 @@ class DNSManager {
     try {
       // Create _redirects file for Netlify
       const redirects = `# Temporary redirect while DNS issues are resolved
-/fogg https://fogg-calendar.netlify.app/:splat 301!
+/${this.config.subdomain} https://${this.config.target}/:splat 301!
 `;
       
       const redirectsPath = path.join(__dirname, 'netlify', '_redirects');
@@ -203,7 +198,7 @@ class DNSManager {
       return { 
         success: true, 
         method: 'netlify_redirect',
-        url: 'https://candlefish.ai/fogg',
+        url: `https://${this.config.domain}/${this.config.subdomain}`,
         note: 'Users can access via main domain redirect'
       };
       
@@ -218,7 +213,8 @@ class DNSManager {
   async createAlternativeSubdomain() {
     console.log('🔄 Creating alternative subdomain...');
     
-    const alternatives = ['fogg-cal', 'fogg-dashboard', 'calendar-fogg'];
+    const { subdomain } = this.config;
+    const alternatives = [`${subdomain}-cal`, `${subdomain}-dashboard`, `calendar-${subdomain}`];
     
     for (const alt of alternatives) {
       try {
@@ -226,22 +222,20 @@ class DNSManager {
         const tempConfig = { ...this.config, subdomain: alt };
         const provider = this.providers[0]; // Try primary provider
         
-        const result = await provider.createRecord({
-          domain: tempConfig.domain,
-          subdomain: tempConfig.subdomain,
-          target: tempConfig.target,
+        await provider.upsertRecord(tempConfig.domain, {
+          name: tempConfig.subdomain,
+          type: tempConfig.recordType,
+          content: tempConfig.target,
           ttl: tempConfig.ttl
-        });
+        }, { actor: this.config.actor, reason: `alternative subdomain for ${this.config.fqdn}` });
         
-        if (result.success) {
-          console.log(`✅ Alternative subdomain configured: ${alt}.${tempConfig.domain}`);
-          return {
-            success: true,
-            method: 'alternative_subdomain',
-            url: `https://${alt}.${tempConfig.domain}`,
-            subdomain: alt
-          };
-        }
+        console.log(`✅ Alternative subdomain configured: ${alt}.${tempConfig.domain}`);
+        return {
+          success: true,
+          method: 'alternative_subdomain',
+          url: `https://${alt}.${tempConfig.domain}`,
+          subdomain: alt
+        };
       } catch (error) {
         continue; // Try next alternative
       }
@@ -259,7 +253,7 @@ class DNSManager {
     try {
       // Create simple proxy configuration
       const proxyConfig = {
-        target: 'https://fogg-calendar.netlify.app',
+        target: `https://${this.config.target}`,
         port: 8080,
         hostname: '0.0.0.0'
       };
@@ -285,6 +279,7 @@ class DNSManager {
   async notifyUserWithInstructions() {
     console.log('📋 Creating manual instructions for user...');
     
+    const { domain, subdomain, target, ttl } = this.config;
     const instructions = `
 # Emergency DNS Configuration Instructions
 
@@ -295,15 +290,15 @@ All automated DNS configuration methods have failed. Manual intervention require
 
 ### Option 1: Manual Porkbun DNS (Recommended)
 1. Go to: https://porkbun.com/account/domainsSpeedy
-2. Find: candlefish.ai
+2. Find: ${domain}
 3. Add CNAME record:
-   - Host: fogg
-   - Target: fogg-calendar.netlify.app
-   - TTL: 300
+   - Host: ${subdomain}
+   - Target: ${target}
+   - TTL: ${ttl}
 
 ### Option 2: Use Temporary URL
 Access the dashboard directly at:
-https://fogg-calendar.netlify.app
+https://${target}
 
 ### Option 3: Switch to Cloudflare DNS
 1. Change nameservers at Porkbun to Cloudflare
@@ -316,7 +311,7 @@ If all else fails:
 - Include error details from logs
 
 ## Verification
-Test with: curl -I https://fogg.candlefish.ai
+Test with: curl -I https://${subdomain}.${domain}
 Should return: HTTP/2 200
 
 Time: ${new Date().toISOString()}
@@ -329,7 +324,7 @@ Time: ${new Date().toISOString()}
       success: true,
       method: 'user_instructions',
       file: instructionsPath,
-      temporaryUrl: 'https://fogg-calendar.netlify.app'
+      temporaryUrl: `https://${target}`
     };
   }
 
@@ -364,155 +359,6 @@ Time: ${new Date().toISOString()}
   }
 }
 
-/**
- * Porkbun DNS Provider
- */
-class PorkbunProvider {
-  constructor() {
-    this.name = 'Porkbun';
-    this.apiBase = 'https://porkbun.com/api/json/v3';
-    this.credentials = null;
-  }
-
-  async healthCheck() {
-    try {
-      // Load credentials from AWS Secrets Manager or environment
-      this.credentials = await this.loadCredentials();
-      
-      const response = await axios.post(`${this.apiBase}/ping`, {
-        secretapikey: this.credentials.secretKey,
-        apikey: this.credentials.apiKey
-      }, { timeout: 10000 });
-      
-      return { 
-        healthy: response.data.status === 'SUCCESS',
-        error: response.data.message 
-      };
-      
-    } catch (error) {
-      return { 
-        healthy: false, 
-        error: `API unreachable: ${error.message}` 
-      };
-    }
-  }
-
-  async createRecord({ domain, subdomain, target, ttl }) {
-    try {
-      const response = await axios.post(
-        `${this.apiBase}/dns/create/${domain}`,
-        {
-          secretapikey: this.credentials.secretKey,
-          apikey: this.credentials.apiKey,
-          name: subdomain,
-          type: 'CNAME',
-          content: target,
-          ttl: ttl
-        },
-        { timeout: 30000 }
-      );
-
-      return {
-        success: response.data.status === 'SUCCESS',
-        recordId: response.data.id,
-        error: response.data.message
-      };
-
-    } catch (error) {
-      return {
-        success: false,
-        error: `Porkbun API error: ${error.message}${error.response?.data?.message ? ' - ' + error.response.data.message : ''}`
-      };
-    }
-  }
-
-  async loadCredentials() {
-    // Try multiple credential sources
-    const sources = [
-      () => this.loadFromEnvironment(),
-      () => this.loadFromAWSSecrets(),
-      () => this.loadFromFile()
-    ];
-
-    for (const source of sources) {
-      try {
-        const creds = await source();
-        if (creds) return creds;
-      } catch (error) {
-        console.warn(`Credential source failed: ${error.message}`);
-      }
-    }
-
-    throw new Error('No valid Porkbun credentials found');
-  }
-
-  async loadFromEnvironment() {
-    if (process.env.PORKBUN_API_KEY && process.env.PORKBUN_SECRET_KEY) {
-      return {
-        apiKey: process.env.PORKBUN_API_KEY,
-        secretKey: process.env.PORKBUN_SECRET_KEY
-      };
-    }
-    return null;
-  }
-
-  async loadFromAWSSecrets() {
-    // This would use AWS SDK to load from Secrets Manager
-    // Implementation depends on AWS configuration
-    return null;
-  }
-
-  async loadFromFile() {
-    try {
-      const credsPath = path.join(__dirname, 'config', 'porkbun-creds.json');
-      const creds = JSON.parse(await fs.readFile(credsPath, 'utf8'));
-      return creds;
-    } catch {
-      return null;
-    }
-  }
-}
-
-/**
- * Cloudflare DNS Provider
- */
-class CloudflareProvider {
-  constructor() {
-    this.name = 'Cloudflare';
-    this.apiBase = 'https://api.cloudflare.com/client/v4';
-  }
-
-  async healthCheck() {
-    // Implementation for Cloudflare health check
-    return { healthy: false, error: 'Not implemented yet' };
-  }
-
-  async createRecord({ domain, subdomain, target, ttl }) {
-    // Implementation for Cloudflare DNS record creation
-    return { success: false, error: 'Not implemented yet' };
-  }
-}
-
-/**
- * Netlify DNS Provider
- */
-class NetlifyDNSProvider {
-  constructor() {
-    this.name = 'Netlify DNS';
-    this.apiBase = 'https://api.netlify.com/api/v1';
-  }
-
-  async healthCheck() {
-    // Implementation for Netlify DNS health check
-    return { healthy: false, error: 'Not implemented yet' };
-  }
-
-  async createRecord({ domain, subdomain, target, ttl }) {
-    // Implementation for Netlify DNS record creation
-    return { success: false, error: 'Not implemented yet' };
-  }
-}
-
 /**
  * DNS Monitoring System
  */
@@ -653,7 +499,7 @@ if (require.main === module) {
       
       if (result.success) {
         console.log('\n✅ SUCCESS! Leslie can now access:');
-        console.log(`   https://fogg.candlefish.ai`);
+        console.log(`   https://${dns.config.fqdn}`);
       } else {
         console.log('\n⚠️  Alternative access methods available');
         if (result.temporaryUrl) {
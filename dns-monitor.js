@@ -11,24 +11,37 @@
  * - Alert system with multiple channels
  * - Historical data and analytics
  * - Automatic recovery attempts
+ * - Drift alerts when live records stop matching config/dns-zone.yml
  */
 
 const dns = require('dns').promises;
+const fs = require('fs');
 const https = require('https');
 const axios = require('axios');
-const fs = require('fs').promises;
-const path = require('path');
 const crypto = require('crypto');
+const { dnsSettings } = require('./config/config-loader');
+const DNSZone = require('./dns-zone');
+const {
+  ConsoleAlertChannel,
+  FileAlertChannel,
+  WebhookAlertChannel,
+  EmailAlertChannel
+} = require('./alerts/alert-channels');
 
 class DNSMonitor {
   constructor(config = {}) {
+    // Defaults from config/production.yml (dns and monitoring sections)
+    const settings = dnsSettings();
+
     this.config = {
-      domain: config.domain || 'candlefish.ai',
-      subdomain: config.subdomain || 'fogg',
-      target: config.target || 'fogg-calendar.netlify.app',
-      checkInterval: config.checkInterval || 60000, // 1 minute
-      alertThreshold: config.alertThreshold || 3, // failures before alert
-      retryInterval: config.retryInterval || 30000, // 30 seconds
+      domain: settings.domain,
+      subdomain: settings.subdomain,
+      target: settings.target,
+      checkInterval: settings.monitoringInterval,
+      alertThreshold: settings.alertThreshold,
+      retryInterval: settings.retryInterval,
+      zoneFile: settings.zoneFile,
+      driftCheckInterval: settings.driftCheckInterval,
       ...config
     };
 
@@ -37,6 +50,8 @@ class DNSMonitor {
     this.consecutiveFailures = 0;
     this.lastStatus = null;
     this.checks = [];
+    this.zone = null;
+    this.lastDrift = [];
     
     // DNS servers for multi-location checking
     this.dnsServers = [
@@ -84,6 +99,9 @@ class DNSMonitor {
     if (this.recoveryInterval) {
       clearInterval(this.recoveryInterval);
     }
+    if (this.driftInterval) {
+      clearInterval(this.driftInterval);
+    }
   }
 
   /**
@@ -103,6 +121,14 @@ class DNSMonitor {
         await this.attemptRecovery();
       }
     }, this.config.retryInterval);
+
+    // Zone drift loop, when there is a zone file to compare against
+    if (this.config.zoneFile && fs.existsSync(this.config.zoneFile)) {
+      this.driftInterval = setInterval(async () => {
+        if (!this.isRunning) return;
+        await this.checkZoneDrift();
+      }, this.config.driftCheckInterval);
+    }
   }
 
   /**
@@ -507,7 +533,7 @@ class DNSMonitor {
    */
   async checkAlternativeEndpoints() {
     const alternatives = [
-      'fogg-calendar.netlify.app',
+      this.config.target,
       `${this.config.subdomain}.${this.config.domain}`
     ];
 
@@ -538,6 +564,40 @@ class DNSMonitor {
     return { success: true, method: 'recovery_team_notified' };
   }
 
+  /**
+   * Compare the live records with the zone file (see dns-zone.js); alerts
+   * when they drift apart or the drift changes, and once they match again.
+   * The zone file is read on the first check.
+   */
+  async checkZoneDrift() {
+    let plan;
+    try {
+      this.zone = this.zone || new DNSZone({ zoneFile: this.config.zoneFile });
+      plan = await this.zone.plan();
+    } catch (error) {
+      console.error('Zone drift check failed:', error.message);
+      return null;
+    }
+
+    const drift = plan.changes.map(change => DNSZone.describeChange(change));
+    if (drift.join('\n') !== this.lastDrift.join('\n')) {
+      if (drift.length > 0) {
+        await this.sendAlert('dns_drift', {
+          message: `⚠️ DNS records for ${plan.domain} have drifted from the zone file: ${DNSZone.summarize(plan)} (run: node dns-zone.js plan)`,
+          issues: drift.map(message => ({ severity: 'warning', message })),
+          details: { domain: plan.domain, provider: plan.provider, changes: plan.changes }
+        });
+      } else {
+        await this.sendAlert('dns_drift_resolved', {
+          message: `✅ DNS records for ${plan.domain} match the zone file again`
+        });
+      }
+    }
+
+    this.lastDrift = drift;
+    return plan;
+  }
+
   /**
    * Send alerts through all configured channels
    */
@@ -581,101 +641,9 @@ class DNSMonitor {
   }
 }
 
-/**
- * Alert Channel Implementations
- */
-class ConsoleAlertChannel {
-  constructor() {
-    this.name = 'Console';
-  }
-
-  async sendAlert(type, data) {
-    const timestamp = new Date().toISOString();
-    console.log(`\n🔔 ALERT [${type.toUpperCase()}] ${timestamp}`);
-    console.log(`   ${data.message}`);
-    
-    if (data.issues && data.issues.length > 0) {
-      console.log('   Issues:');
-      data.issues.forEach(issue => {
-        console.log(`   - ${issue.severity.toUpperCase()}: ${issue.message}`);
-      });
-    }
-  }
-}
-
-class FileAlertChannel {
-  constructor() {
-    this.name = 'File';
-    this.logPath = path.join(__dirname, 'logs', 'dns-alerts.jsonl');
-  }
-
-  async sendAlert(type, data) {
-    const alert = {
-      timestamp: new Date().toISOString(),
-      type: type,
-      message: data.message,
-      issues: data.issues || [],
-      results: data.results ? {
-        overall: data.results.overall,
-        dns: data.results.dns.success,
-        http: data.results.http.success,
-        ssl: data.results.ssl.success
-      } : null
-    };
-
-    const logLine = JSON.stringify(alert) + '\n';
-    
-    await fs.mkdir(path.dirname(this.logPath), { recursive: true });
-    await fs.appendFile(this.logPath, logLine);
-  }
-}
-
-class WebhookAlertChannel {
-  constructor(webhookUrl) {
-    this.name = 'Webhook';
-    this.webhookUrl = webhookUrl;
-  }
-
-  async sendAlert(type, data) {
-    if (!this.webhookUrl) return;
-
-    const payload = {
-      text: data.message,
-      type: type,
-      timestamp: new Date().toISOString(),
-      domain: data.results?.fqdn,
-      issues: data.issues
-    };
-
-    await axios.post(this.webhookUrl, payload, {
-      timeout: 5000,
-      headers: { 'Content-Type': 'application/json' }
-    });
-  }
-}
-
-class EmailAlertChannel {
-  constructor(config) {
-    this.name = 'Email';
-    this.config = config;
-  }
-
-  async sendAlert(type, data) {
-    if (!this.config) return;
-    
-    // Implementation would depend on email service (SendGrid, SES, etc.)
-    console.log(`📧 Email alert would be sent to: ${this.config.recipients}`);
-  }
-}
-
 // CLI interface
 if (require.main === module) {
   const config = {
-    domain: 'candlefish.ai',
-    subdomain: 'fogg',
-    target: 'fogg-calendar.netlify.app',
-    checkInterval: 60000,
-    alertThreshold: 2,
     webhookUrl: process.env.WEBHOOK_URL,
     emailConfig: process.env.EMAIL_CONFIG ? JSON.parse(process.env.EMAIL_CONFIG) : null
   };
@@ -691,7 +659,7 @@ if (require.main === module) {
 
   monitor.start()
     .then(() => {
-      console.log(`✅ DNS monitoring active for ${config.subdomain}.${config.domain}`);
+      console.log(`✅ DNS monitoring active for ${monitor.fqdn}`);
       
       // Display stats every 5 minutes
       setInterval(() => {
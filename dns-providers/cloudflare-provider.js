@@ -1,191 +1,167 @@
 /**
  * Cloudflare DNS Provider Implementation
  * Provides fallback DNS management when Porkbun fails
+ *
+ * Records can be proxied through Cloudflare's CDN (their TTL is then
+ * Cloudflare's "automatic", reported as 1), and the zone's cache can be
+ * purged after a change. CLOUDFLARE_ZONE_ID skips the zone lookup.
  */
 
-const axios = require('axios');
-const fs = require('fs').promises;
-const path = require('path');
+const { DNSProvider, DNSProviderError } = require('./dns-provider');
 
-class CloudflareProvider {
-  constructor() {
-    this.name = 'Cloudflare';
-    this.apiBase = 'https://api.cloudflare.com/client/v4';
-    this.credentials = null;
-    this.zoneId = null;
+const PAGE_SIZE = 100;
+const AUTOMATIC_TTL = 1;
+
+class CloudflareProvider extends DNSProvider {
+  constructor(options = {}) {
+    super({ name: 'Cloudflare', apiBase: 'https://api.cloudflare.com/client/v4', ...options });
+    this.credentialsFile = 'cloudflare-creds.json';
+    this.zoneIds = new Map();
   }
 
-  async healthCheck() {
-    try {
-      this.credentials = await this.loadCredentials();
-      
-      const response = await axios.get(`${this.apiBase}/user/tokens/verify`, {
-        headers: {
-          'Authorization': `Bearer ${this.credentials.apiToken}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      });
-      
-      return { 
-        healthy: response.data.success,
-        error: response.data.errors?.[0]?.message 
-      };
-      
-    } catch (error) {
-      return { 
-        healthy: false, 
-        error: `Cloudflare API unreachable: ${error.message}` 
+  capabilities() {
+    return {
+      ...super.capabilities(),
+      recordTypes: ['A', 'AAAA', 'CNAME', 'TXT', 'MX'],
+      minTtl: 60,
+      proxied: true,
+      cachePurge: true
+    };
+  }
+
+  credentialsFromEnvironment(env) {
+    if (env.CLOUDFLARE_API_TOKEN) {
+      return {
+        apiToken: env.CLOUDFLARE_API_TOKEN,
+        zoneId: env.CLOUDFLARE_ZONE_ID
       };
     }
+    return null;
   }
 
-  async createRecord({ domain, subdomain, target, ttl }) {
+  async healthCheck() {
     try {
-      // First, get zone ID for the domain
-      await this.getZoneId(domain);
-      
-      // Check if record already exists
-      const existingRecord = await this.findExistingRecord(subdomain);
-      
-      if (existingRecord) {
-        // Update existing record
-        return await this.updateRecord(existingRecord.id, { target, ttl });
-      } else {
-        // Create new record
-        return await this.createNewRecord({ subdomain, target, ttl });
-      }
-
+      const data = await this.call({ url: '/user/tokens/verify', timeout: 10000 });
+      const active = data.result?.status === 'active';
+      return { healthy: active, error: active ? null : `API token is ${data.result?.status}` };
     } catch (error) {
-      return {
-        success: false,
-        error: `Cloudflare DNS error: ${error.message}`
-      };
+      return { healthy: false, error: error.message };
     }
   }
 
-  async getZoneId(domain) {
-    if (this.zoneId) return this.zoneId;
-
-    const response = await axios.get(`${this.apiBase}/zones`, {
-      headers: {
-        'Authorization': `Bearer ${this.credentials.apiToken}`,
-        'Content-Type': 'application/json'
-      },
-      params: {
-        name: domain,
-        status: 'active'
-      }
-    });
-
-    if (!response.data.success || response.data.result.length === 0) {
-      throw new Error(`Zone not found for domain: ${domain}. Ensure domain is managed by Cloudflare.`);
+  async listRecords(domain, filter = {}) {
+    const zoneId = await this.getZoneId(domain);
+    const params = { per_page: PAGE_SIZE };
+    if (filter.name) params.name = DNSProvider.absoluteName(filter.name, domain);
+    if (filter.type) params.type = String(filter.type).toUpperCase();
+
+    const records = [];
+    for (let page = 1; ; page++) {
+      const data = await this.call({ url: `/zones/${zoneId}/dns_records`, params: { ...params, page } });
+      records.push(...data.result);
+      if (page >= (data.result_info?.total_pages || 1)) break;
     }
 
-    this.zoneId = response.data.result[0].id;
-    return this.zoneId;
+    return records
+      .map(record => this.toRecord(record, domain))
+      .filter(record => this.matchesFilter(record, domain, filter));
   }
 
-  async findExistingRecord(subdomain) {
-    const response = await axios.get(`${this.apiBase}/zones/${this.zoneId}/dns_records`, {
-      headers: {
-        'Authorization': `Bearer ${this.credentials.apiToken}`,
-        'Content-Type': 'application/json'
-      },
-      params: {
-        name: subdomain,
-        type: 'CNAME'
-      }
+  async createRecord(domain, record) {
+    const zoneId = await this.getZoneId(domain);
+    const data = await this.call({
+      method: 'post',
+      url: `/zones/${zoneId}/dns_records`,
+      data: this.toCloudflare(record, domain)
     });
-
-    if (response.data.success && response.data.result.length > 0) {
-      return response.data.result[0];
-    }
-
-    return null;
+    return this.toRecord(data.result, domain);
   }
 
-  async createNewRecord({ subdomain, target, ttl }) {
-    const response = await axios.post(`${this.apiBase}/zones/${this.zoneId}/dns_records`, {
-      type: 'CNAME',
-      name: subdomain,
-      content: target,
-      ttl: ttl
-    }, {
-      headers: {
-        'Authorization': `Bearer ${this.credentials.apiToken}`,
-        'Content-Type': 'application/json'
-      }
+  async updateRecord(domain, existing, record) {
+    const zoneId = await this.getZoneId(domain);
+    const data = await this.call({
+      method: 'put',
+      url: `/zones/${zoneId}/dns_records/${existing.id}`,
+      data: this.toCloudflare(record, domain)
     });
+    return this.toRecord(data.result, domain);
+  }
 
-    return {
-      success: response.data.success,
-      recordId: response.data.result?.id,
-      error: response.data.errors?.[0]?.message
-    };
+  async removeRecord(domain, existing) {
+    const zoneId = await this.getZoneId(domain);
+    await this.call({ method: 'delete', url: `/zones/${zoneId}/dns_records/${existing.id}` });
   }
 
-  async updateRecord(recordId, { target, ttl }) {
-    const response = await axios.put(`${this.apiBase}/zones/${this.zoneId}/dns_records/${recordId}`, {
-      type: 'CNAME',
-      content: target,
-      ttl: ttl
-    }, {
-      headers: {
-        'Authorization': `Bearer ${this.credentials.apiToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
+  // Proxied records always have the automatic TTL, whatever was asked for
+  sameRecord(existing, desired) {
+    if (existing.proxied && desired.proxied) {
+      return super.sameRecord({ ...existing, ttl: desired.ttl }, desired);
+    }
+    return super.sameRecord(existing, desired);
+  }
 
-    return {
-      success: response.data.success,
-      recordId: recordId,
-      error: response.data.errors?.[0]?.message
-    };
+  async purgeCache(domain) {
+    const zoneId = await this.getZoneId(domain);
+    await this.call({ method: 'post', url: `/zones/${zoneId}/purge_cache`, data: { purge_everything: true } });
   }
 
-  async loadCredentials() {
-    // Try multiple credential sources
-    const sources = [
-      () => this.loadFromEnvironment(),
-      () => this.loadFromFile(),
-      () => this.loadFromAWSSecrets()
-    ];
-
-    for (const source of sources) {
-      try {
-        const creds = await source();
-        if (creds) return creds;
-      } catch (error) {
-        console.warn(`Cloudflare credential source failed: ${error.message}`);
-      }
+  async getZoneId(domain) {
+    if (this.zoneIds.has(domain)) return this.zoneIds.get(domain);
+
+    const { zoneId } = await this.loadCredentials();
+    if (zoneId) {
+      this.zoneIds.set(domain, zoneId);
+      return zoneId;
     }
 
-    throw new Error('No valid Cloudflare credentials found');
+    const data = await this.call({ url: '/zones', params: { name: domain, status: 'active' } });
+    if (data.result.length === 0) {
+      throw new DNSProviderError(this.name, `zone not found for domain: ${domain}. Ensure domain is managed by Cloudflare.`, 404);
+    }
+
+    this.zoneIds.set(domain, data.result[0].id);
+    return data.result[0].id;
   }
 
-  async loadFromEnvironment() {
-    if (process.env.CLOUDFLARE_API_TOKEN) {
-      return {
-        apiToken: process.env.CLOUDFLARE_API_TOKEN
-      };
+  /**
+   * Cloudflare wraps every answer in { success, errors, result }
+   */
+  async call(config) {
+    const { apiToken } = await this.loadCredentials();
+    const response = await this.request({
+      ...config,
+      headers: { 'Authorization': `Bearer ${apiToken}`, 'Content-Type': 'application/json' }
+    });
+
+    if (!response.data?.success) {
+      throw new DNSProviderError(this.name, this.errorMessage(response.data) || 'request failed', response.status);
     }
-    return null;
+    return response.data;
   }
 
-  async loadFromFile() {
-    try {
-      const credsPath = path.join(__dirname, '..', 'config', 'cloudflare-creds.json');
-      const creds = JSON.parse(await fs.readFile(credsPath, 'utf8'));
-      return creds;
-    } catch {
-      return null;
-    }
+  errorMessage(data) {
+    return data?.errors?.[0]?.message || null;
   }
 
-  async loadFromAWSSecrets() {
-    // Implementation would depend on AWS SDK
-    return null;
+  toCloudflare({ name, type, content, ttl, proxied }, domain) {
+    return {
+      type,
+      name: DNSProvider.absoluteName(name, domain),
+      content,
+      ttl: proxied ? AUTOMATIC_TTL : ttl,
+      proxied
+    };
+  }
+
+  toRecord({ id, name, type, content, ttl, proxied }, domain) {
+    return {
+      id,
+      name: DNSProvider.relativeName(name, domain),
+      type,
+      content,
+      ttl,
+      proxied: Boolean(proxied)
+    };
   }
 
   /**
@@ -0,0 +1,260 @@
+/**
+ * DNS provider conformance suite
+ *
+ * The behaviour every DNSProvider must share, whatever API is behind it.
+ * Each check gets a provider pointed at a fake API (see fake-apis.js) with
+ * an empty zone; checks run in order and build on each other's records.
+ */
+
+const assert = require('assert').strict;
+const { DNSProvider, DNSProviderError } = require('../dns-provider');
+
+const RECORD_FIELDS = ['id', 'name', 'type', 'content', 'ttl', 'proxied'];
+
+// Returned by checks that don't apply to the provider
+const SKIPPED = 'skipped';
+
+function assertRecordShape(record) {
+  assert.deepEqual(Object.keys(record).sort(), [...RECORD_FIELDS].sort(), 'records have exactly the common fields');
+  assert.equal(typeof record.id, 'string');
+  assert.equal(typeof record.ttl, 'number');
+  assert.equal(typeof record.proxied, 'boolean');
+}
+
+async function assertRejectsWithProviderError(promise) {
+  await assert.rejects(promise, error => {
+    assert.ok(error instanceof DNSProviderError, `expected a DNSProviderError, got ${error.name}: ${error.message}`);
+    return true;
+  });
+}
+
+const CHECKS = [
+  ['reports itself healthy', async ({ provider }) => {
+    const health = await provider.healthCheck();
+    assert.equal(health.healthy, true, health.error);
+  }],
+
+  ['reports bad credentials as unhealthy instead of throwing', async ({ unauthorized }) => {
+    const health = await unauthorized.healthCheck();
+    assert.equal(health.healthy, false);
+    assert.ok(health.error, 'an unhealthy check says why');
+  }],
+
+  ['describes its capabilities', async ({ provider }) => {
+    const capabilities = provider.capabilities();
+    assert.ok(Array.isArray(capabilities.recordTypes));
+    assert.ok(capabilities.recordTypes.includes('CNAME'), 'every provider handles CNAME records');
+    assert.ok(capabilities.recordTypes.includes('A'), 'every provider handles A records');
+    assert.ok(Number.isInteger(capabilities.minTtl) && capabilities.minTtl > 0);
+    for (const flag of ['proxied', 'cachePurge', 'inPlaceUpdates', 'failoverRecords']) {
+      assert.equal(typeof capabilities[flag], 'boolean', `capabilities().${flag} is a boolean`);
+    }
+    if (capabilities.cachePurge) {
+      assert.equal(typeof provider.purgeCache, 'function', 'cachePurge providers have purgeCache(domain)');
+    }
+    if (capabilities.failoverRecords) {
+      for (const method of ['ensureHealthCheck', 'listFailoverRecords', 'upsertFailoverRecords']) {
+        assert.equal(typeof provider[method], 'function', `failoverRecords providers have ${method}()`);
+      }
+    }
+  }],
+
+  ['lists an empty zone as no records', async ({ provider, domain }) => {
+    assert.deepEqual(await provider.listRecords(domain, { name: 'fogg' }), []);
+    assert.equal(await provider.getRecord(domain, 'fogg', 'CNAME'), null);
+  }],
+
+  ['creates a record that does not exist yet', async ({ provider, domain, minTtl }) => {
+    const result = await provider.upsertRecord(domain, { name: 'fogg', type: 'CNAME', content: 'fogg-calendar.netlify.app', ttl: minTtl });
+    assert.equal(result.action, 'created');
+    assert.equal(result.previous, null);
+    assert.deepEqual(result.removed, []);
+    assertRecordShape(result.record);
+    assert.equal(result.record.name, 'fogg');
+    assert.equal(result.record.content, 'fogg-calendar.netlify.app');
+  }],
+
+  ['reads the record back with a relative name', async ({ provider, domain, minTtl }) => {
+    const record = await provider.getRecord(domain, 'fogg', 'CNAME');
+    assertRecordShape(record);
+    assert.deepEqual(
+      { name: record.name, type: record.type, content: record.content, ttl: record.ttl },
+      { name: 'fogg', type: 'CNAME', content: 'fogg-calendar.netlify.app', ttl: minTtl }
+    );
+  }],
+
+  ['finds the record by its fully qualified name too', async ({ provider, domain }) => {
+    const record = await provider.getRecord(domain, DNSProvider.absoluteName('fogg', domain), 'CNAME');
+    assert.equal(record?.name, 'fogg');
+  }],
+
+  ['leaves a matching record alone', async ({ provider, domain, minTtl }) => {
+    const before = await provider.getRecord(domain, 'fogg', 'CNAME');
+    const result = await provider.upsertRecord(domain, { name: 'fogg', type: 'cname', content: 'fogg-calendar.netlify.app.', ttl: minTtl });
+    assert.equal(result.action, 'unchanged');
+    assert.equal(result.record.id, before.id);
+  }],
+
+  ['updates a record whose content changed, keeping one record', async ({ provider, domain, minTtl }) => {
+    const before = await provider.getRecord(domain, 'fogg', 'CNAME');
+    const result = await provider.upsertRecord(domain, { name: 'fogg', type: 'CNAME', content: 'fogg-backup.netlify.app', ttl: minTtl });
+    assert.equal(result.action, 'updated');
+    assert.equal(result.previous.content, 'fogg-calendar.netlify.app');
+    assert.equal(result.previous.id, before.id);
+
+    const matching = await provider.listRecords(domain, { name: 'fogg', type: 'CNAME' });
+    assert.equal(matching.length, 1, 'an update never leaves the old record behind');
+    assert.equal(matching[0].content, 'fogg-backup.netlify.app');
+  }],
+
+  ['raises a TTL below the minimum to the minimum', async ({ provider, domain, minTtl }) => {
+    const result = await provider.upsertRecord(domain, { name: 'status', type: 'A', content: '192.0.2.10', ttl: 1 });
+    assert.equal(result.record.ttl, minTtl);
+    assert.equal((await provider.getRecord(domain, 'status', 'A')).ttl, minTtl);
+  }],
+
+  ['handles records at the zone apex as @', async ({ provider, domain, minTtl }) => {
+    await provider.upsertRecord(domain, { name: '@', type: 'TXT', content: 'fogg-conformance', ttl: minTtl });
+    const record = await provider.getRecord(domain, domain, 'TXT');
+    assert.equal(record?.name, '@');
+    assert.equal(record.content, 'fogg-conformance');
+  }],
+
+  ['filters listings by name and type', async ({ provider, domain }) => {
+    const all = await provider.listRecords(domain);
+    assert.ok(all.length >= 3, `expected at least 3 records, got ${all.length}`);
+    all.forEach(assertRecordShape);
+
+    const aRecords = await provider.listRecords(domain, { type: 'A' });
+    assert.ok(aRecords.length > 0 && aRecords.every(record => record.type === 'A'));
+
+    const named = await provider.listRecords(domain, { name: 'status' });
+    assert.ok(named.length > 0 && named.every(record => record.name === 'status'));
+  }],
+
+  ['rejects record types it does not support', async ({ provider, domain }) => {
+    await assertRejectsWithProviderError(provider.upsertRecord(domain, { name: 'fogg', type: 'BOGUS', content: 'x', ttl: 300 }));
+  }],
+
+  ['rejects records without content', async ({ provider, domain }) => {
+    await assertRejectsWithProviderError(provider.upsertRecord(domain, { name: 'fogg', type: 'CNAME', content: '', ttl: 300 }));
+  }],
+
+  ['deletes a record', async ({ provider, domain }) => {
+    const result = await provider.deleteRecord(domain, { name: 'fogg', type: 'CNAME' });
+    assert.equal(result.deleted, true);
+    assert.equal(result.record.content, 'fogg-backup.netlify.app');
+    assert.equal(await provider.getRecord(domain, 'fogg', 'CNAME'), null);
+  }],
+
+  ['treats deleting a missing record as a no-op', async ({ provider, domain }) => {
+    assert.deepEqual(await provider.deleteRecord(domain, { name: 'fogg', type: 'CNAME' }), { deleted: false, record: null });
+  }],
+
+  ['only deletes the named type', async ({ provider, domain, minTtl }) => {
+    await provider.upsertRecord(domain, { name: 'status', type: 'TXT', content: 'status-page', ttl: minTtl });
+    assert.equal((await provider.deleteRecord(domain, { name: 'status', type: 'TXT' })).deleted, true);
+    assert.ok(await provider.getRecord(domain, 'status', 'A'), 'the A record at the same name survives');
+  }],
+
+  ['only deletes a record with the given content', async ({ provider, domain }) => {
+    assert.deepEqual(await provider.deleteRecord(domain, { name: 'status', type: 'A', content: '192.0.2.99' }), { deleted: false, record: null });
+    assert.ok(await provider.getRecord(domain, 'status', 'A'));
+  }],
+
+  ['refuses a CNAME where another record has the name', async ({ provider, domain, minTtl }) => {
+    await assertRejectsWithProviderError(
+      provider.upsertRecord(domain, { name: 'status', type: 'CNAME', content: 'fogg-calendar.netlify.app', ttl: minTtl })
+    );
+    assert.equal(await provider.getRecord(domain, 'status', 'CNAME'), null, 'nothing is written');
+    assert.ok(await provider.getRecord(domain, 'status', 'A'));
+  }],
+
+  ['refuses other records where a CNAME has the name', async ({ provider, domain, minTtl }) => {
+    await provider.upsertRecord(domain, { name: 'www', type: 'CNAME', content: 'fogg-calendar.netlify.app', ttl: minTtl });
+    await assertRejectsWithProviderError(provider.upsertRecord(domain, { name: 'www', type: 'A', content: '192.0.2.10', ttl: minTtl }));
+    assert.equal(await provider.getRecord(domain, 'www', 'A'), null, 'nothing is written');
+    await provider.deleteRecord(domain, { name: 'www', type: 'CNAME' });
+  }],
+
+  // Only for providers with capabilities().failoverRecords
+  ['replaces a simple record with health-checked failover records', async ({ provider, domain, minTtl }) => {
+    if (!provider.capabilities().failoverRecords) return SKIPPED;
+
+    await provider.upsertRecord(domain, { name: 'app', type: 'CNAME', content: 'fogg-calendar.netlify.app', ttl: minTtl });
+    const primaryCheck = await provider.ensureHealthCheck('https://fogg-calendar.netlify.app/');
+    const secondaryCheck = await provider.ensureHealthCheck('https://fogg-backup.netlify.app/');
+    assert.ok(primaryCheck && secondaryCheck && primaryCheck !== secondaryCheck, 'each URL gets its own health check');
+    assert.equal(await provider.ensureHealthCheck('https://fogg-calendar.netlify.app/'), primaryCheck, 'health checks are reused');
+
+    await provider.upsertFailoverRecords(domain, {
+      name: 'app',
+      type: 'CNAME',
+      ttl: minTtl,
+      primary: { content: 'fogg-calendar.netlify.app', healthCheckId: primaryCheck },
+      secondary: { content: 'fogg-backup.netlify.app', healthCheckId: secondaryCheck }
+    });
+
+    assert.equal(await provider.getRecord(domain, 'app', 'CNAME'), null, 'the simple record is gone');
+    const sets = await provider.listFailoverRecords(domain, 'app', 'CNAME');
+    assert.deepEqual(
+      sets.map(({ role, content, healthCheckId }) => ({ role, content, healthCheckId })).sort((a, b) => (a.role < b.role ? -1 : 1)),
+      [
+        { role: 'PRIMARY', content: 'fogg-calendar.netlify.app', healthCheckId: primaryCheck },
+        { role: 'SECONDARY', content: 'fogg-backup.netlify.app', healthCheckId: secondaryCheck }
+      ]
+    );
+  }],
+
+  ['swaps failover roles and drops a secondary', async ({ provider, domain, minTtl }) => {
+    if (!provider.capabilities().failoverRecords) return SKIPPED;
+
+    const sets = await provider.listFailoverRecords(domain, 'app', 'CNAME');
+    const [primary, secondary] = ['PRIMARY', 'SECONDARY'].map(role => sets.find(set => set.role === role));
+
+    await provider.upsertFailoverRecords(domain, {
+      name: 'app',
+      ttl: minTtl,
+      primary: { content: secondary.content, healthCheckId: secondary.healthCheckId },
+      secondary: { content: primary.content, healthCheckId: primary.healthCheckId }
+    });
+    const swapped = await provider.listFailoverRecords(domain, 'app', 'CNAME');
+    assert.equal(swapped.length, 2);
+    assert.equal(swapped.find(set => set.role === 'PRIMARY').content, 'fogg-backup.netlify.app');
+
+    await provider.upsertFailoverRecords(domain, { name: 'app', ttl: minTtl, primary: { content: 'fogg-backup.netlify.app' } });
+    assert.deepEqual((await provider.listFailoverRecords(domain, 'app', 'CNAME')).map(set => set.role), ['PRIMARY']);
+  }],
+
+  ['throws a DNSProviderError for API failures', async ({ unauthorized, domain }) => {
+    await assertRejectsWithProviderError(unauthorized.listRecords(domain));
+    await assertRejectsWithProviderError(
+      unauthorized.upsertRecord(domain, { name: 'fogg', type: 'CNAME', content: 'fogg-calendar.netlify.app', ttl: 300 })
+    );
+  }]
+];
+
+/**
+ * Run every check against `provider` (authorized) and `unauthorized` (the
+ * same provider with bad credentials); resolves
+ * [{ name, passed, skipped, error }]
+ */
+async function runConformanceSuite({ provider, unauthorized, domain }) {
+  const context = { provider, unauthorized, domain, minTtl: provider.capabilities().minTtl };
+  const results = [];
+
+  for (const [name, check] of CHECKS) {
+    try {
+      const outcome = await check(context);
+      results.push({ name, passed: true, skipped: outcome === SKIPPED, error: null });
+    } catch (error) {
+      results.push({ name, passed: false, skipped: false, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  runConformanceSuite
+};
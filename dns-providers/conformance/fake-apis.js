@@ -0,0 +1,469 @@
+/**
+ * Fake DNS provider APIs
+ *
+ * Local HTTP servers speaking just enough of each provider's API for the
+ * conformance suite: authentication, zones, and record list/create/edit/
+ * delete, with each provider's own request and error shapes. Records live in
+ * memory, per server. Every fake hosts FAKE_DOMAIN only.
+ *
+ *   startFakeApi('cloudflare') -> { apiBase, credentials, badCredentials, options, close() }
+ *
+ * `options` are extra provider constructor options the fake needs (shorter
+ * waits, say).
+ */
+
+const http = require('http');
+const { signature } = require('../aws-signature-v4');
+
+const FAKE_DOMAIN = 'conformance.test';
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readText(req) {
+  return new Promise(resolve => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => resolve(raw));
+  });
+}
+
+async function readBody(req) {
+  const raw = await readText(req);
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return null;
+  }
+}
+
+// Record ids are per server, like the real APIs'
+function idGenerator(prefix) {
+  let next = 1;
+  return () => `${prefix}${next++}`;
+}
+
+function fqdn(name) {
+  return name ? `${name}.${FAKE_DOMAIN}` : FAKE_DOMAIN;
+}
+
+/**
+ * Porkbun: POST-only, keys in the body, { status: 'SUCCESS' | 'ERROR' }
+ */
+function porkbunApi() {
+  const credentials = { apiKey: 'pk1_fake', secretKey: 'sk1_fake' };
+  const records = [];
+  const newId = idGenerator('');
+
+  async function handle(req, res, url) {
+    const body = await readBody(req);
+    const fail = (status, message) => send(res, status, { status: 'ERROR', message });
+
+    if (req.method !== 'POST' || !body) return fail(400, 'Invalid request.');
+    if (body.apikey !== credentials.apiKey || body.secretapikey !== credentials.secretKey) {
+      return fail(403, 'Invalid API key. (002)');
+    }
+
+    const [action, verb, domain, id, subdomain = ''] = url.pathname.replace(/^\//, '').split('/');
+    if (action === 'ping') return send(res, 200, { status: 'SUCCESS', yourIp: '127.0.0.1' });
+    if (action !== 'dns') return fail(404, 'Unknown endpoint.');
+    if (domain !== FAKE_DOMAIN) return fail(400, 'Invalid domain.');
+
+    const record = id && records.find(candidate => candidate.id === id);
+    // The ByNameType endpoints take TYPE/SUBDOMAIN where the others take an id
+    const byNameType = records.filter(candidate => candidate.type === id && candidate.name === fqdn(subdomain));
+
+    switch (verb) {
+      case 'retrieve':
+        return send(res, 200, { status: 'SUCCESS', records });
+
+      case 'retrieveByNameType':
+        return send(res, 200, { status: 'SUCCESS', records: byNameType });
+
+      case 'create': {
+        const created = { id: newId(), name: fqdn(body.name), type: body.type, content: body.content, ttl: String(body.ttl || 600), prio: '0', notes: '' };
+        records.push(created);
+        return send(res, 200, { status: 'SUCCESS', id: Number(created.id) });
+      }
+
+      case 'editByNameType':
+        if (byNameType.length === 0) return fail(400, 'Could not find a record with that name and type.');
+        byNameType.forEach(match => Object.assign(match, { content: body.content, ttl: String(body.ttl || 600) }));
+        return send(res, 200, { status: 'SUCCESS' });
+
+      case 'edit':
+        if (!record) return fail(400, 'Invalid record ID.');
+        Object.assign(record, { name: fqdn(body.name), type: body.type, content: body.content, ttl: String(body.ttl || 600) });
+        return send(res, 200, { status: 'SUCCESS' });
+
+      case 'delete':
+        if (!record) return fail(400, 'Invalid record ID.');
+        records.splice(records.indexOf(record), 1);
+        return send(res, 200, { status: 'SUCCESS' });
+
+      default:
+        return fail(404, 'Unknown endpoint.');
+    }
+  }
+
+  return { handle, credentials, badCredentials: { apiKey: 'pk1_wrong', secretKey: 'sk1_wrong' } };
+}
+
+/**
+ * Cloudflare: bearer token, { success, errors, result, result_info }
+ */
+function cloudflareApi() {
+  const credentials = { apiToken: 'cf-fake-token' };
+  const zoneId = 'zone-fake';
+  const records = [];
+  const newId = idGenerator('rec');
+  const PAGE_SIZE_LIMIT = 2;
+
+  const ok = (res, result, extra = {}) => send(res, 200, { success: true, errors: [], result, ...extra });
+  const fail = (res, status, code, message) => send(res, status, { success: false, errors: [{ code, message }], result: null });
+
+  function toRecord(body, id) {
+    const proxied = Boolean(body.proxied);
+    return { id, zone_id: zoneId, name: body.name, type: body.type, content: body.content, proxied, ttl: proxied ? 1 : body.ttl };
+  }
+
+  async function handle(req, res, url) {
+    if (req.headers.authorization !== `Bearer ${credentials.apiToken}`) {
+      return fail(res, 403, 9109, 'Invalid access token');
+    }
+
+    const parts = url.pathname.replace(/^\//, '').split('/');
+    const body = ['POST', 'PUT'].includes(req.method) ? await readBody(req) : null;
+
+    if (parts.join('/') === 'user/tokens/verify') {
+      return ok(res, { id: 'token', status: 'active' });
+    }
+    if (parts[0] !== 'zones') return fail(res, 404, 7003, 'Could not route to /' + parts.join('/'));
+
+    if (parts.length === 1) {
+      const name = url.searchParams.get('name');
+      return ok(res, name === FAKE_DOMAIN ? [{ id: zoneId, name: FAKE_DOMAIN, status: 'active' }] : []);
+    }
+    if (parts[1] !== zoneId) return fail(res, 404, 7003, 'Could not route to zone');
+
+    if (parts[2] === 'purge_cache' && req.method === 'POST') return ok(res, { id: zoneId });
+    if (parts[2] !== 'dns_records') return fail(res, 404, 7003, 'Could not route');
+
+    const record = parts[3] && records.find(candidate => candidate.id === parts[3]);
+
+    if (!parts[3] && req.method === 'GET') {
+      // Small pages, so paging is exercised
+      const name = url.searchParams.get('name');
+      const type = url.searchParams.get('type');
+      const matching = records.filter(r => (!name || r.name === name) && (!type || r.type === type));
+      const perPage = Math.min(Number(url.searchParams.get('per_page')) || 20, PAGE_SIZE_LIMIT);
+      const page = Number(url.searchParams.get('page')) || 1;
+      const totalPages = Math.max(1, Math.ceil(matching.length / perPage));
+      return ok(res, matching.slice((page - 1) * perPage, page * perPage), {
+        result_info: { page, per_page: perPage, count: matching.length, total_pages: totalPages }
+      });
+    }
+    if (!parts[3] && req.method === 'POST') {
+      if (!body?.type || !body.name || !body.content) return fail(res, 400, 9000, 'DNS record is invalid');
+      if (records.some(r => r.name === body.name && r.type === body.type && r.type === 'CNAME')) {
+        return fail(res, 400, 81053, 'An A, AAAA, or CNAME record with that host already exists.');
+      }
+      const created = toRecord(body, newId());
+      records.push(created);
+      return ok(res, created);
+    }
+    if (!record) return fail(res, 404, 81044, 'Record does not exist.');
+
+    if (req.method === 'PUT') {
+      Object.assign(record, toRecord(body, record.id));
+      return ok(res, record);
+    }
+    if (req.method === 'DELETE') {
+      records.splice(records.indexOf(record), 1);
+      return ok(res, { id: record.id });
+    }
+    return fail(res, 405, 10000, 'Method not allowed');
+  }
+
+  return { handle, credentials, badCredentials: { apiToken: 'cf-wrong-token' } };
+}
+
+/**
+ * Netlify: bearer token, bare JSON bodies, { code, message } errors, no
+ * record edits
+ */
+function netlifyApi() {
+  const credentials = { accessToken: 'nf-fake-token' };
+  const zones = [];
+  const newZoneId = idGenerator('zone');
+  const newId = idGenerator('rec');
+
+  async function handle(req, res, url) {
+    const fail = (status, message) => send(res, status, { code: status, message });
+
+    if (req.headers.authorization !== `Bearer ${credentials.accessToken}`) {
+      return fail(401, 'Access Denied: Invalid Token');
+    }
+
+    const parts = url.pathname.replace(/^\//, '').split('/');
+    const body = req.method === 'POST' ? await readBody(req) : null;
+
+    if (parts[0] === 'user') return send(res, 200, { id: 'user', email: 'fake@example.com' });
+    if (parts[0] !== 'dns_zones') return fail(404, 'Not Found');
+
+    if (parts.length === 1) {
+      if (req.method === 'GET') return send(res, 200, zones.map(({ records, ...zone }) => zone));
+      if (body?.name !== FAKE_DOMAIN) return fail(422, 'Domain is not allowed');
+      const zone = { id: newZoneId(), name: body.name, dns_servers: ['dns1.p01.nsone.net'], records: [] };
+      zones.push(zone);
+      const { records, ...created } = zone;
+      return send(res, 201, created);
+    }
+
+    const zone = zones.find(candidate => candidate.id === parts[1]);
+    if (!zone || parts[2] !== 'dns_records') return fail(404, 'Not Found');
+
+    if (!parts[3] && req.method === 'GET') return send(res, 200, zone.records);
+    if (!parts[3] && req.method === 'POST') {
+      if (!body?.type || !body.hostname || !body.value) return fail(422, 'Invalid record');
+      const created = { id: newId(), hostname: body.hostname, type: body.type, value: body.value, ttl: body.ttl || 3600, dns_zone_id: zone.id };
+      zone.records.push(created);
+      return send(res, 201, created);
+    }
+
+    const record = zone.records.find(candidate => candidate.id === parts[3]);
+    if (!record) return fail(404, 'Not Found');
+
+    if (req.method === 'GET') return send(res, 200, record);
+    if (req.method === 'DELETE') {
+      zone.records.splice(zone.records.indexOf(record), 1);
+      return send(res, 204);
+    }
+    return fail(405, 'Method Not Allowed');
+  }
+
+  return { handle, credentials, badCredentials: { accessToken: 'nf-wrong-token' } };
+}
+
+/**
+ * Route53: REST + XML, every request SigV4-signed, changes PENDING until
+ * their first GetChange
+ */
+function route53Api() {
+  const credentials = { accessKeyId: 'AKIAFAKE', secretAccessKey: 'fake-secret-key', hostedZoneId: null };
+  const zoneId = 'ZFAKE';
+  const zoneName = `${FAKE_DOMAIN}.`;
+  const PAGE_SIZE_LIMIT = 2;
+  const newChangeId = idGenerator('C');
+  const newHealthCheckId = idGenerator('hc-');
+  const changes = new Map();
+  const healthChecks = new Map();
+  const sets = [
+    { name: zoneName, type: 'NS', ttl: 172800, values: ['ns-1.awsdns-00.com.', 'ns-2.awsdns-00.net.'] },
+    { name: zoneName, type: 'SOA', ttl: 900, values: ['ns-1.awsdns-00.com. awsdns-hostmaster.amazon.com. 1 7200 900 1209600 86400'] }
+  ];
+
+  const unescape = value => value.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+  const xmlValues = (xml, tag) => [...String(xml).matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))].map(m => unescape(m[1]));
+  const xmlValue = (xml, tag) => xmlValues(xml, tag)[0] ?? null;
+  const sendXml = (res, status, xml) => {
+    res.writeHead(status, { 'Content-Type': 'text/xml' });
+    res.end(`<?xml version="1.0"?>\n${xml}`);
+  };
+  const fail = (res, status, code, message) =>
+    sendXml(res, status, `<ErrorResponse><Error><Type>Sender</Type><Code>${code}</Code><Message>${message}</Message></Error><RequestId>fake</RequestId></ErrorResponse>`);
+
+  const key = set => `${set.name}|${set.type}|${set.setIdentifier || ''}`;
+  const setXml = set => `<ResourceRecordSet><Name>${set.name}</Name><Type>${set.type}</Type>` +
+    (set.setIdentifier ? `<SetIdentifier>${set.setIdentifier}</SetIdentifier>` : '') +
+    (set.failover ? `<Failover>${set.failover}</Failover>` : '') +
+    `<TTL>${set.ttl}</TTL><ResourceRecords>${set.values.map(v => `<ResourceRecord><Value>${v}</Value></ResourceRecord>`).join('')}</ResourceRecords>` +
+    (set.healthCheckId ? `<HealthCheckId>${set.healthCheckId}</HealthCheckId>` : '') + '</ResourceRecordSet>';
+
+  function signedCorrectly(req, url, body) {
+    const match = /Credential=([^/]+)\/[^,]+, SignedHeaders=([^,]+), Signature=([0-9a-f]+)/.exec(req.headers.authorization || '');
+    if (!match || match[1] !== credentials.accessKeyId) return false;
+
+    const dateHeader = req.headers['x-amz-date'] || '';
+    const date = new Date(dateHeader.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+    const headers = Object.fromEntries(match[2].split(';')
+      .filter(name => !['host', 'x-amz-date'].includes(name))
+      .map(name => [name, req.headers[name]]));
+    const expected = signature({
+      method: req.method,
+      url: `http://${req.headers.host}${url.pathname}${url.search}`,
+      headers,
+      body,
+      region: 'us-east-1',
+      service: 'route53',
+      credentials,
+      date
+    });
+    return expected.value === match[3];
+  }
+
+  // Checks the whole batch before applying any of it, like Route53
+  function applyBatch(xml) {
+    const batch = xmlValues(xml, 'Change').map(change => {
+      const setXmlText = xmlValue(change, 'ResourceRecordSet');
+      return {
+        action: xmlValue(change, 'Action'),
+        set: {
+          name: xmlValue(setXmlText, 'Name'),
+          type: xmlValue(setXmlText, 'Type'),
+          setIdentifier: xmlValue(setXmlText, 'SetIdentifier'),
+          failover: xmlValue(setXmlText, 'Failover'),
+          ttl: Number(xmlValue(setXmlText, 'TTL')),
+          values: xmlValues(setXmlText, 'Value'),
+          healthCheckId: xmlValue(setXmlText, 'HealthCheckId')
+        }
+      };
+    });
+    const next = [...sets];
+
+    for (const { action, set } of batch) {
+      const index = next.findIndex(candidate => key(candidate) === key(set));
+      if (!set.name?.endsWith(zoneName)) return `RRSet with DNS name ${set.name} is not permitted in zone ${zoneName}`;
+
+      if (action === 'DELETE') {
+        const current = next[index];
+        if (!current || current.ttl !== set.ttl || current.values.join() !== set.values.join()) {
+          return `Tried to delete resource record set [name='${set.name}', type='${set.type}'] but the values provided do not match the current values`;
+        }
+        next.splice(index, 1);
+        continue;
+      }
+      if (action === 'CREATE' && index >= 0) {
+        return `Tried to create resource record set [name='${set.name}', type='${set.type}'] but it already exists`;
+      }
+      if (set.type === 'TXT' && set.values.some(value => !/^".*"$/.test(value))) {
+        return 'Invalid Resource Record: FATAL problem: InvalidCharacterString (Value should be enclosed in quotation marks)';
+      }
+      const clash = next.find(other => other.name === set.name && other.type !== set.type &&
+        (other.type === 'CNAME' || set.type === 'CNAME'));
+      if (clash) {
+        return `RRSet of type ${set.type} with DNS name ${set.name} is not permitted because a conflicting RRSet of type ${clash.type} with the same DNS name already exists`;
+      }
+      const mixed = next.find(other => other.name === set.name && other.type === set.type &&
+        Boolean(other.setIdentifier) !== Boolean(set.setIdentifier));
+      if (mixed) {
+        return `RRSet with DNS name ${set.name}, type ${set.type} cannot be created because a non-failover RRSet with the same name and type already exists`;
+      }
+      if (index >= 0) next[index] = set; else next.push(set);
+    }
+
+    sets.splice(0, sets.length, ...next);
+    return null;
+  }
+
+  async function handle(req, res, url) {
+    const body = req.method === 'POST' ? await readText(req) : '';
+    if (!signedCorrectly(req, url, body)) {
+      return fail(res, 403, 'SignatureDoesNotMatch', 'The request signature we calculated does not match the signature you provided.');
+    }
+
+    const path = url.pathname.replace(/^\/2013-04-01\//, '');
+    const parts = path.split('/');
+
+    if (path === 'hostedzonecount') {
+      return sendXml(res, 200, '<GetHostedZoneCountResponse><HostedZoneCount>1</HostedZoneCount></GetHostedZoneCountResponse>');
+    }
+    if (path === 'hostedzonesbyname') {
+      const zone = url.searchParams.get('dnsname') === FAKE_DOMAIN
+        ? `<HostedZone><Id>/hostedzone/${zoneId}</Id><Name>${zoneName}</Name><CallerReference>fake</CallerReference></HostedZone>`
+        : '';
+      return sendXml(res, 200, `<ListHostedZonesByNameResponse><HostedZones>${zone}</HostedZones><IsTruncated>false</IsTruncated><MaxItems>1</MaxItems></ListHostedZonesByNameResponse>`);
+    }
+    if (parts[0] === 'hostedzone' && parts[1] !== zoneId) {
+      return fail(res, 404, 'NoSuchHostedZone', `No hosted zone found with ID: ${parts[1]}`);
+    }
+
+    if (parts[0] === 'hostedzone' && parts[2] === 'rrset' && req.method === 'GET') {
+      const sorted = [...sets].sort((a, b) => (key(a) < key(b) ? -1 : 1));
+      const start = url.searchParams.get('name')
+        ? sorted.findIndex(set => key(set) >= `${url.searchParams.get('name')}|${url.searchParams.get('type') || ''}|${url.searchParams.get('identifier') || ''}`)
+        : 0;
+      const page = start < 0 ? [] : sorted.slice(start, start + PAGE_SIZE_LIMIT);
+      const next = start < 0 ? null : sorted[start + PAGE_SIZE_LIMIT];
+      const paging = next
+        ? `<IsTruncated>true</IsTruncated><NextRecordName>${next.name}</NextRecordName><NextRecordType>${next.type}</NextRecordType>` +
+          (next.setIdentifier ? `<NextRecordIdentifier>${next.setIdentifier}</NextRecordIdentifier>` : '')
+        : '<IsTruncated>false</IsTruncated>';
+      return sendXml(res, 200, `<ListResourceRecordSetsResponse><ResourceRecordSets>${page.map(setXml).join('')}</ResourceRecordSets>${paging}<MaxItems>${PAGE_SIZE_LIMIT}</MaxItems></ListResourceRecordSetsResponse>`);
+    }
+
+    if (parts[0] === 'hostedzone' && parts[2] === 'rrset' && req.method === 'POST') {
+      const error = applyBatch(body);
+      if (error) return fail(res, 400, 'InvalidChangeBatch', error);
+
+      const id = newChangeId();
+      changes.set(id, 'PENDING');
+      return sendXml(res, 200, `<ChangeResourceRecordSetsResponse><ChangeInfo><Id>/change/${id}</Id><Status>PENDING</Status><SubmittedAt>${new Date().toISOString()}</SubmittedAt></ChangeInfo></ChangeResourceRecordSetsResponse>`);
+    }
+
+    if (parts[0] === 'change' && changes.has(parts[1])) {
+      const status = changes.get(parts[1]);
+      changes.set(parts[1], 'INSYNC');
+      return sendXml(res, 200, `<GetChangeResponse><ChangeInfo><Id>/change/${parts[1]}</Id><Status>${status}</Status></ChangeInfo></GetChangeResponse>`);
+    }
+
+    if (path === 'healthcheck' && req.method === 'POST') {
+      const reference = xmlValue(body, 'CallerReference');
+      if (!reference || !xmlValue(body, 'FullyQualifiedDomainName')) return fail(res, 400, 'InvalidInput', 'Invalid health check');
+      if (!healthChecks.has(reference)) healthChecks.set(reference, newHealthCheckId());
+      return sendXml(res, 201, `<CreateHealthCheckResponse><HealthCheck><Id>${healthChecks.get(reference)}</Id><CallerReference>${reference}</CallerReference></HealthCheck></CreateHealthCheckResponse>`);
+    }
+
+    return fail(res, 404, 'NotFound', `Unknown path ${url.pathname}`);
+  }
+
+  return {
+    handle,
+    credentials,
+    badCredentials: { accessKeyId: 'AKIAFAKE', secretAccessKey: 'wrong-secret-key' },
+    options: { changePollInterval: 10 }
+  };
+}
+
+const FAKE_APIS = {
+  porkbun: porkbunApi,
+  cloudflare: cloudflareApi,
+  netlify: netlifyApi,
+  route53: route53Api
+};
+
+function hasFakeApi(key) {
+  return Boolean(FAKE_APIS[key]);
+}
+
+/**
+ * Start the fake API for provider `key` on a free local port
+ */
+function startFakeApi(key) {
+  const { handle, credentials, badCredentials, options = {} } = FAKE_APIS[key]();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    handle(req, res, url).catch(error => send(res, 500, { message: error.message }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        apiBase: `http://127.0.0.1:${server.address().port}`,
+        credentials,
+        badCredentials,
+        options,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  FAKE_DOMAIN,
+  hasFakeApi,
+  startFakeApi
+};
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Run the DNS provider conformance suite against every registered provider,
+ * each talking to a local fake of its API. Exits non-zero if any provider
+ * fails a check, or has no fake API to be checked against.
+ *
+ * Usage: npm run test:dns
+ *        node dns-providers/conformance/run-conformance.js [provider...]
+ */
+
+const { providerKeys, createDNSProvider } = require('../provider-registry');
+const { runConformanceSuite } = require('./conformance-suite');
+const { FAKE_DOMAIN, hasFakeApi, startFakeApi } = require('./fake-apis');
+
+async function checkProvider(key) {
+  if (!hasFakeApi(key)) {
+    return [{ name: 'has a fake API in dns-providers/conformance/fake-apis.js', passed: false, error: 'missing' }];
+  }
+
+  const api = await startFakeApi(key);
+  // An empty env keeps real credentials out of it, and fake changes stay
+  // out of the journal
+  const options = { ...api.options, apiBase: api.apiBase, env: {}, timeout: 5000, journal: null };
+
+  try {
+    return await runConformanceSuite({
+      provider: createDNSProvider(key, { ...options, credentials: api.credentials }),
+      unauthorized: createDNSProvider(key, { ...options, credentials: api.badCredentials }),
+      domain: FAKE_DOMAIN
+    });
+  } finally {
+    await api.close();
+  }
+}
+
+async function main() {
+  const keys = process.argv.slice(2).length > 0 ? process.argv.slice(2) : providerKeys();
+  let failures = 0;
+
+  for (const key of keys) {
+    const provider = createDNSProvider(key, { env: {}, journal: null });
+    console.log(`\n📡 ${provider.name} (${key})`);
+
+    for (const result of await checkProvider(key)) {
+      if (result.skipped) {
+        console.log(`  - ${result.name} (not supported)`);
+      } else if (result.passed) {
+        console.log(`  ✓ ${result.name}`);
+      } else {
+        failures++;
+        console.log(`  ✗ ${result.name}\n      ${result.error.split('\n').join('\n      ')}`);
+      }
+    }
+  }
+
+  console.log(failures === 0
+    ? `\n✅ All ${keys.length} DNS providers conform`
+    : `\n❌ ${failures} conformance check${failures === 1 ? '' : 's'} failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('💥 Conformance run failed:', error);
+  process.exit(1);
+});
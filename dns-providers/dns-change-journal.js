@@ -0,0 +1,127 @@
+/**
+ * DNS change journal
+ *
+ * Every change a DNS provider makes, appended to data/dns-journal.jsonl
+ * (DNS_JOURNAL_FILE) as one JSON line that is never rewritten:
+ *
+ *   {
+ *     id, timestamp,
+ *     provider, providerName,   (registry key and display name)
+ *     domain, name, type,       (name relative to domain, '@' for the apex)
+ *     action: 'created' | 'updated' | 'deleted' | 'failover',
+ *     before, after,            ({ content, ttl, proxied }, null when there
+ *                                was no record / is none now; for 'failover'
+ *                                { primary, secondary, ttl } - see
+ *                                Route53Provider.upsertFailoverRecords)
+ *     actor, reason,
+ *     undoOf                    (the id of the entry this change undid)
+ *   }
+ *
+ * createDNSProvider() gives every provider the shared journal, which the
+ * provider writes after each change succeeds; see dns-journal.js to list
+ * entries and undo them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_JOURNAL_FILE = path.join(__dirname, '..', 'data', 'dns-journal.jsonl');
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+let shared = null;
+
+class DNSChangeJournal {
+  constructor({ file } = {}) {
+    this.file = file || process.env.DNS_JOURNAL_FILE || DEFAULT_JOURNAL_FILE;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // The journal providers write to unless given another
+  static shared() {
+    if (!shared) shared = new DNSChangeJournal();
+    return shared;
+  }
+
+  // Who made a change when the caller doesn't say: the local user
+  static defaultActor() {
+    try {
+      return os.userInfo().username;
+    } catch {
+      return 'system';
+    }
+  }
+
+  async append(change) {
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      actor: DNSChangeJournal.defaultActor(),
+      reason: null,
+      undoOf: null,
+      ...change
+    };
+
+    // Serialise appends so concurrent changes never interleave lines
+    const next = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.appendFile(this.file, `${JSON.stringify(entry)}\n`);
+    });
+    this.writeQueue = next.catch(() => {});
+    await next;
+
+    return entry;
+  }
+
+  // Every entry, oldest first
+  async entries() {
+    let contents;
+    try {
+      contents = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    contents.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        console.warn(`Skipping unreadable journal line ${index + 1} in ${this.file}`);
+      }
+    });
+    return entries;
+  }
+
+  /**
+   * Entries newest first, optionally for one domain, record name or
+   * provider key
+   */
+  async list({ domain, name, provider, limit = DEFAULT_LIMIT } = {}) {
+    const size = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+
+    return (await this.entries())
+      .filter(entry => (!domain || entry.domain === domain) &&
+        (!name || entry.name === name) &&
+        (!provider || entry.provider === provider))
+      .reverse()
+      .slice(0, size);
+  }
+
+  // By id, or by a unique prefix of one (as the CLI prints them)
+  async get(id) {
+    const matches = (await this.entries()).filter(entry => entry.id === id || entry.id.startsWith(id));
+    if (matches.length > 1 && !matches.some(entry => entry.id === id)) {
+      const error = new Error(`Journal id ${id} is ambiguous (${matches.length} entries start with it)`);
+      error.code = 'AMBIGUOUS_ID';
+      throw error;
+    }
+    return matches.find(entry => entry.id === id) || matches[0] || null;
+  }
+}
+
+module.exports = DNSChangeJournal;
@@ -0,0 +1,323 @@
+/**
+ * DNS Provider interface
+ *
+ * Every provider in dns-providers/ extends DNSProvider and so offers
+ *
+ *   healthCheck()                                          -> { healthy, error }
+ *   listRecords(domain, { name, type })                    -> [record]
+ *   getRecord(domain, name, type)                          -> record | null
+ *   upsertRecord(domain, record, context)                  -> { action: 'created' | 'updated' | 'unchanged', record, previous, removed }
+ *   deleteRecord(domain, { name, type, content }, context) -> { deleted, record }
+ *   capabilities()                                         -> { recordTypes, minTtl, proxied, cachePurge, inPlaceUpdates, failoverRecords }
+ *
+ * with records in one shape whatever the provider's API uses:
+ *
+ *   { id, name, type, content, ttl, proxied }
+ *
+ * `name` is relative to `domain` ('fogg' for fogg.candlefish.ai, '@' for
+ * candlefish.ai itself); `proxied` only means something where
+ * capabilities().proxied is true. A subclass implements healthCheck,
+ * listRecords, createRecord, updateRecord and removeRecord against its API;
+ * the rest is shared. Failures other than an unhealthy health check throw a
+ * DNSProviderError.
+ *
+ * Changes are written to the provider's `journal` (see dns-change-journal.js)
+ * with the optional context { actor, reason, undoOf } of the call that made
+ * them.
+ *
+ * dns-providers/conformance/ checks every registered provider against a
+ * local fake of its API (`npm test`).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 30000;
+const APEX = '@';
+
+const HOSTNAME_TYPES = ['CNAME', 'ALIAS', 'MX'];
+
+// Types with one record per name; any more are duplicates
+const SINGLE_VALUE_TYPES = ['CNAME', 'ALIAS'];
+
+// Host names compare without case or a trailing dot
+function contentKey({ type, content }) {
+  return HOSTNAME_TYPES.includes(type) ? content.replace(/\.$/, '').toLowerCase() : content;
+}
+
+class DNSProviderError extends Error {
+  constructor(provider, message, status = null) {
+    super(`${provider}: ${message}`);
+    this.name = 'DNSProviderError';
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+class DNSProvider {
+  /**
+   * apiBase and credentials override the provider's defaults (the fake APIs
+   * in dns-providers/conformance/ use both); without credentials they are
+   * looked up in the environment, then config/<credentialsFile>. http
+   * replaces the axios instance requests go through.
+   */
+  constructor({ name, apiBase, credentials = null, env = process.env, timeout = REQUEST_TIMEOUT_MS, journal = null, http = null } = {}) {
+    this.name = name;
+    this.apiBase = apiBase;
+    this.credentials = credentials;
+    this.env = env;
+    this.journal = journal;
+    this.http = http || axios.create({ baseURL: apiBase, timeout });
+  }
+
+  capabilities() {
+    return {
+      recordTypes: ['A', 'AAAA', 'CNAME', 'TXT'],
+      minTtl: 60,
+      proxied: false,
+      cachePurge: false,
+      inPlaceUpdates: true,
+      failoverRecords: false
+    };
+  }
+
+  async healthCheck() {
+    throw new DNSProviderError(this.name, 'healthCheck is not implemented');
+  }
+
+  async listRecords(domain, filter = {}) {
+    throw new DNSProviderError(this.name, 'listRecords is not implemented');
+  }
+
+  async getRecord(domain, name, type) {
+    const [record] = await this.listRecords(domain, { name, type });
+    return record || null;
+  }
+
+  /**
+   * Create the record with this name and type, or change the existing one to
+   * match; a TTL below capabilities().minTtl is raised to it. Nothing is
+   * written when a CNAME would share its name with another record, and
+   * duplicate CNAME/ALIAS records left by older create-only runs are removed
+   * (they come back in `removed`)
+   */
+  async upsertRecord(domain, record, context = {}) {
+    const desired = this.prepareRecord(domain, record);
+    const atName = await this.listRecords(domain, { name: desired.name });
+
+    const conflicts = atName.filter(other => other.type !== desired.type &&
+      (other.type === 'CNAME' || desired.type === 'CNAME'));
+    if (conflicts.length > 0) {
+      const fqdn = DNSProvider.absoluteName(desired.name, domain);
+      throw new DNSProviderError(
+        this.name,
+        `${fqdn} already has ${conflicts.map(other => `${other.type} ${other.content}`).join(', ')}, ` +
+          `which can't share its name with a ${desired.type} record; remove it first`,
+        409
+      );
+    }
+
+    // Prefer the record that already matches, so only stale copies go
+    const matching = atName
+      .filter(other => other.type === desired.type)
+      .sort((a, b) => Number(contentKey(b) === contentKey(desired)) - Number(contentKey(a) === contentKey(desired)));
+    const [existing = null, ...duplicates] = matching;
+    const stale = SINGLE_VALUE_TYPES.includes(desired.type) ? duplicates : [];
+
+    let result;
+    if (!existing) {
+      result = { action: 'created', record: await this.createRecord(domain, desired), previous: null };
+    } else if (this.sameRecord(existing, desired)) {
+      result = { action: stale.length > 0 ? 'updated' : 'unchanged', record: existing, previous: existing };
+    } else {
+      result = { action: 'updated', record: await this.updateRecord(domain, existing, desired), previous: existing };
+    }
+
+    if (result.action !== 'unchanged' && result.record !== existing) {
+      await this.journalChange(domain, result.action, result.previous, result.record, context);
+    }
+    for (const duplicate of stale) {
+      await this.removeRecord(domain, duplicate);
+      await this.journalChange(domain, 'deleted', duplicate, null, { ...context, reason: `duplicate of ${desired.name} ${desired.type}` });
+    }
+    return { ...result, removed: stale };
+  }
+
+  /**
+   * Delete the record with this name and type; `content` picks one out where
+   * several share them (TXT, MX)
+   */
+  async deleteRecord(domain, { name, type, content }, context = {}) {
+    const matching = await this.listRecords(domain, { name: DNSProvider.relativeName(name, domain), type });
+    const existing = content === undefined
+      ? matching[0]
+      : matching.find(record => contentKey(record) === contentKey({ type: record.type, content: String(content) }));
+    if (!existing) return { deleted: false, record: null };
+
+    await this.removeRecord(domain, existing);
+    await this.journalChange(domain, 'deleted', existing, null, context);
+    return { deleted: true, record: existing };
+  }
+
+  /**
+   * Put `record` back as it was: in place of `current` (a live record), or
+   * alongside any others of its name and type without one. Used to undo
+   * journal entries (dns-journal.js), so there are no conflict or duplicate
+   * checks.
+   */
+  async restoreRecord(domain, current, record, context = {}) {
+    const desired = this.prepareRecord(domain, record);
+    const restored = current
+      ? await this.updateRecord(domain, current, desired)
+      : await this.createRecord(domain, desired);
+
+    await this.journalChange(domain, current ? 'updated' : 'created', current, restored, context);
+    return restored;
+  }
+
+  /**
+   * Append a change to the journal. The change has already been made, so a
+   * journal that can't be written is logged rather than thrown.
+   */
+  async journalChange(domain, action, before, after, { actor, reason, undoOf } = {}) {
+    if (!this.journal) return null;
+
+    const { name, type } = after || before;
+    // Failover records (capabilities().failoverRecords) have roles instead
+    const value = record => record && ('content' in record
+      ? { content: record.content, ttl: record.ttl, proxied: Boolean(record.proxied) }
+      : { primary: record.primary, secondary: record.secondary, ttl: record.ttl });
+
+    try {
+      return await this.journal.append({
+        provider: this.key,
+        providerName: this.name,
+        domain,
+        name,
+        type,
+        action,
+        before: value(before),
+        after: value(after),
+        ...(actor && { actor }),
+        reason: reason || null,
+        undoOf: undoOf || null
+      });
+    } catch (error) {
+      console.error(`⚠️ ${this.name}: could not journal the ${type} change to ${name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Implemented by each provider: createRecord(domain, record) -> record,
+  // updateRecord(domain, existing, record) -> record and
+  // removeRecord(domain, existing)
+  async createRecord() {
+    throw new DNSProviderError(this.name, 'createRecord is not implemented');
+  }
+
+  async updateRecord() {
+    throw new DNSProviderError(this.name, 'updateRecord is not implemented');
+  }
+
+  async removeRecord() {
+    throw new DNSProviderError(this.name, 'removeRecord is not implemented');
+  }
+
+  prepareRecord(domain, { name, type, content, ttl, proxied }) {
+    const { recordTypes, minTtl, proxied: canProxy } = this.capabilities();
+    const recordType = String(type || '').toUpperCase();
+
+    if (!recordTypes.includes(recordType)) {
+      throw new DNSProviderError(this.name, `${type} records are not supported (use ${recordTypes.join(', ')})`);
+    }
+    if (!content) {
+      throw new DNSProviderError(this.name, `a ${recordType} record needs content`);
+    }
+
+    return {
+      name: DNSProvider.relativeName(name, domain),
+      type: recordType,
+      content: HOSTNAME_TYPES.includes(recordType) ? String(content).replace(/\.$/, '') : String(content),
+      ttl: Math.max(Number(ttl) || minTtl, minTtl),
+      proxied: canProxy ? Boolean(proxied) : false
+    };
+  }
+
+  sameRecord(existing, desired) {
+    return contentKey(existing) === contentKey(desired) &&
+      existing.ttl === desired.ttl &&
+      Boolean(existing.proxied) === desired.proxied;
+  }
+
+  matchesFilter(record, domain, { name, type } = {}) {
+    return (!name || record.name === DNSProvider.relativeName(name, domain)) &&
+      (!type || record.type === String(type).toUpperCase());
+  }
+
+  /**
+   * Send a request to the provider's API, turning HTTP and network failures
+   * into a DNSProviderError with the provider's own message where it has one
+   */
+  async request(config) {
+    try {
+      return await this.http.request(config);
+    } catch (error) {
+      const status = error.response?.status ?? null;
+      const message = (error.response && this.errorMessage(error.response.data)) || error.message;
+      throw new DNSProviderError(this.name, message, status);
+    }
+  }
+
+  errorMessage(data) {
+    return data?.message || null;
+  }
+
+  async loadCredentials() {
+    if (this.credentials) return this.credentials;
+
+    this.credentials = this.credentialsFromEnvironment(this.env) || await this.credentialsFromFile();
+    if (!this.credentials) {
+      throw new DNSProviderError(this.name, 'no credentials found');
+    }
+    return this.credentials;
+  }
+
+  credentialsFromEnvironment(env) {
+    return null;
+  }
+
+  async credentialsFromFile() {
+    if (!this.credentialsFile) return null;
+
+    try {
+      const credsPath = path.join(__dirname, '..', 'config', this.credentialsFile);
+      return JSON.parse(await fs.readFile(credsPath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // 'fogg.candlefish.ai' -> 'fogg', 'candlefish.ai' -> '@'
+  static relativeName(name, domain) {
+    const host = String(name || APEX).replace(/\.$/, '').toLowerCase();
+    const zone = domain.toLowerCase();
+
+    if (host === zone || host === APEX) return APEX;
+    return host.endsWith(`.${zone}`) ? host.slice(0, -(zone.length + 1)) : host;
+  }
+
+  // 'fogg' -> 'fogg.candlefish.ai', '@' -> 'candlefish.ai'
+  static absoluteName(name, domain) {
+    const relative = DNSProvider.relativeName(name, domain);
+    return relative === APEX ? domain : `${relative}.${domain}`;
+  }
+}
+
+DNSProvider.APEX = APEX;
+DNSProvider.SINGLE_VALUE_TYPES = SINGLE_VALUE_TYPES;
+
+module.exports = {
+  DNSProvider,
+  DNSProviderError
+};
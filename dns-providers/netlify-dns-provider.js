@@ -1,211 +1,126 @@
 /**
  * Netlify DNS Provider Implementation
  * Final fallback DNS management option
+ *
+ * Netlify's API can't edit a record, so an update adds the new record and
+ * then removes the old one. Writing to a domain without a Netlify DNS zone
+ * creates the zone (its nameservers still have to be set at the registrar).
  */
 
-const axios = require('axios');
-const fs = require('fs').promises;
-const path = require('path');
+const { DNSProvider } = require('./dns-provider');
 
-class NetlifyDNSProvider {
-  constructor() {
-    this.name = 'Netlify DNS';
-    this.apiBase = 'https://api.netlify.com/api/v1';
-    this.credentials = null;
-    this.dnsZoneId = null;
+class NetlifyDNSProvider extends DNSProvider {
+  constructor(options = {}) {
+    super({ name: 'Netlify DNS', apiBase: 'https://api.netlify.com/api/v1', ...options });
+    this.credentialsFile = 'netlify-creds.json';
+    this.dnsZoneIds = new Map();
   }
 
-  async healthCheck() {
-    try {
-      this.credentials = await this.loadCredentials();
-      
-      const response = await axios.get(`${this.apiBase}/user`, {
-        headers: {
-          'Authorization': `Bearer ${this.credentials.accessToken}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      });
-      
-      return { 
-        healthy: response.status === 200,
-        error: response.data.error_message 
-      };
-      
-    } catch (error) {
-      return { 
-        healthy: false, 
-        error: `Netlify API unreachable: ${error.message}` 
-      };
-    }
+  capabilities() {
+    return {
+      ...super.capabilities(),
+      recordTypes: ['A', 'AAAA', 'CNAME', 'TXT', 'MX'],
+      minTtl: 60,
+      inPlaceUpdates: false
+    };
   }
 
-  async createRecord({ domain, subdomain, target, ttl }) {
-    try {
-      // First, ensure DNS zone exists for the domain
-      await this.ensureDNSZone(domain);
-      
-      // Check if record already exists
-      const existingRecord = await this.findExistingRecord(subdomain);
-      
-      if (existingRecord) {
-        // Update existing record
-        return await this.updateRecord(existingRecord.id, { target, ttl });
-      } else {
-        // Create new record
-        return await this.createNewRecord({ subdomain, target, ttl });
-      }
-
-    } catch (error) {
-      return {
-        success: false,
-        error: `Netlify DNS error: ${error.message}`
-      };
-    }
+  credentialsFromEnvironment(env) {
+    const accessToken = env.NETLIFY_ACCESS_TOKEN || env.NETLIFY_AUTH_TOKEN || env.NETLIFY_TOKEN;
+    return accessToken ? { accessToken } : null;
   }
 
-  async ensureDNSZone(domain) {
+  async healthCheck() {
     try {
-      // Check if DNS zone already exists
-      const zones = await this.getDNSZones();
-      const existingZone = zones.find(zone => zone.name === domain);
-      
-      if (existingZone) {
-        this.dnsZoneId = existingZone.id;
-        return existingZone;
-      }
-
-      // Create new DNS zone
-      const response = await axios.post(`${this.apiBase}/dns_zones`, {
-        name: domain
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.credentials.accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      this.dnsZoneId = response.data.id;
-      
-      // Return setup instructions since nameservers need to be changed
-      return {
-        id: response.data.id,
-        nameservers: response.data.dns_servers,
-        setupRequired: true
-      };
-
+      await this.call({ url: '/user', timeout: 10000 });
+      return { healthy: true, error: null };
     } catch (error) {
-      throw new Error(`Failed to create/find DNS zone: ${error.message}`);
+      return { healthy: false, error: error.message };
     }
   }
 
-  async getDNSZones() {
-    const response = await axios.get(`${this.apiBase}/dns_zones`, {
-      headers: {
-        'Authorization': `Bearer ${this.credentials.accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
+  async listRecords(domain, filter = {}) {
+    const zoneId = await this.getDNSZoneId(domain);
+    if (!zoneId) return [];
 
-    return response.data;
-  }
+    const records = await this.call({ url: `/dns_zones/${zoneId}/dns_records` });
 
-  async findExistingRecord(subdomain) {
-    if (!this.dnsZoneId) return null;
+    return records
+      .map(record => this.toRecord(record, domain))
+      .filter(record => this.matchesFilter(record, domain, filter));
+  }
 
-    const response = await axios.get(`${this.apiBase}/dns_zones/${this.dnsZoneId}/dns_records`, {
-      headers: {
-        'Authorization': `Bearer ${this.credentials.accessToken}`,
-        'Content-Type': 'application/json'
+  async createRecord(domain, record) {
+    const zoneId = await this.ensureDNSZone(domain);
+    const created = await this.call({
+      method: 'post',
+      url: `/dns_zones/${zoneId}/dns_records`,
+      data: {
+        type: record.type,
+        hostname: DNSProvider.absoluteName(record.name, domain),
+        value: record.content,
+        ttl: record.ttl
       }
     });
-
-    return response.data.find(record => 
-      record.hostname === subdomain && record.type === 'CNAME'
-    );
+    return this.toRecord(created, domain);
   }
 
-  async createNewRecord({ subdomain, target, ttl }) {
-    const response = await axios.post(`${this.apiBase}/dns_zones/${this.dnsZoneId}/dns_records`, {
-      type: 'CNAME',
-      hostname: subdomain,
-      value: target,
-      ttl: ttl
-    }, {
-      headers: {
-        'Authorization': `Bearer ${this.credentials.accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
+  async updateRecord(domain, existing, record) {
+    const created = await this.createRecord(domain, record);
+    await this.removeRecord(domain, existing);
+    return created;
+  }
 
-    return {
-      success: response.status === 201,
-      recordId: response.data.id,
-      error: response.data.error_message
-    };
+  async removeRecord(domain, existing) {
+    const zoneId = await this.getDNSZoneId(domain);
+    await this.call({ method: 'delete', url: `/dns_zones/${zoneId}/dns_records/${existing.id}` });
   }
 
-  async updateRecord(recordId, { target, ttl }) {
-    const response = await axios.put(`${this.apiBase}/dns_zones/${this.dnsZoneId}/dns_records/${recordId}`, {
-      type: 'CNAME',
-      value: target,
-      ttl: ttl
-    }, {
-      headers: {
-        'Authorization': `Bearer ${this.credentials.accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
+  // The zone's id, or null when Netlify doesn't host the domain yet
+  async getDNSZoneId(domain) {
+    if (this.dnsZoneIds.has(domain)) return this.dnsZoneIds.get(domain);
 
-    return {
-      success: response.status === 200,
-      recordId: recordId,
-      error: response.data.error_message
-    };
+    const zones = await this.call({ url: '/dns_zones' });
+    const zone = zones.find(candidate => candidate.name === domain);
+    if (!zone) return null;
+
+    this.dnsZoneIds.set(domain, zone.id);
+    return zone.id;
   }
 
-  async loadCredentials() {
-    // Try multiple credential sources
-    const sources = [
-      () => this.loadFromEnvironment(),
-      () => this.loadFromFile(),
-      () => this.loadFromAWSSecrets()
-    ];
+  async ensureDNSZone(domain) {
+    const existing = await this.getDNSZoneId(domain);
+    if (existing) return existing;
 
-    for (const source of sources) {
-      try {
-        const creds = await source();
-        if (creds) return creds;
-      } catch (error) {
-        console.warn(`Netlify credential source failed: ${error.message}`);
-      }
-    }
+    const zone = await this.call({ method: 'post', url: '/dns_zones', data: { name: domain } });
+    console.log(`📋 Created Netlify DNS zone for ${domain} - point its nameservers at ${(zone.dns_servers || []).join(', ')}`);
 
-    throw new Error('No valid Netlify credentials found');
+    this.dnsZoneIds.set(domain, zone.id);
+    return zone.id;
   }
 
-  async loadFromEnvironment() {
-    if (process.env.NETLIFY_ACCESS_TOKEN) {
-      return {
-        accessToken: process.env.NETLIFY_ACCESS_TOKEN
-      };
-    }
-    return null;
+  async call(config) {
+    const { accessToken } = await this.loadCredentials();
+    const response = await this.request({
+      ...config,
+      headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json' }
+    });
+    return response.data;
   }
 
-  async loadFromFile() {
-    try {
-      const credsPath = path.join(__dirname, '..', 'config', 'netlify-creds.json');
-      const creds = JSON.parse(await fs.readFile(credsPath, 'utf8'));
-      return creds;
-    } catch {
-      return null;
-    }
+  errorMessage(data) {
+    return data?.message || data?.error_message || null;
   }
 
-  async loadFromAWSSecrets() {
-    // Implementation would depend on AWS SDK
-    return null;
+  toRecord({ id, hostname, type, value, ttl }, domain) {
+    return {
+      id,
+      name: DNSProvider.relativeName(hostname, domain),
+      type,
+      content: value,
+      ttl,
+      proxied: false
+    };
   }
 
   /**
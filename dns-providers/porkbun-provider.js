@@ -0,0 +1,131 @@
+/**
+ * Porkbun DNS Provider Implementation
+ * Primary DNS provider - Porkbun is the registrar for candlefish.ai
+ *
+ * Every call is a POST carrying the API key pair; records come back with
+ * fully qualified names and string TTLs, and Porkbun won't go below a
+ * 600 second TTL.
+ *
+ * Porkbun happily stores several CNAMEs for one name, so lookups by name and
+ * type go through dns/retrieveByNameType and CNAME/ALIAS changes through
+ * dns/editByNameType, which rewrites every copy at once; the shared upsert
+ * then removes the extra copies.
+ */
+
+const { DNSProvider, DNSProviderError } = require('./dns-provider');
+
+class PorkbunProvider extends DNSProvider {
+  constructor(options = {}) {
+    super({ name: 'Porkbun', apiBase: 'https://api.porkbun.com/api/json/v3', ...options });
+    this.credentialsFile = 'porkbun-creds.json';
+  }
+
+  capabilities() {
+    return {
+      ...super.capabilities(),
+      recordTypes: ['A', 'AAAA', 'CNAME', 'ALIAS', 'TXT', 'MX'],
+      minTtl: 600
+    };
+  }
+
+  credentialsFromEnvironment(env) {
+    if (env.PORKBUN_API_KEY && env.PORKBUN_SECRET_KEY) {
+      return {
+        apiKey: env.PORKBUN_API_KEY,
+        secretKey: env.PORKBUN_SECRET_KEY
+      };
+    }
+    return null;
+  }
+
+  async healthCheck() {
+    try {
+      await this.call('ping', {}, { timeout: 10000 });
+      return { healthy: true, error: null };
+    } catch (error) {
+      return { healthy: false, error: error.message };
+    }
+  }
+
+  async listRecords(domain, filter = {}) {
+    const data = filter.name && filter.type
+      ? await this.call(`dns/retrieveByNameType/${domain}/${this.nameType(domain, filter)}`)
+      : await this.call(`dns/retrieve/${domain}`);
+
+    return (data.records || [])
+      .map(record => this.toRecord(record, domain))
+      .filter(record => this.matchesFilter(record, domain, filter));
+  }
+
+  async createRecord(domain, record) {
+    const data = await this.call(`dns/create/${domain}`, this.toPorkbun(record));
+    return { id: String(data.id), ...record, proxied: false };
+  }
+
+  // By id for types that can hold several records, like TXT, so the others
+  // at the name are left alone
+  async updateRecord(domain, existing, record) {
+    if (DNSProvider.SINGLE_VALUE_TYPES.includes(record.type)) {
+      const { content, ttl } = this.toPorkbun(record);
+      await this.call(`dns/editByNameType/${domain}/${this.nameType(domain, record)}`, { content, ttl });
+    } else {
+      await this.call(`dns/edit/${domain}/${existing.id}`, this.toPorkbun(record));
+    }
+    return { id: existing.id, ...record, proxied: false };
+  }
+
+  async removeRecord(domain, existing) {
+    await this.call(`dns/delete/${domain}/${existing.id}`);
+  }
+
+  /**
+   * POST `body` plus the API keys to `endpoint`; Porkbun answers errors
+   * with status 'ERROR' (usually, but not always, as a 4xx)
+   */
+  async call(endpoint, body = {}, options = {}) {
+    const { apiKey, secretKey } = await this.loadCredentials();
+    const response = await this.request({
+      method: 'post',
+      url: `/${endpoint}`,
+      data: { apikey: apiKey, secretapikey: secretKey, ...body },
+      ...options
+    });
+
+    if (response.data?.status !== 'SUCCESS') {
+      throw new DNSProviderError(this.name, this.errorMessage(response.data) || 'request failed', response.status);
+    }
+    return response.data;
+  }
+
+  // The TYPE/SUBDOMAIN path the ByNameType endpoints take
+  nameType(domain, { name, type }) {
+    return `${String(type).toUpperCase()}/${this.toPorkbunName(DNSProvider.relativeName(name, domain))}`;
+  }
+
+  // Porkbun takes the subdomain alone, with '' for the apex
+  toPorkbunName(name) {
+    return name === DNSProvider.APEX ? '' : name;
+  }
+
+  toPorkbun({ name, type, content, ttl }) {
+    return {
+      name: this.toPorkbunName(name),
+      type,
+      content,
+      ttl: String(ttl)
+    };
+  }
+
+  toRecord({ id, name, type, content, ttl }, domain) {
+    return {
+      id: String(id),
+      name: DNSProvider.relativeName(name, domain),
+      type,
+      content,
+      ttl: Number(ttl),
+      proxied: false
+    };
+  }
+}
+
+module.exports = PorkbunProvider;
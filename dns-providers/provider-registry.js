@@ -0,0 +1,66 @@
+/**
+ * DNS provider registry
+ *
+ * The one place that knows which DNS providers exist. DNSManager,
+ * DNSFailoverSystem and BackupDeploymentStrategy get their providers here,
+ * by the key config/production.yml uses for `dns.provider`:
+ *
+ *   porkbun     - PorkbunProvider
+ *   cloudflare  - CloudflareProvider
+ *   netlify     - NetlifyDNSProvider
+ *   route53     - Route53Provider
+ *
+ * Providers write their changes to the shared DNSChangeJournal
+ * (dns-change-journal.js) unless given `journal: null`.
+ *
+ * A new provider extends DNSProvider (dns-providers/dns-provider.js), is
+ * added to PROVIDERS, and gets a fake API in dns-providers/conformance/ so
+ * `npm test` holds it to the same behaviour as the others.
+ */
+
+const PorkbunProvider = require('./porkbun-provider');
+const CloudflareProvider = require('./cloudflare-provider');
+const NetlifyDNSProvider = require('./netlify-dns-provider');
+const Route53Provider = require('./route53-provider');
+const DNSChangeJournal = require('./dns-change-journal');
+
+// In fallback order
+const PROVIDERS = {
+  porkbun: PorkbunProvider,
+  cloudflare: CloudflareProvider,
+  netlify: NetlifyDNSProvider,
+  route53: Route53Provider
+};
+
+function providerKeys() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * A new provider instance, with its registry key as `key`; options go to
+ * its constructor (apiBase, credentials, env, journal)
+ */
+function createDNSProvider(key, options = {}) {
+  const Provider = PROVIDERS[key];
+  if (!Provider) {
+    throw new Error(`Unknown DNS provider: ${key} (available: ${providerKeys().join(', ')})`);
+  }
+
+  const provider = new Provider({ journal: DNSChangeJournal.shared(), ...options });
+  provider.key = key;
+  return provider;
+}
+
+/**
+ * Every provider, `primary` first and the rest in fallback order
+ */
+function providerChain(primary = providerKeys()[0], options = {}) {
+  const keys = [primary, ...providerKeys().filter(key => key !== primary)];
+  return keys.map(key => createDNSProvider(key, options));
+}
+
+module.exports = {
+  providerKeys,
+  createDNSProvider,
+  providerChain
+};
@@ -0,0 +1,402 @@
+/**
+ * AWS Route53 DNS Provider Implementation
+ * Health-checked failover records on top of the common record calls
+ *
+ * Talks to the Route53 REST API (XML) directly, signing each request with
+ * AWS Signature V4. Every change waits until Route53 reports it INSYNC on
+ * all of its name servers.
+ *
+ * Records here are the zone's simple record sets; a set with several values
+ * is one record with the values on separate lines of `content`. Failover
+ * record sets (a PRIMARY and a SECONDARY, each tied to a Route53 health
+ * check, so Route53 itself switches when the primary's check fails) have
+ * their own calls:
+ *
+ *   ensureHealthCheck(url)                    -> health check id
+ *   listFailoverRecords(domain, name, type)   -> [{ role, content, ttl, healthCheckId, setIdentifier }]
+ *   upsertFailoverRecords(domain, { name, type, ttl, primary, secondary }, context)
+ *       primary/secondary: { content, healthCheckId }; replaces a simple
+ *       record of the same name and type
+ *
+ * ROUTE53_ZONE_ID skips the hosted zone lookup.
+ */
+
+const crypto = require('crypto');
+const { DNSProvider, DNSProviderError } = require('./dns-provider');
+const { signRequest } = require('./aws-signature-v4');
+
+const API_VERSION = '2013-04-01';
+const XML_NAMESPACE = `https://route53.amazonaws.com/doc/${API_VERSION}/`;
+const SIGNING_REGION = 'us-east-1';
+const SIGNING_SERVICE = 'route53';
+const PAGE_SIZE = 300;
+const CHANGE_TIMEOUT_MS = 120000;
+const CHANGE_POLL_INTERVAL_MS = 5000;
+const HEALTH_CHECK_INTERVAL = 10;           // seconds between Route53 checks
+const HEALTH_CHECK_FAILURE_THRESHOLD = 2;   // failed checks before unhealthy
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function xmlUnescape(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Route53's responses never nest an element inside one of the same name,
+// so a non-greedy match finds each element's contents
+function xmlElements(xml, tag) {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+  return [...String(xml).matchAll(pattern)].map(match => match[1]);
+}
+
+function xmlValue(xml, tag) {
+  const [value] = xmlElements(xml, tag);
+  return value === undefined ? null : xmlUnescape(value.trim());
+}
+
+class Route53Provider extends DNSProvider {
+  constructor({ changeTimeout = CHANGE_TIMEOUT_MS, changePollInterval = CHANGE_POLL_INTERVAL_MS, ...options } = {}) {
+    super({ name: 'AWS Route53', apiBase: 'https://route53.amazonaws.com', ...options });
+    this.credentialsFile = 'route53-creds.json';
+    this.changeTimeout = changeTimeout;
+    this.changePollInterval = changePollInterval;
+    this.hostedZoneIds = new Map();
+  }
+
+  capabilities() {
+    return {
+      ...super.capabilities(),
+      recordTypes: ['A', 'AAAA', 'CNAME', 'TXT', 'MX'],
+      minTtl: 60,
+      failoverRecords: true
+    };
+  }
+
+  credentialsFromEnvironment(env) {
+    if (env.AWS_ACCESS_KEY_ID && env.AWS_SECRET_ACCESS_KEY) {
+      return {
+        accessKeyId: env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+        sessionToken: env.AWS_SESSION_TOKEN,
+        hostedZoneId: env.ROUTE53_ZONE_ID
+      };
+    }
+    return null;
+  }
+
+  // A signed call that needs nothing but valid credentials
+  async healthCheck() {
+    try {
+      await this.call({ path: 'hostedzonecount', timeout: 10000 });
+      return { healthy: true, error: null };
+    } catch (error) {
+      return { healthy: false, error: error.message };
+    }
+  }
+
+  async listRecords(domain, filter = {}) {
+    return (await this.listRecordSets(domain))
+      .filter(set => !set.setIdentifier && set.values.length > 0)
+      .map(set => this.toRecord(set, domain))
+      .filter(record => this.matchesFilter(record, domain, filter));
+  }
+
+  async createRecord(domain, record) {
+    const set = this.toRecordSet(record, domain);
+    await this.changeRecordSets(domain, [{ action: 'CREATE', set }]);
+    return this.toRecord(set, domain);
+  }
+
+  async updateRecord(domain, existing, record) {
+    const set = this.toRecordSet(record, domain);
+    await this.changeRecordSets(domain, [{ action: 'UPSERT', set }]);
+    return this.toRecord(set, domain);
+  }
+
+  // A DELETE has to repeat the record set exactly as it is
+  async removeRecord(domain, existing) {
+    await this.changeRecordSets(domain, [{ action: 'DELETE', set: this.toRecordSet(existing, domain) }]);
+  }
+
+  async listFailoverRecords(domain, name, type) {
+    const relative = DNSProvider.relativeName(name, domain);
+    const recordType = String(type).toUpperCase();
+
+    return (await this.listRecordSets(domain))
+      .filter(set => set.failover && DNSProvider.relativeName(set.name, domain) === relative && set.type === recordType)
+      .map(set => ({
+        role: set.failover,
+        setIdentifier: set.setIdentifier,
+        content: this.toContent(set),
+        ttl: set.ttl,
+        healthCheckId: set.healthCheckId
+      }));
+  }
+
+  /**
+   * Point `name` at primary.content while its health check passes and at
+   * secondary.content otherwise; without a secondary Route53 answers with
+   * the primary regardless
+   */
+  async upsertFailoverRecords(domain, { name, type = 'CNAME', ttl, primary, secondary }, context = {}) {
+    const prepared = this.prepareRecord(domain, { name, type, content: primary.content, ttl });
+    const changes = [];
+
+    const simple = await this.getRecord(domain, prepared.name, prepared.type);
+    if (simple) {
+      changes.push({ action: 'DELETE', set: this.toRecordSet(simple, domain) });
+    }
+
+    const roles = [['PRIMARY', primary], ['SECONDARY', secondary]];
+    const existing = await this.listFailoverRecords(domain, prepared.name, prepared.type);
+
+    for (const [role, target] of roles) {
+      const current = existing.find(set => set.role === role);
+      const setIdentifier = current?.setIdentifier || `${prepared.name}-${role.toLowerCase()}`;
+
+      if (target) {
+        const { content } = this.prepareRecord(domain, { name, type, content: target.content, ttl });
+        changes.push({
+          action: 'UPSERT',
+          set: { ...this.toRecordSet({ ...prepared, content }, domain), setIdentifier, failover: role, healthCheckId: target.healthCheckId || null }
+        });
+      } else if (current) {
+        changes.push({
+          action: 'DELETE',
+          set: { ...this.toRecordSet({ ...prepared, ...current }, domain), setIdentifier, failover: role, healthCheckId: current.healthCheckId }
+        });
+      }
+    }
+
+    const change = await this.changeRecordSets(domain, changes);
+    const records = await this.listFailoverRecords(domain, prepared.name, prepared.type);
+
+    if (simple) {
+      await this.journalChange(domain, 'deleted', simple, null, { ...context, reason: context.reason || 'replaced by failover records' });
+    }
+    await this.journalChange(domain, 'failover',
+      existing.length > 0 ? { name: prepared.name, type: prepared.type, ...this.failoverValue(existing) } : null,
+      { name: prepared.name, type: prepared.type, ...this.failoverValue(records) },
+      context);
+
+    return { changeId: change.id, status: change.status, records };
+  }
+
+  // The roles as upsertFailoverRecords takes them, for the journal
+  failoverValue(sets) {
+    const role = name => {
+      const set = sets.find(candidate => candidate.role === name);
+      return set ? { content: set.content, healthCheckId: set.healthCheckId } : null;
+    };
+    return { primary: role('PRIMARY'), secondary: role('SECONDARY'), ttl: sets[0]?.ttl ?? null };
+  }
+
+  /**
+   * The id of a Route53 health check requesting `url` every
+   * HEALTH_CHECK_INTERVAL seconds; Route53 hands back the existing check
+   * for a repeated caller reference, so this is safe to call every time
+   */
+  async ensureHealthCheck(url) {
+    const target = new URL(url);
+    const secure = target.protocol === 'https:';
+    const config = {
+      Type: secure ? 'HTTPS' : 'HTTP',
+      ResourcePath: `${target.pathname}${target.search}`,
+      FullyQualifiedDomainName: target.hostname,
+      Port: Number(target.port) || (secure ? 443 : 80),
+      RequestInterval: HEALTH_CHECK_INTERVAL,
+      FailureThreshold: HEALTH_CHECK_FAILURE_THRESHOLD,
+      ...(secure && { EnableSNI: true })
+    };
+    const callerReference = `fogg-${crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex').slice(0, 32)}`;
+
+    const body = `<?xml version="1.0" encoding="UTF-8"?>
+<CreateHealthCheckRequest xmlns="${XML_NAMESPACE}">
+  <CallerReference>${callerReference}</CallerReference>
+  <HealthCheckConfig>
+${Object.entries(config).map(([key, value]) => `    <${key}>${xmlEscape(value)}</${key}>`).join('\n')}
+  </HealthCheckConfig>
+</CreateHealthCheckRequest>`;
+
+    const response = await this.call({ method: 'POST', path: 'healthcheck', body });
+    return xmlValue(xmlElements(response, 'HealthCheck')[0], 'Id');
+  }
+
+  /**
+   * Submit a ChangeResourceRecordSets batch (applied all or nothing) and
+   * wait for it to be INSYNC
+   */
+  async changeRecordSets(domain, changes, comment = 'FOGG DNS tools') {
+    const zoneId = await this.getHostedZoneId(domain);
+    const body = `<?xml version="1.0" encoding="UTF-8"?>
+<ChangeResourceRecordSetsRequest xmlns="${XML_NAMESPACE}">
+  <ChangeBatch>
+    <Comment>${xmlEscape(comment)}</Comment>
+    <Changes>
+${changes.map(({ action, set }) => `      <Change>
+        <Action>${action}</Action>
+        ${this.recordSetXml(set)}
+      </Change>`).join('\n')}
+    </Changes>
+  </ChangeBatch>
+</ChangeResourceRecordSetsRequest>`;
+
+    const response = await this.call({ method: 'POST', path: `hostedzone/${zoneId}/rrset/`, body });
+    return this.waitForChange(xmlValue(response, 'Id'), xmlValue(response, 'Status'));
+  }
+
+  async waitForChange(changeId, status) {
+    const deadline = Date.now() + this.changeTimeout;
+    const id = changeId.replace(/^\/change\//, '');
+
+    while (status !== 'INSYNC') {
+      if (Date.now() >= deadline) {
+        throw new DNSProviderError(this.name, `change ${id} still ${status} after ${Math.round(this.changeTimeout / 1000)}s`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.changePollInterval));
+      status = xmlValue(await this.call({ path: `change/${id}` }), 'Status');
+    }
+
+    return { id, status };
+  }
+
+  async listRecordSets(domain) {
+    const zoneId = await this.getHostedZoneId(domain);
+    const sets = [];
+    let params = new URLSearchParams({ maxitems: String(PAGE_SIZE) });
+
+    for (;;) {
+      const response = await this.call({ path: `hostedzone/${zoneId}/rrset?${params}` });
+      sets.push(...xmlElements(response, 'ResourceRecordSet').map(xml => this.parseRecordSet(xml)));
+
+      if (xmlValue(response, 'IsTruncated') !== 'true') return sets;
+
+      params = new URLSearchParams({ maxitems: String(PAGE_SIZE), name: xmlValue(response, 'NextRecordName'), type: xmlValue(response, 'NextRecordType') });
+      const nextIdentifier = xmlValue(response, 'NextRecordIdentifier');
+      if (nextIdentifier) params.set('identifier', nextIdentifier);
+    }
+  }
+
+  async getHostedZoneId(domain) {
+    if (this.hostedZoneIds.has(domain)) return this.hostedZoneIds.get(domain);
+
+    const { hostedZoneId } = await this.loadCredentials();
+    if (hostedZoneId) {
+      this.hostedZoneIds.set(domain, hostedZoneId.replace(/^\/hostedzone\//, ''));
+      return this.hostedZoneIds.get(domain);
+    }
+
+    const response = await this.call({ path: `hostedzonesbyname?${new URLSearchParams({ dnsname: domain, maxitems: '1' })}` });
+    const zone = xmlElements(response, 'HostedZone').find(xml => xmlValue(xml, 'Name') === `${domain}.`);
+    if (!zone) {
+      throw new DNSProviderError(this.name, `no hosted zone for domain: ${domain}`, 404);
+    }
+
+    const zoneId = xmlValue(zone, 'Id').replace(/^\/hostedzone\//, '');
+    this.hostedZoneIds.set(domain, zoneId);
+    return zoneId;
+  }
+
+  /**
+   * A signed request to `path` under the API version; resolves the
+   * response body (XML)
+   */
+  async call({ method = 'GET', path, body = '', timeout }) {
+    const credentials = await this.loadCredentials();
+    const url = `${this.apiBase}/${API_VERSION}/${path}`;
+    const headers = signRequest({
+      method,
+      url,
+      headers: body ? { 'Content-Type': 'application/xml' } : {},
+      body,
+      region: SIGNING_REGION,
+      service: SIGNING_SERVICE,
+      credentials
+    });
+
+    const response = await this.request({
+      method,
+      url,
+      data: body || undefined,
+      headers,
+      timeout,
+      responseType: 'text',
+      transformResponse: [data => data]
+    });
+    return response.data;
+  }
+
+  // <ErrorResponse><Error><Code>..</Code><Message>..</Message></Error></ErrorResponse>
+  errorMessage(data) {
+    const code = xmlValue(data, 'Code');
+    const message = xmlValue(data, 'Message');
+    return code || message ? [code, message].filter(Boolean).join(': ') : null;
+  }
+
+  parseRecordSet(xml) {
+    return {
+      name: xmlValue(xml, 'Name').replace(/\\052/g, '*'),
+      type: xmlValue(xml, 'Type'),
+      ttl: Number(xmlValue(xml, 'TTL')),
+      values: xmlElements(xml, 'Value').map(value => xmlUnescape(value.trim())),
+      setIdentifier: xmlValue(xml, 'SetIdentifier'),
+      failover: xmlValue(xml, 'Failover'),
+      healthCheckId: xmlValue(xml, 'HealthCheckId')
+    };
+  }
+
+  // Elements in the order Route53's schema requires
+  recordSetXml({ name, type, setIdentifier, failover, ttl, values, healthCheckId }) {
+    return [
+      '<ResourceRecordSet>',
+      `<Name>${xmlEscape(name)}</Name>`,
+      `<Type>${type}</Type>`,
+      setIdentifier ? `<SetIdentifier>${xmlEscape(setIdentifier)}</SetIdentifier>` : '',
+      failover ? `<Failover>${failover}</Failover>` : '',
+      `<TTL>${ttl}</TTL>`,
+      `<ResourceRecords>${values.map(value => `<ResourceRecord><Value>${xmlEscape(value)}</Value></ResourceRecord>`).join('')}</ResourceRecords>`,
+      healthCheckId ? `<HealthCheckId>${xmlEscape(healthCheckId)}</HealthCheckId>` : '',
+      '</ResourceRecordSet>'
+    ].join('');
+  }
+
+  // TXT values go to Route53 in quotes
+  toRecordSet({ name, type, content, ttl }, domain) {
+    return {
+      name: `${DNSProvider.absoluteName(name, domain)}.`,
+      type,
+      ttl,
+      values: content.split('\n').map(value => (type === 'TXT' ? `"${value.replace(/(["\\])/g, '\\$1')}"` : value))
+    };
+  }
+
+  toContent({ type, values }) {
+    return values
+      .map(value => (type === 'TXT' ? value.replace(/^"|"$/g, '').replace(/\\(["\\])/g, '$1') : value))
+      .join('\n');
+  }
+
+  toRecord(set, domain) {
+    const name = DNSProvider.relativeName(set.name, domain);
+    return {
+      id: `${name}/${set.type}`,
+      name,
+      type: set.type,
+      content: this.toContent(set),
+      ttl: set.ttl,
+      proxied: false
+    };
+  }
+}
+
+module.exports = Route53Provider;
@@ -16,15 +16,19 @@ const axios = require('axios');
 const https = require('https');
 const fs = require('fs').promises;
 const path = require('path');
+const { dnsSettings } = require('./config/config-loader');
 
 class DNSVerifier {
   constructor(config = {}) {
+    // Defaults from the dns section of config/production.yml
+    const settings = dnsSettings();
+
     this.config = {
-      domain: config.domain || 'candlefish.ai',
-      subdomain: config.subdomain || 'fogg',
-      target: config.target || 'fogg-calendar.netlify.app',
-      timeout: config.timeout || 300000, // 5 minutes
-      checkInterval: config.checkInterval || 10000, // 10 seconds
+      domain: settings.domain,
+      subdomain: settings.subdomain,
+      target: settings.target,
+      timeout: settings.verificationTimeout,
+      checkInterval: settings.verificationInterval,
       ...config
     };
 
@@ -573,12 +577,13 @@ class DNSVerifier {
 
 // CLI interface
 if (require.main === module) {
-  const config = {
-    domain: process.argv[2] || 'candlefish.ai',
-    subdomain: process.argv[3] || 'fogg',
-    target: process.argv[4] || 'fogg-calendar.netlify.app',
-    timeout: parseInt(process.argv[5]) || 300000
-  };
+  // Optional overrides: node dns-verifier.js [domain] [subdomain] [target] [timeoutMs]
+  const [domain, subdomain, target, timeout] = process.argv.slice(2);
+  const config = {};
+  if (domain) config.domain = domain;
+  if (subdomain) config.subdomain = subdomain;
+  if (target) config.target = target;
+  if (parseInt(timeout)) config.timeout = parseInt(timeout);
 
   console.log('🚀 DNS Verification System');
   console.log('─'.repeat(30));
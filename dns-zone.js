@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * Declarative DNS Zone
+ *
+ * config/dns-zone.yml (dns.zone_file) declares the records candlefish.ai
+ * should have. `plan` compares them with the provider's live records and
+ * lists the creates, updates and deletes that would make the two match;
+ * `apply` makes those changes once confirmed. DNSMonitor runs the same plan
+ * on a schedule and alerts when it isn't empty (drift).
+ *
+ * Only names the file declares are managed: a live record at a declared name
+ * with no declaration of its own is deleted, and records at other names are
+ * left alone unless the file sets `prune: true`. NS and SOA records are
+ * never touched.
+ *
+ * Usage: node dns-zone.js plan [zone-file]
+ *        node dns-zone.js apply [zone-file] [--yes]
+ */
+
+const readline = require('readline/promises');
+const { loadZoneFile } = require('./config/config-loader');
+const { createDNSProvider } = require('./dns-providers/provider-registry');
+
+// Belong to whoever hosts the zone
+const IGNORED_TYPES = ['NS', 'SOA'];
+
+// Applied in this order, so a CNAME can replace the A record it conflicts with
+const ACTIONS = ['delete', 'update', 'create'];
+
+const SYMBOLS = { create: '+', update: '~', delete: '-' };
+
+class DNSZone {
+  /**
+   * zone: a loaded zone file (loadZoneFile()), read from zoneFile or
+   * dns.zone_file when not given; provider: defaults to the zone's
+   */
+  constructor({ zone = null, zoneFile = null, provider = null } = {}) {
+    this.zone = zone || loadZoneFile(zoneFile);
+    this.domain = this.zone.domain;
+    this.provider = provider || createDNSProvider(this.zone.provider);
+  }
+
+  /**
+   * Diff the declared records against the live ones; resolves
+   * { domain, provider, changes: [{ action, record, current }], unchanged }
+   * with `record` the declared record and `current` the live one
+   */
+  async plan() {
+    const declared = this.zone.records.map(record => this.provider.prepareRecord(this.domain, record));
+    const live = (await this.provider.listRecords(this.domain))
+      .filter(record => !IGNORED_TYPES.includes(record.type));
+    const managedNames = new Set(declared.map(record => record.name));
+    const changes = [];
+    const matched = new Set();
+    let unchanged = 0;
+
+    for (const record of declared) {
+      const candidates = live.filter(current => current.name === record.name && current.type === record.type);
+      const current = candidates.find(candidate => this.provider.sameRecord(candidate, record)) || candidates[0];
+
+      if (!current) {
+        changes.push({ action: 'create', record, current: null });
+        continue;
+      }
+      matched.add(current);
+      if (this.provider.sameRecord(current, record)) {
+        unchanged++;
+      } else {
+        changes.push({ action: 'update', record, current });
+      }
+    }
+
+    for (const current of live) {
+      if (matched.has(current)) continue;
+      if (this.zone.prune || managedNames.has(current.name)) {
+        changes.push({ action: 'delete', record: null, current });
+      }
+    }
+
+    changes.sort((a, b) => ACTIONS.indexOf(a.action) - ACTIONS.indexOf(b.action));
+    return { domain: this.domain, provider: this.provider.name, changes, unchanged };
+  }
+
+  /**
+   * Make the plan's changes, deletes first; stops at the first failure.
+   * Resolves { applied: [change], failed: { change, error } | null }
+   */
+  async apply(plan, { actor } = {}) {
+    const applied = [];
+    const context = { actor, reason: 'dns-zone apply' };
+
+    for (const change of plan.changes) {
+      try {
+        if (change.action === 'delete') {
+          await this.provider.deleteRecord(this.domain, change.current, context);
+        } else {
+          await this.provider.upsertRecord(this.domain, change.record, context);
+        }
+        applied.push(change);
+        console.log(`  ✓ ${DNSZone.describeChange(change)}`);
+      } catch (error) {
+        console.error(`  ✗ ${DNSZone.describeChange(change)}: ${error.message}`);
+        return { applied, failed: { change, error: error.message } };
+      }
+    }
+
+    return { applied, failed: null };
+  }
+
+  static describeChange({ action, record, current }) {
+    const { name, type } = record || current;
+    const show = ({ content, ttl, proxied }) => `${content} (ttl ${ttl}${proxied ? ', proxied' : ''})`;
+
+    switch (action) {
+      case 'create': return `${SYMBOLS.create} ${name} ${type} ${show(record)}`;
+      case 'update': return `${SYMBOLS.update} ${name} ${type} ${show(current)} → ${show(record)}`;
+      default: return `${SYMBOLS.delete} ${name} ${type} ${show(current)}`;
+    }
+  }
+
+  static summarize({ changes, unchanged }) {
+    const count = action => changes.filter(change => change.action === action).length;
+    return `${count('create')} to create, ${count('update')} to update, ${count('delete')} to delete, ${unchanged} unchanged`;
+  }
+
+  static printPlan(plan) {
+    console.log(`📋 DNS plan for ${plan.domain} (${plan.provider})`);
+    plan.changes.forEach(change => console.log(`  ${DNSZone.describeChange(change)}`));
+    console.log(plan.changes.length === 0
+      ? `✅ Live records match the zone file (${plan.unchanged} unchanged)`
+      : `📊 ${DNSZone.summarize(plan)}`);
+  }
+}
+
+async function confirm(question) {
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return /^y(es)?$/i.test((await prompt.question(question)).trim());
+  } finally {
+    prompt.close();
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const [command, zoneFile] = args.filter(arg => !arg.startsWith('--'));
+  const assumeYes = args.includes('--yes');
+
+  async function main() {
+    if (!['plan', 'apply'].includes(command)) {
+      console.error('Usage: node dns-zone.js plan|apply [zone-file] [--yes]');
+      return 1;
+    }
+
+    const zone = new DNSZone({ zoneFile });
+    const plan = await zone.plan();
+    DNSZone.printPlan(plan);
+
+    if (command === 'plan' || plan.changes.length === 0) return 0;
+
+    if (!assumeYes) {
+      if (!process.stdin.isTTY) {
+        console.error('❌ Not applying without confirmation; re-run with --yes');
+        return 1;
+      }
+      if (!await confirm(`\nApply ${plan.changes.length} change(s) to ${plan.domain}? (yes/no) `)) {
+        console.log('🛑 Nothing applied');
+        return 1;
+      }
+    }
+
+    console.log(`\n🔧 Applying ${plan.changes.length} change(s) through ${plan.provider}...`);
+    const { applied, failed } = await zone.apply(plan);
+    console.log(failed
+      ? `❌ Stopped after ${applied.length} of ${plan.changes.length} change(s); run plan again to see what is left`
+      : `✅ Applied ${applied.length} change(s)`);
+    return failed ? 1 : 0;
+  }
+
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error('💥 DNS zone command failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = DNSZone;
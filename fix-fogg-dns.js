@@ -13,14 +13,19 @@ const DNSMonitor = require('./dns-monitor');
 const BackupDeploymentStrategy = require('./backup-deployment-strategy');
 const fs = require('fs').promises;
 const path = require('path');
+const { dnsSettings } = require('./config/config-loader');
 
 class FOGGDNSFixer {
   constructor() {
+    // Domain, target and verification timeout from config/production.yml
+    const settings = dnsSettings();
+
     this.config = {
-      domain: 'candlefish.ai',
-      subdomain: 'fogg',
-      target: 'fogg-calendar.netlify.app',
-      timeout: 300000, // 5 minutes
+      provider: settings.provider,
+      domain: settings.domain,
+      subdomain: settings.subdomain,
+      target: settings.target,
+      timeout: settings.verificationTimeout
     };
 
     this.results = {
@@ -0,0 +1,93 @@
+/**
+ * Deployment lock
+ *
+ * Only one deployment (or rollback) may run per environment. The holder is
+ * stored under `lock:<environment>` with an expiry of
+ * limits.max_deployment_time, so a crashed server or an abandoned Netlify
+ * deployment can't block the environment forever.
+ *
+ * Callers can pass how long they expect the deployment to take; until then
+ * Retry-After points at that estimate, after it at short intervals until
+ * the lock is released or expires.
+ *
+ * The state store has no compare-and-set, so two requests arriving in the
+ * same instant could both win; the rate limiter's burst size keeps that
+ * window small.
+ */
+
+const { getConfig } = require('../config/config-loader');
+
+const DEFAULT_TTL_SECONDS = 300;
+const OVERDUE_RETRY_MS = 10000;
+
+class DeploymentLock {
+  constructor({ store, ttlSeconds = DEFAULT_TTL_SECONDS }) {
+    if (!store) {
+      throw new Error('DeploymentLock requires a state store');
+    }
+
+    this.store = store;
+    this.ttlMs = ttlSeconds * 1000;
+  }
+
+  static fromConfig(store, config = getConfig()) {
+    return new DeploymentLock({
+      store,
+      ttlSeconds: config.limits?.max_deployment_time
+    });
+  }
+
+  /**
+   * Who holds `environment` right now
+   * Resolves { holder, retryAfter } or null when it is free.
+   */
+  async status(environment, now = Date.now()) {
+    const current = await this.store.get(`lock:${environment}`);
+
+    if (!current || current.expiresAt <= now) return null;
+
+    const until = current.expectedEndAt > now
+      ? current.expectedEndAt
+      : Math.min(current.expiresAt, now + OVERDUE_RETRY_MS);
+
+    return {
+      holder: current.owner,
+      retryAfter: Math.max(1, Math.ceil((until - now) / 1000))
+    };
+  }
+
+  /**
+   * Claim `environment` for deployment `owner`, expected to take
+   * `expectedSeconds`. Resolves { acquired: true } or
+   * { acquired: false, holder, retryAfter }.
+   */
+  async acquire(environment, owner, { expectedSeconds, now = Date.now() } = {}) {
+    const current = await this.status(environment, now);
+
+    if (current && current.holder !== owner) {
+      return { acquired: false, ...current };
+    }
+
+    await this.store.set(`lock:${environment}`, {
+      owner,
+      acquiredAt: now,
+      expectedEndAt: expectedSeconds ? now + expectedSeconds * 1000 : null,
+      expiresAt: now + this.ttlMs
+    });
+    return { acquired: true };
+  }
+
+  /**
+   * Free `environment`, but only if `owner` still holds it
+   */
+  async release(environment, owner) {
+    const key = `lock:${environment}`;
+    const current = await this.store.get(key);
+
+    if (current && current.owner === owner) {
+      await this.store.delete(key);
+    }
+  }
+}
+
+module.exports = DeploymentLock;
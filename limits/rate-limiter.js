@@ -0,0 +1,78 @@
+/**
+ * Token-bucket rate limiter
+ *
+ * Every client gets a bucket holding up to `burstSize` tokens that refills
+ * at `requestsPerMinute`. Each request takes one token; an empty bucket
+ * means 429 with a Retry-After of however long the next token takes.
+ *
+ * Buckets live in a state store (storage/state-store.js) under
+ * `ratelimit:<key>`: a MemoryStateStore for the Express server, the shared
+ * store for the Netlify functions, which don't keep memory between calls.
+ *
+ * Only requests that change something are limited: dashboards poll the
+ * status and event routes every few seconds, so counting reads would lock
+ * out anyone with two tabs open.
+ */
+
+const { getConfig } = require('../config/config-loader');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+class RateLimiter {
+  constructor({ store, enabled = true, requestsPerMinute = 60, burstSize = 10 }) {
+    if (!store) {
+      throw new Error('RateLimiter requires a state store');
+    }
+
+    this.store = store;
+    this.enabled = enabled;
+    this.capacity = burstSize;
+    this.refillPerMs = requestsPerMinute / 60000;
+  }
+
+  // Settings from the rate_limiting section of config/production.yml
+  static fromConfig(store, config = getConfig()) {
+    const settings = config.rate_limiting || {};
+
+    return new RateLimiter({
+      store,
+      enabled: settings.enabled !== false,
+      requestsPerMinute: settings.requests_per_minute,
+      burstSize: settings.burst_size
+    });
+  }
+
+  // Whether requests with this HTTP method take a token
+  static limits(method) {
+    return !READ_METHODS.includes(String(method).toUpperCase());
+  }
+
+  /**
+   * Take a token for `key`
+   * Resolves { allowed, remaining, retryAfter } - retryAfter in whole seconds.
+   */
+  async take(key, now = Date.now()) {
+    if (!this.enabled) {
+      return { allowed: true, remaining: this.capacity, retryAfter: 0 };
+    }
+
+    const storeKey = `ratelimit:${key}`;
+    const bucket = await this.store.get(storeKey) || { tokens: this.capacity, updatedAt: now };
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    const tokens = Math.min(this.capacity, bucket.tokens + elapsed * this.refillPerMs);
+
+    if (tokens < 1) {
+      await this.store.set(storeKey, { tokens, updatedAt: now });
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfter: Math.ceil((1 - tokens) / this.refillPerMs / 1000)
+      };
+    }
+
+    await this.store.set(storeKey, { tokens: tokens - 1, updatedAt: now });
+    return { allowed: true, remaining: Math.floor(tokens - 1), retryAfter: 0 };
+  }
+}
+
+module.exports = RateLimiter;
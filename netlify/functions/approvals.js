@@ -0,0 +1,176 @@
+// Netlify Function for the deployment approval workflow
+// GET lists the requests waiting for approval (?environment=production);
+// POST { deploymentId, decision: 'approve' | 'reject', comment } decides one.
+// An approved deploy starts its build here and an approved promotion is
+// published here, exactly as deploy.js and promote.js would have done.
+const { createTracker } = require('../lib/deployment-tracker');
+const {
+  startBuild,
+  publishPromotion,
+  checkNetlifyConfigured,
+  buildStartedResponse,
+  buildFailedResponse,
+  promotedResponse
+} = require('../lib/deployment-starter');
+const NetlifyClient = require('../lib/netlify-client');
+const Authenticator = require('../../auth/authenticator');
+const ApprovalWorkflow = require('../../approvals/approval-workflow');
+const { checkRateLimit, lockedResponse, createDeploymentLock } = require('../lib/request-limits');
+const { checkBlackout } = require('../lib/environments');
+
+const DECISIONS = ['approve', 'reject'];
+
+// options.client / options.store / options.auth replace the Netlify API
+// client, state store and authenticator, e.g. to run against a local fake
+// Netlify API
+const createHandler = (options = {}) => async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: 'CORS preflight successful' })
+    };
+  }
+
+  if (!['GET', 'POST'].includes(event.httpMethod)) {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        error: 'Method not allowed',
+        allowedMethods: ['GET', 'POST', 'OPTIONS']
+      })
+    };
+  }
+
+  try {
+    const { store, history } = createTracker(options.store, event);
+    const auth = options.auth || Authenticator.fromEnvironment();
+    const approvals = ApprovalWorkflow.fromEnvironment(history);
+
+    const limited = await checkRateLimit(event, headers, { store, auth });
+    if (limited) return limited;
+
+    if (event.httpMethod === 'GET') {
+      const access = auth.authorize(event.headers?.authorization, 'history:read');
+
+      if (!access.user) {
+        return {
+          statusCode: access.status,
+          headers,
+          body: JSON.stringify(access.body)
+        };
+      }
+
+      const { environment } = event.queryStringParameters || {};
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, approvals: await approvals.pending({ environment }) })
+      };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    const { deploymentId, decision, comment } = body;
+    const access = auth.authorize(event.headers?.authorization, 'approve', body.user);
+
+    if (!access.user) {
+      return {
+        statusCode: access.status,
+        headers,
+        body: JSON.stringify(access.body)
+      };
+    }
+
+    if (!deploymentId || !DECISIONS.includes(decision)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'deploymentId and a decision (approve or reject) are required'
+        })
+      };
+    }
+
+    const record = await history.get(deploymentId);
+    if (record) await approvals.expire(record);
+
+    const problem = approvals.checkDecision(record, access.user);
+    if (problem) {
+      return {
+        statusCode: problem.status,
+        headers,
+        body: JSON.stringify({ success: false, error: problem.error, code: problem.code })
+      };
+    }
+
+    if (decision === 'reject') {
+      approvals.recordDecision(record, access.user, { decision, comment });
+      await history.save(record);
+      await approvals.announce(record);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, deploymentId, outcome: record.outcome, approval: record.approval })
+      };
+    }
+
+    // Don't record an approval for an update that can't start yet
+    const blackout = checkBlackout(headers, record.environment);
+    if (blackout) return blackout;
+
+    const busy = await createDeploymentLock(store).status(record.environment);
+    if (busy) {
+      return lockedResponse(headers, record.environment, busy);
+    }
+
+    const client = options.client || NetlifyClient.forEnvironment(record.environment);
+    const unconfigured = record.type !== 'promote' && checkNetlifyConfigured(headers, client);
+    if (unconfigured) return unconfigured;
+
+    approvals.recordDecision(record, access.user, { decision, comment });
+    const deps = { client, store, history };
+
+    if (record.type === 'promote') {
+      const published = await publishPromotion(record, deps);
+      if (published.lock) {
+        return lockedResponse(headers, record.environment, published.lock);
+      }
+      await approvals.announce(record);
+      return promotedResponse(headers, published.record);
+    }
+
+    const started = await startBuild(record, deps);
+    if (started.lock) {
+      return lockedResponse(headers, record.environment, started.lock);
+    }
+    await approvals.announce(record);
+    return started.error
+      ? buildFailedResponse(headers, started.record)
+      : buildStartedResponse(headers, started.record);
+
+  } catch (error) {
+    console.error('Approvals function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: 'Unable to update the approval - please try again'
+      })
+    };
+  }
+};
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,173 @@
+// Netlify Function for cancelling a running deployment
+// POST { deploymentId } stops the Netlify build (or the simulated run) and
+// records who cancelled it; the version live before stays live.
+const { createTracker, advanceDeployment, cancelDeployment } = require('../lib/deployment-tracker');
+const NetlifyClient = require('../lib/netlify-client');
+const Authenticator = require('../../auth/authenticator');
+const { checkRateLimit, createDeploymentLock } = require('../lib/request-limits');
+
+// 409 for a deployment that can no longer be cancelled
+function finishedResponse(headers, record) {
+  return {
+    statusCode: 409,
+    headers,
+    body: JSON.stringify({
+      success: false,
+      error: 'This update has already finished',
+      code: 'DEPLOYMENT_FINISHED',
+      outcome: record.outcome
+    })
+  };
+}
+
+// options.client / options.store / options.auth replace the Netlify API
+// client, state store and authenticator, e.g. to run against a local fake
+// Netlify API
+const createHandler = (options = {}) => async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: 'CORS preflight successful' })
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        error: 'Method not allowed',
+        allowedMethods: ['POST', 'OPTIONS']
+      })
+    };
+  }
+
+  try {
+    const { store, history } = createTracker(options.store, event);
+    const auth = options.auth || Authenticator.fromEnvironment();
+
+    const limited = await checkRateLimit(event, headers, { store, auth });
+    if (limited) return limited;
+
+    const body = JSON.parse(event.body || '{}');
+    const access = auth.authorize(event.headers?.authorization, 'cancel', body.user);
+
+    if (!access.user) {
+      return {
+        statusCode: access.status,
+        headers,
+        body: JSON.stringify(access.body)
+      };
+    }
+
+    if (!body.deploymentId) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Missing required parameters',
+          required: ['deploymentId']
+        })
+      };
+    }
+
+    const record = await history.get(body.deploymentId);
+
+    if (!record) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Deployment not found' })
+      };
+    }
+
+    if (record.outcome !== 'in_progress') {
+      return finishedResponse(headers, record);
+    }
+
+    if (record.mode !== 'netlify') {
+      // Catch the simulated run up first, so the agent at work is the one
+      // stopped; one that finished meanwhile is left for status.js to record
+      advanceDeployment(record);
+      if (record.outcome !== 'in_progress') {
+        return finishedResponse(headers, record);
+      }
+    } else {
+      const client = options.client || NetlifyClient.forEnvironment(record.environment);
+
+      // Build hooks don't return a deploy id; find the deploy by its title
+      if (!record.netlifyDeployId) {
+        const deploy = await client.findDeployByTitle(record.id);
+        if (!deploy) {
+          return {
+            statusCode: 409,
+            headers: { ...headers, 'Retry-After': '5' },
+            body: JSON.stringify({
+              success: false,
+              error: "Netlify hasn't started this build yet - please try again in a few seconds",
+              code: 'BUILD_NOT_STARTED',
+              retryAfter: 5
+            })
+          };
+        }
+        record.netlifyDeployId = deploy.id;
+      }
+
+      try {
+        await client.cancelDeploy(record.netlifyDeployId);
+      } catch (error) {
+        // Too late: Netlify finished (or failed) it meanwhile; status.js
+        // records how it ended on the next poll
+        if (error.response?.status >= 400 && error.response?.status < 500) {
+          return finishedResponse(headers, record);
+        }
+        throw error;
+      }
+    }
+
+    cancelDeployment(record, access.user);
+    await history.save(record);
+    await createDeploymentLock(store).release(record.environment, record.id);
+
+    console.log(`✋ ${access.user.name} cancelled deployment ${record.id}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        deploymentId: record.id,
+        outcome: record.outcome,
+        cancelledBy: access.user.name,
+        version: record.versionBefore,
+        environment: record.environment,
+        message: record.versionBefore
+          ? `Update cancelled - version ${record.versionBefore} is still live`
+          : 'Update cancelled'
+      })
+    };
+
+  } catch (error) {
+    console.error('Cancel function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: 'Unable to cancel the update'
+      })
+    };
+  }
+};
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
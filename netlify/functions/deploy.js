@@ -1,22 +1,32 @@
 // Netlify Function for deployment endpoint
 // Optimized for serverless with external state storage
 const crypto = require('crypto');
+const { createTracker, getCurrentVersion } = require('../lib/deployment-tracker');
+const {
+  startBuild,
+  checkBumpLevel,
+  checkNetlifyConfigured,
+  buildStartedResponse,
+  buildFailedResponse,
+  pendingApprovalResponse
+} = require('../lib/deployment-starter');
+const NetlifyClient = require('../lib/netlify-client');
+const Authenticator = require('../../auth/authenticator');
+const { loadFeatureFlags } = require('../../config/config-loader');
+const ApprovalWorkflow = require('../../approvals/approval-workflow');
+const { checkRateLimit, lockedResponse } = require('../lib/request-limits');
+const {
+  defaultEnvironment,
+  environmentSettings,
+  checkEnvironment,
+  checkBlackout,
+  activeBlackout
+} = require('../lib/environments');
 
-// Since Netlify Functions are stateless, we'll use a simple simulation
-// In production, this would connect to a database or external service
-const DEPLOYMENT_DURATION = 30000; // 30 seconds
-const CURRENT_VERSION = '2.4.1';
-
-// Simulate deployment stages
-const DEPLOYMENT_STAGES = [
-  { name: 'guardian', progress: 20, message: 'Guardian checking security...' },
-  { name: 'speedster', progress: 40, message: 'Speedster optimizing performance...' },
-  { name: 'detective', progress: 70, message: 'Detective running tests...' },
-  { name: 'architect', progress: 90, message: 'Architect finalizing deployment...' },
-  { name: 'complete', progress: 100, message: 'Deployment complete!' }
-];
-
-exports.handler = async (event, context) => {
+// options.client / options.store / options.auth replace the Netlify API
+// client, state store and authenticator, e.g. to run against a local fake
+// Netlify API
+const createHandler = (options = {}) => async (event, context) => {
   // Enable CORS with proper headers for production
   const headers = {
     'Access-Control-Allow-Origin': '*',
@@ -36,17 +46,29 @@ exports.handler = async (event, context) => {
   }
 
   try {
+    const { store, history } = createTracker(options.store, event);
+    const auth = options.auth || Authenticator.fromEnvironment();
+
+    const limited = await checkRateLimit(event, headers, { store, auth });
+    if (limited) return limited;
 
     // Handle GET request for status
     if (event.httpMethod === 'GET') {
+      const environment = event.queryStringParameters?.environment || defaultEnvironment();
+      const unknown = checkEnvironment(headers, environment);
+      if (unknown) return unknown;
+
       return {
         statusCode: 200,
         headers,
         body: JSON.stringify({
           status: 'ready',
-          version: CURRENT_VERSION,
+          version: await getCurrentVersion(store, environment),
           timestamp: new Date().toISOString(),
-          environment: 'production',
+          environment,
+          authRequired: auth.enabled,
+          rollbackEnabled: Boolean(loadFeatureFlags().rollback_enabled),
+          blackout: activeBlackout(environment),
           message: 'Deployment system ready'
         })
       };
@@ -55,32 +77,58 @@ exports.handler = async (event, context) => {
     // Handle POST request to start deployment
     if (event.httpMethod === 'POST') {
       const body = JSON.parse(event.body || '{}');
-      const { environment = 'production', user = 'Leslie' } = body;
-      
-      // Generate unique deployment ID
-      const deploymentId = `deploy_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-      const startTime = new Date().toISOString();
-      
-      // Calculate new version
-      const parts = CURRENT_VERSION.split('.');
-      const patch = parseInt(parts[2]) + 1;
-      const newVersion = `${parts[0]}.${parts[1]}.${patch}`;
+      const { environment = defaultEnvironment(), bump = 'patch' } = body;
+      const unknown = checkEnvironment(headers, environment) || checkBumpLevel(headers, bump);
+      if (unknown) return unknown;
 
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({
-          success: true,
-          deploymentId,
-          message: 'Deployment initiated successfully',
-          startTime,
-          estimatedDuration: DEPLOYMENT_DURATION,
-          version: newVersion,
-          environment,
-          user,
-          stages: DEPLOYMENT_STAGES.length
-        })
+      const access = auth.authorize(event.headers?.authorization, 'deploy', body.user);
+
+      if (!access.user) {
+        return {
+          statusCode: access.status,
+          headers,
+          body: JSON.stringify(access.body)
+        };
+      }
+
+      const blackout = checkBlackout(headers, environment);
+      if (blackout) return blackout;
+
+      const signedInUser = access.user;
+      const user = signedInUser.name;
+      const client = options.client || NetlifyClient.forEnvironment(environment);
+      const unconfigured = checkNetlifyConfigured(headers, client);
+      if (unconfigured) return unconfigured;
+
+      const settings = environmentSettings(environment);
+
+      const request = {
+        id: `deploy_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        type: 'deploy',
+        user,
+        username: signedInUser.username,
+        environment,
+        bump,
+        startedAt: new Date().toISOString(),
+        versionBefore: await getCurrentVersion(store, environment)
       };
+
+      // Two-person rule: park the request until someone else approves it
+      if (settings.approvalRequired) {
+        const approvals = ApprovalWorkflow.fromEnvironment(history);
+        const record = await approvals.request(request, { expiresAfter: settings.approvalExpiresAfter });
+        return pendingApprovalResponse(headers, record, settings);
+      }
+
+      const started = await startBuild(request, { client, store, history });
+
+      if (started.lock) {
+        return lockedResponse(headers, environment, started.lock);
+      }
+      if (started.error) {
+        return buildFailedResponse(headers, started.record);
+      }
+      return buildStartedResponse(headers, started.record);
     }
 
     // Method not allowed
@@ -104,4 +152,7 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
\ No newline at end of file
+};
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
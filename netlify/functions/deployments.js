@@ -0,0 +1,189 @@
+// Netlify Function for deployment history
+// GET /deployments?page=1&pageSize=20   - paged list, newest first
+// GET /deployments/:id (or ?id=...)      - single deployment details
+// GET /deployments/active               - the deployment running now, so a
+//                                         reloaded dashboard can pick it up
+// GET /deployments/:id/events           - Server-Sent Events, see eventStream
+const { createTracker, syncDeployment, toAgentStatuses, toEvents } = require('../lib/deployment-tracker');
+const NetlifyClient = require('../lib/netlify-client');
+const Authenticator = require('../../auth/authenticator');
+const { checkRateLimit } = require('../lib/request-limits');
+const ApprovalWorkflow = require('../../approvals/approval-workflow');
+const DeploymentEventLog = require('../../pipeline/deployment-event-log');
+
+// Functions can't hold a connection open, so each response carries what
+// happened since Last-Event-ID and the browser reconnects this much later
+const EVENTS_RETRY_MS = 2000;
+
+/**
+ * The newest deployment still running (optionally in `environment`), or
+ * null. Records are brought up to date first, so a build that finished
+ * while nobody was polling isn't reported as running.
+ */
+async function findActiveDeployment({ store, history, client, environment }) {
+  const running = await history.query({ environment, outcome: 'in_progress' });
+
+  for (const record of running) {
+    try {
+      await syncDeployment(record, { store, history, client: client || NetlifyClient.forDeployment(record) });
+    } catch (error) {
+      console.warn(`Unable to refresh deployment ${record.id}:`, error.message);
+    }
+
+    if (record.outcome === 'in_progress') {
+      return {
+        id: record.id,
+        type: record.type,
+        mode: record.mode,
+        environment: record.environment,
+        user: record.user,
+        startedAt: record.startedAt,
+        versionBefore: record.versionBefore,
+        targetVersion: record.targetVersion || null,
+        releaseNotes: record.releaseNotes || null,
+        promotedFrom: record.promotedFrom || null,
+        outcome: record.outcome,
+        progress: record.progress || 0,
+        agentStatuses: toAgentStatuses(record)
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * A deployment's events as text/event-stream, in the same events as the
+ * Express server's stream. Brought up to date first; once the deployment
+ * has finished and the client has seen the end, 204 stops it reconnecting.
+ */
+async function eventStream(event, headers, { store, history, client, id }) {
+  const record = await history.get(id);
+
+  if (!record) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Deployment not found' })
+    };
+  }
+
+  if (record.outcome === 'pending_approval') {
+    await ApprovalWorkflow.fromEnvironment(history).expire(record);
+  }
+  await syncDeployment(record, { store, history, client: client || NetlifyClient.forDeployment(record) });
+
+  const lastEventId = Number(event.headers?.['last-event-id'] || event.queryStringParameters?.lastEventId) || 0;
+  const events = toEvents(record).filter(entry => entry.id === undefined || entry.id > lastEventId);
+
+  if (!['in_progress', 'pending_approval'].includes(record.outcome) && !events.length) {
+    return { statusCode: 204, headers, body: '' };
+  }
+
+  return {
+    statusCode: 200,
+    headers: { ...headers, 'Content-Type': 'text/event-stream' },
+    body: `retry: ${EVENTS_RETRY_MS}\n\n${events.map(DeploymentEventLog.format).join('')}`
+  };
+}
+
+// options.client / options.store / options.auth replace the Netlify API
+// client, state store and authenticator
+const createHandler = (options = {}) => async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, Last-Event-ID',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: 'CORS preflight successful' })
+    };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const auth = options.auth || Authenticator.fromEnvironment();
+    const { store, history } = createTracker(options.store, event);
+
+    const limited = await checkRateLimit(event, headers, { store, auth });
+    if (limited) return limited;
+
+    const access = auth.authorize(event.headers?.authorization, 'history:read');
+
+    if (!access.user) {
+      return {
+        statusCode: access.status,
+        headers,
+        body: JSON.stringify(access.body)
+      };
+    }
+
+    const queryParams = event.queryStringParameters || {};
+    const [pathId, pathAction] = ((event.path || '').split('/deployments/')[1] || '').split('/');
+    const id = queryParams.id || (pathId && decodeURIComponent(pathId));
+
+    if (id && pathAction === 'events') {
+      return eventStream(event, headers, { store, history, client: options.client, id });
+    }
+
+    if (id === 'active') {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          deployment: await findActiveDeployment({
+            store,
+            history,
+            client: options.client,
+            environment: queryParams.environment
+          })
+        })
+      };
+    }
+
+    if (id) {
+      const deployment = await history.get(id);
+
+      return {
+        statusCode: deployment ? 200 : 404,
+        headers,
+        body: JSON.stringify(deployment || { error: 'Deployment not found' })
+      };
+    }
+
+    const { page, pageSize, environment, outcome } = queryParams;
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(await history.list({ page, pageSize, environment, outcome }))
+    };
+
+  } catch (error) {
+    console.error('Deployments function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: 'Unable to read deployment history'
+      })
+    };
+  }
+};
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,75 @@
+// Netlify Function listing the deployment environments
+// Returns each environment from config/production.yml with the version
+// that is live there, for the dashboard's environment picker.
+const { createTracker, getCurrentVersion } = require('../lib/deployment-tracker');
+const Authenticator = require('../../auth/authenticator');
+const { checkRateLimit } = require('../lib/request-limits');
+const { defaultEnvironment, listEnvironments, publicEnvironment } = require('../lib/environments');
+
+// options.store / options.auth replace the state store and authenticator
+const createHandler = (options = {}) => async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: 'CORS preflight successful' })
+    };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const { store, history } = createTracker(options.store, event);
+    const auth = options.auth || Authenticator.fromEnvironment();
+
+    const limited = await checkRateLimit(event, headers, { store, auth });
+    if (limited) return limited;
+
+    const environments = await Promise.all(listEnvironments().map(async environment => {
+      const latest = await history.latest({ environment: environment.name, outcome: 'success' });
+      return {
+        ...publicEnvironment(environment),
+        version: await getCurrentVersion(store, environment.name),
+        lastDeploy: latest?.finishedAt || null
+      };
+    }));
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        defaultEnvironment: defaultEnvironment(),
+        environments
+      })
+    };
+
+  } catch (error) {
+    console.error('Environments function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: 'Unable to load environments'
+      })
+    };
+  }
+};
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -1,12 +1,13 @@
 // Health monitoring endpoint for FOGG Calendar Dashboard
 const dns = require('dns').promises;
 const https = require('https');
+const { dnsSettings } = require('../../config/config-loader');
 
 // Check SSL certificate status
-async function checkSSL() {
+async function checkSSL(hostname) {
   return new Promise((resolve) => {
     const options = {
-      hostname: 'fogg.candlefish.ai',
+      hostname,
       port: 443,
       method: 'HEAD',
       timeout: 5000
@@ -32,9 +33,9 @@ async function checkSSL() {
 }
 
 // Check DNS resolution
-async function checkDNS() {
+async function checkDNS(hostname) {
   try {
-    const addresses = await dns.resolve4('fogg.candlefish.ai');
+    const addresses = await dns.resolve4(hostname);
     return {
       resolved: true,
       addresses,
@@ -107,10 +108,13 @@ exports.handler = async (event, context) => {
   }
 
   try {
+    // The public hostname comes from the dns section of config/production.yml
+    const { fqdn } = dnsSettings();
+
     // Run all health checks in parallel
     const [ssl, dns, deployment] = await Promise.all([
-      checkSSL(),
-      checkDNS(),
+      checkSSL(fqdn),
+      checkDNS(fqdn),
       getLastDeployment()
     ]);
 
@@ -0,0 +1,99 @@
+// Netlify Function for dashboard sign-in
+// Exchanges a username and password for a signed session token
+const Authenticator = require('../../auth/authenticator');
+const { createStateStore } = require('../../storage/state-store');
+const { checkRateLimit } = require('../lib/request-limits');
+
+// options.auth / options.store replace the authenticator (e.g. with an
+// in-memory user list) and the state store holding rate-limit buckets
+const createHandler = (options = {}) => async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: 'CORS preflight successful' })
+    };
+  }
+
+  try {
+    const auth = options.auth || Authenticator.fromEnvironment();
+
+    // Also slows down password guessing
+    const limited = await checkRateLimit(event, headers, { store: options.store || createStateStore({ event }), auth });
+    if (limited) return limited;
+
+    // GET checks a stored token and tells the dashboard whether sign-in is needed
+    if (event.httpMethod === 'GET') {
+      const { user, error } = auth.identify(event.headers?.authorization);
+
+      return {
+        statusCode: error ? 401 : 200,
+        headers,
+        body: JSON.stringify({
+          success: !error,
+          authRequired: auth.enabled,
+          user: user || null,
+          error
+        })
+      };
+    }
+
+    if (event.httpMethod === 'POST') {
+      if (!auth.enabled) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Authentication is disabled' })
+        };
+      }
+
+      const { username, password } = JSON.parse(event.body || '{}');
+      const session = auth.login(username, password);
+
+      if (!session) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ success: false, error: 'Wrong username or password' })
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, ...session })
+      };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        error: 'Method not allowed',
+        allowedMethods: ['GET', 'POST', 'OPTIONS']
+      })
+    };
+
+  } catch (error) {
+    console.error('Login function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: 'Unable to sign in right now'
+      })
+    };
+  }
+};
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
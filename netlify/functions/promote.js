@@ -0,0 +1,192 @@
+// Netlify Function for promoting staging to production
+// Publishes the exact Netlify deploy that is live on the source environment
+// (the target's promote_from in config/production.yml) on the target
+// environment, and records the promotion as its own history entry with the
+// target's next version. With approval.required it waits for approvals.js.
+const crypto = require('crypto');
+const { createTracker, getCurrentVersion } = require('../lib/deployment-tracker');
+const {
+  publishPromotion,
+  checkBumpLevel,
+  promotedResponse,
+  pendingApprovalResponse
+} = require('../lib/deployment-starter');
+const NetlifyClient = require('../lib/netlify-client');
+const Authenticator = require('../../auth/authenticator');
+const ApprovalWorkflow = require('../../approvals/approval-workflow');
+const { checkRateLimit, lockedResponse } = require('../lib/request-limits');
+const {
+  defaultEnvironment,
+  environmentSettings,
+  checkEnvironment,
+  checkBlackout
+} = require('../lib/environments');
+
+// Pick the deployment to promote: the requested one, or the successful
+// deployment whose version is live on the source environment right now
+async function findSource(history, deploymentId, environment, current) {
+  if (deploymentId) {
+    return history.get(deploymentId);
+  }
+
+  const deployments = await history.query({ environment, outcome: 'success' });
+  return deployments.find(record => record.versionAfter === current) || null;
+}
+
+// options.client / options.store / options.auth replace the Netlify API
+// client, state store and authenticator, e.g. to run against a local fake
+// Netlify API
+const createHandler = (options = {}) => async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: 'CORS preflight successful' })
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        error: 'Method not allowed',
+        allowedMethods: ['POST', 'OPTIONS']
+      })
+    };
+  }
+
+  try {
+    const { store, history } = createTracker(options.store, event);
+    const auth = options.auth || Authenticator.fromEnvironment();
+
+    const limited = await checkRateLimit(event, headers, { store, auth });
+    if (limited) return limited;
+
+    const body = JSON.parse(event.body || '{}');
+    const { to = defaultEnvironment(), deploymentId, bump = 'patch' } = body;
+    const unknown = checkEnvironment(headers, to) || checkBumpLevel(headers, bump);
+    if (unknown) return unknown;
+
+    const access = auth.authorize(event.headers?.authorization, 'promote', body.user);
+
+    if (!access.user) {
+      return {
+        statusCode: access.status,
+        headers,
+        body: JSON.stringify(access.body)
+      };
+    }
+
+    const blackout = checkBlackout(headers, to);
+    if (blackout) return blackout;
+
+    const signedInUser = access.user;
+    const user = signedInUser.name;
+    const target = environmentSettings(to);
+    const from = body.from || target.promoteFrom;
+
+    if (!target.promoteFrom || from !== target.promoteFrom) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: target.promoteFrom
+            ? `${target.label} can only be promoted from ${target.promoteFrom}`
+            : `Nothing is promoted to ${target.label}`
+        })
+      };
+    }
+
+    const source = await findSource(history, deploymentId, from, await getCurrentVersion(store, from));
+
+    if (!source || source.environment !== from) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          error: deploymentId ? `Deployment not found in ${from}` : `Nothing has been deployed to ${from} yet`
+        })
+      };
+    }
+
+    if (source.outcome !== 'success' || !source.netlifyDeployId) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+          error: `Version ${source.versionAfter || 'unknown'} from ${from} can't be promoted automatically`
+        })
+      };
+    }
+
+    // A deploy can only be published on the site that built it
+    const client = options.client || NetlifyClient.forEnvironment(to);
+    const sourceSite = options.client ? client.siteId : NetlifyClient.forEnvironment(from).siteId;
+
+    if (sourceSite !== client.siteId) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+          error: `${from} and ${to} are separate Netlify sites, so a ${from} deploy can't be published on ${to}`
+        })
+      };
+    }
+
+    const promotion = {
+      id: `promote_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      type: 'promote',
+      user,
+      username: signedInUser.username,
+      environment: to,
+      bump,
+      startedAt: new Date().toISOString(),
+      versionBefore: await getCurrentVersion(store, to),
+      promotedFrom: {
+        environment: from,
+        deploymentId: source.id,
+        version: source.versionAfter,
+        netlifyDeployId: source.netlifyDeployId,
+        commit: source.commit || null
+      }
+    };
+
+    // Two-person rule: park the request until someone else approves it
+    if (target.approvalRequired) {
+      const approvals = ApprovalWorkflow.fromEnvironment(history);
+      const record = await approvals.request(promotion, { expiresAfter: target.approvalExpiresAfter });
+      return pendingApprovalResponse(headers, record, target);
+    }
+
+    const published = await publishPromotion(promotion, { client, store, history });
+    if (published.lock) {
+      return lockedResponse(headers, to, published.lock);
+    }
+
+    return promotedResponse(headers, published.record);
+
+  } catch (error) {
+    console.error('Promote function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: 'Promotion failed - the current version is still live'
+      })
+    };
+  }
+};
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
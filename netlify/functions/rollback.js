@@ -0,0 +1,198 @@
+// Netlify Function for rolling back to a previous calendar version
+// Restores the Netlify deploy recorded for a successful deployment in the
+// history, then records the rollback as its own history entry.
+const crypto = require('crypto');
+const {
+  DEPLOYMENT_STAGES,
+  createTracker,
+  getCurrentVersion,
+  setCurrentVersion
+} = require('../lib/deployment-tracker');
+const NetlifyClient = require('../lib/netlify-client');
+const Authenticator = require('../../auth/authenticator');
+const { loadFeatureFlags } = require('../../config/config-loader');
+const { checkRateLimit, lockedResponse, createDeploymentLock } = require('../lib/request-limits');
+const { defaultEnvironment, checkEnvironment } = require('../lib/environments');
+const { compareVersions } = require('../../versioning/semver');
+
+// Pick the deployment to restore: the requested one, or the newest
+// successful deployment older than the version live right now
+async function findTarget(history, deploymentId, environment, current) {
+  if (deploymentId) {
+    return history.get(deploymentId);
+  }
+
+  const deployments = await history.query({ environment, outcome: 'success' });
+
+  return deployments.find(record =>
+    record.versionAfter && record.netlifyDeployId && current && compareVersions(record.versionAfter, current) < 0
+  ) || null;
+}
+
+// options.client / options.store / options.auth replace the Netlify API
+// client, state store and authenticator, e.g. to run against a local fake
+// Netlify API
+const createHandler = (options = {}) => async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: 'CORS preflight successful' })
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({
+        error: 'Method not allowed',
+        allowedMethods: ['POST', 'OPTIONS']
+      })
+    };
+  }
+
+  try {
+    const { store, history } = createTracker(options.store, event);
+    const auth = options.auth || Authenticator.fromEnvironment();
+
+    const limited = await checkRateLimit(event, headers, { store, auth });
+    if (limited) return limited;
+
+    const body = JSON.parse(event.body || '{}');
+    const { deploymentId, environment = defaultEnvironment() } = body;
+    const unknown = checkEnvironment(headers, environment);
+    if (unknown) return unknown;
+
+    const access = auth.authorize(event.headers?.authorization, 'rollback', body.user);
+
+    if (!access.user) {
+      return {
+        statusCode: access.status,
+        headers,
+        body: JSON.stringify(access.body)
+      };
+    }
+
+    if (!loadFeatureFlags().rollback_enabled) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ success: false, error: 'Rollback is disabled' })
+      };
+    }
+
+    const signedInUser = access.user;
+    const user = signedInUser.name;
+
+    const currentVersion = await getCurrentVersion(store, environment);
+    const target = await findTarget(history, deploymentId, environment, currentVersion);
+
+    if (!target) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          error: deploymentId ? 'Deployment not found' : 'No previous version to go back to'
+        })
+      };
+    }
+
+    if (target.outcome !== 'success' || !target.netlifyDeployId) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+          error: `Version ${target.versionAfter || 'unknown'} can't be restored automatically`
+        })
+      };
+    }
+
+    const rollback = {
+      id: `rollback_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      type: 'rollback',
+      user,
+      username: signedInUser.username,
+      environment: target.environment || environment,
+      startedAt: new Date().toISOString(),
+      versionBefore: currentVersion,
+      targetVersion: target.versionAfter,
+      restoredFrom: target.id,
+      commit: target.commit || null,
+      outcome: 'in_progress'
+    };
+
+    const deployLock = createDeploymentLock(store);
+    const lock = await deployLock.acquire(rollback.environment, rollback.id);
+    if (!lock.acquired) {
+      return lockedResponse(headers, rollback.environment, lock);
+    }
+
+    try {
+      const client = options.client || NetlifyClient.forEnvironment(rollback.environment);
+      if (!client.isConfigured()) {
+        throw new Error('NETLIFY_SITE_ID and NETLIFY_AUTH_TOKEN must be set to roll back');
+      }
+      await client.restoreDeploy(target.netlifyDeployId);
+      await history.save({
+        ...rollback,
+        finishedAt: new Date().toISOString(),
+        versionAfter: target.versionAfter,
+        netlifyDeployId: target.netlifyDeployId,
+        progress: 100,
+        stages: DEPLOYMENT_STAGES.map(stage => ({ agentId: stage.name, status: 'done' })),
+        outcome: 'success'
+      });
+      await setCurrentVersion(store, rollback.environment, target.versionAfter);
+    } catch (error) {
+      await history.save({
+        ...rollback,
+        finishedAt: new Date().toISOString(),
+        versionAfter: rollback.versionBefore,
+        progress: 100,
+        stages: [],
+        outcome: 'failed',
+        error: error.message
+      });
+      throw error;
+    } finally {
+      await deployLock.release(rollback.environment, rollback.id);
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        deploymentId: rollback.id,
+        message: `Rolling back to version ${target.versionAfter}`,
+        startTime: rollback.startedAt,
+        version: target.versionAfter,
+        environment: rollback.environment,
+        user
+      })
+    };
+
+  } catch (error) {
+    console.error('Rollback function error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: 'Rollback failed - the current version is still live'
+      })
+    };
+  }
+};
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
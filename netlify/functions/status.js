@@ -1,16 +1,22 @@
 // Netlify Function for deployment status polling
 // Optimized for real-time status updates without WebSockets
+const {
+  DEPLOYMENT_STAGES,
+  TOTAL_DEPLOYMENT_TIME,
+  createTracker,
+  syncDeployment,
+  simulatedMessage,
+  toAgentStatuses
+} = require('../lib/deployment-tracker');
+const NetlifyClient = require('../lib/netlify-client');
+const Authenticator = require('../../auth/authenticator');
+const { checkRateLimit } = require('../lib/request-limits');
+const ApprovalWorkflow = require('../../approvals/approval-workflow');
 
-const DEPLOYMENT_STAGES = [
-  { name: 'guardian', emoji: '🛡️', progress: 20, message: 'Guardian checking security and permissions...', duration: 6000 },
-  { name: 'speedster', emoji: '⚡', progress: 40, message: 'Speedster optimizing performance and assets...', duration: 8000 },
-  { name: 'detective', emoji: '🔍', progress: 70, message: 'Detective running comprehensive tests...', duration: 10000 },
-  { name: 'architect', emoji: '🏗️', progress: 90, message: 'Architect finalizing deployment structure...', duration: 6000 }
-];
-
-const TOTAL_DEPLOYMENT_TIME = 30000; // 30 seconds
-
-exports.handler = async (event, context) => {
+// options.client / options.store / options.auth replace the Netlify API
+// client, state store and authenticator, e.g. to run against a local fake
+// Netlify API
+const createHandler = (options = {}) => async (event, context) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Headers': 'Content-Type, Authorization',
@@ -36,68 +42,130 @@ exports.handler = async (event, context) => {
   }
 
   try {
+    const auth = options.auth || Authenticator.fromEnvironment();
+    const { store, history } = createTracker(options.store, event);
+
+    const limited = await checkRateLimit(event, headers, { store, auth });
+    if (limited) return limited;
+
+    const access = auth.authorize(event.headers?.authorization, 'status:read');
+
+    if (!access.user) {
+      return {
+        statusCode: access.status,
+        headers,
+        body: JSON.stringify(access.body)
+      };
+    }
+
     const queryParams = event.queryStringParameters || {};
-    const { deploymentId, startTime } = queryParams;
+    const { deploymentId } = queryParams;
 
-    if (!deploymentId || !startTime) {
+    if (!deploymentId) {
       return {
         statusCode: 400,
         headers,
         body: JSON.stringify({
           error: 'Missing required parameters',
-          required: ['deploymentId', 'startTime']
+          required: ['deploymentId']
         })
       };
     }
 
-    const start = new Date(startTime);
+    const record = await history.get(deploymentId);
+
+    if (!record) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          error: 'Deployment not found',
+          deploymentId
+        })
+      };
+    }
+
+    // Follow the deploy on the site of the environment it was started for
+    const client = options.client || NetlifyClient.forDeployment(record);
     const now = new Date();
-    const elapsed = now - start;
-    const progress = Math.min(100, (elapsed / TOTAL_DEPLOYMENT_TIME) * 100);
-    
-    // Determine current stage
-    let currentStage = null;
-    let stageProgress = 0;
-    
-    if (elapsed < TOTAL_DEPLOYMENT_TIME) {
-      for (let i = 0; i < DEPLOYMENT_STAGES.length; i++) {
-        const stage = DEPLOYMENT_STAGES[i];
-        if (progress >= stage.progress - 20 && progress < stage.progress + 20) {
-          currentStage = stage;
-          // Calculate stage-specific progress
-          const stageStart = i === 0 ? 0 : DEPLOYMENT_STAGES[i-1].progress;
-          const stageEnd = stage.progress;
-          stageProgress = Math.min(100, ((progress - stageStart) / (stageEnd - stageStart)) * 100);
-          break;
-        }
-      }
+
+    if (record.outcome === 'pending_approval') {
+      await ApprovalWorkflow.fromEnvironment(history).expire(record, now.getTime());
     }
 
-    const isComplete = elapsed >= TOTAL_DEPLOYMENT_TIME;
-    const isDeploying = !isComplete;
+    await syncDeployment(record, { store, history, client, now: now.getTime() });
 
-    // Generate success message
-    const messages = [];
+    const awaitingApproval = record.outcome === 'pending_approval';
+    const isComplete = record.outcome !== 'in_progress' && !awaitingApproval;
+    const isDeploying = !isComplete && !awaitingApproval;
+    const activeIndex = (record.stages || []).findIndex(stage => stage.status === 'working');
+    const activeStage = activeIndex >= 0 ? record.stages[activeIndex] : null;
+    const definition = activeIndex >= 0 ? DEPLOYMENT_STAGES[activeIndex] : null;
+    const endedAt = isComplete ? new Date(record.finishedAt) : now;
+    const elapsed = awaitingApproval ? 0 : endedAt - new Date(record.startedAt);
+
+    // Real Netlify builds have no fixed duration to estimate from, and
+    // nobody knows when an approval will come
+    let estimatedTimeRemaining = null;
     if (isComplete) {
+      estimatedTimeRemaining = 0;
+    } else if (record.mode !== 'netlify' && !awaitingApproval) {
+      estimatedTimeRemaining = Math.max(0, Math.round((TOTAL_DEPLOYMENT_TIME - elapsed) / 1000));
+    }
+
+    // Generate status message
+    const messages = [];
+    if (record.outcome === 'success') {
       messages.push({
         text: '🎉 Calendar updated successfully! Everyone can see the new changes now!',
-        timestamp: new Date().toLocaleTimeString(),
+        timestamp: new Date(record.finishedAt).toLocaleTimeString(),
         type: 'success'
       });
-    } else if (currentStage) {
+    } else if (record.outcome === 'simulated') {
       messages.push({
-        text: currentStage.message,
-        timestamp: new Date().toLocaleTimeString(),
+        text: simulatedMessage(record),
+        timestamp: new Date(record.finishedAt).toLocaleTimeString(),
+        type: 'info'
+      });
+    } else if (record.outcome === 'failed') {
+      messages.push({
+        text: `Deployment failed: ${record.error || 'unknown error'}`,
+        timestamp: new Date(record.finishedAt).toLocaleTimeString(),
+        type: 'error'
+      });
+    } else if (record.outcome === 'rejected') {
+      const decision = record.approval.decisions[record.approval.decisions.length - 1];
+      messages.push({
+        text: `${decision.user} didn't approve this update${decision.comment ? `: ${decision.comment}` : ''}`,
+        timestamp: new Date(record.finishedAt).toLocaleTimeString(),
+        type: 'error'
+      });
+    } else if (record.outcome === 'cancelled') {
+      messages.push({
+        text: `✋ ${record.cancelledBy?.name || 'Someone'} cancelled this update${record.versionBefore ? ` - version ${record.versionBefore} is still live` : ''}`,
+        timestamp: new Date(record.finishedAt).toLocaleTimeString(),
+        type: 'info'
+      });
+    } else if (record.outcome === 'expired') {
+      messages.push({
+        text: 'Nobody approved this update in time - please ask again',
+        timestamp: new Date(record.finishedAt).toLocaleTimeString(),
+        type: 'error'
+      });
+    } else if (awaitingApproval) {
+      messages.push({
+        text: `Waiting for someone else to approve this update (until ${new Date(record.approval.expiresAt).toLocaleTimeString()})`,
+        timestamp: now.toLocaleTimeString(),
+        type: 'info'
+      });
+    } else if (definition) {
+      messages.push({
+        text: definition.message,
+        timestamp: now.toLocaleTimeString(),
         type: 'info'
       });
     }
 
-    // Calculate version increment
-    const baseVersion = '2.4.1';
-    const parts = baseVersion.split('.');
-    const patch = parseInt(parts[2]) + 1;
-    const newVersion = `${parts[0]}.${parts[1]}.${patch}`;
-
     return {
       statusCode: 200,
       headers,
@@ -105,30 +173,31 @@ exports.handler = async (event, context) => {
         deploymentId,
         isDeploying,
         isComplete,
-        progress: Math.round(progress),
-        currentStage: currentStage ? {
-          name: currentStage.name,
-          emoji: currentStage.emoji,
-          message: currentStage.message,
-          progress: Math.round(stageProgress)
+        awaitingApproval,
+        outcome: record.outcome,
+        approval: record.approval || null,
+        cancelledBy: record.cancelledBy?.name || null,
+        mode: record.mode,
+        simulated: record.mode === 'simulated',
+        netlifyState: record.netlifyState || null,
+        progress: record.progress,
+        currentStage: definition ? {
+          name: definition.name,
+          emoji: definition.emoji,
+          message: definition.message,
+          progress: activeStage.progress || 0
         } : null,
         elapsed: Math.round(elapsed / 1000),
-        estimatedTimeRemaining: isComplete ? 0 : Math.max(0, Math.round((TOTAL_DEPLOYMENT_TIME - elapsed) / 1000)),
-        version: isComplete ? newVersion : baseVersion,
+        estimatedTimeRemaining,
+        version: record.outcome === 'success' ? record.versionAfter : record.versionBefore,
+        targetVersion: record.targetVersion || null,
+        releaseNotes: record.releaseNotes || null,
+        environment: record.environment,
         messages,
         timestamp: now.toISOString(),
-        
+
         // Agent statuses for UI
-        agentStatuses: DEPLOYMENT_STAGES.reduce((acc, stage) => {
-          if (progress >= stage.progress) {
-            acc[stage.name] = 'done';
-          } else if (currentStage && currentStage.name === stage.name) {
-            acc[stage.name] = 'working';
-          } else {
-            acc[stage.name] = 'waiting';
-          }
-          return acc;
-        }, {})
+        agentStatuses: toAgentStatuses(record)
       })
     };
 
@@ -143,4 +212,7 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
\ No newline at end of file
+};
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,299 @@
+// Starting deployments from the Netlify functions
+// deploy.js and promote.js start them straight away (or park them for
+// approval); approvals.js starts them once someone has approved.
+const {
+  DEPLOYMENT_STAGES,
+  TOTAL_DEPLOYMENT_TIME,
+  getCurrentVersion,
+  setCurrentVersion,
+  createDeploymentRecord
+} = require('./deployment-tracker');
+const { createDeploymentLock } = require('./request-limits');
+const GitRepository = require('../../versioning/git-repository');
+const { BUMP_LEVELS, highestVersion, nextVersion } = require('../../versioning/semver');
+const { projectVersion, buildReleaseNotes } = require('../../versioning/release-notes');
+
+/**
+ * Version, commit and release notes for the next release of `environment`
+ * Release notes need the git history, so they are only there when the
+ * functions run from a checkout (netlify dev); deployed functions record the
+ * commit Netlify built once the build is ready.
+ */
+async function planRelease({ store, history, environment, bump = 'patch', commit }) {
+  const git = new GitRepository();
+  const released = await history.query({ environment, outcome: 'success' });
+  const live = released[0] || null;
+  const to = commit === undefined ? await git.head() : commit;
+
+  return {
+    targetVersion: nextVersion({
+      released: highestVersion([await getCurrentVersion(store, environment), ...released.map(record => record.versionAfter)]),
+      project: await projectVersion({ git }),
+      level: bump
+    }),
+    commit: to,
+    releaseNotes: to ? await buildReleaseNotes({ from: live?.commit, to, git }) : null
+  };
+}
+
+/**
+ * Lock the record's environment and start its build
+ * Resolves { record } once the build is running, { lock } when the
+ * environment is busy, or { record, error } when Netlify refused to start
+ * the build - the failure is then recorded and the lock released.
+ * Fields already on `record` (such as `approval`) are kept.
+ */
+async function startBuild(record, { client, store, history }) {
+  const deployLock = createDeploymentLock(store);
+  const mode = client.isConfigured() ? 'netlify' : 'simulated';
+
+  // One deployment per environment; status.js releases the lock when it finishes
+  const lock = await deployLock.acquire(record.environment, record.id, {
+    expectedSeconds: mode === 'simulated' ? TOTAL_DEPLOYMENT_TIME / 1000 : null
+  });
+  if (!lock.acquired) return { lock };
+
+  // Calculate the new version from everything released so far
+  const { currentVersion, targetVersion, commit, releaseNotes } = await releaseLockOnError(deployLock, record, async () => ({
+    currentVersion: await getCurrentVersion(store, record.environment),
+    ...await planRelease({
+      store,
+      history,
+      environment: record.environment,
+      bump: record.bump
+    })
+  }));
+  const started = {
+    ...record,
+    ...createDeploymentRecord({
+      id: record.id,
+      mode,
+      user: record.user,
+      username: record.username,
+      environment: record.environment,
+      versionBefore: currentVersion,
+      targetVersion,
+      startedAt: new Date().toISOString()
+    }),
+    bump: record.bump || 'patch',
+    commit,
+    releaseNotes
+  };
+
+  if (mode === 'netlify') {
+    try {
+      const { deployId } = await client.triggerBuild(record.id);
+      started.netlifyDeployId = deployId;
+    } catch (error) {
+      console.error('Failed to trigger Netlify build:', error.message);
+      await deployLock.release(record.environment, record.id);
+      await history.save({
+        ...started,
+        outcome: 'failed',
+        error: `Netlify build could not be started: ${error.message}`,
+        finishedAt: new Date().toISOString(),
+        versionAfter: currentVersion
+      });
+      return { record: started, error };
+    }
+  } else {
+    console.warn('NETLIFY_AUTH_TOKEN/NETLIFY_SITE_ID not set - simulating the deployment (ALLOW_SIMULATED_DEPLOYS)');
+  }
+
+  await history.save(started);
+  return { record: started };
+}
+
+/**
+ * Publish the promoted deploy (record.promotedFrom.netlifyDeployId) on the
+ * record's environment as its next version
+ * Resolves { record } or { lock } when the environment is busy; rejects
+ * when Netlify refused, after recording the failure.
+ */
+async function publishPromotion(record, { client, store, history }) {
+  const deployLock = createDeploymentLock(store);
+  const lock = await deployLock.acquire(record.environment, record.id);
+  if (!lock.acquired) return { lock };
+
+  const { currentVersion, ...release } = await releaseLockOnError(deployLock, record, async () => ({
+    currentVersion: await getCurrentVersion(store, record.environment),
+    ...await planRelease({
+      store,
+      history,
+      environment: record.environment,
+      bump: record.bump,
+      commit: record.promotedFrom.commit || null
+    })
+  }));
+  const promotion = {
+    ...record,
+    ...release,
+    bump: record.bump || 'patch',
+    startedAt: new Date().toISOString(),
+    versionBefore: currentVersion,
+    outcome: 'in_progress'
+  };
+
+  try {
+    if (!client.isConfigured()) {
+      throw new Error('NETLIFY_SITE_ID and NETLIFY_AUTH_TOKEN must be set to promote');
+    }
+    await client.restoreDeploy(record.promotedFrom.netlifyDeployId);
+
+    const published = {
+      ...promotion,
+      finishedAt: new Date().toISOString(),
+      versionAfter: promotion.targetVersion,
+      netlifyDeployId: record.promotedFrom.netlifyDeployId,
+      progress: 100,
+      stages: DEPLOYMENT_STAGES.map(stage => ({ agentId: stage.name, status: 'done' })),
+      outcome: 'success'
+    };
+    await history.save(published);
+    await setCurrentVersion(store, record.environment, promotion.targetVersion);
+    return { record: published };
+  } catch (error) {
+    await history.save({
+      ...promotion,
+      finishedAt: new Date().toISOString(),
+      versionAfter: promotion.versionBefore,
+      progress: 100,
+      stages: [],
+      outcome: 'failed',
+      error: error.message
+    });
+    throw error;
+  } finally {
+    await deployLock.release(record.environment, record.id);
+  }
+}
+
+/**
+ * Run `plan` while the record's environment is locked; if it throws (a
+ * version or commit lookup), release the lock before passing the error on,
+ * so the environment isn't left locked until the lock expires
+ */
+async function releaseLockOnError(deployLock, record, plan) {
+  try {
+    return await plan();
+  } catch (error) {
+    await deployLock.release(record.environment, record.id);
+    throw error;
+  }
+}
+
+// 200 for a build that is now running
+function buildStartedResponse(headers, record) {
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      deploymentId: record.id,
+      message: 'Deployment initiated successfully',
+      startTime: record.startedAt,
+      estimatedDuration: TOTAL_DEPLOYMENT_TIME,
+      version: record.targetVersion,
+      releaseNotes: record.releaseNotes || null,
+      environment: record.environment,
+      user: record.user,
+      mode: record.mode,
+      stages: DEPLOYMENT_STAGES.length
+    })
+  };
+}
+
+// 200 for a promotion that is now live
+function promotedResponse(headers, record) {
+  const { environment, version } = record.promotedFrom;
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      deploymentId: record.id,
+      message: `Promoting ${environment} version ${version} to ${record.environment}`,
+      startTime: record.startedAt,
+      version: record.versionAfter,
+      releaseNotes: record.releaseNotes || null,
+      environment: record.environment,
+      promotedFrom: { environment, deploymentId: record.promotedFrom.deploymentId, version },
+      user: record.user
+    })
+  };
+}
+
+// 502 for a build Netlify refused to start
+function buildFailedResponse(headers, record) {
+  return {
+    statusCode: 502,
+    headers,
+    body: JSON.stringify({
+      success: false,
+      deploymentId: record.id,
+      error: 'Netlify build could not be started',
+      message: 'Please try again in a minute'
+    })
+  };
+}
+
+// 503 when Netlify isn't configured for the environment, unless simulated
+// runs are allowed (ALLOW_SIMULATED_DEPLOYS=true, for local development)
+function checkNetlifyConfigured(headers, client, env = process.env) {
+  if (client.isConfigured() || String(env.ALLOW_SIMULATED_DEPLOYS) === 'true') return null;
+
+  return {
+    statusCode: 503,
+    headers,
+    body: JSON.stringify({
+      success: false,
+      error: 'Netlify builds are not configured for this environment',
+      code: 'NETLIFY_NOT_CONFIGURED',
+      message: 'Set NETLIFY_AUTH_TOKEN and NETLIFY_SITE_ID, or ALLOW_SIMULATED_DEPLOYS=true for a simulated run in development'
+    })
+  };
+}
+
+// 400 for a bump level other than patch, minor or major, or null
+function checkBumpLevel(headers, bump) {
+  if (BUMP_LEVELS.includes(bump)) return null;
+
+  return {
+    statusCode: 400,
+    headers,
+    body: JSON.stringify({
+      success: false,
+      error: `bump must be one of ${BUMP_LEVELS.join(', ')} (got "${bump}")`
+    })
+  };
+}
+
+// 202 for a request that now waits for someone to approve it
+function pendingApprovalResponse(headers, record, settings) {
+  return {
+    statusCode: 202,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      pendingApproval: true,
+      deploymentId: record.id,
+      startTime: record.startedAt,
+      expiresAt: record.approval.expiresAt,
+      environment: record.environment,
+      user: record.user,
+      message: `Waiting for someone else to approve this update to ${settings.label}`
+    })
+  };
+}
+
+module.exports = {
+  startBuild,
+  publishPromotion,
+  checkBumpLevel,
+  checkNetlifyConfigured,
+  buildStartedResponse,
+  buildFailedResponse,
+  promotedResponse,
+  pendingApprovalResponse
+};
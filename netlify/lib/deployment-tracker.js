@@ -0,0 +1,405 @@
+// Shared deployment state for the Netlify functions
+// deploy.js creates a deployment record, status.js advances and reads it,
+// and both keep the live version per environment in the state store.
+//
+// Records in 'netlify' mode follow a real Netlify deploy; records in
+// 'simulated' mode (no build hook or API token configured) advance on a
+// fixed schedule so the dashboard can be developed locally. A simulated run
+// deploys nothing, so it finishes as outcome 'simulated' rather than
+// 'success' and never changes the live version.
+const DeploymentHistory = require('../../storage/deployment-history');
+const { createStateStore } = require('../../storage/state-store');
+const { createDeploymentLock } = require('./request-limits');
+
+const DEPLOYMENT_STAGES = [
+  { name: 'guardian', emoji: '🛡️', message: 'Guardian checking security and permissions...', duration: 6000 },
+  { name: 'speedster', emoji: '⚡', message: 'Speedster optimizing performance and assets...', duration: 8000 },
+  { name: 'detective', emoji: '🔍', message: 'Detective running comprehensive tests...', duration: 10000 },
+  { name: 'architect', emoji: '🏗️', message: 'Architect finalizing deployment structure...', duration: 6000 }
+];
+
+const TOTAL_DEPLOYMENT_TIME = DEPLOYMENT_STAGES.reduce((total, stage) => total + stage.duration, 0);
+
+// Netlify deploy states -> the agent working on that part of the build
+const NETLIFY_STATE_STAGES = {
+  new: 'guardian',
+  pending_review: 'guardian',
+  accepted: 'guardian',
+  enqueued: 'guardian',
+  building: 'speedster',
+  uploading: 'detective',
+  uploaded: 'detective',
+  preparing: 'detective',
+  prepared: 'detective',
+  processing: 'architect',
+  processed: 'architect',
+  retrying: 'architect'
+};
+
+const NETLIFY_STAGE_PROGRESS = {
+  guardian: 10,
+  speedster: 35,
+  detective: 65,
+  architect: 85
+};
+
+// Fixed event ids (see toEvents), so an event keeps its id however often
+// the record is read: the approval request, the start, two per agent and
+// the end
+const EVENT_IDS = { approval: 1, started: 2, firstAgent: 10, final: 100 };
+
+// Stage states -> the agent-update status the Express server sends
+const FINISHED_AGENT_STATUSES = { done: 'complete', failed: 'failed', cancelled: 'cancelled' };
+
+// event: the function's event, for the default store (see createStateStore)
+function createTracker(store = null, event = null) {
+  const trackerStore = store || createStateStore({ event });
+  return {
+    store: trackerStore,
+    history: new DeploymentHistory({ store: trackerStore })
+  };
+}
+
+// null until something has been deployed to `environment`
+async function getCurrentVersion(store, environment) {
+  return (await store.get(`version:${environment}`)) || null;
+}
+
+async function setCurrentVersion(store, environment, version) {
+  return store.set(`version:${environment}`, version);
+}
+
+function createDeploymentRecord({ id, mode = 'simulated', user, username, environment, versionBefore, targetVersion, startedAt }) {
+  return {
+    id,
+    type: 'deploy',
+    mode,
+    user,
+    username,
+    environment,
+    startedAt,
+    versionBefore,
+    targetVersion,
+    progress: 0,
+    stages: DEPLOYMENT_STAGES.map(stage => ({ agentId: stage.name, status: 'waiting' })),
+    outcome: 'in_progress'
+  };
+}
+
+// Translate stored stage states into the agent statuses the UI renders
+function toAgentStatuses(record) {
+  return (record.stages || []).reduce((acc, stage) => {
+    acc[stage.agentId] = stage.status;
+    return acc;
+  }, {});
+}
+
+function agentName(agentId) {
+  return agentId.charAt(0).toUpperCase() + agentId.slice(1);
+}
+
+function agentMessage(stage, record) {
+  const name = agentName(stage.agentId);
+
+  switch (stage.status) {
+    case 'done': return `${name} completed successfully`;
+    case 'failed': return `${name} stopped the deployment: ${record.error || 'unknown error'}`;
+    case 'cancelled': return `${name} stopped - the deployment was cancelled`;
+    default: return `${name} is starting their work`;
+  }
+}
+
+function simulatedMessage(record) {
+  return `🧪 Simulated update finished - nothing was deployed${record.versionBefore ? ` and version ${record.versionBefore} is still live` : ''}`;
+}
+
+/**
+ * A record's story so far as the events the Express server streams
+ * ({ id, event, data }, oldest first), for deployments.js's event stream.
+ * The current progress comes last without an id, so it is sent on every
+ * read without moving the client's Last-Event-ID.
+ */
+function toEvents(record) {
+  const base = { deploymentId: record.id, type: record.type, environment: record.environment };
+  const approvalUpdate = outcome => ({
+    ...base,
+    user: record.user,
+    outcome,
+    approval: record.approval
+  });
+  const events = [];
+
+  if (record.approval) {
+    events.push({ id: EVENT_IDS.approval, event: 'approval-update', data: approvalUpdate('pending_approval') });
+  }
+
+  if (['rejected', 'expired'].includes(record.outcome)) {
+    events.push({ id: EVENT_IDS.final, event: 'approval-update', data: approvalUpdate(record.outcome) });
+    return events;
+  }
+  if (record.outcome === 'pending_approval') return events;
+
+  events.push({
+    id: EVENT_IDS.started,
+    event: 'deployment-started',
+    data: {
+      id: record.id,
+      type: record.type,
+      environment: record.environment,
+      user: record.user,
+      startedAt: record.startedAt,
+      versionBefore: record.versionBefore,
+      targetVersion: record.targetVersion || null,
+      releaseNotes: record.releaseNotes || null,
+      promotedFrom: record.promotedFrom || null
+    }
+  });
+
+  (record.stages || []).forEach((stage, index) => {
+    if (stage.status === 'waiting') return;
+
+    const id = EVENT_IDS.firstAgent + index * 2;
+    events.push({
+      id,
+      event: 'agent-update',
+      data: { agentId: stage.agentId, status: 'active', message: agentMessage({ ...stage, status: 'working' }, record) }
+    });
+
+    if (FINISHED_AGENT_STATUSES[stage.status]) {
+      events.push({
+        id: id + 1,
+        event: 'agent-update',
+        data: { agentId: stage.agentId, status: FINISHED_AGENT_STATUSES[stage.status], message: agentMessage(stage, record) }
+      });
+    }
+  });
+
+  const finished = { ...base, timestamp: record.finishedAt };
+
+  switch (record.outcome) {
+    case 'success':
+      events.push({
+        id: EVENT_IDS.final,
+        event: 'deployment-complete',
+        data: { ...finished, success: true, newVersion: record.versionAfter, message: 'Deployment completed successfully!' }
+      });
+      break;
+    case 'simulated':
+      events.push({
+        id: EVENT_IDS.final,
+        event: 'deployment-complete',
+        data: { ...finished, success: false, simulated: true, newVersion: record.versionBefore, message: simulatedMessage(record) }
+      });
+      break;
+    case 'failed':
+      events.push({ id: EVENT_IDS.final, event: 'deployment-error', data: { ...finished, error: record.error || 'unknown error' } });
+      break;
+    case 'cancelled':
+      events.push({
+        id: EVENT_IDS.final,
+        event: 'deployment-cancelled',
+        data: {
+          ...finished,
+          cancelledBy: record.cancelledBy?.name || null,
+          version: record.versionBefore,
+          message: record.versionBefore
+            ? `${record.cancelledBy?.name || 'Someone'} cancelled the update - version ${record.versionBefore} is still live`
+            : `${record.cancelledBy?.name || 'Someone'} cancelled the update`
+        }
+      });
+      break;
+    default: {
+      const activeIndex = (record.stages || []).findIndex(stage => stage.status === 'working');
+      events.push({
+        event: 'deployment-progress',
+        data: {
+          progress: record.progress || 0,
+          activeAgent: activeIndex >= 0 ? record.stages[activeIndex].agentId : null,
+          message: activeIndex >= 0 ? DEPLOYMENT_STAGES[activeIndex].message : undefined
+        }
+      });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Move a deployment record forward to `now`
+ * Stage transitions are written into the record, so every poll (from any
+ * viewer) sees the same persisted state. Returns true when the record
+ * changed and should be saved.
+ */
+function advanceDeployment(record, now = Date.now()) {
+  if (record.outcome !== 'in_progress') return false;
+
+  const startedAt = new Date(record.startedAt).getTime();
+  const elapsed = Math.max(0, now - startedAt);
+  let changed = false;
+  let stageStart = startedAt;
+
+  DEPLOYMENT_STAGES.forEach((definition, index) => {
+    const stage = record.stages[index];
+    const stageEnd = stageStart + definition.duration;
+    const status = now >= stageEnd ? 'done' : now >= stageStart ? 'working' : 'waiting';
+
+    if (stage.status !== status) {
+      stage.status = status;
+      if (status !== 'waiting' && !stage.startedAt) stage.startedAt = new Date(stageStart).toISOString();
+      if (status === 'done') stage.finishedAt = new Date(stageEnd).toISOString();
+      changed = true;
+    }
+
+    stage.progress = Math.round(Math.min(1, Math.max(0, (now - stageStart) / definition.duration)) * 100);
+    stageStart = stageEnd;
+  });
+
+  record.progress = Math.round(Math.min(100, (elapsed / TOTAL_DEPLOYMENT_TIME) * 100));
+
+  if (elapsed >= TOTAL_DEPLOYMENT_TIME) {
+    record.outcome = 'simulated';
+    record.progress = 100;
+    record.versionAfter = record.versionBefore;
+    record.finishedAt = new Date(startedAt + TOTAL_DEPLOYMENT_TIME).toISOString();
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * Apply a Netlify deploy state to a record
+ * Agents before the one handling `state` are done, that one is working and
+ * the rest wait; 'ready' finishes the deployment and 'error' fails it.
+ */
+function applyNetlifyState(record, state, errorMessage) {
+  if (record.netlifyState === state) return false;
+  record.netlifyState = state;
+
+  const now = new Date().toISOString();
+
+  if (state === 'ready') {
+    record.stages.forEach(stage => {
+      if (stage.status !== 'done') stage.finishedAt = now;
+      stage.status = 'done';
+    });
+    record.outcome = 'success';
+    record.progress = 100;
+    record.versionAfter = record.targetVersion;
+    record.finishedAt = now;
+    return true;
+  }
+
+  if (state === 'error') {
+    const active = record.stages.find(stage => stage.status === 'working');
+    if (active) active.status = 'failed';
+    record.outcome = 'failed';
+    record.versionAfter = record.versionBefore;
+    record.error = errorMessage || 'Netlify build failed';
+    record.finishedAt = now;
+    return true;
+  }
+
+  const activeAgent = NETLIFY_STATE_STAGES[state];
+  if (!activeAgent) return true;
+
+  const activeIndex = record.stages.findIndex(stage => stage.agentId === activeAgent);
+  record.stages.forEach((stage, index) => {
+    const status = index < activeIndex ? 'done' : index === activeIndex ? 'working' : 'waiting';
+    if (status !== 'waiting' && !stage.startedAt) stage.startedAt = now;
+    if (status === 'done' && !stage.finishedAt) stage.finishedAt = now;
+    stage.status = status;
+  });
+  record.progress = Math.max(record.progress || 0, NETLIFY_STAGE_PROGRESS[activeAgent]);
+
+  return true;
+}
+
+/**
+ * Mark a running deployment cancelled by `user`: the agent at work stops,
+ * the rest never start and the version live before it stays live
+ */
+function cancelDeployment(record, user, now = new Date()) {
+  const finishedAt = now.toISOString();
+
+  record.stages.forEach(stage => {
+    if (stage.status === 'working') {
+      stage.status = 'cancelled';
+      stage.finishedAt = finishedAt;
+    }
+  });
+  record.outcome = 'cancelled';
+  record.versionAfter = record.versionBefore;
+  record.cancelledBy = { name: user.name, username: user.username };
+  record.cancelledAt = finishedAt;
+  record.error = `Cancelled by ${user.name}`;
+  record.finishedAt = finishedAt;
+}
+
+/**
+ * Bring a record up to date: poll Netlify for real deploys, or step the
+ * schedule for simulated ones. Returns true when the record changed.
+ */
+async function refreshDeployment(record, { client, now = Date.now() } = {}) {
+  if (record.outcome !== 'in_progress') return false;
+
+  if (record.mode !== 'netlify') {
+    return advanceDeployment(record, now);
+  }
+
+  let changed = false;
+
+  // Build hooks don't return a deploy id; find the deploy by its title
+  if (!record.netlifyDeployId) {
+    const deploy = await client.findDeployByTitle(record.id);
+    if (!deploy) return false;
+    record.netlifyDeployId = deploy.id;
+    changed = true;
+  }
+
+  const deploy = await client.getDeploy(record.netlifyDeployId);
+
+  // The commit Netlify built, for the next deploy's release notes
+  if (deploy.commit_ref && record.commit !== deploy.commit_ref) {
+    record.commit = deploy.commit_ref;
+    changed = true;
+  }
+
+  return applyNetlifyState(record, deploy.state, deploy.error_message) || changed;
+}
+
+/**
+ * Refresh a record and persist what changed: a finished deployment sets the
+ * live version (on success) and frees its environment. Resolves true when
+ * the record changed.
+ */
+async function syncDeployment(record, { store, history, client, now = Date.now() }) {
+  if (!(await refreshDeployment(record, { client, now }))) return false;
+
+  await history.save(record);
+
+  if (record.outcome === 'success') {
+    await setCurrentVersion(store, record.environment, record.versionAfter);
+  }
+  if (record.outcome !== 'in_progress') {
+    await createDeploymentLock(store).release(record.environment, record.id);
+  }
+  return true;
+}
+
+module.exports = {
+  DEPLOYMENT_STAGES,
+  TOTAL_DEPLOYMENT_TIME,
+  createTracker,
+  getCurrentVersion,
+  setCurrentVersion,
+  createDeploymentRecord,
+  simulatedMessage,
+  advanceDeployment,
+  applyNetlifyState,
+  cancelDeployment,
+  refreshDeployment,
+  syncDeployment,
+  toAgentStatuses,
+  toEvents
+};
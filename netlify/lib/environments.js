@@ -0,0 +1,58 @@
+// Deployment environments for the Netlify functions
+// Environments are defined in config/production.yml; each one has its own
+// version key, history records, deployment lock and Netlify client.
+const {
+  defaultEnvironment,
+  environmentSettings,
+  listEnvironments,
+  publicEnvironment
+} = require('../../config/config-loader');
+const { activeBlackout, describeBlackout } = require('../../schedules/blackout-windows');
+
+/**
+ * 400 for an environment that isn't configured, or null when the request
+ * may go ahead
+ */
+function checkEnvironment(headers, name) {
+  if (environmentSettings(name)) return null;
+
+  return {
+    statusCode: 400,
+    headers,
+    body: JSON.stringify({
+      success: false,
+      error: `Unknown environment: ${name}`,
+      environments: listEnvironments().map(environment => environment.name)
+    })
+  };
+}
+
+/**
+ * 423 while the environment is in a blackout window (scheduling in
+ * config/production.yml), or null when a deploy may start
+ */
+function checkBlackout(headers, name) {
+  const blackout = activeBlackout(name);
+  if (!blackout) return null;
+
+  return {
+    statusCode: 423,
+    headers,
+    body: JSON.stringify({
+      success: false,
+      error: describeBlackout(blackout),
+      code: 'BLACKOUT_WINDOW',
+      blackout
+    })
+  };
+}
+
+module.exports = {
+  defaultEnvironment,
+  environmentSettings,
+  listEnvironments,
+  checkEnvironment,
+  checkBlackout,
+  activeBlackout,
+  publicEnvironment
+};
@@ -0,0 +1,152 @@
+// Minimal Netlify API client for triggering and tracking site builds
+// The HTTP layer is an axios-compatible instance passed in as `http`, and the
+// API base URL is configurable, so it can point at a local fake Netlify API.
+const axios = require('axios');
+const { getConfig, environmentSettings } = require('../../config/config-loader');
+
+const DEFAULT_API_BASE = 'https://api.netlify.com/api/v1';
+
+class NetlifyClient {
+  constructor(options = {}) {
+    this.apiBase = options.apiBase || process.env.NETLIFY_API_BASE || DEFAULT_API_BASE;
+    this.token = options.token || process.env.NETLIFY_AUTH_TOKEN;
+    this.siteId = options.siteId || process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+    this.buildHookUrl = 'buildHookUrl' in options ? options.buildHookUrl : process.env.NETLIFY_BUILD_HOOK_URL;
+    this.branch = options.branch || null;
+    this.http = options.http || axios.create({ timeout: 15000 });
+
+    // limits.max_retries / limits.retry_delay from config/production.yml
+    const limits = getConfig().limits || {};
+    this.maxRetries = options.maxRetries ?? limits.max_retries ?? 3;
+    this.retryDelay = options.retryDelay ?? limits.retry_delay ?? 5000;
+  }
+
+  /**
+   * Client for one environment from config/production.yml: its own site
+   * (falling back to NETLIFY_SITE_ID), branch and build hook. An environment
+   * whose build hook variable is unset builds through the API instead of
+   * borrowing another environment's hook.
+   */
+  static forEnvironment(environment, options = {}) {
+    const settings = environmentSettings(environment);
+    if (!settings) {
+      throw new Error(`Unknown environment: ${environment}`);
+    }
+
+    return new NetlifyClient({
+      siteId: settings.siteId || undefined,
+      branch: settings.branch,
+      buildHookUrl: settings.buildHookEnv ? process.env[settings.buildHookEnv] || null : null,
+      ...options
+    });
+  }
+
+  /**
+   * Client for following a recorded deployment: its environment's site, or
+   * the default one for an environment no longer in the config
+   */
+  static forDeployment(record, options = {}) {
+    return environmentSettings(record.environment)
+      ? NetlifyClient.forEnvironment(record.environment, options)
+      : new NetlifyClient(options);
+  }
+
+  /**
+   * Tracking deploy state needs the API, even when builds are started by
+   * a build hook, so a token and site id are always required
+   */
+  isConfigured() {
+    return Boolean(this.token && this.siteId);
+  }
+
+  authHeaders() {
+    return this.token ? { 'Authorization': `Bearer ${this.token}` } : {};
+  }
+
+  /**
+   * Run a request, retrying network errors, 429s and 5xx responses up to
+   * maxRetries times. Honours the API's Retry-After when it sends one.
+   */
+  async withRetries(request) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = !status || status === 429 || status >= 500;
+
+        if (!retryable || attempt >= this.maxRetries) throw error;
+
+        const retryAfter = Number(error.response?.headers?.['retry-after']);
+        const delay = retryAfter > 0 ? retryAfter * 1000 : this.retryDelay;
+        console.warn(`Netlify API request failed (${status || error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Start a new build. The title is attached to the resulting deploy so a
+   * hook-triggered build can be found again by findDeployByTitle().
+   * Resolves { deployId } - deployId is null for build hooks, which don't
+   * return one.
+   */
+  async triggerBuild(title) {
+    if (this.buildHookUrl) {
+      await this.withRetries(() => this.http.post(this.buildHookUrl, {}, {
+        params: { trigger_title: title }
+      }));
+      return { deployId: null };
+    }
+
+    const response = await this.withRetries(() => this.http.post(
+      `${this.apiBase}/sites/${this.siteId}/builds`,
+      this.branch ? { title, branch: this.branch } : { title },
+      { headers: this.authHeaders() }
+    ));
+    return { deployId: response.data.deploy_id || null };
+  }
+
+  async findDeployByTitle(title) {
+    const response = await this.http.get(`${this.apiBase}/sites/${this.siteId}/deploys`, {
+      headers: this.authHeaders(),
+      params: { per_page: 20 }
+    });
+    return (response.data || []).find(deploy => deploy.title === title) || null;
+  }
+
+  /**
+   * Publish an earlier deploy again (used for rollbacks, and for promotions
+   * between environments that share a site)
+   */
+  async restoreDeploy(deployId) {
+    const response = await this.withRetries(() => this.http.post(
+      `${this.apiBase}/sites/${this.siteId}/deploys/${deployId}/restore`,
+      {},
+      { headers: this.authHeaders() }
+    ));
+    return response.data;
+  }
+
+  /**
+   * Stop a deploy that is still building; Netlify answers 4xx for one that
+   * has already finished
+   */
+  async cancelDeploy(deployId) {
+    const response = await this.withRetries(() => this.http.post(
+      `${this.apiBase}/deploys/${deployId}/cancel`,
+      {},
+      { headers: this.authHeaders() }
+    ));
+    return response.data;
+  }
+
+  async getDeploy(deployId) {
+    const response = await this.http.get(`${this.apiBase}/deploys/${deployId}`, {
+      headers: this.authHeaders()
+    });
+    return response.data;
+  }
+}
+
+module.exports = NetlifyClient;
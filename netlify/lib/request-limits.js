@@ -0,0 +1,65 @@
+// Rate limiting and per-environment deployment locks for the Netlify
+// functions. Buckets and locks live in the shared state store because
+// function instances don't share memory.
+const RateLimiter = require('../../limits/rate-limiter');
+const DeploymentLock = require('../../limits/deployment-lock');
+
+// Signed-in users get their own bucket; everyone else is limited per IP
+function clientKey(event, auth) {
+  const { user } = auth.enabled ? auth.identify(event.headers?.authorization) : {};
+  if (user) return `user:${user.username}`;
+
+  const forwarded = event.headers?.['x-forwarded-for'];
+  const ip = event.headers?.['x-nf-client-connection-ip'] || (forwarded && forwarded.split(',')[0].trim());
+  return `ip:${ip || 'unknown'}`;
+}
+
+/**
+ * Take a token for the caller; resolves a 429 response when the bucket is
+ * empty, or null when the request may go ahead (always for reads)
+ */
+async function checkRateLimit(event, headers, { store, auth }) {
+  if (!RateLimiter.limits(event.httpMethod)) return null;
+
+  const limiter = RateLimiter.fromConfig(store);
+  const { allowed, retryAfter } = await limiter.take(clientKey(event, auth));
+
+  if (allowed) return null;
+
+  return {
+    statusCode: 429,
+    headers: { ...headers, 'Retry-After': String(retryAfter) },
+    body: JSON.stringify({
+      success: false,
+      error: 'Too many requests - please wait a moment and try again',
+      code: 'RATE_LIMITED',
+      retryAfter
+    })
+  };
+}
+
+// 409 for a deployment that found its environment locked
+function lockedResponse(headers, environment, lock) {
+  return {
+    statusCode: 409,
+    headers: { ...headers, 'Retry-After': String(lock.retryAfter) },
+    body: JSON.stringify({
+      success: false,
+      error: `An update is already running for ${environment} - please try again in ${lock.retryAfter} seconds`,
+      code: 'DEPLOYMENT_LOCKED',
+      deploymentId: lock.holder,
+      environment,
+      retryAfter: lock.retryAfter
+    })
+  };
+}
+
+function createDeploymentLock(store) {
+  return DeploymentLock.fromConfig(store);
+}
+
+module.exports = {
+  checkRateLimit,
+  lockedResponse,
+  createDeploymentLock
+};
@@ -19,16 +19,24 @@ const fs = require('fs').promises;
 const path = require('path');
 const { performance } = require('perf_hooks');
 const crypto = require('crypto');
+const { dnsSettings } = require('./config/config-loader');
 
 class PerformanceOptimizer {
   constructor(config = {}) {
+    // Domain and target from the dns section of config/production.yml
+    const settings = dnsSettings();
+
     this.config = {
-      domain: config.domain || 'candlefish.ai',
-      subdomain: config.subdomain || 'fogg',
-      primaryUrl: config.primaryUrl || 'https://fogg-calendar.netlify.app',
+      domain: settings.domain,
+      subdomain: settings.subdomain,
+      primaryUrl: `https://${settings.target}`,
       ...config
     };
 
+    const { domain, subdomain, primaryUrl } = this.config;
+    this.primaryHost = new URL(primaryUrl).hostname;
+    this.fqdn = `${subdomain}.${domain}`;
+
     this.metrics = {
       dns: [],
       ttfb: [],
@@ -44,9 +52,9 @@ class PerformanceOptimizer {
 
     // CDN endpoints for failover
     this.cdnEndpoints = [
-      { name: 'Netlify', url: 'https://fogg-calendar.netlify.app', priority: 1 },
-      { name: 'Cloudflare', url: 'https://fogg.candlefish.ai', priority: 2 },
-      { name: 'Direct', url: 'https://candlefish.ai/fogg', priority: 3 }
+      { name: 'Netlify', url: primaryUrl, priority: 1 },
+      { name: 'Cloudflare', url: `https://${this.fqdn}`, priority: 2 },
+      { name: 'Direct', url: `https://${domain}/${subdomain}`, priority: 3 }
     ];
 
     // Performance thresholds (Core Web Vitals)
@@ -89,9 +97,9 @@ class PerformanceOptimizer {
     console.log('🔥 Warming up DNS cache...');
     
     const domains = [
-      'fogg-calendar.netlify.app',
-      'candlefish.ai',
-      'fogg.candlefish.ai',
+      this.primaryHost,
+      this.config.domain,
+      this.fqdn,
       'api.netlify.com',
       'cdn.jsdelivr.net',
       'fonts.googleapis.com'
@@ -267,7 +275,7 @@ class PerformanceOptimizer {
     // 1. DNS Resolution Performance
     const dnsStart = performance.now();
     try {
-      await this.resolveDNSWithCache('fogg-calendar.netlify.app');
+      await this.resolveDNSWithCache(this.primaryHost);
       measurements.dns = performance.now() - dnsStart;
     } catch (error) {
       measurements.dns = -1;
@@ -587,11 +595,7 @@ module.exports = PerformanceOptimizer;
 
 // CLI interface
 if (require.main === module) {
-  const optimizer = new PerformanceOptimizer({
-    domain: 'candlefish.ai',
-    subdomain: 'fogg',
-    primaryUrl: 'https://fogg-calendar.netlify.app'
-  });
+  const optimizer = new PerformanceOptimizer();
 
   // Graceful shutdown
   process.on('SIGINT', async () => {
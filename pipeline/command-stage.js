@@ -0,0 +1,69 @@
+/**
+ * Pipeline stage that runs a single npm/shell command
+ * Progress is derived from the command's output: each line moves the stage
+ * closer to done, and only a clean exit completes it.
+ */
+
+const PipelineStage = require('./pipeline-stage');
+const runCommand = require('./run-command');
+
+class CommandStage extends PipelineStage {
+  constructor({ command, args = [], env, expectedLines = 20, ...options }) {
+    super(options);
+    this.command = command;
+    this.args = args;
+    this.extraEnv = env || {};
+    this.expectedLines = expectedLines;
+  }
+
+  async execute(context) {
+    const { cwd, env, report, log, signal } = context;
+    const commandLine = [this.command, ...this.args].join(' ');
+    let lineCount = 0;
+
+    report(0, `Running ${commandLine}`);
+
+    const result = await runCommand(this.command, this.args, {
+      cwd,
+      env: { ...env, ...this.extraEnv },
+      signal,
+      onLine: (line, stream) => {
+        lineCount++;
+        log(line, stream);
+        report(Math.min(0.95, lineCount / (lineCount + this.expectedLines)), line);
+      }
+    });
+
+    if (result.cancelled) {
+      return {
+        success: false,
+        cancelled: true,
+        error: `${commandLine} was stopped`,
+        details: { command: commandLine, output: result.output }
+      };
+    }
+
+    if (result.code !== 0) {
+      return {
+        success: false,
+        error: `${commandLine} exited with code ${result.code ?? result.signal}`,
+        details: { command: commandLine, exitCode: result.code, output: result.output }
+      };
+    }
+
+    return this.verify(context, {
+      success: true,
+      summary: `${commandLine} finished`,
+      details: { command: commandLine, exitCode: 0, output: result.output }
+    });
+  }
+
+  /**
+   * Hook for subclasses to check the command's side effects
+   */
+  async verify(context, result) {
+    return result;
+  }
+}
+
+module.exports = CommandStage;
@@ -0,0 +1,83 @@
+/**
+ * Deployment event log
+ *
+ * The events each recent deployment sent its watchers (the Socket.IO event
+ * name and payload), numbered from 1 per deployment so a Server-Sent Events
+ * client reconnecting with Last-Event-ID is sent exactly what it missed.
+ * Kept in memory for the last `maxDeployments` deployments, at most
+ * `maxEvents` each (the oldest go first).
+ *
+ * Emits 'event' (deploymentId, entry) for every recorded entry
+ * ({ id, event, data }).
+ */
+
+const { EventEmitter } = require('events');
+
+const DEFAULT_MAX_DEPLOYMENTS = 10;
+const DEFAULT_MAX_EVENTS = 1000;
+
+// Nothing follows these for a deployment
+const FINAL_EVENTS = ['deployment-complete', 'deployment-error', 'deployment-cancelled'];
+const FINAL_APPROVAL_OUTCOMES = ['rejected', 'expired'];
+
+class DeploymentEventLog extends EventEmitter {
+  constructor({ maxDeployments = DEFAULT_MAX_DEPLOYMENTS, maxEvents = DEFAULT_MAX_EVENTS } = {}) {
+    super();
+    // One listener per open stream
+    this.setMaxListeners(0);
+
+    this.maxDeployments = maxDeployments;
+    this.maxEvents = maxEvents;
+    this.deployments = new Map();
+  }
+
+  record(deploymentId, event, data) {
+    let log = this.deployments.get(deploymentId);
+
+    if (!log) {
+      log = { nextId: 1, entries: [], finished: false };
+      this.deployments.set(deploymentId, log);
+
+      // Maps iterate in insertion order, so the first key is the oldest
+      if (this.deployments.size > this.maxDeployments) {
+        this.deployments.delete(this.deployments.keys().next().value);
+      }
+    }
+
+    const entry = { id: log.nextId++, event, data };
+    log.entries.push(entry);
+    if (log.entries.length > this.maxEvents) log.entries.shift();
+    if (DeploymentEventLog.isFinal(entry)) log.finished = true;
+
+    this.emit('event', deploymentId, entry);
+    return entry;
+  }
+
+  has(deploymentId) {
+    return this.deployments.has(deploymentId);
+  }
+
+  isFinished(deploymentId) {
+    return Boolean(this.deployments.get(deploymentId)?.finished);
+  }
+
+  // Entries after `lastEventId` (all of them for 0)
+  since(deploymentId, lastEventId = 0) {
+    const log = this.deployments.get(deploymentId);
+    return log ? log.entries.filter(entry => entry.id > lastEventId) : [];
+  }
+
+  static isFinal({ event, data }) {
+    return FINAL_EVENTS.includes(event) ||
+      (event === 'approval-update' && FINAL_APPROVAL_OUTCOMES.includes(data?.outcome));
+  }
+
+  // One entry in the text/event-stream format; entries without an id leave
+  // the client's Last-Event-ID as it was
+  static format({ id, event, data }) {
+    const idLine = id === undefined || id === null ? '' : `id: ${id}\n`;
+    return `${idLine}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+}
+
+module.exports = DeploymentEventLog;
@@ -0,0 +1,137 @@
+/**
+ * Deployment Pipeline
+ *
+ * Runs the deployment agents as real stages, in order, and reports what
+ * they are doing through the same events the dashboard already listens to:
+ *
+ *   agent-update         { agentId, status: 'active'|'complete'|'failed'|'cancelled', message }
+ *   deployment-progress  { progress, activeAgent, message }
+ *   stage-log            { agentId, line, stream }
+ *
+ * Overall progress runs from 5% to 95%; each stage owns an equal slice and
+ * fills it from the fraction of work it reports. The caller emits the final
+ * deployment-complete / deployment-error once run() resolves.
+ *
+ * Aborting the `signal` passed to run() stops the running stage and skips
+ * the rest; run() then resolves with `cancelled: true`.
+ */
+
+const EventEmitter = require('events');
+const GuardianStage = require('./stages/guardian-stage');
+const SpeedsterStage = require('./stages/speedster-stage');
+const DetectiveStage = require('./stages/detective-stage');
+const ArchitectStage = require('./stages/architect-stage');
+
+const PROGRESS_START = 5;
+const PROGRESS_END = 95;
+
+class DeploymentPipeline extends EventEmitter {
+  constructor({ stages, cwd, env } = {}) {
+    super();
+    this.stages = stages || DeploymentPipeline.createDefaultStages();
+    this.cwd = cwd || process.cwd();
+    this.env = { ...process.env, ...env };
+    this.progress = 0;
+  }
+
+  static createDefaultStages() {
+    return [
+      new GuardianStage(),
+      new SpeedsterStage(),
+      new DetectiveStage(),
+      new ArchitectStage()
+    ];
+  }
+
+  /**
+   * Run every stage in order, stopping at the first failure or a cancel
+   */
+  async run({ signal } = {}) {
+    const results = [];
+    const slice = (PROGRESS_END - PROGRESS_START) / this.stages.length;
+
+    this.emitProgress(PROGRESS_START, null, 'Initializing deployment system...');
+
+    for (let i = 0; i < this.stages.length; i++) {
+      const stage = this.stages[i];
+      const baseProgress = PROGRESS_START + i * slice;
+      const startedAt = Date.now();
+
+      if (signal?.aborted) {
+        return { success: false, cancelled: true, error: 'Deployment cancelled', stages: results };
+      }
+
+      this.emit('agent-update', {
+        agentId: stage.id,
+        status: 'active',
+        message: `${stage.name} is starting their work`
+      });
+      this.emitProgress(baseProgress, stage.id, stage.startMessage);
+
+      const result = await stage.run({
+        cwd: this.cwd,
+        env: this.env,
+        report: (fraction, message) => {
+          const bounded = Math.max(0, Math.min(1, fraction));
+          this.emitProgress(baseProgress + bounded * slice, stage.id, message);
+        },
+        log: (line, stream) => {
+          this.emit('stage-log', { agentId: stage.id, line, stream });
+        },
+        signal
+      });
+
+      const stageResult = {
+        agentId: stage.id,
+        name: stage.name,
+        ...result,
+        durationMs: Date.now() - startedAt
+      };
+      results.push(stageResult);
+
+      if (!result.success && (result.cancelled || signal?.aborted)) {
+        this.emit('agent-update', {
+          agentId: stage.id,
+          status: 'cancelled',
+          message: `${stage.name} stopped - the deployment was cancelled`
+        });
+
+        return { success: false, cancelled: true, failedStage: stage.id, error: 'Deployment cancelled', stages: results };
+      }
+
+      if (!result.success) {
+        this.emit('agent-update', {
+          agentId: stage.id,
+          status: 'failed',
+          message: `${stage.name} stopped the deployment: ${result.error}`
+        });
+
+        return { success: false, failedStage: stage.id, error: result.error, stages: results };
+      }
+
+      this.emit('agent-update', {
+        agentId: stage.id,
+        status: 'complete',
+        message: `${stage.name} completed successfully`
+      });
+      this.emitProgress(baseProgress + slice, null, stage.completeMessage);
+    }
+
+    this.emitProgress(PROGRESS_END, null, 'Finalizing deployment...');
+
+    return { success: true, stages: results };
+  }
+
+  emitProgress(progress, activeAgent, message) {
+    // Never move the bar backwards, even if a stage reports out of order
+    this.progress = Math.max(this.progress, Math.round(progress));
+
+    this.emit('deployment-progress', {
+      progress: this.progress,
+      activeAgent,
+      message
+    });
+  }
+}
+
+module.exports = DeploymentPipeline;
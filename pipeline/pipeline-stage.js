@@ -0,0 +1,58 @@
+/**
+ * Base class for deployment pipeline stages
+ *
+ * Every agent shown on the dashboard (Guardian, Speedster, Detective,
+ * Architect) is a stage. A stage implements execute(context) and resolves
+ * with a result object:
+ *
+ *   { success: true, summary: 'Build output ready', details: {...} }
+ *   { success: false, error: 'npm test exited with code 1', details: {...} }
+ *   { success: false, cancelled: true, error: 'Cancelled', details: {...} }
+ *
+ * The context passed to execute() provides:
+ *   - cwd:     project directory the stage works in
+ *   - env:     environment variables for spawned processes
+ *   - report:  report(fraction, message) - fraction of stage work done (0-1)
+ *   - log:     log(line, stream) - raw output line from the stage
+ *   - signal:  AbortSignal, aborted when someone cancels the deployment;
+ *              long-running stages should stop early when it fires
+ */
+
+class PipelineStage {
+  constructor({ id, name, emoji, startMessage, completeMessage }) {
+    this.id = id;
+    this.name = name;
+    this.emoji = emoji;
+    this.startMessage = startMessage || `${emoji} ${name} is starting their work...`;
+    this.completeMessage = completeMessage || `✅ ${name} completed successfully`;
+  }
+
+  /**
+   * Run the stage, normalising thrown errors into a failed result
+   */
+  async run(context) {
+    try {
+      const result = await this.execute(context);
+      return {
+        success: Boolean(result && result.success),
+        cancelled: Boolean(result?.cancelled),
+        summary: result?.summary,
+        error: result?.success ? undefined : (result?.error || `${this.name} failed`),
+        details: result?.details || {}
+      };
+    } catch (error) {
+      return {
+        success: false,
+        cancelled: false,
+        error: error.message || `${this.name} failed`,
+        details: {}
+      };
+    }
+  }
+
+  async execute() {
+    throw new Error(`${this.constructor.name} must implement execute()`);
+  }
+}
+
+module.exports = PipelineStage;
@@ -0,0 +1,82 @@
+/**
+ * Spawn a command and stream its output line by line
+ * Resolves with the exit code instead of rejecting, so stages can decide
+ * what a non-zero exit means for them.
+ *
+ * Aborting `signal` stops the command and everything it started (e.g. the
+ * npm build under deploy.sh): SIGTERM to its process group, then SIGKILL if
+ * it is still running KILL_GRACE_MS later. The result then has
+ * `cancelled: true`.
+ */
+
+const { spawn } = require('child_process');
+
+const MAX_CAPTURED_LINES = 200;
+const KILL_GRACE_MS = 5000;
+
+// Signal the command's whole process group; it may already be gone
+function killGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    child.kill(signal);
+  }
+}
+
+function runCommand(command, args, { cwd, env, onLine, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return resolve({ code: null, signal: null, output: '', cancelled: true });
+    }
+
+    const child = spawn(command, args, {
+      cwd,
+      env: env || process.env,
+      // Own process group, so a cancel reaches the command's children too
+      detached: Boolean(signal)
+    });
+
+    let killTimer = null;
+    const abort = () => {
+      killGroup(child, 'SIGTERM');
+      killTimer = setTimeout(() => killGroup(child, 'SIGKILL'), KILL_GRACE_MS);
+      killTimer.unref();
+    };
+    signal?.addEventListener('abort', abort, { once: true });
+
+    const lines = [];
+    const buffers = { stdout: '', stderr: '' };
+
+    const handleData = (stream) => (data) => {
+      buffers[stream] += data.toString();
+      const parts = buffers[stream].split(/\r?\n/);
+      buffers[stream] = parts.pop();
+      parts.forEach(line => emitLine(line, stream));
+    };
+
+    const emitLine = (line, stream) => {
+      if (!line.trim()) return;
+      lines.push(line);
+      if (lines.length > MAX_CAPTURED_LINES) lines.shift();
+      if (onLine) onLine(line, stream);
+    };
+
+    child.stdout.on('data', handleData('stdout'));
+    child.stderr.on('data', handleData('stderr'));
+
+    child.on('error', (error) => {
+      signal?.removeEventListener('abort', abort);
+      reject(error);
+    });
+
+    child.on('close', (code, exitSignal) => {
+      clearTimeout(killTimer);
+      signal?.removeEventListener('abort', abort);
+      emitLine(buffers.stdout, 'stdout');
+      emitLine(buffers.stderr, 'stderr');
+      resolve({ code, signal: exitSignal, output: lines.join('\n'), cancelled: Boolean(signal?.aborted) });
+    });
+  });
+}
+
+module.exports = runCommand;
@@ -0,0 +1,172 @@
+/**
+ * Script Deployment
+ *
+ * Runs deploy.sh as the deployment and translates its output into the same
+ * events DeploymentPipeline emits (agent-update, deployment-progress,
+ * stage-log), so the dashboard can follow a real deployment unchanged.
+ *
+ * Line protocol (one instruction per line, on stdout or stderr):
+ *
+ *   Progress: <percent> [- <message>]
+ *     e.g. "Progress: 40 - Build finished"
+ *
+ *   Stage: <agentId> <active|complete|failed> [- <message>]
+ *     e.g. "Stage: detective active - Running tests"
+ *
+ * Every other line is passed through as a stage-log event attributed to
+ * the most recently activated agent. ANSI colour codes are ignored when
+ * matching. The script's exit code decides success (0) or failure.
+ *
+ * Aborting the `signal` passed to run() stops the script and everything it
+ * started; run() then resolves with `cancelled: true`.
+ */
+
+const EventEmitter = require('events');
+const runCommand = require('./run-command');
+
+const PROGRESS_PATTERN = /^Progress:\s*(\d{1,3})%?\s*(?:[-:]\s*(.*))?$/;
+const STAGE_PATTERN = /^Stage:\s*([a-z][\w-]*)\s+(active|complete|failed)\s*(?:[-:]\s*(.*))?$/i;
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+/**
+ * Parse one line of script output against the line protocol
+ * Returns { type: 'progress'|'stage'|'log', ... }
+ */
+function parseScriptLine(rawLine) {
+  const line = rawLine.replace(ANSI_PATTERN, '').trim();
+
+  const progress = line.match(PROGRESS_PATTERN);
+  if (progress) {
+    return {
+      type: 'progress',
+      progress: Math.min(100, parseInt(progress[1], 10)),
+      message: progress[2] || null
+    };
+  }
+
+  const stage = line.match(STAGE_PATTERN);
+  if (stage) {
+    return {
+      type: 'stage',
+      agentId: stage[1].toLowerCase(),
+      status: stage[2].toLowerCase(),
+      message: stage[3] || null
+    };
+  }
+
+  return { type: 'log', line };
+}
+
+class ScriptDeployment extends EventEmitter {
+  constructor({ script, cwd, env } = {}) {
+    super();
+    this.script = script;
+    this.cwd = cwd || process.cwd();
+    this.env = { ...process.env, ...env };
+    this.progress = 0;
+    this.activeAgent = null;
+    this.lastErrorLine = null;
+    this.stages = new Map();
+  }
+
+  async run({ signal } = {}) {
+    this.emitProgress(0, 'Starting deployment script...');
+
+    const result = await runCommand('bash', [this.script], {
+      cwd: this.cwd,
+      env: this.env,
+      signal,
+      onLine: (line, stream) => this.handleLine(line, stream)
+    });
+
+    const stages = Array.from(this.stages.values());
+
+    if (result.cancelled) {
+      const failedStage = this.activeAgent;
+      if (failedStage) {
+        this.emitStage(failedStage, 'cancelled', 'The deployment was cancelled');
+      }
+
+      return {
+        success: false,
+        cancelled: true,
+        exitCode: result.code,
+        failedStage,
+        error: 'Deployment cancelled',
+        output: result.output,
+        stages: Array.from(this.stages.values())
+      };
+    }
+
+    if (result.code !== 0) {
+      const error = `Deployment script failed with exit code ${result.code ?? result.signal}` +
+        (this.lastErrorLine ? `: ${this.lastErrorLine}` : '');
+
+      if (this.activeAgent) {
+        this.emitStage(this.activeAgent, 'failed', error);
+      }
+
+      return {
+        success: false,
+        exitCode: result.code,
+        failedStage: stages.find(stage => stage.status === 'failed')?.agentId || null,
+        error,
+        output: result.output,
+        stages
+      };
+    }
+
+    this.emitProgress(95, 'Deployment script finished');
+
+    return { success: true, exitCode: 0, output: result.output, stages };
+  }
+
+  handleLine(line, stream) {
+    const instruction = parseScriptLine(line);
+
+    if (stream === 'stderr') {
+      this.lastErrorLine = instruction.line || line;
+    }
+
+    this.emit('stage-log', { agentId: instruction.agentId || this.activeAgent, line, stream });
+
+    if (instruction.type === 'progress') {
+      this.emitProgress(instruction.progress, instruction.message);
+    } else if (instruction.type === 'stage') {
+      this.emitStage(instruction.agentId, instruction.status, instruction.message);
+    }
+  }
+
+  emitStage(agentId, status, message) {
+    const stage = this.stages.get(agentId) || { agentId, startedAt: Date.now() };
+    stage.status = status;
+    if (status !== 'active') {
+      stage.durationMs = Date.now() - stage.startedAt;
+      stage.success = status === 'complete';
+      if (message) stage[stage.success ? 'summary' : 'error'] = message;
+    }
+    this.stages.set(agentId, stage);
+
+    this.activeAgent = status === 'active' ? agentId : null;
+
+    this.emit('agent-update', {
+      agentId,
+      status,
+      message: message || `${agentId} is ${status}`
+    });
+  }
+
+  emitProgress(progress, message) {
+    this.progress = Math.max(this.progress, progress);
+
+    this.emit('deployment-progress', {
+      progress: this.progress,
+      activeAgent: this.activeAgent,
+      message: message || undefined
+    });
+  }
+}
+
+ScriptDeployment.parseScriptLine = parseScriptLine;
+
+module.exports = ScriptDeployment;
@@ -0,0 +1,47 @@
+/**
+ * Architect - production build
+ * Runs the Vite build and checks that it produced a servable bundle.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const CommandStage = require('../command-stage');
+
+class ArchitectStage extends CommandStage {
+  constructor() {
+    super({
+      id: 'architect',
+      name: 'Architect',
+      emoji: '🏗️',
+      startMessage: '🏗️ Architect is building the final deployment...',
+      completeMessage: '✅ Architect: Deployment package ready for launch!',
+      command: 'npm',
+      args: ['run', 'build'],
+      expectedLines: 15
+    });
+  }
+
+  async verify({ cwd }, result) {
+    const distDir = path.join(cwd, 'dist');
+
+    try {
+      await fs.access(path.join(distDir, 'index.html'));
+    } catch {
+      return {
+        success: false,
+        error: 'Build finished but dist/index.html was not produced',
+        details: result.details
+      };
+    }
+
+    const assets = await fs.readdir(path.join(distDir, 'assets')).catch(() => []);
+
+    return {
+      ...result,
+      summary: `Built ${assets.length} asset${assets.length === 1 ? '' : 's'} into dist/`,
+      details: { ...result.details, assets }
+    };
+  }
+}
+
+module.exports = ArchitectStage;
@@ -0,0 +1,23 @@
+/**
+ * Detective - test suite
+ * Runs the project's npm test script; any failing test stops the deployment.
+ */
+
+const CommandStage = require('../command-stage');
+
+class DetectiveStage extends CommandStage {
+  constructor() {
+    super({
+      id: 'detective',
+      name: 'Detective',
+      emoji: '🔍',
+      startMessage: '🔍 Detective is running the test suite...',
+      completeMessage: '✅ Detective: All tests passed!',
+      command: 'npm',
+      args: ['test'],
+      expectedLines: 30
+    });
+  }
+}
+
+module.exports = DetectiveStage;
@@ -0,0 +1,117 @@
+/**
+ * Guardian - pre-flight safety checks
+ * Makes sure the project is in a state that can be deployed before any
+ * other stage touches it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const PipelineStage = require('../pipeline-stage');
+
+class GuardianStage extends PipelineStage {
+  constructor() {
+    super({
+      id: 'guardian',
+      name: 'Guardian',
+      emoji: '🛡️',
+      startMessage: '🛡️ Guardian is checking safety protocols...',
+      completeMessage: '✅ Guardian: All safety checks passed!'
+    });
+  }
+
+  async execute({ cwd, report }) {
+    const checks = [
+      { name: 'Project manifest present', run: () => this.checkPackageJson(cwd) },
+      { name: 'Node.js version supported', run: () => this.checkNodeVersion(cwd) },
+      { name: 'Dependencies installed', run: () => this.checkDependencies(cwd) },
+      { name: 'Build directory writable', run: () => this.checkWritable(cwd) }
+    ];
+
+    const results = [];
+
+    for (let i = 0; i < checks.length; i++) {
+      const check = checks[i];
+      let result;
+
+      try {
+        result = await check.run();
+      } catch (error) {
+        result = { passed: false, message: error.message };
+      }
+
+      results.push({ name: check.name, ...result });
+      report((i + 1) / checks.length, `${result.passed ? '✓' : '✗'} ${check.name}${result.message ? `: ${result.message}` : ''}`);
+
+      if (!result.passed) {
+        return {
+          success: false,
+          error: `Pre-flight check failed - ${check.name}: ${result.message}`,
+          details: { checks: results }
+        };
+      }
+    }
+
+    return {
+      success: true,
+      summary: `${results.length} safety checks passed`,
+      details: { checks: results }
+    };
+  }
+
+  async checkPackageJson(cwd) {
+    const pkg = await this.readPackageJson(cwd);
+    const missing = ['build'].filter(script => !pkg.scripts?.[script]);
+
+    if (missing.length > 0) {
+      return { passed: false, message: `missing npm scripts: ${missing.join(', ')}` };
+    }
+    return { passed: true, message: pkg.name };
+  }
+
+  async checkNodeVersion(cwd) {
+    const pkg = await this.readPackageJson(cwd);
+    const required = pkg.engines?.node;
+    const current = process.versions.node;
+
+    const minimum = required?.match(/>=\s*(\d+)(?:\.(\d+))?/);
+    if (!minimum) {
+      return { passed: true, message: `v${current}` };
+    }
+
+    const [major, minor] = current.split('.').map(Number);
+    const requiredMajor = Number(minimum[1]);
+    const requiredMinor = Number(minimum[2] || 0);
+    const passed = major > requiredMajor || (major === requiredMajor && minor >= requiredMinor);
+
+    return {
+      passed,
+      message: passed ? `v${current}` : `v${current} does not satisfy ${required}`
+    };
+  }
+
+  async checkDependencies(cwd) {
+    try {
+      await fs.access(path.join(cwd, 'node_modules'));
+      return { passed: true };
+    } catch {
+      return { passed: false, message: 'node_modules not found - run npm install' };
+    }
+  }
+
+  async checkWritable(cwd) {
+    const probe = path.join(cwd, `.guardian-${process.pid}`);
+    await fs.writeFile(probe, '');
+    await fs.unlink(probe);
+    return { passed: true };
+  }
+
+  async readPackageJson(cwd) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(cwd, 'package.json'), 'utf8'));
+    } catch (error) {
+      throw new Error(`package.json unreadable (${error.message})`);
+    }
+  }
+}
+
+module.exports = GuardianStage;
@@ -0,0 +1,44 @@
+/**
+ * Architect (rollback) - restore an archived release
+ * Puts a previously deployed build back into dist/ instead of building
+ * the current source.
+ */
+
+const path = require('path');
+const PipelineStage = require('../pipeline-stage');
+
+class RestoreReleaseStage extends PipelineStage {
+  constructor({ archive, version }) {
+    super({
+      id: 'architect',
+      name: 'Architect',
+      emoji: '🏗️',
+      startMessage: `🏗️ Architect is bringing back version ${version}...`,
+      completeMessage: `✅ Architect: Version ${version} is back in place!`
+    });
+    this.archive = archive;
+    this.version = version;
+  }
+
+  async execute({ cwd, report }) {
+    report(0, `Looking for version ${this.version} in the release archive`);
+
+    if (!(await this.archive.has(this.version))) {
+      return {
+        success: false,
+        error: `Version ${this.version} was not found in the release archive`
+      };
+    }
+
+    report(0.5, `Restoring version ${this.version} into dist/`);
+    const distDir = await this.archive.restore(this.version, path.join(cwd, 'dist'));
+
+    return {
+      success: true,
+      summary: `Restored version ${this.version}`,
+      details: { version: this.version, distDir }
+    };
+  }
+}
+
+module.exports = RestoreReleaseStage;
@@ -0,0 +1,24 @@
+/**
+ * Speedster - dependency verification
+ * Confirms every production dependency resolves before spending time on
+ * tests and the build.
+ */
+
+const CommandStage = require('../command-stage');
+
+class SpeedsterStage extends CommandStage {
+  constructor() {
+    super({
+      id: 'speedster',
+      name: 'Speedster',
+      emoji: '⚡',
+      startMessage: '⚡ Speedster is checking the dependency tree...',
+      completeMessage: '✅ Speedster: All dependencies are in place!',
+      command: 'npm',
+      args: ['ls', '--omit=dev', '--depth=0'],
+      expectedLines: 10
+    });
+  }
+}
+
+module.exports = SpeedsterStage;
@@ -0,0 +1,96 @@
+/**
+ * Blackout Windows
+ *
+ * Times during which no deploy or promotion may start, scheduled or not, from
+ * `scheduling.blackout_windows` in config/production.yml. A window is either
+ *
+ *   weekly:   { name, days: [sun, ...], start: "08:00", end: "13:00" }
+ *             (no days = every day; an end before the start runs past midnight)
+ *   one-off:  { name, from: "2026-12-24T00:00:00Z", until: "2026-12-27T00:00:00Z" }
+ *
+ * and applies to every environment unless it lists `environments`. Weekly
+ * times are in `scheduling.timezone`. Rollbacks are never blocked.
+ */
+
+const { WEEKDAYS, localParts } = require('./zoned-time');
+const { schedulingSettings } = require('../config/config-loader');
+
+const MINUTE = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// "08:30" -> 510
+function minutesOf(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Minutes from `now` until the weekly window ends, or null when it isn't on
+function weeklyMinutesLeft(window, now, timeZone) {
+  const { weekday, hour, minute } = localParts(now, timeZone);
+  const days = (window.days || WEEKDAYS).map(day => WEEKDAYS.indexOf(day));
+  const current = hour * 60 + minute;
+  const start = minutesOf(window.start);
+  const end = minutesOf(window.end);
+
+  if (start < end) {
+    return days.includes(weekday) && current >= start && current < end ? end - current : null;
+  }
+
+  // Overnight: started today, or started yesterday and still running
+  if (days.includes(weekday) && current >= start) {
+    return DAY_MINUTES - current + end;
+  }
+  if (days.includes((weekday + 6) % 7) && current < end) {
+    return end - current;
+  }
+  return null;
+}
+
+/**
+ * The blackout window `environment` is in at `now`, as
+ * { name, reason, endsAt }, or null when deploys may start
+ */
+function activeBlackout(environment, { now = new Date(), settings = schedulingSettings() } = {}) {
+  for (const window of settings.blackoutWindows) {
+    if (window.environments && !window.environments.includes(environment)) continue;
+
+    let endsAt = null;
+
+    if (window.from) {
+      const from = new Date(window.from);
+      const until = new Date(window.until);
+      if (now >= from && now < until) endsAt = until;
+    } else {
+      const minutesLeft = weeklyMinutesLeft(window, now, settings.timeZone);
+      if (minutesLeft !== null) {
+        endsAt = new Date(Math.floor(now.getTime() / MINUTE) * MINUTE + minutesLeft * MINUTE);
+      }
+    }
+
+    if (endsAt) {
+      return {
+        name: window.name,
+        reason: window.reason || null,
+        endsAt: endsAt.toISOString()
+      };
+    }
+  }
+  return null;
+}
+
+// "Updates are paused for Sunday services until Oct 18, 2026, 1:00 PM"
+function describeBlackout(blackout, { timeZone } = schedulingSettings()) {
+  const until = new Date(blackout.endsAt).toLocaleString('en-US', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    ...(timeZone && { timeZone })
+  });
+  const reason = blackout.reason ? ` (${blackout.reason})` : '';
+
+  return `Updates are paused for ${blackout.name} until ${until}${reason}`;
+}
+
+module.exports = {
+  activeBlackout,
+  describeBlackout
+};
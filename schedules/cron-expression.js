@@ -0,0 +1,126 @@
+/**
+ * Cron Expression
+ *
+ * The usual five fields - minute, hour, day of month, month, day of week -
+ * with `*`, lists (1,15), ranges (mon-fri), steps (*\/15) and the shortcuts
+ * @hourly, @daily, @weekly and @monthly:
+ *
+ *   0 9 * * mon-fri     weekdays at 9:00
+ *   30 7 1 * *          7:30 on the first of every month
+ *
+ * As in cron, when both day fields are restricted either one matching is
+ * enough. Times are wall-clock times in the given time zone.
+ */
+
+const { WEEKDAYS, localParts } = require('./zoned-time');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MINUTE = 60 * 1000;
+// Every combination repeats within a leap-year cycle
+const SEARCH_LIMIT_DAYS = 366 * 4 + 1;
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * sun',
+  '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAYS, offset: 0 }
+];
+
+class CronExpression {
+  constructor(expression, { timeZone } = {}) {
+    this.expression = String(expression || '').trim();
+    this.timeZone = timeZone;
+
+    const source = SHORTCUTS[this.expression.toLowerCase()] || this.expression;
+    const fields = source.split(/\s+/);
+    if (fields.length !== FIELDS.length) {
+      throw new Error(`"${this.expression}" is not a cron expression - expected 5 fields (minute hour day month weekday)`);
+    }
+
+    [this.minutes, this.hours, this.days, this.months, this.weekdays] =
+      fields.map((field, index) => parseField(field, FIELDS[index]));
+
+    // Both 0 and 7 mean Sunday
+    if (this.weekdays.has(7)) this.weekdays.add(0);
+    this.anyDay = fields[2] === '*';
+    this.anyWeekday = fields[4] === '*';
+  }
+
+  matchesDay({ month, day, weekday }) {
+    if (!this.months.has(month)) return false;
+    if (this.anyDay) return this.weekdays.has(weekday);
+    if (this.anyWeekday) return this.days.has(day);
+    return this.days.has(day) || this.weekdays.has(weekday);
+  }
+
+  /**
+   * The first matching minute after `after`, or null if there is none
+   * (e.g. "0 0 31 2 *")
+   */
+  next(after = new Date()) {
+    let time = Math.floor(after.getTime() / MINUTE) * MINUTE + MINUTE;
+    const limit = time + SEARCH_LIMIT_DAYS * 24 * 60 * MINUTE;
+
+    while (time < limit) {
+      const parts = localParts(new Date(time), this.timeZone);
+
+      if (!this.matchesDay(parts)) {
+        // Skip to the next local midnight
+        time += ((23 - parts.hour) * 60 + (60 - parts.minute)) * MINUTE;
+      } else if (!this.hours.has(parts.hour)) {
+        time += (60 - parts.minute) * MINUTE;
+      } else if (!this.minutes.has(parts.minute)) {
+        time += MINUTE;
+      } else {
+        return new Date(time);
+      }
+    }
+    return null;
+  }
+}
+
+// "1-5", "*/15", "mon,wed,fri" -> Set of numbers
+function parseField(field, { name, min, max, names, offset }) {
+  const values = new Set();
+  const toNumber = (text) => {
+    const index = names ? names.indexOf(text.toLowerCase()) : -1;
+    const value = index >= 0 ? index + offset : Number(text);
+    if ((index < 0 && !/^\d+$/.test(text)) || value < min || value > max) {
+      throw new Error(`"${text}" is not a valid ${name} (${min}-${max})`);
+    }
+    return value;
+  };
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`"${part}" has an invalid step for the ${name}`);
+    }
+
+    let [from, to] = [min, max];
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = toNumber(start);
+      to = end === undefined ? (stepText === undefined ? from : max) : toNumber(end);
+    }
+    if (from > to) {
+      throw new Error(`"${part}" is not a valid ${name} range`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+module.exports = CronExpression;
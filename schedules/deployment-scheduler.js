@@ -0,0 +1,184 @@
+/**
+ * Deployment Scheduler
+ *
+ * Deployments booked for later: once at `runAt`, or on a cron recurrence
+ * (schedules/cron-expression.js) in `scheduling.timezone`. Schedules are
+ * kept in data/schedules.json (SCHEDULES_FILE) under "schedule:<id>" so they
+ * survive restarts; server.js asks for the due ones every
+ * `scheduling.check_interval` seconds and runs them through the normal
+ * pipeline, then calls recordRun().
+ *
+ * Schedule shape:
+ *   {
+ *     id, type: 'deploy', environment, label, bump,
+ *     runAt | cron, timeZone,
+ *     user, username, createdAt,
+ *     nextRunAt,
+ *     status: 'scheduled' | 'done' | 'cancelled',
+ *     runs: [{ at, outcome: 'started' | 'pending_approval' | 'skipped' | 'failed',
+ *              deploymentId, reason }]   (the last MAX_RUNS)
+ *   }
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const CronExpression = require('./cron-expression');
+const { activeBlackout, describeBlackout } = require('./blackout-windows');
+const { createStateStore } = require('../storage/state-store');
+const { schedulingSettings } = require('../config/config-loader');
+
+const DEFAULT_SCHEDULES_FILE = path.join(__dirname, '..', 'data', 'schedules.json');
+const STORE_KEY_PREFIX = 'schedule:';
+const MAX_RUNS = 10;
+const MAX_LABEL_LENGTH = 100;
+
+class ScheduleError extends Error {
+  constructor(message, status = 400, code = 'INVALID_SCHEDULE') {
+    super(message);
+    this.name = 'ScheduleError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class DeploymentScheduler {
+  constructor({ store, settings } = {}) {
+    this.store = store;
+    this.settings = settings || schedulingSettings();
+  }
+
+  static fromEnvironment(settings = schedulingSettings(), env = process.env) {
+    return new DeploymentScheduler({
+      store: createStateStore({ type: 'file', file: env.SCHEDULES_FILE || DEFAULT_SCHEDULES_FILE }),
+      settings
+    });
+  }
+
+  /**
+   * Book a deployment of `environment` for `user`; throws a ScheduleError
+   * for a time in the past or inside a blackout window, or a bad cron
+   * expression
+   */
+  async create({ environment, runAt, cron, label, bump = 'patch', user }, now = new Date()) {
+    if (Boolean(runAt) === Boolean(cron)) {
+      throw new ScheduleError('Please pick either a time (runAt) or a recurrence (cron)');
+    }
+    if (label && String(label).length > MAX_LABEL_LENGTH) {
+      throw new ScheduleError(`Please keep the label under ${MAX_LABEL_LENGTH} characters`);
+    }
+
+    let nextRunAt;
+
+    if (runAt) {
+      nextRunAt = new Date(runAt);
+      if (Number.isNaN(nextRunAt.getTime())) {
+        throw new ScheduleError(`"${runAt}" is not a valid time`);
+      }
+      if (nextRunAt <= now) {
+        throw new ScheduleError('That time has already passed - please pick one in the future');
+      }
+
+      const blackout = activeBlackout(environment, { now: nextRunAt, settings: this.settings });
+      if (blackout) {
+        throw new ScheduleError(`${describeBlackout(blackout, this.settings)} - please pick another time`, 409, 'BLACKOUT_WINDOW');
+      }
+    } else {
+      nextRunAt = this.cronFor(cron).next(now);
+      if (!nextRunAt) {
+        throw new ScheduleError(`"${cron}" never runs`);
+      }
+    }
+
+    const schedule = {
+      id: `schedule_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      type: 'deploy',
+      environment,
+      label: label ? String(label) : null,
+      bump,
+      ...(runAt ? { runAt: nextRunAt.toISOString() } : { cron: String(cron).trim() }),
+      timeZone: this.settings.timeZone || null,
+      user: user.name,
+      username: user.username,
+      createdAt: now.toISOString(),
+      nextRunAt: nextRunAt.toISOString(),
+      status: 'scheduled',
+      runs: []
+    };
+
+    return this.save(schedule);
+  }
+
+  cronFor(expression) {
+    try {
+      return new CronExpression(expression, { timeZone: this.settings.timeZone });
+    } catch (error) {
+      throw new ScheduleError(error.message);
+    }
+  }
+
+  async get(id) {
+    return this.store.get(`${STORE_KEY_PREFIX}${id}`);
+  }
+
+  async save(schedule) {
+    return this.store.set(`${STORE_KEY_PREFIX}${schedule.id}`, schedule);
+  }
+
+  /**
+   * Schedules soonest first; `status` null lists them all
+   */
+  async list({ environment, status = 'scheduled' } = {}) {
+    const entries = await this.store.list(STORE_KEY_PREFIX);
+
+    return entries
+      .map(({ value }) => value)
+      .filter(schedule => !environment || schedule.environment === environment)
+      .filter(schedule => !status || schedule.status === status)
+      .sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt));
+  }
+
+  /**
+   * Stop a schedule from running again; resolves null for an unknown id
+   */
+  async cancel(id, user, now = new Date()) {
+    const schedule = await this.get(id);
+    if (!schedule) return null;
+
+    if (schedule.status !== 'scheduled') {
+      throw new ScheduleError('This schedule is no longer active', 409, 'SCHEDULE_INACTIVE');
+    }
+
+    return this.save({
+      ...schedule,
+      status: 'cancelled',
+      nextRunAt: null,
+      cancelledBy: user.name,
+      cancelledAt: now.toISOString()
+    });
+  }
+
+  async due(now = new Date()) {
+    const scheduled = await this.list();
+    return scheduled.filter(schedule => new Date(schedule.nextRunAt) <= now);
+  }
+
+  /**
+   * Note what happened at a due time and move the schedule on: a one-off
+   * schedule is done, a recurring one waits for its next time
+   */
+  async recordRun(schedule, { outcome, deploymentId = null, reason = null }, now = new Date()) {
+    const runs = [...schedule.runs, { at: now.toISOString(), outcome, deploymentId, reason }].slice(-MAX_RUNS);
+    const nextRunAt = schedule.cron ? this.cronFor(schedule.cron).next(now) : null;
+
+    return this.save({
+      ...schedule,
+      runs,
+      nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+      status: nextRunAt ? 'scheduled' : 'done'
+    });
+  }
+}
+
+DeploymentScheduler.ScheduleError = ScheduleError;
+
+module.exports = DeploymentScheduler;
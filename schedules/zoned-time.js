@@ -0,0 +1,68 @@
+/**
+ * Zoned Time
+ *
+ * Wall-clock parts of an instant in an IANA time zone ("America/Denver"),
+ * which is what cron expressions and blackout windows are written in.
+ * Without a time zone the server's own is used.
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * { year, month (1-12), day, hour, minute, weekday (0 = Sunday) } for `date`
+ */
+function localParts(date, timeZone) {
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      weekday: date.getDay()
+    };
+  }
+
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+// Throws a RangeError for a name Intl doesn't know
+function checkTimeZone(timeZone) {
+  formatterFor(timeZone);
+}
+
+module.exports = {
+  WEEKDAYS,
+  localParts,
+  checkTimeZone
+};
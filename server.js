@@ -2,72 +2,831 @@ const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
-const { spawn } = require('child_process');
 const path = require('path');
+const crypto = require('crypto');
+const DeploymentPipeline = require('./pipeline/deployment-pipeline');
+const ScriptDeployment = require('./pipeline/script-deployment');
+const GuardianStage = require('./pipeline/stages/guardian-stage');
+const RestoreReleaseStage = require('./pipeline/stages/restore-release-stage');
+const CommandStage = require('./pipeline/command-stage');
+const DeploymentEventLog = require('./pipeline/deployment-event-log');
+const DeploymentHistory = require('./storage/deployment-history');
+const ReleaseArchive = require('./storage/release-archive');
+const { createStateStore } = require('./storage/state-store');
+const RateLimiter = require('./limits/rate-limiter');
+const DeploymentLock = require('./limits/deployment-lock');
+const DNSManager = require('./dns-management-system');
+const DNSFailoverSystem = require('./dns-failover-system');
+const DNSChangeJournal = require('./dns-providers/dns-change-journal');
+const { DNSProviderError } = require('./dns-providers/dns-provider');
+const { DNSUndoError, undoChange } = require('./dns-journal');
+const {
+  getConfig,
+  loadFeatureFlags,
+  saveFeatureOverrides,
+  defaultEnvironment,
+  environmentSettings,
+  listEnvironments,
+  publicEnvironment,
+  schedulingSettings,
+  webhookSettings
+} = require('./config/config-loader');
+const Authenticator = require('./auth/authenticator');
+const { lockedFeatureFlags } = require('./auth/permissions');
+const ApprovalWorkflow = require('./approvals/approval-workflow');
+const DeploymentScheduler = require('./schedules/deployment-scheduler');
+const WebhookDispatcher = require('./webhooks/webhook-dispatcher');
+const { WEBHOOK_EVENTS } = require('./webhooks/webhook-events');
+const { activeBlackout, describeBlackout } = require('./schedules/blackout-windows');
+const GitRepository = require('./versioning/git-repository');
+const { BUMP_LEVELS, compareVersions, highestVersion, nextVersion } = require('./versioning/semver');
+const { projectVersion, buildReleaseNotes } = require('./versioning/release-notes');
+const { pendingChanges } = require('./versioning/pending-changes');
 
 const app = express();
 const httpServer = createServer(app);
 const io = new Server(httpServer, {
   cors: {
     origin: ['http://localhost:3000', 'http://localhost:5173'],
-    methods: ['GET', 'POST']
+    methods: ['GET', 'POST', 'PUT'],
+    allowedHeaders: ['Content-Type', 'Authorization']
   }
 });
 
-app.use(cors());
+// Run deploy.sh instead of the local pipeline (set by ecosystem.config.js)
+const REAL_DEPLOYMENT = String(process.env.ENABLE_REAL_DEPLOYMENT) === 'true';
+const MAX_RECENT_LOG_LINES = 200;
+const HISTORY_LOG_EXCERPT_LINES = 50;
+const MAX_RECENT_MESSAGES = 20;
+const OVERDUE_RETRY_SECONDS = 10;
+const APPROVAL_SWEEP_INTERVAL = 60 * 1000;
+const SSE_RETRY_MS = 3000;
+const SSE_HEARTBEAT_MS = 15000;
+
+// Pipeline agent-update statuses -> the agent statuses the dashboard renders
+const AGENT_STATUSES = {
+  active: 'working',
+  complete: 'done',
+  failed: 'failed',
+  cancelled: 'cancelled'
+};
+
+const features = loadFeatureFlags();
+const history = features.deployment_history === false ? null : new DeploymentHistory();
+const releaseArchives = new Map();
+// AbortControllers of the deployments running in this process, by id
+const runningDeployments = new Map();
+// What each recent deployment sent its watchers, for /api/deployments/:id/events
+const eventLog = new DeploymentEventLog();
+const approvals = history ? ApprovalWorkflow.fromEnvironment(history) : null;
+const auth = Authenticator.fromEnvironment(features);
+const git = new GitRepository({ cwd: __dirname });
+
+// Rate-limit buckets and deployment locks only matter to this process
+const config = getConfig();
+const DEFAULT_ENVIRONMENT = defaultEnvironment(config);
+const runtimeState = createStateStore({ type: 'memory' });
+const scheduling = schedulingSettings(config);
+const scheduler = DeploymentScheduler.fromEnvironment(scheduling);
+const webhooks = WebhookDispatcher.fromEnvironment(webhookSettings(config));
+const rateLimiter = RateLimiter.fromConfig(runtimeState, config);
+const deployLock = DeploymentLock.fromConfig(runtimeState, config);
+
+// Created on first use - constructing it does not start health monitoring
+let dnsFailover = null;
+let dnsConfigurationRunning = false;
+
+app.use(cors({ exposedHeaders: ['Retry-After'] }));
 app.use(express.json());
+app.use('/api', rateLimit);
 
 // Store deployment state
 let deploymentState = {
   isDeploying: false,
+  deploymentId: null,
   progress: 0,
   activeAgent: null,
   completedAgents: [],
-  lastDeployment: null,
-  currentVersion: '2.4.1'
+  // What a dashboard opened mid-deployment needs to catch up (see activeDeployment)
+  agentStatuses: {},
+  stageMessage: null,
+  recentMessages: [],
+  recentLogs: [],
+  environment: null,
+  // Each environment has its own version track
+  versions: {},
+  lastDeployments: {}
 };
 
-// System status endpoint
+// One deployment's status (?deploymentId=...), in the shape the Netlify
+// status function answers with, so the dashboard can poll this server too
+app.get('/api/status', (req, res, next) => next(req.query.deploymentId ? undefined : 'route'),
+  requirePermission('status:read'), async (req, res) => {
+    try {
+      const status = await deploymentStatus(req.query.deploymentId);
+      if (!status) {
+        return res.status(404).json({ error: 'Deployment not found', deploymentId: req.query.deploymentId });
+      }
+      res.json(status);
+    } catch (error) {
+      console.error('Failed to read deployment status:', error);
+      res.status(500).json({ error: 'Internal server error', message: 'Unable to fetch deployment status' });
+    }
+  });
+
+// System status endpoint (?environment=staging, default production)
 app.get('/api/status', (req, res) => {
+  const environment = req.query.environment || DEFAULT_ENVIRONMENT;
+  if (!requireEnvironment(res, environment)) return;
+
   res.json({
-    version: deploymentState.currentVersion,
-    lastDeploy: deploymentState.lastDeployment || 'Never',
+    version: currentVersion(environment),
+    lastDeploy: deploymentState.lastDeployments[environment] || 'Never',
+    environment,
     status: deploymentState.isDeploying ? 'Deploying' : 'Ready',
     health: 'Excellent',
     uptime: process.uptime(),
-    deploymentInProgress: deploymentState.isDeploying
+    deploymentInProgress: deploymentState.isDeploying,
+    deployingEnvironment: deploymentState.isDeploying ? deploymentState.environment : null,
+    mode: REAL_DEPLOYMENT ? 'script' : 'pipeline',
+    authRequired: auth.enabled,
+    rollbackEnabled: Boolean(features.rollback_enabled && history),
+    blackout: activeBlackout(environment, { settings: scheduling })
+  });
+});
+
+// Environments from config/production.yml with the version live in each
+app.get('/api/environments', (req, res) => {
+  res.json({
+    success: true,
+    defaultEnvironment: DEFAULT_ENVIRONMENT,
+    environments: listEnvironments(config).map(environment => ({
+      ...publicEnvironment(environment),
+      version: currentVersion(environment.name),
+      lastDeploy: deploymentState.lastDeployments[environment.name] || null
+    }))
   });
 });
 
+// Sign in with a username and password from the local user list
+app.post('/api/login', (req, res) => {
+  if (!auth.enabled) {
+    return res.status(404).json({ success: false, error: 'Authentication is disabled' });
+  }
+
+  const { username, password } = req.body || {};
+  const session = auth.login(username, password);
+
+  if (!session) {
+    return res.status(401).json({ success: false, error: 'Wrong username or password' });
+  }
+
+  res.json({ success: true, ...session });
+});
+
+// Who am I? Lets the dashboard check a stored token on load
+app.get('/api/session', requireUser, (req, res) => {
+  res.json({ success: true, user: req.user, authRequired: auth.enabled });
+});
+
 // Start deployment endpoint
-app.post('/api/deploy', async (req, res) => {
-  if (deploymentState.isDeploying) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Deployment already in progress' 
-    });
+// { environment, bump: 'patch' | 'minor' | 'major' } - bump defaults to patch
+app.post('/api/deploy', requirePermission('deploy'), async (req, res) => {
+  const { environment = DEFAULT_ENVIRONMENT, bump = 'patch' } = req.body || {};
+  const settings = requireEnvironment(res, environment);
+  if (!settings || !requireBumpLevel(res, bump) || refuseDuringBlackout(res, environment)) return;
+
+  if (settings.approvalRequired) {
+    return requestApproval(res, settings, { type: 'deploy', user: req.user, environment, bump });
   }
 
-  deploymentState.isDeploying = true;
-  deploymentState.progress = 0;
-  deploymentState.completedAgents = [];
+  const id = await claimEnvironment(res, 'deploy', environment);
+  if (!id) return;
 
-  res.json({ success: true, message: 'Deployment started' });
+  const deployment = await beginClaimedDeployment(res, { id, type: 'deploy', user: req.user, environment, bump });
+  if (!deployment) return;
+
+  res.json({
+    success: true,
+    message: 'Deployment started',
+    deploymentId: deployment.id,
+    startTime: deployment.startedAt,
+    version: deployment.targetVersion,
+    releaseNotes: deployment.releaseNotes
+  });
 
   // Start the deployment process
-  startDeploymentProcess();
+  startDeploymentProcess(deployment, createDeploymentRunner(environment));
+});
+
+// Roll back to a previous version from the deployment history
+app.post('/api/rollback', requirePermission('rollback'), async (req, res) => {
+  if (!features.rollback_enabled || !history) {
+    return res.status(403).json({
+      success: false,
+      error: 'Rollback is disabled'
+    });
+  }
+
+  const { deploymentId, environment = DEFAULT_ENVIRONMENT } = req.body || {};
+  if (!requireEnvironment(res, environment)) return;
+
+  let target;
+  try {
+    target = deploymentId
+      ? await history.get(deploymentId)
+      : await findPreviousRelease(environment);
+  } catch (error) {
+    console.error('Failed to read deployment history:', error);
+    return res.status(500).json({ success: false, error: 'Unable to read deployment history' });
+  }
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      error: deploymentId ? 'Deployment not found' : 'No previous version to go back to'
+    });
+  }
+
+  if (target.outcome !== 'success' || !target.versionAfter) {
+    return res.status(400).json({
+      success: false,
+      error: 'Only successful deployments can be restored'
+    });
+  }
+
+  const targetEnvironment = target.environment || environment;
+
+  if (!(await releasesFor(targetEnvironment).has(target.versionAfter))) {
+    return res.status(409).json({
+      success: false,
+      error: `Version ${target.versionAfter} is no longer in the release archive`
+    });
+  }
+
+  const id = await claimEnvironment(res, 'rollback', targetEnvironment);
+  if (!id) return;
+
+  const deployment = await beginClaimedDeployment(res, {
+    id,
+    type: 'rollback',
+    user: req.user,
+    environment: targetEnvironment,
+    targetVersion: target.versionAfter,
+    restoredFrom: target.id,
+    commit: target.commit
+  });
+  if (!deployment) return;
+
+  res.json({
+    success: true,
+    message: `Rolling back to version ${target.versionAfter}`,
+    deploymentId: deployment.id,
+    startTime: deployment.startedAt,
+    version: target.versionAfter
+  });
+
+  startDeploymentProcess(deployment, createRollbackRunner(target.versionAfter, targetEnvironment));
+});
+
+// Ship the build that is live on staging to production, without rebuilding.
+// { "to": "production" } by default; "from" must be that environment's
+// promote_from, and "deploymentId" can pick an earlier staging deployment.
+app.post('/api/promote', requirePermission('promote'), async (req, res) => {
+  const { to = DEFAULT_ENVIRONMENT, deploymentId, bump = 'patch' } = req.body || {};
+  const target = requireEnvironment(res, to);
+  if (!target || !requireBumpLevel(res, bump) || refuseDuringBlackout(res, to)) return;
+
+  const from = req.body?.from || target.promoteFrom;
+  if (!target.promoteFrom || from !== target.promoteFrom) {
+    return res.status(400).json({
+      success: false,
+      error: target.promoteFrom
+        ? `${target.label} can only be promoted from ${target.promoteFrom}`
+        : `Nothing is promoted to ${target.label}`
+    });
+  }
+
+  if (!history) {
+    return res.status(404).json({ success: false, error: 'Deployment history is disabled' });
+  }
+
+  let source;
+  try {
+    source = deploymentId
+      ? await history.get(deploymentId)
+      : await findLiveRelease(from);
+  } catch (error) {
+    console.error('Failed to read deployment history:', error);
+    return res.status(500).json({ success: false, error: 'Unable to read deployment history' });
+  }
+
+  if (!source || source.environment !== from) {
+    return res.status(404).json({
+      success: false,
+      error: deploymentId ? `Deployment not found in ${from}` : `Nothing has been deployed to ${from} yet`
+    });
+  }
+
+  if (source.outcome !== 'success' || !(await releasesFor(from).has(source.versionAfter))) {
+    return res.status(409).json({
+      success: false,
+      error: `Version ${source.versionAfter || 'unknown'} from ${from} is not in the release archive`
+    });
+  }
+
+  const promotedFrom = {
+    environment: from,
+    deploymentId: source.id,
+    version: source.versionAfter,
+    commit: source.commit || null
+  };
+
+  if (target.approvalRequired) {
+    return requestApproval(res, target, { type: 'promote', user: req.user, environment: to, promotedFrom, bump });
+  }
+
+  const id = await claimEnvironment(res, 'promote', to);
+  if (!id) return;
+
+  const deployment = await beginClaimedDeployment(res, { id, type: 'promote', user: req.user, environment: to, promotedFrom, bump });
+  if (!deployment) return;
+
+  res.json({
+    success: true,
+    message: `Promoting ${from} version ${source.versionAfter} to ${to}`,
+    deploymentId: deployment.id,
+    startTime: deployment.startedAt,
+    environment: to,
+    promotedFrom: deployment.promotedFrom,
+    version: deployment.targetVersion,
+    releaseNotes: deployment.releaseNotes
+  });
+
+  startDeploymentProcess(deployment, createPromotionRunner(deployment.promotedFrom, to));
+});
+
+// Stop a running deployment: { deploymentId } (default: the one running now).
+// The running stage is aborted and the previous version stays live.
+app.post('/api/cancel', requirePermission('cancel'), async (req, res) => {
+  const { deploymentId = deploymentState.deploymentId } = req.body || {};
+  const running = deploymentId && runningDeployments.get(deploymentId);
+
+  if (!running) {
+    const record = deploymentId && history ? await history.get(deploymentId).catch(() => null) : null;
+    if (record) {
+      return res.status(409).json({
+        success: false,
+        error: 'This update has already finished',
+        code: 'DEPLOYMENT_FINISHED',
+        outcome: record.outcome
+      });
+    }
+    return res.status(404).json({ success: false, error: 'No update is running' });
+  }
+
+  const { deployment, controller } = running;
+  if (!controller.signal.aborted) {
+    deployment.cancelledBy = { name: req.user.name, username: req.user.username };
+    deployment.cancelledAt = new Date().toISOString();
+    console.log(`✋ ${req.user.name} cancelled deployment ${deployment.id}`);
+    controller.abort();
+  }
+
+  res.status(202).json({
+    success: true,
+    message: 'Stopping the update...',
+    deploymentId: deployment.id,
+    cancelledBy: deployment.cancelledBy.name
+  });
+});
+
+// Deploys and promotions waiting for a second person (?environment=production)
+app.get('/api/approvals', requirePermission('history:read'), async (req, res) => {
+  if (!approvals) {
+    return res.status(404).json({ success: false, error: 'Deployment history is disabled' });
+  }
+
+  try {
+    res.json({ success: true, approvals: await approvals.pending({ environment: req.query.environment }) });
+  } catch (error) {
+    console.error('Failed to read approval requests:', error);
+    res.status(500).json({ success: false, error: 'Unable to read approval requests' });
+  }
+});
+
+// Approve or reject a waiting request: { deploymentId, decision: 'approve' | 'reject', comment }
+// Approving starts the deployment straight away.
+app.post('/api/approvals', requirePermission('approve'), async (req, res) => {
+  if (!approvals) {
+    return res.status(404).json({ success: false, error: 'Deployment history is disabled' });
+  }
+
+  const { deploymentId, decision, comment } = req.body || {};
+  if (!deploymentId || !['approve', 'reject'].includes(decision)) {
+    return res.status(400).json({
+      success: false,
+      error: 'deploymentId and a decision (approve or reject) are required'
+    });
+  }
+
+  let record;
+  try {
+    record = await history.get(deploymentId);
+    if (record && await approvals.expire(record)) {
+      broadcast(record.id, 'approval-update', approvalEvent(record));
+    }
+  } catch (error) {
+    console.error('Failed to read deployment history:', error);
+    return res.status(500).json({ success: false, error: 'Unable to read deployment history' });
+  }
+
+  const problem = approvals.checkDecision(record, req.user);
+  if (problem) {
+    return res.status(problem.status).json({ success: false, error: problem.error, code: problem.code });
+  }
+
+  if (decision === 'reject') {
+    approvals.recordDecision(record, req.user, { decision, comment });
+    await recordDeployment(record);
+    await approvals.announce(record);
+    broadcast(record.id, 'approval-update', approvalEvent(record));
+    return res.json({ success: true, deploymentId, outcome: record.outcome, approval: record.approval });
+  }
+
+  // Claim the environment first, so an approval is only recorded for an
+  // update that actually starts
+  if (refuseDuringBlackout(res, record.environment)) return;
+  const id = await claimEnvironment(res, record.type, record.environment, record.id);
+  if (!id) return;
+
+  approvals.recordDecision(record, req.user, { decision, comment });
+  const deployment = await beginClaimedDeployment(res, {
+    id,
+    type: record.type,
+    user: { name: record.user, username: record.username },
+    environment: record.environment,
+    promotedFrom: record.promotedFrom,
+    approval: record.approval,
+    scheduleId: record.scheduleId,
+    bump: record.bump
+  });
+  if (!deployment) return;
+  await approvals.announce(deployment);
+  broadcast(deployment.id, 'approval-update', approvalEvent(deployment));
+
+  res.json({
+    success: true,
+    message: `Approved - ${record.user}'s update is starting`,
+    deploymentId: deployment.id,
+    startTime: deployment.startedAt,
+    environment: deployment.environment
+  });
+
+  startDeploymentProcess(deployment, createRunner(deployment));
+});
+
+// Booked deployments that haven't run yet (?environment=production)
+app.get('/api/schedules', requirePermission('history:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      schedules: await scheduler.list({ environment: req.query.environment }),
+      timeZone: scheduling.timeZone || null
+    });
+  } catch (error) {
+    console.error('Failed to read schedules:', error);
+    res.status(500).json({ success: false, error: 'Unable to read schedules' });
+  }
+});
+
+// Book a deployment: { environment, runAt: ISO time } once, or { environment, cron } on a
+// recurrence; bump picks the version bump as for /api/deploy
+app.post('/api/schedules', requirePermission('schedule'), async (req, res) => {
+  const { environment = DEFAULT_ENVIRONMENT, runAt, cron, label, bump = 'patch' } = req.body || {};
+  if (!requireEnvironment(res, environment) || !requireBumpLevel(res, bump)) return;
+
+  try {
+    const schedule = await scheduler.create({ environment, runAt, cron, label, bump, user: req.user });
+    io.emit('schedule-update', schedule);
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    if (error instanceof DeploymentScheduler.ScheduleError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Failed to save schedule:', error);
+    res.status(500).json({ success: false, error: 'Unable to save the schedule' });
+  }
+});
+
+app.delete('/api/schedules/:id', requirePermission('schedule'), async (req, res) => {
+  try {
+    const schedule = await scheduler.cancel(req.params.id, req.user);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+
+    io.emit('schedule-update', schedule);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    if (error instanceof DeploymentScheduler.ScheduleError) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Failed to cancel schedule:', error);
+    res.status(500).json({ success: false, error: 'Unable to cancel the schedule' });
+  }
+});
+
+// What the next deploy of ?environment= would ship: the commits and files between
+// the live commit and this checkout, from the local git repository
+app.get('/api/changes', requirePermission('history:read'), async (req, res) => {
+  const environment = req.query.environment || DEFAULT_ENVIRONMENT;
+  if (!requireEnvironment(res, environment)) return;
+
+  try {
+    const version = currentVersion(environment);
+    const live = history && version ? await findLiveRelease(environment) : null;
+    const changes = await pendingChanges({ from: live?.commit, version, git });
+    if (!changes) {
+      return res.status(503).json({ success: false, error: 'Unable to read the git repository' });
+    }
+
+    const nextVersions = {};
+    for (const level of BUMP_LEVELS) {
+      nextVersions[level] = await nextReleaseVersion(environment, level);
+    }
+
+    res.json({
+      success: true,
+      environment,
+      deployed: { version, commit: changes.from, deployedAt: live?.finishedAt || null },
+      candidate: { commit: changes.to, nextVersions },
+      ...changes
+    });
+  } catch (error) {
+    console.error('Failed to work out pending changes:', error);
+    res.status(500).json({ success: false, error: 'Unable to work out pending changes' });
+  }
+});
+
+// The deployment running right now, for a dashboard opened or reloaded
+// mid-deployment to pick up its progress; { deployment: null } when idle
+app.get('/api/deployments/active', requirePermission('history:read'), (req, res) => {
+  res.json({ success: true, deployment: activeDeployment() });
+});
+
+// Deployment history listing
+app.get('/api/deployments',requirePermission('history:read'), async (req, res) => {
+  if (!history) {
+    return res.status(404).json({ success: false, error: 'Deployment history is disabled' });
+  }
+
+  try {
+    const { page, pageSize, environment, outcome } = req.query;
+    res.json(await history.list({ page, pageSize, environment, outcome }));
+  } catch (error) {
+    console.error('Failed to read deployment history:', error);
+    res.status(500).json({ success: false, error: 'Unable to read deployment history' });
+  }
+});
+
+// Single deployment details
+app.get('/api/deployments/:id', requirePermission('history:read'), async (req, res) => {
+  if (!history) {
+    return res.status(404).json({ success: false, error: 'Deployment history is disabled' });
+  }
+
+  try {
+    const deployment = await history.get(req.params.id);
+    if (!deployment) {
+      return res.status(404).json({ success: false, error: 'Deployment not found' });
+    }
+    res.json(deployment);
+  } catch (error) {
+    console.error('Failed to read deployment history:', error);
+    res.status(500).json({ success: false, error: 'Unable to read deployment history' });
+  }
+});
+
+// Live events of one deployment as Server-Sent Events: everything it has
+// sent so far (or after Last-Event-ID), then the rest as it happens. The
+// stream ends with the deployment; 204 tells a client reconnecting after
+// that to stop.
+app.get('/api/deployments/:id/events', requirePermission('history:read'), async (req, res) => {
+  const { id } = req.params;
+  const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+
+  let replay = eventLog.since(id, lastEventId);
+  let finished = eventLog.isFinished(id);
+
+  // Not followed by this server (e.g. it finished before a restart): the
+  // history still knows how it ended
+  if (!eventLog.has(id)) {
+    let record;
+    try {
+      record = history && await history.get(id);
+    } catch (error) {
+      console.error('Failed to read deployment history:', error);
+      return res.status(500).json({ success: false, error: 'Unable to read deployment history' });
+    }
+
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Deployment not found' });
+    }
+
+    const final = finalEvent(record);
+    finished = Boolean(final);
+    replay = final && !lastEventId ? [{ id: 1, ...final }] : [];
+  }
+
+  if (finished && !replay.length) {
+    return res.status(204).end();
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-store',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from holding events back
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  replay.forEach(entry => res.write(DeploymentEventLog.format(entry)));
+  if (finished) return res.end();
+
+  const onEvent = (deploymentId, entry) => {
+    if (deploymentId !== id) return;
+    res.write(DeploymentEventLog.format(entry));
+    if (DeploymentEventLog.isFinal(entry)) res.end();
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+  eventLog.on('event', onEvent);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    eventLog.off('event', onEvent);
+  });
+});
+
+// Outgoing webhooks from config/production.yml and their latest deliveries
+// (?endpoint=name&limit=50)
+app.get('/api/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      events: WEBHOOK_EVENTS,
+      endpoints: webhooks.listEndpoints(),
+      deliveries: await webhooks.deliveries({ endpoint: req.query.endpoint, limit: req.query.limit })
+    });
+  } catch (error) {
+    console.error('Failed to read webhook deliveries:', error);
+    res.status(500).json({ success: false, error: 'Unable to read webhook deliveries' });
+  }
+});
+
+// Send a test event to one endpoint: { name }
+app.post('/api/webhooks/test', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const delivery = await webhooks.sendTest(req.body?.name, req.user);
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: `Unknown webhook: ${req.body?.name}` });
+    }
+
+    console.log(`🔗 Test event sent to webhook ${delivery.endpoint} by ${req.user.name}: ${delivery.status}`);
+    res.status(delivery.status === 'delivered' ? 200 : 502).json({ success: delivery.status === 'delivered', delivery });
+  } catch (error) {
+    console.error('Webhook test failed:', error);
+    res.status(500).json({ success: false, error: 'Unable to send the test event' });
+  }
+});
+
+// Dashboard settings (feature flags)
+app.get('/api/settings', requirePermission('settings:read'), (req, res) => {
+  res.json({ success: true, features });
+});
+
+app.put('/api/settings', requirePermission('settings:edit'), (req, res) => {
+  const changes = req.body?.features || {};
+  const locked = lockedFeatureFlags(changes);
+  if (locked.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Only changed in config/production.yml (read at startup): ${locked.join(', ')}`
+    });
+  }
+
+  try {
+    Object.assign(features, saveFeatureOverrides(changes));
+    console.log(`⚙️ Settings changed by ${req.user.name}:`, req.body.features);
+    res.json({ success: true, features });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// DNS status and changes
+app.get('/api/dns', requirePermission('dns:read'), (req, res) => {
+  res.json({
+    success: true,
+    configuring: dnsConfigurationRunning,
+    failover: getDNSFailover().getStatus()
+  });
+});
+
+// Run the DNSManager provider chain; the result arrives as a dns-update event
+app.post('/api/dns/configure', requirePermission('dns:manage'), (req, res) => {
+  if (dnsConfigurationRunning) {
+    return res.status(409).json({ success: false, error: 'DNS configuration already in progress' });
+  }
+
+  dnsConfigurationRunning = true;
+  console.log(`🌐 DNS configuration started by ${req.user.name}`);
+  res.status(202).json({ success: true, message: 'DNS configuration started' });
+
+  new DNSManager({ actor: req.user.name }).configureDNS()
+    .then(result => io.emit('dns-update', { action: 'configure', user: req.user.name, ...result }))
+    .catch(error => io.emit('dns-update', { action: 'configure', user: req.user.name, success: false, error: error.message }))
+    .finally(() => {
+      dnsConfigurationRunning = false;
+    });
+});
+
+// Point the domain at another endpoint (e.g. { "endpoint": "Secondary" })
+app.post('/api/dns/failover', requirePermission('dns:manage'), async (req, res) => {
+  const failover = getDNSFailover();
+  const endpoint = failover.endpoints.find(e => e.name === req.body?.endpoint);
+
+  if (!endpoint) {
+    return res.status(400).json({
+      success: false,
+      error: 'Unknown endpoint',
+      endpoints: failover.endpoints.map(e => e.name)
+    });
+  }
+
+  try {
+    await failover.verifyProviders();
+    const record = await failover.performFailover(endpoint, { actor: req.user.name, reason: `manual failover to ${endpoint.name}` });
+    console.log(`🌐 DNS failover to ${endpoint.name} requested by ${req.user.name}`);
+    res.status(record.success ? 200 : 502).json({ success: record.success, failover: record });
+  } catch (error) {
+    console.error('DNS failover failed:', error.message);
+    res.status(502).json({ success: false, error: error.message });
+  }
+});
+
+// Journaled DNS changes, newest first (?name=fogg&provider=porkbun&limit=50)
+app.get('/api/dns/journal', requirePermission('dns:read'), async (req, res) => {
+  try {
+    const { name, provider, limit } = req.query;
+    res.json({ success: true, entries: await DNSChangeJournal.shared().list({ name, provider, limit }) });
+  } catch (error) {
+    console.error('Failed to read the DNS journal:', error);
+    res.status(500).json({ success: false, error: 'Unable to read the DNS journal' });
+  }
+});
+
+// Put a journaled record back as it was before that change: { force }
+app.post('/api/dns/journal/:id/undo', requirePermission('dns:manage'), async (req, res) => {
+  try {
+    const entry = await undoChange(req.params.id, { actor: req.user.name, force: Boolean(req.body?.force) });
+    console.log(`↩️ DNS change ${entry.id} undone by ${req.user.name}`);
+    io.emit('dns-update', { action: 'undo', user: req.user.name, success: true, entry });
+    res.json({ success: true, entry });
+  } catch (error) {
+    if (error instanceof DNSUndoError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    // Provider errors carry the provider's status, not ours
+    if (error instanceof DNSProviderError) {
+      console.error('DNS undo failed:', error.message);
+      return res.status(502).json({ success: false, error: error.message });
+    }
+    console.error('DNS undo failed:', error);
+    res.status(500).json({ success: false, error: 'Unable to undo the DNS change' });
+  }
 });
 
 // WebSocket connection handling
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
 
-  // Send current status on connection
+  // Send current status on connection, with the running deployment (if any)
+  // so a reloaded dashboard carries on showing its progress
   socket.emit('status-update', {
-    version: deploymentState.currentVersion,
-    lastDeploy: deploymentState.lastDeployment,
+    version: currentVersion(DEFAULT_ENVIRONMENT),
+    versions: deploymentState.versions,
+    lastDeploy: deploymentState.lastDeployments[DEFAULT_ENVIRONMENT],
     status: deploymentState.isDeploying ? 'Deploying' : 'Ready',
-    health: 'Excellent'
+    health: 'Excellent',
+    activeDeployment: activeDeployment()
+  });
+
+  // Round trip for the dashboard's latency display
+  socket.on('ping', (sentAt) => {
+    socket.emit('pong', sentAt);
   });
 
   socket.on('disconnect', () => {
@@ -76,222 +835,871 @@ io.on('connection', (socket) => {
 });
 
 // Deployment process orchestration
-async function startDeploymentProcess() {
-  const agents = [
-    { id: 'guardian', name: 'Guardian', duration: 3000 },
-    { id: 'speedster', name: 'Speedster', duration: 2000 },
-    { id: 'detective', name: 'Detective', duration: 3500 },
-    { id: 'architect', name: 'Architect', duration: 2500 }
-  ];
+async function startDeploymentProcess(deployment, pipeline) {
+  const controller = new AbortController();
+  runningDeployments.set(deployment.id, { deployment, controller });
 
-  try {
-    // Initial message
-    io.emit('deployment-progress', {
-      progress: 5,
-      message: 'Initializing deployment system...'
-    });
+  pipeline.on('agent-update', (update) => {
+    deploymentState.activeAgent = update.status === 'active' ? update.agentId : null;
+    deploymentState.agentStatuses[update.agentId] = AGENT_STATUSES[update.status] || update.status;
+    if (update.status === 'complete') {
+      deploymentState.completedAgents.push(update.agentId);
+    }
+    rememberMessage(update.message, update.status === 'failed' ? 'error' : 'info');
+    broadcast(deployment.id, 'agent-update', update);
+  });
 
-    await sleep(1000);
-
-    // Process each agent
-    for (let i = 0; i < agents.length; i++) {
-      const agent = agents[i];
-      const baseProgress = (i * 25);
-      
-      // Activate agent
-      deploymentState.activeAgent = agent.id;
-      io.emit('agent-update', {
-        agentId: agent.id,
-        status: 'active',
-        message: `${agent.name} is starting their work`
-      });
+  pipeline.on('deployment-progress', (update) => {
+    deploymentState.progress = update.progress;
+    deploymentState.stageMessage = update.activeAgent ? update.message : null;
+    // Milestones only - a stage's own lines are in recentLogs
+    if (!update.activeAgent) rememberMessage(update.message);
+    broadcast(deployment.id, 'deployment-progress', update);
+  });
 
-      io.emit('deployment-progress', {
-        progress: baseProgress + 5,
-        activeAgent: agent.id,
-        message: getAgentMessage(agent.id, 'start')
-      });
+  broadcast(deployment.id, 'deployment-started', activeDeployment());
 
-      // Simulate agent work with progress updates
-      const steps = 5;
-      for (let step = 1; step <= steps; step++) {
-        await sleep(agent.duration / steps);
-        
-        const stepProgress = baseProgress + (step * 5);
-        io.emit('deployment-progress', {
-          progress: stepProgress,
-          activeAgent: agent.id,
-          message: getAgentMessage(agent.id, 'progress', step)
-        });
-      }
+  pipeline.on('stage-log', ({ agentId, line, stream }) => {
+    const entry = { agentId, line, stream, timestamp: new Date().toISOString() };
 
-      // Complete agent
-      deploymentState.completedAgents.push(agent.id);
-      io.emit('agent-update', {
-        agentId: agent.id,
-        status: 'complete',
-        message: `${agent.name} completed successfully`
-      });
+    deploymentState.recentLogs.push(entry);
+    if (deploymentState.recentLogs.length > MAX_RECENT_LOG_LINES) {
+      deploymentState.recentLogs.shift();
+    }
 
-      io.emit('deployment-progress', {
-        progress: baseProgress + 25,
-        activeAgent: null,
-        message: getAgentMessage(agent.id, 'complete')
-      });
+    const log = stream === 'stderr' ? console.error : console.log;
+    log(`[${agentId || 'deploy'}] ${line}`);
+    broadcast(deployment.id, 'deployment-log', entry);
+  });
+
+  try {
+    const result = await pipeline.run({ signal: controller.signal });
 
-      await sleep(500);
+    if (result.cancelled) {
+      await finishCancelledDeployment(deployment, result);
+      return;
     }
 
-    // Final deployment step
-    io.emit('deployment-progress', {
-      progress: 95,
-      message: 'Finalizing deployment...'
-    });
+    if (!result.success) {
+      throw Object.assign(new Error(result.error), {
+        agentId: result.failedStage,
+        exitCode: result.exitCode,
+        stages: result.stages
+      });
+    }
 
-    await sleep(1500);
+    // Deployment complete - a promotion gets the next version in its own
+    // environment and archives the promoted build under it
+    const { environment } = deployment;
+    const finishedAt = new Date().toISOString();
+    const newVersion = deployment.targetVersion;
 
-    // Deployment complete
-    const newVersion = incrementVersion(deploymentState.currentVersion);
-    deploymentState.currentVersion = newVersion;
-    deploymentState.lastDeployment = new Date().toISOString();
+    if (deployment.type !== 'rollback') {
+      await archiveRelease(newVersion, environment);
+    }
+
+    deploymentState.versions[environment] = newVersion;
+    deploymentState.lastDeployments[environment] = finishedAt;
     deploymentState.isDeploying = false;
     deploymentState.activeAgent = null;
+    deploymentState.progress = 100;
+
+    await recordDeployment({
+      ...deployment,
+      finishedAt,
+      versionAfter: newVersion,
+      agents: summarizeStages(result.stages),
+      logExcerpt: deploymentState.recentLogs.slice(-HISTORY_LOG_EXCERPT_LINES),
+      outcome: 'success'
+    });
 
-    io.emit('deployment-complete', {
+    broadcast(deployment.id, 'deployment-complete', {
+      deploymentId: deployment.id,
+      type: deployment.type,
+      environment,
       success: true,
       newVersion,
-      timestamp: deploymentState.lastDeployment,
-      message: 'Deployment completed successfully!'
+      timestamp: finishedAt,
+      message: completionMessage(deployment, newVersion),
+      exitCode: result.exitCode,
+      stages: result.stages.map(({ agentId, summary, durationMs }) => ({ agentId, summary, durationMs }))
     });
 
   } catch (error) {
     console.error('Deployment failed:', error);
     deploymentState.isDeploying = false;
     deploymentState.activeAgent = null;
+
+    await recordDeployment({
+      ...deployment,
+      finishedAt: new Date().toISOString(),
+      versionAfter: deployment.versionBefore,
+      agents: summarizeStages(error.stages || []),
+      logExcerpt: deploymentState.recentLogs.slice(-HISTORY_LOG_EXCERPT_LINES),
+      outcome: 'failed',
+      error: error.message
+    });
     
-    io.emit('deployment-error', {
+    broadcast(deployment.id, 'deployment-error', {
+      deploymentId: deployment.id,
+      type: deployment.type,
+      environment: deployment.environment,
       error: error.message || 'An unexpected error occurred',
+      agentId: error.agentId || null,
+      exitCode: error.exitCode,
       timestamp: new Date().toISOString()
     });
+  } finally {
+    runningDeployments.delete(deployment.id);
+    await deployLock.release(deployment.environment, deployment.id);
   }
 }
 
-// Helper function to get agent-specific messages
-function getAgentMessage(agentId, phase, step = 0) {
-  const messages = {
-    guardian: {
-      start: '🛡️ Guardian is checking safety protocols...',
-      progress: [
-        'Verifying backup systems...',
-        'Checking system health...',
-        'Validating configurations...',
-        'Testing rollback procedures...',
-        'Safety checks complete!'
-      ],
-      complete: '✅ Guardian: All safety checks passed!'
-    },
-    speedster: {
-      start: '⚡ Speedster is optimizing deployment speed...',
-      progress: [
-        'Preparing fast deployment path...',
-        'Compressing files for quick transfer...',
-        'Setting up parallel processes...',
-        'Accelerating deployment pipeline...',
-        'Speed optimization complete!'
-      ],
-      complete: '✅ Speedster: Deployment optimized for maximum speed!'
-    },
-    detective: {
-      start: '🔍 Detective is reviewing the code...',
-      progress: [
-        'Scanning for potential issues...',
-        'Checking code quality...',
-        'Verifying dependencies...',
-        'Analyzing security patterns...',
-        'Code review complete!'
-      ],
-      complete: '✅ Detective: Code review passed with flying colors!'
-    },
-    architect: {
-      start: '🏗️ Architect is building the final deployment...',
-      progress: [
-        'Constructing deployment package...',
-        'Building production assets...',
-        'Optimizing for performance...',
-        'Finalizing deployment structure...',
-        'Build process complete!'
-      ],
-      complete: '✅ Architect: Deployment package ready for launch!'
-    }
+// Send a deployment's event to every Socket.IO client and the webhooks
+// subscribed to it, and keep it for Server-Sent Events streams
+function broadcast(deploymentId, event, data) {
+  eventLog.record(deploymentId, event, data);
+  io.emit(event, data);
+  webhooks.dispatch(deploymentId, event, data);
+}
+
+// Keep the latest progress messages for dashboards that join mid-deployment
+function rememberMessage(text, type = 'info') {
+  const messages = deploymentState.recentMessages;
+  if (!text || messages[messages.length - 1]?.text === text) return;
+
+  messages.push({ text, type, timestamp: new Date().toISOString() });
+  if (messages.length > MAX_RECENT_MESSAGES) messages.shift();
+}
+
+/**
+ * Everything a dashboard needs to pick up the deployment running now, or
+ * null when none is
+ */
+function activeDeployment() {
+  const running = runningDeployments.get(deploymentState.deploymentId);
+  if (!deploymentState.isDeploying || !running) return null;
+
+  const { deployment, controller } = running;
+
+  return {
+    id: deployment.id,
+    type: deployment.type,
+    environment: deployment.environment,
+    user: deployment.user,
+    startedAt: deployment.startedAt,
+    versionBefore: deployment.versionBefore,
+    targetVersion: deployment.targetVersion,
+    releaseNotes: deployment.releaseNotes || null,
+    promotedFrom: deployment.promotedFrom || null,
+    outcome: 'in_progress',
+    progress: deploymentState.progress,
+    activeAgent: deploymentState.activeAgent,
+    agentStatuses: { ...deploymentState.agentStatuses },
+    messages: [...deploymentState.recentMessages],
+    recentLogs: deploymentState.recentLogs.slice(-HISTORY_LOG_EXCERPT_LINES),
+    cancelling: controller.signal.aborted
+  };
+}
+
+/**
+ * Deployment `id` as the dashboard polls for it: the running one from
+ * memory, any other from the history; null when unknown
+ */
+async function deploymentStatus(id) {
+  const active = activeDeployment();
+  const record = active && active.id === id ? active : history && await history.get(id);
+  if (!record) return null;
+
+  const { outcome } = record;
+  const awaitingApproval = outcome === 'pending_approval';
+  const isComplete = outcome !== 'in_progress' && !awaitingApproval;
+  const running = record === active;
+  const messages = [];
+
+  if (isComplete) {
+    messages.push({
+      text: outcomeMessage(record),
+      timestamp: new Date(record.finishedAt).toLocaleTimeString(),
+      type: outcome === 'success' ? 'success' : outcome === 'cancelled' ? 'info' : 'error'
+    });
+  } else if (awaitingApproval) {
+    messages.push({
+      text: `Waiting for someone else to approve this update (until ${new Date(record.approval.expiresAt).toLocaleTimeString()})`,
+      timestamp: new Date().toLocaleTimeString(),
+      type: 'info'
+    });
+  }
+
+  return {
+    deploymentId: record.id,
+    isDeploying: !isComplete && !awaitingApproval,
+    isComplete,
+    awaitingApproval,
+    outcome,
+    approval: record.approval || null,
+    cancelledBy: record.cancelledBy?.name || null,
+    mode: REAL_DEPLOYMENT ? 'script' : 'pipeline',
+    progress: running ? record.progress : isComplete ? 100 : 0,
+    currentStage: running && record.activeAgent ? {
+      name: record.activeAgent,
+      message: deploymentState.stageMessage || `${record.activeAgent} is working...`
+    } : null,
+    version: outcome === 'success' ? record.versionAfter : record.versionBefore,
+    targetVersion: record.targetVersion || null,
+    releaseNotes: record.releaseNotes || null,
+    environment: record.environment,
+    messages,
+    timestamp: new Date().toISOString(),
+    agentStatuses: running ? record.agentStatuses : {}
+  };
+}
+
+/**
+ * The event a finished deployment ended with, rebuilt from its history
+ * record; null while it is still running or waiting for approval
+ */
+function finalEvent(record) {
+  const base = {
+    deploymentId: record.id,
+    type: record.type,
+    environment: record.environment,
+    timestamp: record.finishedAt
   };
 
-  if (phase === 'progress' && step > 0) {
-    return messages[agentId]?.progress[step - 1] || 'Working...';
+  switch (record.outcome) {
+    case 'success':
+      return {
+        event: 'deployment-complete',
+        data: { ...base, success: true, newVersion: record.versionAfter, message: outcomeMessage(record) }
+      };
+    case 'failed':
+      return { event: 'deployment-error', data: { ...base, error: record.error || 'unknown error' } };
+    case 'cancelled':
+      return {
+        event: 'deployment-cancelled',
+        data: { ...base, cancelledBy: record.cancelledBy?.name || null, version: record.versionBefore, message: outcomeMessage(record) }
+      };
+    case 'rejected':
+    case 'expired':
+      return { event: 'approval-update', data: approvalEvent(record) };
+    default:
+      return null;
   }
+}
 
-  return messages[agentId]?.[phase] || '';
+function outcomeMessage(record) {
+  switch (record.outcome) {
+    case 'success': return completionMessage(record, record.versionAfter);
+    case 'cancelled': return record.versionBefore
+      ? `${record.cancelledBy?.name || 'Someone'} cancelled the update - version ${record.versionBefore} is still live`
+      : `${record.cancelledBy?.name || 'Someone'} cancelled the update`;
+    case 'rejected': {
+      const decision = record.approval.decisions[record.approval.decisions.length - 1];
+      return `${decision.user} didn't approve this update${decision.comment ? `: ${decision.comment}` : ''}`;
+    }
+    case 'expired': return 'Nobody approved this update in time - please ask again';
+    default: return `Deployment failed: ${record.error || 'unknown error'}`;
+  }
 }
 
-// Helper function to increment version
-function incrementVersion(version) {
-  const parts = version.split('.');
-  const patch = parseInt(parts[2]) + 1;
-  return `${parts[0]}.${parts[1]}.${patch}`;
+/**
+ * Wrap up a cancelled deployment: put the live version's build back in
+ * dist/ (a stage may have replaced it already), record who cancelled it and
+ * tell the dashboards
+ */
+async function finishCancelledDeployment(deployment, result) {
+  const { environment, versionBefore } = deployment;
+  const finishedAt = new Date().toISOString();
+
+  deploymentState.isDeploying = false;
+  deploymentState.activeAgent = null;
+
+  if (versionBefore && await releasesFor(environment).has(versionBefore)) {
+    try {
+      await releasesFor(environment).restore(versionBefore, path.join(__dirname, 'dist'));
+    } catch (error) {
+      console.error(`Failed to put version ${versionBefore} back after the cancel:`, error);
+    }
+  }
+
+  await recordDeployment({
+    ...deployment,
+    finishedAt,
+    versionAfter: versionBefore,
+    agents: summarizeStages(result.stages),
+    logExcerpt: deploymentState.recentLogs.slice(-HISTORY_LOG_EXCERPT_LINES),
+    outcome: 'cancelled',
+    error: `Cancelled by ${deployment.cancelledBy.name}`
+  });
+
+  broadcast(deployment.id, 'deployment-cancelled', {
+    deploymentId: deployment.id,
+    type: deployment.type,
+    environment,
+    agentId: result.failedStage || null,
+    cancelledBy: deployment.cancelledBy.name,
+    version: versionBefore,
+    timestamp: finishedAt,
+    message: versionBefore
+      ? `${deployment.cancelledBy.name} cancelled the update - version ${versionBefore} is still live`
+      : `${deployment.cancelledBy.name} cancelled the update`
+  });
 }
 
-// Helper function for delays
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Attach the requesting user to req.user, or answer 401 when sign-in is required
+function requireUser(req, res, next) {
+  const { user, error } = auth.identify(req.get('Authorization'), req.body?.user);
+
+  if (error) {
+    return res.status(401).json({ success: false, error, code: 'AUTH_REQUIRED' });
+  }
+
+  req.user = user;
+  next();
 }
 
-// Optional: Execute actual deployment script
-async function executeDeploymentScript() {
-  return new Promise((resolve, reject) => {
-    const deployScript = path.join(__dirname, '..', 'deploy.sh');
-    
-    const deploy = spawn('bash', [deployScript], {
-      cwd: path.join(__dirname, '..'),
-      env: { ...process.env }
+// Token-bucket limit per signed-in user, or per IP address without sign-in;
+// reads such as status polling and event streams aren't limited
+async function rateLimit(req, res, next) {
+  if (!RateLimiter.limits(req.method)) return next();
+
+  const { user } = auth.enabled ? auth.identify(req.get('Authorization')) : {};
+  const key = user ? `user:${user.username}` : `ip:${req.ip}`;
+  const { allowed, retryAfter } = await rateLimiter.take(key);
+
+  if (!allowed) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: 'Too many requests - please wait a moment and try again',
+      code: 'RATE_LIMITED',
+      retryAfter
     });
+  }
 
-    let output = '';
-    let errorOutput = '';
-
-    deploy.stdout.on('data', (data) => {
-      output += data.toString();
-      console.log('Deploy output:', data.toString());
-      
-      // Parse and emit progress updates
-      const lines = data.toString().split('\n');
-      lines.forEach(line => {
-        if (line.includes('Progress:')) {
-          const progress = parseInt(line.match(/\d+/)?.[0] || 0);
-          io.emit('deployment-progress', { progress });
-        }
-      });
+  next();
+}
+
+function newDeploymentId(type) {
+  return `${type}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Save a deploy or promotion as waiting for approval and answer 202; it
+ * starts from POST /api/approvals once someone else approves it
+ */
+async function requestApproval(res, settings, request) {
+  if (!approvals) {
+    return res.status(409).json({
+      success: false,
+      error: `${settings.label} needs approvals, which need features.deployment_history`
+    });
+  }
+
+  const record = await createApprovalRequest(settings, request);
+
+  res.status(202).json({
+    success: true,
+    pendingApproval: true,
+    deploymentId: record.id,
+    startTime: record.startedAt,
+    expiresAt: record.approval.expiresAt,
+    environment: record.environment,
+    message: `Waiting for someone else to approve this update to ${settings.label}`
+  });
+}
+
+// Park a request in the history and tell Socket.IO clients about it
+async function createApprovalRequest(settings, { type, user, environment, promotedFrom, scheduleId, bump }) {
+  const record = await approvals.request({
+    id: newDeploymentId(type),
+    type,
+    user: user.name,
+    username: user.username,
+    environment,
+    startedAt: new Date().toISOString(),
+    versionBefore: currentVersion(environment),
+    ...(promotedFrom && { promotedFrom }),
+    ...(scheduleId && { scheduleId }),
+    ...(bump && { bump })
+  }, { expiresAfter: settings.approvalExpiresAfter });
+
+  broadcast(record.id, 'approval-update', approvalEvent(record));
+  return record;
+}
+
+// Answer 400 and return false for a bump level other than patch, minor or major
+function requireBumpLevel(res, bump) {
+  if (BUMP_LEVELS.includes(bump)) return true;
+
+  res.status(400).json({
+    success: false,
+    error: `bump must be one of ${BUMP_LEVELS.join(', ')} (got "${bump}")`
+  });
+  return false;
+}
+
+// Answer 423 and return true while `environment` is in a blackout window
+function refuseDuringBlackout(res, environment) {
+  const blackout = activeBlackout(environment, { settings: scheduling });
+  if (!blackout) return false;
+
+  res.status(423).json({
+    success: false,
+    error: describeBlackout(blackout, scheduling),
+    code: 'BLACKOUT_WINDOW',
+    blackout
+  });
+  return true;
+}
+
+// What Socket.IO clients hear about an approval request
+function approvalEvent(record) {
+  return {
+    deploymentId: record.id,
+    type: record.type,
+    environment: record.environment,
+    user: record.user,
+    outcome: record.outcome,
+    approval: record.approval
+  };
+}
+
+/**
+ * Lock `environment` for a new deployment and return its id, or answer 409
+ * with a Retry-After hint and return null: DEPLOYMENT_LOCKED when the
+ * environment itself is busy, SERVER_BUSY when another environment's
+ * deployment is running (see lockForDeployment).
+ */
+async function claimEnvironment(res, type, environment, id = newDeploymentId(type)) {
+  const { lock, busyEnvironment } = await lockForDeployment(environment, id);
+
+  if (lock.acquired) return id;
+
+  const retryAfter = lock.retryAfter || OVERDUE_RETRY_SECONDS;
+  const serverBusy = busyEnvironment !== environment;
+  res.set('Retry-After', String(retryAfter));
+  res.status(409).json({
+    success: false,
+    error: serverBusy
+      ? `This server is busy updating ${busyEnvironment} and runs one update at a time - please try again in ${retryAfter} seconds`
+      : `An update is already running for ${busyEnvironment} - please try again in ${retryAfter} seconds`,
+    code: serverBusy ? 'SERVER_BUSY' : 'DEPLOYMENT_LOCKED',
+    deploymentId: lock.holder || deploymentState.deploymentId,
+    environment: busyEnvironment,
+    retryAfter
+  });
+  return null;
+}
+
+/**
+ * beginDeployment() for an environment claimEnvironment() locked. When that
+ * fails (release planning or the history write), free the environment
+ * again, answer 500 and return null.
+ */
+async function beginClaimedDeployment(res, options) {
+  try {
+    return await beginDeployment(options);
+  } catch (error) {
+    console.error(`Failed to start ${options.type} ${options.id}:`, error);
+    await releaseEnvironment(options.environment, options.id);
+    res.status(500).json({ success: false, error: 'Unable to start the update' });
+    return null;
+  }
+}
+
+// Undo a claim for a deployment that never started
+async function releaseEnvironment(environment, id) {
+  if (deploymentState.deploymentId === id) {
+    deploymentState.isDeploying = false;
+  }
+  await deployLock.release(environment, id);
+}
+
+/**
+ * Take the deployment lock for `environment`; { lock, busyEnvironment }.
+ * Every deployment this server runs builds into the same checkout (dist/,
+ * the release archive's source) and reports through the one
+ * deploymentState, so it runs one at a time: while any environment is
+ * deploying, the others are busy too. The Netlify functions build on
+ * Netlify and lock each environment on its own.
+ */
+async function lockForDeployment(environment, id) {
+  const busyEnvironment = deploymentState.isDeploying ? deploymentState.environment : environment;
+  const lock = deploymentState.isDeploying
+    ? { acquired: false, ...(await deployLock.status(busyEnvironment)) }
+    : await deployLock.acquire(environment, id, { expectedSeconds: await expectedDeploymentSeconds() });
+
+  return { lock, busyEnvironment };
+}
+
+// How long the last deployment took, for the Retry-After estimate
+async function expectedDeploymentSeconds() {
+  const last = history && await history.latest({ outcome: 'success' });
+  if (!last?.finishedAt) return null;
+
+  return Math.ceil((new Date(last.finishedAt) - new Date(last.startedAt)) / 1000);
+}
+
+// Like requireUser, but also answers 403 when the user's role lacks `permission`
+function requirePermission(permission) {
+  return (req, res, next) => {
+    const { user, status, body } = auth.authorize(req.get('Authorization'), permission, req.body?.user);
+
+    if (!user) {
+      return res.status(status).json(body);
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+/**
+ * Settings for `name` from config/production.yml, or answer 400 listing the
+ * known environments and return null
+ */
+function requireEnvironment(res, name) {
+  const settings = environmentSettings(name, config);
+  if (settings) return settings;
+
+  res.status(400).json({
+    success: false,
+    error: `Unknown environment: ${name}`,
+    environments: listEnvironments(config).map(environment => environment.name)
+  });
+  return null;
+}
+
+// null until something has been deployed to `environment`
+function currentVersion(environment) {
+  return deploymentState.versions[environment] || null;
+}
+
+function releasesFor(environment) {
+  if (!releaseArchives.has(environment)) {
+    releaseArchives.set(environment, ReleaseArchive.forEnvironment(environment));
+  }
+  return releaseArchives.get(environment);
+}
+
+function getDNSFailover() {
+  if (!dnsFailover) {
+    dnsFailover = new DNSFailoverSystem();
+  }
+  return dnsFailover;
+}
+
+// Create the history record and reset live state for a new deployment or rollback
+async function beginDeployment({
+  id, type, user, environment, targetVersion, restoredFrom, promotedFrom, approval, scheduleId, bump, commit
+}) {
+  const deployment = {
+    id,
+    type,
+    user: user.name,
+    username: user.username,
+    environment,
+    startedAt: new Date().toISOString(),
+    versionBefore: currentVersion(environment),
+    outcome: 'in_progress'
+  };
+
+  if (type === 'rollback') {
+    deployment.targetVersion = targetVersion;
+    deployment.restoredFrom = restoredFrom;
+    deployment.commit = commit || null;
+  } else {
+    // Deploys build the checked-out commit; promotions ship the source's
+    deployment.bump = bump || 'patch';
+    deployment.targetVersion = await nextReleaseVersion(environment, deployment.bump);
+    const commit = type === 'promote' ? promotedFrom.commit : await git.head();
+    Object.assign(deployment, await describeRelease(environment, commit));
+  }
+  if (type === 'promote') {
+    deployment.promotedFrom = promotedFrom;
+  }
+  if (approval) {
+    deployment.approval = approval;
+  }
+  if (scheduleId) {
+    deployment.scheduleId = scheduleId;
+  }
+
+  deploymentState.isDeploying = true;
+  deploymentState.deploymentId = deployment.id;
+  deploymentState.environment = environment;
+  deploymentState.progress = 0;
+  deploymentState.completedAgents = [];
+  deploymentState.agentStatuses = {};
+  deploymentState.stageMessage = null;
+  deploymentState.recentMessages = [];
+  deploymentState.recentLogs = [];
+
+  await recordDeployment(deployment);
+  return deployment;
+}
+
+/**
+ * Start every schedule whose time has come, as its creator. A busy
+ * environment is tried again on the next check; a blackout window skips the
+ * run, and approval-gated environments get an approval request instead.
+ */
+async function runDueSchedules(now = new Date()) {
+  for (const schedule of await scheduler.due(now)) {
+    let run;
+    try {
+      run = await runSchedule(schedule, now);
+    } catch (error) {
+      // One broken schedule mustn't hold up the others, or run again on every check
+      console.error(`Failed to run schedule ${schedule.id}:`, error);
+      run = { outcome: 'failed', reason: error.message };
+    }
+    if (!run) continue;
+
+    console.log(`🗓️ Schedule ${schedule.id} for ${schedule.environment}: ${run.outcome}${run.reason ? ` - ${run.reason}` : ''}`);
+    try {
+      io.emit('schedule-update', await scheduler.recordRun(schedule, run, now));
+    } catch (error) {
+      console.error(`Failed to record the run of schedule ${schedule.id}:`, error);
+    }
+  }
+}
+
+// What running one due schedule did, or null when its environment is busy
+async function runSchedule(schedule, now) {
+  const { environment } = schedule;
+  const settings = environmentSettings(environment, config);
+  const user = { name: schedule.user, username: schedule.username };
+  const blackout = settings && activeBlackout(environment, { now, settings: scheduling });
+
+  if (!settings) {
+    return { outcome: 'failed', reason: `Unknown environment: ${environment}` };
+  }
+  if (blackout) {
+    return { outcome: 'skipped', reason: describeBlackout(blackout, scheduling) };
+  }
+  if (settings.approvalRequired && !approvals) {
+    return { outcome: 'failed', reason: `${settings.label} needs approvals, which need features.deployment_history` };
+  }
+  if (settings.approvalRequired) {
+    const record = await createApprovalRequest(settings, {
+      type: 'deploy',
+      user,
+      environment,
+      scheduleId: schedule.id,
+      bump: schedule.bump
     });
+    return { outcome: 'pending_approval', deploymentId: record.id };
+  }
+
+  const id = newDeploymentId('deploy');
+  const { lock } = await lockForDeployment(environment, id);
+  if (!lock.acquired) return null;
 
-    deploy.stderr.on('data', (data) => {
-      errorOutput += data.toString();
-      console.error('Deploy error:', data.toString());
+  try {
+    const deployment = await beginDeployment({
+      id,
+      type: 'deploy',
+      user,
+      environment,
+      scheduleId: schedule.id,
+      bump: schedule.bump
     });
+    startDeploymentProcess(deployment, createDeploymentRunner(environment));
+    return { outcome: 'started', deploymentId: deployment.id };
+  } catch (error) {
+    await releaseEnvironment(environment, id);
+    return { outcome: 'failed', reason: `Unable to start the update: ${error.message}` };
+  }
+}
+
+// The most recent successful deployment older than the version live right now
+async function findPreviousRelease(environment) {
+  const deployments = await history.query({ environment, outcome: 'success' });
 
-    deploy.on('close', (code) => {
-      if (code === 0) {
-        resolve({ success: true, output });
-      } else {
-        reject(new Error(`Deployment failed with code ${code}: ${errorOutput}`));
+  for (const record of deployments) {
+    const current = currentVersion(environment);
+    const older = record.versionAfter && current && compareVersions(record.versionAfter, current) < 0;
+    if (older && await releasesFor(environment).has(record.versionAfter)) {
+      return record;
+    }
+  }
+  return null;
+}
+
+// The successful deployment whose build is live in `environment` right now
+async function findLiveRelease(environment) {
+  const deployments = await history.query({ environment, outcome: 'success' });
+  return deployments.find(record => record.versionAfter === currentVersion(environment)) || null;
+}
+
+// Highest version ever released to `environment`, so a deploy after a
+// rollback never reuses a version
+async function highestReleasedVersion(environment) {
+  const versions = [currentVersion(environment)];
+
+  if (history) {
+    const deployments = await history.query({ environment, outcome: 'success' });
+    deployments.forEach(record => versions.push(record.versionAfter));
+  }
+
+  return highestVersion(versions);
+}
+
+// The version the next deploy or promotion of `environment` gets
+async function nextReleaseVersion(environment, level) {
+  return nextVersion({
+    released: await highestReleasedVersion(environment),
+    project: await projectVersion({ git }),
+    level
+  });
+}
+
+/**
+ * { commit, releaseNotes } for shipping `commit` to `environment`: the
+ * commits since the one live there now
+ */
+async function describeRelease(environment, commit) {
+  if (!commit) return { commit: null, releaseNotes: null };
+
+  const live = history && await history.latest({ environment, outcome: 'success' });
+  return { commit, releaseNotes: await buildReleaseNotes({ from: live?.commit, to: commit, git }) };
+}
+
+// Keep a copy of the fresh build so it can be restored by a rollback
+async function archiveRelease(version, environment) {
+  try {
+    await releasesFor(environment).save(version, path.join(__dirname, 'dist'));
+  } catch (error) {
+    console.error(`Failed to archive release ${version}:`, error);
+  }
+}
+
+// Persist a deployment record, never letting a storage problem break a deployment
+async function recordDeployment(deployment) {
+  if (!history) return;
+
+  try {
+    await history.save(deployment);
+  } catch (error) {
+    console.error('Failed to record deployment history:', error);
+  }
+}
+
+// Reduce stage results to what the history needs
+function summarizeStages(stages) {
+  return stages.map(({ agentId, success, summary, error, durationMs }) => ({
+    agentId,
+    success,
+    summary,
+    error,
+    durationMs
+  }));
+}
+
+// Restore each environment's version and last deployment time after a restart
+async function restoreStateFromHistory() {
+  if (!history) return;
+
+  try {
+    for (const { name } of listEnvironments(config)) {
+      const latest = await history.latest({ environment: name, outcome: 'success' });
+      if (latest) {
+        deploymentState.versions[name] = latest.versionAfter || currentVersion(name);
+        deploymentState.lastDeployments[name] = latest.finishedAt;
       }
+    }
+  } catch (error) {
+    console.error('Failed to load deployment history:', error);
+  }
+}
+
+function completionMessage(deployment, newVersion) {
+  switch (deployment.type) {
+    case 'rollback': return `Rolled back to version ${newVersion}!`;
+    case 'promote': return `Version ${deployment.promotedFrom.version} from ${deployment.promotedFrom.environment} is live on ${deployment.environment} as ${newVersion}!`;
+    default: return 'Deployment completed successfully!';
+  }
+}
+
+// Runner for a deployment that was waiting for approval
+function createRunner(deployment) {
+  return deployment.type === 'promote'
+    ? createPromotionRunner(deployment.promotedFrom, deployment.environment)
+    : createDeploymentRunner(deployment.environment);
+}
+
+// Pick the runner for this deployment: deploy.sh or the local stage pipeline
+function createDeploymentRunner(environment) {
+  if (REAL_DEPLOYMENT) {
+    return new ScriptDeployment({
+      script: path.join(__dirname, 'deploy.sh'),
+      cwd: __dirname,
+      env: { DEPLOY_ENVIRONMENT: environment }
     });
-  });
+  }
+
+  return new DeploymentPipeline({ cwd: __dirname });
+}
+
+// Rollbacks restore an archived build instead of building the current source;
+// with real deployments enabled, deploy.sh then ships it without rebuilding
+function createRollbackRunner(version, environment) {
+  return createRestoreRunner(releasesFor(environment), version, environment);
+}
+
+// Promotions do the same with the build archived in the source environment,
+// so production gets exactly what was verified on staging
+function createPromotionRunner(promotedFrom, environment) {
+  return createRestoreRunner(releasesFor(promotedFrom.environment), promotedFrom.version, environment);
+}
+
+function createRestoreRunner(archive, version, environment) {
+  const stages = [
+    new GuardianStage(),
+    new RestoreReleaseStage({ archive, version })
+  ];
+
+  if (REAL_DEPLOYMENT) {
+    stages.push(new CommandStage({
+      id: 'speedster',
+      name: 'Speedster',
+      emoji: '⚡',
+      startMessage: `⚡ Speedster is shipping version ${version} to ${environment}...`,
+      completeMessage: `✅ Speedster: Version ${version} is live on ${environment}!`,
+      command: 'bash',
+      args: [path.join(__dirname, 'deploy.sh')],
+      env: { DEPLOY_SKIP_BUILD: 'true', DEPLOY_ENVIRONMENT: environment },
+      expectedLines: 30
+    }));
+  }
+
+  return new DeploymentPipeline({ stages, cwd: __dirname });
 }
 
 // Serve static files
 app.use(express.static('dist'));
 
+// Expire approval requests nobody answered in time
+if (approvals) {
+  setInterval(() => {
+    approvals.expireStale()
+      .then(expired => expired.forEach(record => broadcast(record.id, 'approval-update', approvalEvent(record))))
+      .catch(error => console.error('Failed to expire approval requests:', error));
+  }, APPROVAL_SWEEP_INTERVAL).unref();
+}
+
+// Start scheduled deployments when they are due
+setInterval(() => {
+  runDueSchedules().catch(error => console.error('Failed to run scheduled deployments:', error));
+}, scheduling.checkInterval).unref();
+
 const PORT = process.env.PORT || 3001;
-httpServer.listen(PORT, () => {
+restoreStateFromHistory().then(() => httpServer.listen(PORT, () => {
   console.log(`✨ Deployment Dashboard Server running on port ${PORT}`);
   console.log(`🌐 WebSocket server ready for connections`);
+  console.log(`🚚 Deployment mode: ${REAL_DEPLOYMENT ? 'deploy.sh' : 'local pipeline'}`);
   console.log(`📊 Dashboard: http://localhost:${PORT}`);
-});
\ No newline at end of file
+}));
\ No newline at end of file
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import confetti from 'canvas-confetti';
+import DeploymentEvents from './utils/deploymentEvents';
 import './App.css';
 
 // Configuration for Netlify deployment
@@ -9,10 +10,48 @@ const API_BASE = process.env.NODE_ENV === 'production'
   : (import.meta.env.VITE_API_BASE_URL || 'http://localhost:8888/.netlify/functions');
 
 const POLLING_INTERVAL = import.meta.env.VITE_POLLING_INTERVAL || 2000;
+// Live updates need the Express server (an API base ending in /api) - the
+// Netlify functions are polled instead. VITE_SOCKET_URL=off always polls.
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL === 'off'
+  ? null
+  : (import.meta.env.VITE_SOCKET_URL || (API_BASE.endsWith('/api') ? API_BASE.slice(0, -'/api'.length) : null));
 const DEFAULT_USER = import.meta.env.VITE_DEFAULT_USER || 'Leslie';
 const DEFAULT_ENVIRONMENT = import.meta.env.VITE_DEFAULT_ENVIRONMENT || 'production';
 const ENABLE_CONFETTI = import.meta.env.VITE_ENABLE_CONFETTI !== 'false';
 const APP_VERSION = import.meta.env.VITE_APP_VERSION || '1.0.0';
+const SESSION_STORAGE_KEY = 'fogg-dashboard-session';
+const APPROVALS_REFRESH_INTERVAL = 30000;
+const SCHEDULES_REFRESH_INTERVAL = 30000;
+const CHANGES_REFRESH_INTERVAL = 60000;
+const ACTIVE_DEPLOYMENT_CHECK_INTERVAL = 15000;
+const EMPTY_SCHEDULE_FORM = { repeat: 'once', runAt: '', time: '09:00', cron: '', label: '' };
+const MAX_RELEASE_NOTES_SHOWN = 10;
+const MAX_PENDING_FILES_SHOWN = 10;
+const MAX_WEBHOOK_DELIVERIES_SHOWN = 10;
+
+// How much the version number goes up (versioning/semver.js)
+const BUMP_OPTIONS = [
+  { value: 'patch', label: 'Small fix or content update' },
+  { value: 'minor', label: 'New feature' },
+  { value: 'major', label: 'Big change' }
+];
+
+// The cron recurrence for the schedule form's choice
+function scheduleCron({ repeat, time, cron }) {
+  const [hours, minutes] = time.split(':').map(Number);
+  if (repeat === 'daily') return `${minutes} ${hours} * * *`;
+  if (repeat === 'weekdays') return `${minutes} ${hours} * * mon-fri`;
+  return cron.trim();
+}
+
+// Signed-in session ({ token, user }) survives page reloads
+function loadSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
 
 // Our friendly deployment agents
 const AGENTS = [
@@ -30,111 +69,273 @@ function App() {
   const [messages, setMessages] = useState([]);
   const [lastDeployment, setLastDeployment] = useState(null);
   const [agentStatuses, setAgentStatuses] = useState({});
-  const [currentVersion, setCurrentVersion] = useState('2.4.1');
+  const [currentVersion, setCurrentVersion] = useState(null);
+  const [bump, setBump] = useState('patch');
+  const [upcomingRelease, setUpcomingRelease] = useState(null);
   const [deploymentId, setDeploymentId] = useState(null);
   const [deploymentStartTime, setDeploymentStartTime] = useState(null);
   const [error, setError] = useState(null);
+  const [authRequired, setAuthRequired] = useState(false);
+  const [session, setSession] = useState(loadSession);
+  const [loginForm, setLoginForm] = useState({ username: '', password: '' });
+  const [loginError, setLoginError] = useState(null);
+  const [retryCountdown, setRetryCountdown] = useState(0);
+  const [environment, setEnvironment] = useState(DEFAULT_ENVIRONMENT);
+  const [environments, setEnvironments] = useState([]);
+  const [approvalRequests, setApprovalRequests] = useState([]);
+  const [approvalComments, setApprovalComments] = useState({});
+  const [schedules, setSchedules] = useState([]);
+  const [schedulesAvailable, setSchedulesAvailable] = useState(false);
+  const [scheduleForm, setScheduleForm] = useState(EMPTY_SCHEDULE_FORM);
+  const [scheduleError, setScheduleError] = useState(null);
+  const [blackout, setBlackout] = useState(null);
+  // features.rollback_enabled, as the backend reports it
+  const [rollbackEnabled, setRollbackEnabled] = useState(true);
+  const [pendingChanges, setPendingChanges] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const [webhooks, setWebhooks] = useState(null);
+  const [webhookTest, setWebhookTest] = useState(null);
   
-  const pollingRef = useRef(null);
-  const isPolling = useRef(false);
+  const [connection, setConnection] = useState(null);
 
-  // Polling function for deployment status
-  const pollDeploymentStatus = useCallback(async () => {
-    if (!deploymentId || !deploymentStartTime || isPolling.current) {
-      return;
+  // Requests made by the events service use the latest session
+  const authHeadersRef = useRef(() => ({}));
+  const deploymentEvents = useRef(null);
+  if (!deploymentEvents.current) {
+    deploymentEvents.current = new DeploymentEvents({
+      apiBase: API_BASE,
+      socketUrl: SOCKET_URL,
+      pollingInterval: POLLING_INTERVAL,
+      getHeaders: () => authHeadersRef.current()
+    });
+  }
+
+  const displayName = session?.user?.name || DEFAULT_USER;
+  const selectedEnvironment = environments.find(env => env.name === environment);
+  const promoteSource = environments.find(env => env.name === selectedEnvironment?.promoteFrom);
+
+  // Without sign-in everyone may do everything; otherwise the role decides
+  const can = (permission) => !authRequired || Boolean(session?.user?.permissions?.includes(permission));
+  const mayApprove = can('approve');
+  const mayManageWebhooks = can('webhooks:manage');
+  const deployDisabled = isDeploying || !can('deploy') || retryCountdown > 0 || Boolean(blackout);
+  const authHeaders = useCallback(() => (
+    session?.token ? { Authorization: `Bearer ${session.token}` } : {}
+  ), [session]);
+  authHeadersRef.current = authHeaders;
+
+  useEffect(() => {
+    const events = deploymentEvents.current;
+    const unsubscribe = events.on('connection', setConnection);
+
+    events.connect();
+    setConnection(events.state);
+
+    return () => {
+      unsubscribe();
+      events.disconnect();
+    };
+  }, []);
+
+  const saveSession = useCallback((nextSession) => {
+    if (nextSession) {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(nextSession));
+    } else {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
     }
+    setSession(nextSession);
+  }, []);
 
-    isPolling.current = true;
-    
+  // Last successful update comes from the deployment history, not local state
+  const loadLastDeployment = useCallback(async () => {
     try {
-      const response = await fetch(
-        `${API_BASE}/status?deploymentId=${deploymentId}&startTime=${encodeURIComponent(deploymentStartTime)}`,
-        {
-          method: 'GET',
-          headers: { 'Content-Type': 'application/json' }
-        }
-      );
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
+      const query = `pageSize=1&outcome=success&environment=${encodeURIComponent(environment)}`;
+      const response = await fetch(`${API_BASE}/deployments?${query}`, {
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() }
+      });
+
+      if (!response.ok) return;
+
       const data = await response.json();
-      
-      // Update UI state
-      setProgress(data.progress);
-      setAgentStatuses(data.agentStatuses);
-      setCurrentAgent(data.currentStage);
-      setCurrentVersion(data.version);
-      setError(null);
-      
-      // Add new messages
-      if (data.messages && data.messages.length > 0) {
-        setMessages(prev => {
-          const newMessages = data.messages.filter(msg => 
-            !prev.some(existingMsg => existingMsg.text === msg.text)
-          );
-          return [...prev, ...newMessages];
-        });
-      }
-      
-      // Check if deployment is complete
-      if (data.isComplete) {
-        setIsDeploying(false);
-        setDeploymentStatus('success');
-        setLastDeployment({
-          time: new Date().toLocaleString(),
-          status: 'Success',
-          version: data.version
-        });
-        
-        // Clear polling
-        if (pollingRef.current) {
-          clearInterval(pollingRef.current);
-          pollingRef.current = null;
-        }
-        
-        // Celebrate with confetti (if enabled)!
-        if (ENABLE_CONFETTI) {
-          confetti({
-            particleCount: 100,
-            spread: 70,
-            origin: { y: 0.6 }
-          });
-        }
-      }
-      
+      const latest = data.deployments?.[0];
+
+      setLastDeployment(latest ? {
+        time: new Date(latest.finishedAt || latest.startedAt).toLocaleString(),
+        status: 'Success',
+        version: latest.versionAfter,
+        releaseNotes: latest.releaseNotes || null
+      } : null);
     } catch (error) {
-      console.error('Polling error:', error);
-      setError('Unable to check deployment status. Please refresh the page.');
-    } finally {
-      isPolling.current = false;
+      console.error('Failed to load deployment history:', error);
     }
-  }, [deploymentId, deploymentStartTime]);
-  
-  // Set up polling when deployment starts
+  }, [authHeaders, environment]);
+
+  // Pick up an update that is already running - after a reload, or one
+  // someone else started - and follow it like one started here
+  const loadActiveDeployment = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/deployments/active`, {
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() }
+      });
+
+      if (!response.ok) return;
+
+      const { deployment: active } = await response.json();
+      if (!active) return;
+
+      setEnvironment(active.environment);
+      setIsDeploying(true);
+      setCancelling(Boolean(active.cancelling));
+      setDeploymentStatus('deploying');
+      setDeploymentId(active.id);
+      setDeploymentStartTime(active.startedAt);
+      setProgress(active.progress || 0);
+      setAgentStatuses(active.agentStatuses || {});
+      setUpcomingRelease(active.targetVersion ? { version: active.targetVersion, releaseNotes: active.releaseNotes } : null);
+      setMessages([
+        {
+          text: `${active.user} started this update at ${new Date(active.startedAt).toLocaleTimeString()} - following along...`,
+          timestamp: new Date().toLocaleTimeString(),
+          type: 'info'
+        },
+        ...(active.messages || []).map(message => ({
+          ...message,
+          timestamp: new Date(message.timestamp).toLocaleTimeString()
+        }))
+      ]);
+    } catch (error) {
+      console.error('Failed to check for a running update:', error);
+    }
+  }, [authHeaders]);
+
   useEffect(() => {
-    if (isDeploying && deploymentId && deploymentStartTime) {
-      // Start polling immediately
-      pollDeploymentStatus();
-      
-      // Set up interval polling
-      pollingRef.current = setInterval(pollDeploymentStatus, POLLING_INTERVAL);
-      
-      return () => {
-        if (pollingRef.current) {
-          clearInterval(pollingRef.current);
-          pollingRef.current = null;
+    if (isDeploying) return;
+
+    loadActiveDeployment();
+    const timer = setInterval(loadActiveDeployment, ACTIVE_DEPLOYMENT_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [isDeploying, loadActiveDeployment]);
+
+  // A cancelled update ends quietly - the previous version is still live
+  const showCancelled = useCallback((text) => {
+    setIsDeploying(false);
+    setCancelling(false);
+    setDeploymentStatus('cancelled');
+    setMessages(prev => (prev.some(message => message.text === text) ? prev : [...prev, {
+      text,
+      timestamp: new Date().toLocaleTimeString(),
+      type: 'info'
+    }]));
+  }, []);
+
+  // Live updates for the deployment being followed, over Socket.IO or by
+  // polling (see utils/deploymentEvents.js)
+  useEffect(() => {
+    const events = deploymentEvents.current;
+    const unsubscribe = [
+      events.on('progress', (data) => {
+        // Still waiting for a second person - nothing to show but the wait
+        if (data.awaitingApproval) {
+          setDeploymentStatus('approval');
+          return;
         }
-      };
+
+        setDeploymentStatus(status => (status === 'approval' ? 'deploying' : status));
+        setProgress(data.progress);
+        setAgentStatuses(data.agentStatuses);
+        setCurrentAgent(data.currentStage);
+        if (data.version) setCurrentVersion(data.version);
+        setError(null);
+      }),
+
+      events.on('message', ({ text, timestamp, type }) => {
+        setMessages(prev => (
+          prev.some(existingMsg => existingMsg.text === text) ? prev : [...prev, { text, timestamp, type }]
+        ));
+      }),
+
+      // Failed, rejected or expired counts as not done
+      events.on('complete', ({ outcome, version, message }) => {
+        if (outcome === 'cancelled') {
+          showCancelled(message || 'The update was cancelled. The previous version is still live.');
+        } else if (outcome === 'simulated') {
+          // Nothing was deployed, so no celebrating and no new version
+          setIsDeploying(false);
+          setDeploymentStatus('ready');
+          setProgress(100);
+          loadLastDeployment();
+        } else if (outcome !== 'success') {
+          setIsDeploying(false);
+          setDeploymentStatus('failed');
+          setError(message || 'The update did not finish. The previous version is still live.');
+        } else {
+          setIsDeploying(false);
+          setDeploymentStatus('success');
+          setProgress(100);
+          if (version) setCurrentVersion(version);
+          loadLastDeployment();
+
+          // Celebrate with confetti (if enabled)!
+          if (ENABLE_CONFETTI) {
+            confetti({
+              particleCount: 100,
+              spread: 70,
+              origin: { y: 0.6 }
+            });
+          }
+        }
+      }),
+
+      events.on('error', ({ message }) => setError(message)),
+
+      // Someone else started an update - follow it too
+      events.on('started', () => {
+        if (!isDeploying) loadActiveDeployment();
+      })
+    ];
+
+    return () => unsubscribe.forEach(off => off());
+  }, [isDeploying, loadActiveDeployment, loadLastDeployment, showCancelled]);
+
+  // Follow a deployment while it runs
+  useEffect(() => {
+    if (isDeploying && deploymentId && deploymentStartTime) {
+      deploymentEvents.current.follow(deploymentId, deploymentStartTime);
+      return () => deploymentEvents.current.unfollow();
     }
-  }, [isDeploying, deploymentId, deploymentStartTime, pollDeploymentStatus]);
+  }, [isDeploying, deploymentId, deploymentStartTime]);
   
-  // Load initial status on component mount
+  // Environments for the picker, with the version live in each
+  useEffect(() => {
+    const loadEnvironments = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/environments`, {
+          method: 'GET',
+          headers: { 'Content-Type': 'application/json' }
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          setEnvironments(data.environments || []);
+          setEnvironment(current => (
+            data.environments?.some(env => env.name === current) ? current : data.defaultEnvironment
+          ));
+        }
+      } catch (error) {
+        console.error('Failed to load environments:', error);
+      }
+    };
+
+    loadEnvironments();
+  }, []);
+
+  // Load the selected environment's status on mount and when the picker changes
   useEffect(() => {
     const loadInitialStatus = async () => {
       try {
-        const response = await fetch(`${API_BASE}/deploy`, {
+        const response = await fetch(`${API_BASE}/deploy?environment=${encodeURIComponent(environment)}`, {
           method: 'GET',
           headers: { 'Content-Type': 'application/json' }
         });
@@ -143,6 +344,9 @@ function App() {
           const data = await response.json();
           setCurrentVersion(data.version);
           setDeploymentStatus(data.status);
+          setAuthRequired(Boolean(data.authRequired));
+          setRollbackEnabled(data.rollbackEnabled !== false);
+          setBlackout(data.blackout || null);
         }
       } catch (error) {
         console.error('Failed to load initial status:', error);
@@ -150,49 +354,253 @@ function App() {
     };
     
     loadInitialStatus();
-  }, []);
+    loadLastDeployment();
+  }, [environment, loadLastDeployment]);
+
+  // Requests waiting for this user's approval, refreshed every 30 seconds
+  const loadApprovals = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/approvals?environment=${encodeURIComponent(environment)}`, {
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setApprovalRequests(data.approvals || []);
+      }
+    } catch (error) {
+      console.error('Failed to load approval requests:', error);
+    }
+  }, [authHeaders, environment]);
+
+  useEffect(() => {
+    if (!mayApprove) {
+      setApprovalRequests([]);
+      return;
+    }
+
+    loadApprovals();
+    const timer = setInterval(loadApprovals, APPROVALS_REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [mayApprove, loadApprovals]);
+
+  // Booked updates - only the dashboard server runs schedules, so the panel
+  // stays hidden where the endpoint doesn't exist
+  const loadSchedules = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/schedules?environment=${encodeURIComponent(environment)}`, {
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() }
+      });
+
+      setSchedulesAvailable(response.ok);
+      if (response.ok) {
+        const data = await response.json();
+        setSchedules(data.schedules || []);
+      }
+    } catch (error) {
+      console.error('Failed to load schedules:', error);
+    }
+  }, [authHeaders, environment]);
+
+  useEffect(() => {
+    loadSchedules();
+    const timer = setInterval(loadSchedules, SCHEDULES_REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [loadSchedules]);
 
-  const handleDeploy = async () => {
+  // What the next update would ship - read from the dashboard server's git
+  // checkout, so the panel stays hidden where the endpoint doesn't exist
+  const loadPendingChanges = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/changes?environment=${encodeURIComponent(environment)}`, {
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() }
+      });
+
+      setPendingChanges(response.ok ? await response.json() : null);
+    } catch (error) {
+      console.error('Failed to load pending changes:', error);
+    }
+  }, [authHeaders, environment]);
+
+  // Refresh when an update finishes, as it changes what is live
+  useEffect(() => {
     if (isDeploying) return;
+
+    loadPendingChanges();
+    const timer = setInterval(loadPendingChanges, CHANGES_REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [isDeploying, loadPendingChanges]);
+
+  // Outgoing webhooks and their latest deliveries - admins only, and only
+  // the dashboard server sends them
+  const loadWebhooks = useCallback(async () => {
+    if (!mayManageWebhooks) {
+      setWebhooks(null);
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/webhooks?limit=${MAX_WEBHOOK_DELIVERIES_SHOWN}`, {
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() }
+      });
+
+      setWebhooks(response.ok ? await response.json() : null);
+    } catch (error) {
+      console.error('Failed to load webhooks:', error);
+    }
+  }, [authHeaders, mayManageWebhooks]);
+
+  // Deliveries come in while an update runs; show them once it is done
+  useEffect(() => {
+    if (!isDeploying) loadWebhooks();
+  }, [isDeploying, loadWebhooks]);
+
+  // Count down the server's Retry-After hint, one second at a time
+  useEffect(() => {
+    if (retryCountdown <= 0) return;
+
+    const timer = setTimeout(() => setRetryCountdown(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [retryCountdown]);
+
+  // Drop a stored session the server no longer accepts and pick up role
+  // changes for one it does
+  const sessionToken = session?.token;
+  useEffect(() => {
+    if (!authRequired || !sessionToken) return;
+
+    const checkSession = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/login`, {
+          method: 'GET',
+          headers: { Authorization: `Bearer ${sessionToken}` }
+        });
+
+        if (response.status === 401) {
+          saveSession(null);
+        } else if (response.ok) {
+          const { user } = await response.json();
+          saveSession({ token: sessionToken, user });
+        }
+      } catch (error) {
+        console.error('Failed to check session:', error);
+      }
+    };
+
+    checkSession();
+  }, [authRequired, sessionToken, saveSession]);
+
+  const handleLogin = async (event) => {
+    event.preventDefault();
+    setLoginError(null);
+
+    try {
+      const response = await fetch(`${API_BASE}/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(loginForm)
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || !data.token) {
+        throw new Error(data.error || 'Sign-in failed, please try again');
+      }
+
+      saveSession({ token: data.token, user: data.user });
+      setLoginForm({ username: '', password: '' });
+    } catch (error) {
+      setLoginError(error.message);
+    }
+  };
+
+  // Start a deployment, rollback or promotion and follow it until it finishes
+  const startDeployment = async (endpoint, startMessage, target = { environment }) => {
+    if (isDeploying || retryCountdown > 0) return;
     
     try {
       setError(null);
       
       // Reset state
       setIsDeploying(true);
+      setCancelling(false);
       setDeploymentStatus('deploying');
       setProgress(0);
       setMessages([{
-        text: 'Starting calendar update... Our friendly helpers are on it!',
+        text: startMessage,
         timestamp: new Date().toLocaleTimeString(),
         type: 'info'
       }]);
       setAgentStatuses({});
       setCurrentAgent(null);
+      setDeploymentId(null);
       
       // Send deployment request to Netlify function
-      const response = await fetch(`${API_BASE}/deploy`, {
+      const response = await fetch(`${API_BASE}/${endpoint}`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
         body: JSON.stringify({ 
-          environment: DEFAULT_ENVIRONMENT,
-          user: DEFAULT_USER
+          ...target,
+          user: displayName
         })
       });
       
+      const data = await response.json().catch(() => ({}));
+
+      // Session expired or was revoked - show the sign-in form again
+      if (response.status === 401) {
+        saveSession(null);
+      }
+
+      // Blackout window - updates are paused until it ends
+      if (response.status === 423) {
+        setBlackout(data.blackout || null);
+        setIsDeploying(false);
+        setDeploymentStatus('ready');
+        setMessages(prev => [...prev, {
+          text: data.error || 'Updates are paused right now',
+          timestamp: new Date().toLocaleTimeString(),
+          type: 'info'
+        }]);
+        return;
+      }
+
+      // Too many requests, or another update is still running - nothing
+      // went wrong, so wait as long as the server asks and try again
+      if (response.status === 429 || response.status === 409) {
+        const retryAfter = Number(response.headers.get('Retry-After')) || data.retryAfter || 30;
+        setRetryCountdown(retryAfter);
+        setIsDeploying(false);
+        setDeploymentStatus('ready');
+        setMessages(prev => [...prev, {
+          text: data.error || 'The system is busy right now',
+          timestamp: new Date().toLocaleTimeString(),
+          type: 'info'
+        }]);
+        return;
+      }
+
       if (!response.ok) {
-        throw new Error(`Deployment failed: ${response.status}`);
+        throw new Error(data.error || `Deployment failed: ${response.status}`);
       }
       
-      const data = await response.json();
-      
       if (data.success) {
-        // Store deployment info for status polling
+        // Store deployment info for following its progress
         setDeploymentId(data.deploymentId);
         setDeploymentStartTime(data.startTime);
+        setUpcomingRelease(data.version ? { version: data.version, releaseNotes: data.releaseNotes || null } : null);
+
+        if (data.pendingApproval) {
+          setDeploymentStatus('approval');
+        }
         
         setMessages(prev => [...prev, {
-          text: `Deployment ${data.deploymentId} started successfully!`,
+          text: data.pendingApproval
+            ? `${data.message}. We've let them know!`
+            : `Deployment ${data.deploymentId} started successfully!${data.version ? ` This will be version ${data.version}.` : ''}`,
           timestamp: new Date().toLocaleTimeString(),
           type: 'info'
         }]);
@@ -213,21 +621,215 @@ function App() {
     }
   };
 
+  const handleDeploy = () => startDeployment(
+    'deploy',
+    'Starting calendar update... Our friendly helpers are on it!',
+    { environment, bump }
+  );
+
+  const handleRollback = () => {
+    if (!window.confirm('Go back to the previous version of the calendar?')) return;
+
+    startDeployment(
+      'rollback',
+      'Going back to the previous version... Our friendly helpers are on it!'
+    );
+  };
+
+  const handlePromote = () => {
+    const question = `Publish the version tested on ${promoteSource.label} to ${selectedEnvironment.label}?`;
+    if (!window.confirm(question)) return;
+
+    startDeployment(
+      'promote',
+      `Publishing the ${promoteSource.label} version to ${selectedEnvironment.label}... Our friendly helpers are on it!`,
+      { from: promoteSource.name, to: selectedEnvironment.name, bump }
+    );
+  };
+
+  // Stop the running update; the server answers once the running stage has
+  // been told to stop, and the status shows when it actually has
+  const handleCancel = async () => {
+    if (!deploymentId || !window.confirm('Stop this update? The calendar stays on the current version.')) return;
+
+    setCancelling(true);
+    try {
+      const response = await fetch(`${API_BASE}/cancel`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ deploymentId, user: displayName })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || `Cancel failed: ${response.status}`);
+      }
+
+      if (data.outcome === 'cancelled') {
+        showCancelled(data.message);
+      } else {
+        setMessages(prev => [...prev, {
+          text: data.message || 'Stopping the update...',
+          timestamp: new Date().toLocaleTimeString(),
+          type: 'info'
+        }]);
+      }
+    } catch (error) {
+      console.error('Cancel error:', error);
+      setCancelling(false);
+      setMessages(prev => [...prev, {
+        text: `Couldn't stop the update: ${error.message}`,
+        timestamp: new Date().toLocaleTimeString(),
+        type: 'error'
+      }]);
+    }
+  };
+
+  // Approving starts the update here, so this dashboard follows it
+  const handleApproval = async (request, decision) => {
+    const comment = approvalComments[request.id] || '';
+
+    if (decision === 'approve') {
+      await startDeployment(
+        'approvals',
+        `Approved ${request.user}'s update... Our friendly helpers are on it!`,
+        { deploymentId: request.id, decision, comment }
+      );
+      loadApprovals();
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/approvals`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ deploymentId: request.id, decision, comment, user: displayName })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      setMessages(prev => [...prev, {
+        text: response.ok ? `You turned down ${request.user}'s update` : data.error || 'Could not save your answer',
+        timestamp: new Date().toLocaleTimeString(),
+        type: response.ok ? 'info' : 'error'
+      }]);
+    } catch (error) {
+      console.error('Failed to reject update:', error);
+    }
+    loadApprovals();
+  };
+
+  const handleSchedule = async (event) => {
+    event.preventDefault();
+    setScheduleError(null);
+
+    const when = scheduleForm.repeat === 'once'
+      ? { runAt: scheduleForm.runAt && new Date(scheduleForm.runAt).toISOString() }
+      : { cron: scheduleCron(scheduleForm) };
+
+    try {
+      const response = await fetch(`${API_BASE}/schedules`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ environment, ...when, label: scheduleForm.label || undefined, user: displayName })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Could not save the schedule');
+      }
+
+      setScheduleForm(EMPTY_SCHEDULE_FORM);
+      loadSchedules();
+    } catch (error) {
+      setScheduleError(error.message);
+    }
+  };
+
+  const handleCancelSchedule = async (schedule) => {
+    if (!window.confirm('Cancel this scheduled update?')) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/schedules/${schedule.id}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ user: displayName })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        setScheduleError(data.error || 'Could not cancel the schedule');
+      }
+    } catch (error) {
+      console.error('Failed to cancel schedule:', error);
+    }
+    loadSchedules();
+  };
+
+  const handleTestWebhook = async (endpoint) => {
+    setWebhookTest({ name: endpoint.name, text: 'Sending...' });
+
+    try {
+      const response = await fetch(`${API_BASE}/webhooks/test`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ name: endpoint.name, user: displayName })
+      });
+      const data = await response.json().catch(() => ({}));
+      const attempt = data.delivery?.attempts?.[0];
+
+      setWebhookTest({
+        name: endpoint.name,
+        text: data.success
+          ? `✅ Delivered (HTTP ${attempt.statusCode}, ${attempt.durationMs} ms)`
+          : `⚠️ ${attempt?.error || data.error || 'The test event was not delivered'}`
+      });
+    } catch (error) {
+      setWebhookTest({ name: endpoint.name, text: `⚠️ ${error.message}` });
+    }
+    loadWebhooks();
+  };
+
+  // Release notes: what's coming while updating, otherwise what's live
+  const shownRelease = isDeploying && upcomingRelease ? upcomingRelease : lastDeployment;
+  const releaseCommits = shownRelease?.releaseNotes?.commits || [];
+  const pendingFiles = pendingChanges ? [...pendingChanges.files, ...pendingChanges.uncommitted] : [];
+
   return (
     <div className="app">
       <header className="header">
         <h1>📅 FOGG Calendar Update Center</h1>
-        <p className="subtitle">Hi Leslie! Ready to update the calendar?</p>
+        <p className="subtitle">Hi {displayName}! Ready to update the calendar?</p>
+        {authRequired && session && (
+          <button className="sign-out-button" onClick={() => saveSession(null)}>
+            Sign out
+          </button>
+        )}
       </header>
 
       <main className="main-content">
         {/* Status Dashboard */}
         <div className="status-card">
           <h2>System Status</h2>
+          {environments.length > 1 && (
+            <label className="environment-picker">
+              <span className="status-label">Environment:</span>
+              <select
+                value={environment}
+                onChange={(e) => setEnvironment(e.target.value)}
+                disabled={isDeploying}
+              >
+                {environments.map(env => (
+                  <option key={env.name} value={env.name}>
+                    {env.label}{env.version ? ` (v${env.version})` : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
           <div className="status-grid">
             <div className="status-item">
               <span className="status-label">Calendar Version:</span>
-              <span className="status-value">{currentVersion}</span>
+              <span className="status-value">{currentVersion || 'Not deployed yet'}</span>
             </div>
             <div className="status-item">
               <span className="status-label">Last Update:</span>
@@ -240,41 +842,362 @@ function App() {
               <span className={`status-badge ${deploymentStatus}`}>
                 {deploymentStatus === 'ready' && '✅ Ready'}
                 {deploymentStatus === 'deploying' && '⏳ Updating...'}
+                {deploymentStatus === 'approval' && '🕐 Waiting for approval'}
                 {deploymentStatus === 'success' && '🎉 Updated!'}
                 {deploymentStatus === 'failed' && '⚠️ Need Help'}
+                {deploymentStatus === 'cancelled' && '✋ Cancelled'}
               </span>
             </div>
+            {connection && (
+              <div className="status-item">
+                <span className="status-label">Updates:</span>
+                <span className={`connection-state ${connection.state}`}>
+                  {connection.state === 'connecting' && 'Connecting...'}
+                  {connection.state === 'live' && 'Live'}
+                  {connection.state === 'polling' && 'Checking every few seconds'}
+                  {connection.state === 'offline' && "Can't reach the server"}
+                  {connection.latency !== null && ` (${connection.latency} ms)`}
+                </span>
+              </div>
+            )}
           </div>
         </div>
 
+        {/* Sign-in form, only when the server requires it */}
+        {authRequired && !session && (
+          <form className="login-card" onSubmit={handleLogin}>
+            <h2>Please sign in</h2>
+            <input
+              type="text"
+              placeholder="Username"
+              autoComplete="username"
+              value={loginForm.username}
+              onChange={(e) => setLoginForm(prev => ({ ...prev, username: e.target.value }))}
+            />
+            <input
+              type="password"
+              placeholder="Password"
+              autoComplete="current-password"
+              value={loginForm.password}
+              onChange={(e) => setLoginForm(prev => ({ ...prev, password: e.target.value }))}
+            />
+            {loginError && <p className="login-error">⚠️ {loginError}</p>}
+            <button type="submit" className="login-button">Sign in</button>
+          </form>
+        )}
+
         {/* Big Deploy Button */}
-        <div className="deploy-section">
-          <motion.button
-            className={`deploy-button ${isDeploying ? 'deploying' : ''}`}
-            onClick={handleDeploy}
-            disabled={isDeploying}
-            whileHover={{ scale: isDeploying ? 1 : 1.05 }}
-            whileTap={{ scale: isDeploying ? 1 : 0.95 }}
-          >
-            {isDeploying ? (
-              <>
-                <span className="spinner">⏳</span>
-                Updating Calendar...
-              </>
+        {(!authRequired || session) && (
+          <div className="deploy-section">
+            {!isDeploying && can('deploy') && (
+              <label className="bump-picker">
+                <span>What kind of update?</span>
+                <select value={bump} onChange={(e) => setBump(e.target.value)}>
+                  {BUMP_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+
+            <motion.button
+              className={`deploy-button ${isDeploying ? 'deploying' : ''}`}
+              onClick={handleDeploy}
+              disabled={deployDisabled}
+              whileHover={{ scale: deployDisabled ? 1 : 1.05 }}
+              whileTap={{ scale: deployDisabled ? 1 : 0.95 }}
+            >
+              {isDeploying ? (
+                <>
+                  <span className="spinner">⏳</span>
+                  Updating Calendar...
+                </>
+              ) : retryCountdown > 0 ? (
+                <>
+                  <span className="button-icon">⏱️</span>
+                  Try again in {retryCountdown}s
+                </>
+              ) : (
+                <>
+                  <span className="button-icon">🚀</span>
+                  Update Calendar Now
+                </>
+              )}
+            </motion.button>
+
+            {!isDeploying && blackout && (
+              <p className="deploy-hint blackout-hint">
+                ⏸️ Updates are paused for {blackout.name} until {new Date(blackout.endsAt).toLocaleString()}
+                {blackout.reason && ` (${blackout.reason})`}
+              </p>
+            )}
+
+            {!isDeploying && !can('deploy') && (
+              <p className="deploy-hint">
+                You can watch updates here. Ask Patrick if you need to start one.
+              </p>
+            )}
+
+            {!isDeploying && lastDeployment && rollbackEnabled && can('rollback') && (
+              <button
+                className="rollback-button"
+                onClick={handleRollback}
+                disabled={retryCountdown > 0}
+              >
+                ↩️ Go back to the previous version
+              </button>
+            )}
+
+            {!isDeploying && promoteSource && can('promote') && (
+              <button
+                className="promote-button"
+                onClick={handlePromote}
+                disabled={retryCountdown > 0}
+              >
+                ⬆️ Publish the {promoteSource.label} version (v{promoteSource.version}) to {selectedEnvironment.label}
+              </button>
+            )}
+          
+            {isDeploying && deploymentStatus === 'approval' && (
+              <p className="deploy-hint">
+                Waiting for a second person to approve this update. It starts by itself once they do!
+              </p>
+            )}
+
+            {isDeploying && deploymentStatus !== 'approval' && (
+              <p className="deploy-hint">
+                This usually takes about 5 minutes. You can watch the progress below!
+              </p>
+            )}
+
+            {isDeploying && deploymentStatus !== 'approval' && deploymentId && can('cancel') && (
+              <button className="cancel-deploy-button" onClick={handleCancel} disabled={cancelling}>
+                {cancelling ? 'Stopping...' : '✋ Stop this update'}
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* What pressing the button would ship */}
+        {!isDeploying && pendingChanges && (
+          <div className={`pending-changes-card ${pendingChanges.upToDate ? 'up-to-date' : ''}`}>
+            <h2>What's about to change</h2>
+            {pendingChanges.upToDate ? (
+              <p className="pending-changes-warning">
+                ⚠️ Nothing new to deploy - {selectedEnvironment?.label || environment} already has every change.
+                Updating now would only rebuild the same calendar.
+              </p>
             ) : (
               <>
-                <span className="button-icon">🚀</span>
-                Update Calendar Now
+                <p className="pending-changes-summary">{pendingChanges.summary}</p>
+                {can('deploy') && pendingChanges.candidate?.nextVersions?.[bump] && (
+                  <p className="pending-changes-version">
+                    Updating now makes this version {pendingChanges.candidate.nextVersions[bump]}.
+                  </p>
+                )}
+                {pendingChanges.commits.length > 0 && (
+                  <ul>
+                    {pendingChanges.commits.slice(0, MAX_RELEASE_NOTES_SHOWN).map(commit => (
+                      <li key={commit.hash}>
+                        {commit.subject} <span className="release-note-author">- {commit.author}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {pendingFiles.length > 0 && (
+                  <details className="pending-files">
+                    <summary>Changed files ({pendingFiles.length})</summary>
+                    <ul>
+                      {pendingFiles.slice(0, MAX_PENDING_FILES_SHOWN).map(file => (
+                        <li key={file.path}>{file.description}</li>
+                      ))}
+                    </ul>
+                    {pendingFiles.length > MAX_PENDING_FILES_SHOWN && (
+                      <p className="release-notes-more">...and {pendingFiles.length - MAX_PENDING_FILES_SHOWN} more</p>
+                    )}
+                  </details>
+                )}
               </>
             )}
-          </motion.button>
-          
-          {isDeploying && (
-            <p className="deploy-hint">
-              This usually takes about 5 minutes. You can watch the progress below!
-            </p>
-          )}
-        </div>
+          </div>
+        )}
+
+        {/* Release notes */}
+        {releaseCommits.length > 0 && (
+          <div className="release-notes-card">
+            <h2>{shownRelease === upcomingRelease ? `Coming in v${shownRelease.version}` : `What's new in v${shownRelease.version}`}</h2>
+            <ul>
+              {releaseCommits.slice(0, MAX_RELEASE_NOTES_SHOWN).map(commit => (
+                <li key={commit.hash}>
+                  {commit.subject} <span className="release-note-author">- {commit.author}</span>
+                </li>
+              ))}
+            </ul>
+            {(releaseCommits.length > MAX_RELEASE_NOTES_SHOWN || shownRelease.releaseNotes.truncated) && (
+              <p className="release-notes-more">...and more changes</p>
+            )}
+          </div>
+        )}
+
+        {/* Requests waiting for a second person */}
+        {approvalRequests.length > 0 && (
+          <div className="approvals-card">
+            <h2>Waiting for your OK</h2>
+            {approvalRequests.map(request => (
+              <div key={request.id} className="approval-request">
+                <p>
+                  <strong>{request.user}</strong>{' '}
+                  {request.type === 'promote'
+                    ? `wants to publish ${request.promotedFrom?.environment} version ${request.promotedFrom?.version}`
+                    : 'wants to update the calendar'}
+                  {' '}(until {new Date(request.approval.expiresAt).toLocaleTimeString()})
+                </p>
+                <input
+                  type="text"
+                  placeholder="Comment (optional)"
+                  value={approvalComments[request.id] || ''}
+                  onChange={(e) => setApprovalComments(prev => ({ ...prev, [request.id]: e.target.value }))}
+                />
+                <div className="approval-actions">
+                  <button
+                    className="approve-button"
+                    onClick={() => handleApproval(request, 'approve')}
+                    disabled={isDeploying || retryCountdown > 0}
+                  >
+                    ✅ Approve
+                  </button>
+                  <button className="reject-button" onClick={() => handleApproval(request, 'reject')}>
+                    ✋ Reject
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Booked updates */}
+        {schedulesAvailable && (!authRequired || session) && (
+          <div className="schedules-card">
+            <h2>Scheduled Updates</h2>
+            {schedules.length === 0 && <p className="schedules-empty">Nothing scheduled for this environment.</p>}
+            {schedules.map(schedule => (
+              <div key={schedule.id} className="schedule-item">
+                <p>
+                  <strong>{schedule.label || (schedule.cron ? `Repeats (${schedule.cron})` : 'Once')}</strong>
+                  {' '}- next on {new Date(schedule.nextRunAt).toLocaleString()}, booked by {schedule.user}
+                </p>
+                {can('schedule') && (
+                  <button className="cancel-schedule-button" onClick={() => handleCancelSchedule(schedule)}>
+                    Cancel
+                  </button>
+                )}
+              </div>
+            ))}
+
+            {can('schedule') && (
+              <form className="schedule-form" onSubmit={handleSchedule}>
+                <select
+                  value={scheduleForm.repeat}
+                  onChange={(e) => setScheduleForm(prev => ({ ...prev, repeat: e.target.value }))}
+                >
+                  <option value="once">Once</option>
+                  <option value="daily">Every day</option>
+                  <option value="weekdays">Every weekday</option>
+                  <option value="custom">Custom (cron)</option>
+                </select>
+                {scheduleForm.repeat === 'once' && (
+                  <input
+                    type="datetime-local"
+                    value={scheduleForm.runAt}
+                    onChange={(e) => setScheduleForm(prev => ({ ...prev, runAt: e.target.value }))}
+                    required
+                  />
+                )}
+                {(scheduleForm.repeat === 'daily' || scheduleForm.repeat === 'weekdays') && (
+                  <input
+                    type="time"
+                    value={scheduleForm.time}
+                    onChange={(e) => setScheduleForm(prev => ({ ...prev, time: e.target.value }))}
+                    required
+                  />
+                )}
+                {scheduleForm.repeat === 'custom' && (
+                  <input
+                    type="text"
+                    placeholder="0 9 * * mon-fri"
+                    value={scheduleForm.cron}
+                    onChange={(e) => setScheduleForm(prev => ({ ...prev, cron: e.target.value }))}
+                    required
+                  />
+                )}
+                <input
+                  type="text"
+                  placeholder="Label (optional)"
+                  value={scheduleForm.label}
+                  onChange={(e) => setScheduleForm(prev => ({ ...prev, label: e.target.value }))}
+                />
+                <button type="submit" className="schedule-button">🗓️ Schedule</button>
+              </form>
+            )}
+            {scheduleError && <p className="login-error">⚠️ {scheduleError}</p>}
+          </div>
+        )}
+
+        {/* Outgoing webhooks */}
+        {webhooks && (
+          <div className="webhooks-card">
+            <h2>Webhooks</h2>
+            {webhooks.endpoints.length === 0 && (
+              <p className="schedules-empty">No webhooks set up - add them under webhooks in config/production.yml.</p>
+            )}
+            {webhooks.endpoints.map(endpoint => (
+              <div key={endpoint.name} className="webhook-item">
+                <div>
+                  <p>
+                    <strong>{endpoint.name}</strong> - {endpoint.url}
+                    {!endpoint.signed && <span className="webhook-unsigned"> (unsigned)</span>}
+                  </p>
+                  <p className="webhook-events">{(endpoint.events || webhooks.events).join(', ')}</p>
+                  {webhookTest?.name === endpoint.name && <p className="webhook-test-result">{webhookTest.text}</p>}
+                </div>
+                <button className="webhook-test-button" onClick={() => handleTestWebhook(endpoint)}>
+                  Send test event
+                </button>
+              </div>
+            ))}
+
+            {webhooks.deliveries.length > 0 && (
+              <table className="webhook-deliveries">
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>Event</th>
+                    <th>Webhook</th>
+                    <th>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {webhooks.deliveries.map(delivery => {
+                    const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+
+                    return (
+                      <tr key={delivery.id} className={`delivery-${delivery.status}`}>
+                        <td>{new Date(delivery.createdAt).toLocaleString()}</td>
+                        <td>{delivery.event}</td>
+                        <td>{delivery.endpoint}</td>
+                        <td>
+                          {delivery.status}
+                          {lastAttempt && ` - ${lastAttempt.error || `HTTP ${lastAttempt.statusCode}`}`}
+                          {delivery.attempts.length > 1 && ` after ${delivery.attempts.length} tries`}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
 
         {/* Error Display */}
         {error && (
@@ -296,7 +1219,7 @@ function App() {
         )}
         
         {/* Progress Bar */}
-        {isDeploying && (
+        {isDeploying && deploymentStatus !== 'approval' && (
           <div className="progress-section">
             <div className="progress-bar-container">
               <motion.div 
@@ -310,7 +1233,7 @@ function App() {
               {progress}% Complete
               {currentAgent && (
                 <span className="current-agent">
-                  {currentAgent.emoji} {currentAgent.message}
+                  {currentAgent.emoji || AGENTS.find(agent => agent.id === currentAgent.name)?.emoji} {currentAgent.message}
                 </span>
               )}
             </p>
@@ -334,6 +1257,7 @@ function App() {
                 <p className="agent-message">
                   {agentStatuses[agent.id] === 'working' && agent.message}
                   {agentStatuses[agent.id] === 'done' && '✅ All done!'}
+                  {agentStatuses[agent.id] === 'cancelled' && '✋ Stopped'}
                   {agentStatuses[agent.id] === 'waiting' && 'Ready to help!'}
                   {!agentStatuses[agent.id] && 'Waiting...'}
                 </p>
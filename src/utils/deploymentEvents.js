@@ -0,0 +1,308 @@
+// Live deployment events for the dashboard, whichever backend it talks to.
+// Against the Express server (server.js) updates arrive over Socket.IO; on
+// Netlify, or whenever the socket is down, the status function is polled
+// instead. Both end up as the same events:
+//
+//   connection  { state: 'connecting' | 'live' | 'polling' | 'offline', transport, latency }
+//   started     { deploymentId, deployment }      (a deployment began elsewhere)
+//   progress    { deploymentId, progress, currentStage, agentStatuses, version, awaitingApproval }
+//   message     { deploymentId, text, type, timestamp }
+//   log         { deploymentId, agentId, line, stream, timestamp }
+//   complete    { deploymentId, outcome, version, message }
+//   error       { deploymentId, message }
+//
+// Only the deployment passed to follow() produces progress, message, log and
+// complete events.
+
+import { io } from 'socket.io-client';
+import performanceMonitor from './performanceMonitor';
+
+// server.js agent-update statuses -> the agent card statuses the status
+// function reports
+const AGENT_STATUSES = {
+  active: 'working',
+  complete: 'done',
+  failed: 'failed',
+  cancelled: 'cancelled'
+};
+
+class DeploymentEvents {
+  // socketUrl null skips Socket.IO and always polls; getHeaders returns the
+  // extra request headers (e.g. Authorization) for each poll
+  constructor({ apiBase, socketUrl = null, pollingInterval = 2000, getHeaders = () => ({}) }) {
+    this.apiBase = apiBase;
+    this.socketUrl = socketUrl;
+    this.pollingInterval = Number(pollingInterval);
+    this.getHeaders = getHeaders;
+
+    this.handlers = new Map();
+    this.socket = null;
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.following = null;
+    this.connection = { state: 'connecting', transport: null, latency: null };
+  }
+
+  get state() {
+    return this.connection;
+  }
+
+  // Returns a function that removes the handler again
+  on(type, handler) {
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type).add(handler);
+    return () => this.handlers.get(type).delete(handler);
+  }
+
+  emit(type, event) {
+    (this.handlers.get(type) || []).forEach(handler => handler(event));
+  }
+
+  setConnection(changes) {
+    this.connection = { ...this.connection, ...changes };
+    this.emit('connection', this.connection);
+  }
+
+  connect() {
+    if (this.socket) return;
+
+    if (this.socketUrl === null) {
+      this.usePolling();
+      return;
+    }
+
+    this.setConnection({ state: 'connecting', transport: 'socket', latency: null });
+
+    // An empty URL means the page's own origin
+    this.socket = io(this.socketUrl || undefined, { reconnectionDelayMax: 10000 });
+    this.listenToSocket(this.socket);
+  }
+
+  disconnect() {
+    this.unfollow();
+    performanceMonitor.stopWebSocketPing();
+
+    if (this.socket) {
+      this.socket.disconnect();
+      this.socket = null;
+    }
+  }
+
+  /**
+   * Report on deployment `deploymentId` until it finishes; startTime is the
+   * one the deploy endpoint returned
+   */
+  follow(deploymentId, startTime) {
+    if (this.following?.deploymentId === deploymentId) return;
+
+    this.unfollow();
+    this.following = {
+      deploymentId,
+      startTime,
+      progress: 0,
+      currentStage: null,
+      agentStatuses: {},
+      version: null,
+      messages: new Set()
+    };
+
+    // Catch up on whatever happened before now; the socket (or the poll
+    // timer) takes it from there
+    if (this.connection.state === 'live') {
+      this.refresh();
+    } else {
+      this.startPolling();
+    }
+  }
+
+  unfollow() {
+    this.following = null;
+    this.stopPolling();
+  }
+
+  usePolling() {
+    performanceMonitor.stopWebSocketPing();
+    this.setConnection({ state: 'polling', transport: 'polling', latency: null });
+    if (this.following) this.startPolling();
+  }
+
+  listenToSocket(socket) {
+    socket.on('connect', () => {
+      this.stopPolling();
+      this.setConnection({ state: 'live', transport: 'socket' });
+      performanceMonitor.startWebSocketPing(socket, latency => this.setConnection({ latency }));
+
+      if (this.following) this.refresh();
+    });
+
+    // Socket.IO keeps trying to reconnect in the background meanwhile
+    socket.on('connect_error', () => {
+      if (this.connection.state !== 'polling') this.usePolling();
+    });
+    socket.on('disconnect', () => this.usePolling());
+
+    socket.on('status-update', ({ activeDeployment }) => {
+      if (activeDeployment) this.started(activeDeployment);
+    });
+    socket.on('deployment-started', deployment => {
+      if (deployment) this.started(deployment);
+    });
+
+    socket.on('agent-update', ({ agentId, status, message }) => {
+      const current = this.following;
+      if (!current) return;
+
+      current.agentStatuses = { ...current.agentStatuses, [agentId]: AGENT_STATUSES[status] || status };
+      if (status === 'active') {
+        current.currentStage = { name: agentId, message };
+      } else if (current.currentStage?.name === agentId) {
+        current.currentStage = null;
+      }
+
+      this.emitProgress();
+      this.addMessage({ text: message, type: status === 'failed' ? 'error' : 'info' });
+    });
+
+    socket.on('deployment-progress', ({ progress, activeAgent, message }) => {
+      const current = this.following;
+      if (!current) return;
+
+      current.progress = progress;
+      // A stage's own progress lines describe what it is doing right now;
+      // the rest are milestones worth keeping in the message list
+      if (activeAgent && message) {
+        current.currentStage = { name: activeAgent, message };
+      } else if (message) {
+        this.addMessage({ text: message, type: 'info' });
+      }
+      this.emitProgress();
+    });
+
+    socket.on('deployment-log', entry => {
+      if (this.following) this.emit('log', { deploymentId: this.following.deploymentId, ...entry });
+    });
+
+    socket.on('deployment-complete', ({ deploymentId, newVersion, message, simulated }) => {
+      this.complete(deploymentId, { outcome: simulated ? 'simulated' : 'success', version: newVersion, message });
+    });
+    socket.on('deployment-error', ({ deploymentId, error }) => {
+      this.complete(deploymentId, { outcome: 'failed', version: null, message: `Deployment failed: ${error}` });
+    });
+    socket.on('deployment-cancelled', ({ deploymentId, version, message }) => {
+      this.complete(deploymentId, { outcome: 'cancelled', version, message });
+    });
+
+    // Approved, rejected or expired - the status endpoint says which
+    socket.on('approval-update', ({ deploymentId }) => {
+      if (this.following?.deploymentId === deploymentId) this.refresh();
+    });
+  }
+
+  started(deployment) {
+    if (this.following?.deploymentId === deployment.id) return;
+    this.emit('started', { deploymentId: deployment.id, deployment });
+  }
+
+  emitProgress(extra = {}) {
+    const { deploymentId, progress, currentStage, agentStatuses, version } = this.following;
+    this.emit('progress', { deploymentId, progress, currentStage, agentStatuses, version, awaitingApproval: false, ...extra });
+  }
+
+  addMessage({ text, type, timestamp = new Date().toLocaleTimeString() }) {
+    const current = this.following;
+    if (!text || !current || current.messages.has(text)) return;
+
+    current.messages.add(text);
+    this.emit('message', { deploymentId: current.deploymentId, text, type, timestamp });
+  }
+
+  complete(deploymentId, { outcome, version, message }) {
+    if (!deploymentId || this.following?.deploymentId !== deploymentId) return;
+
+    this.unfollow();
+    this.emit('complete', { deploymentId, outcome, version, message });
+  }
+
+  startPolling() {
+    if (this.pollTimer || !this.following) return;
+
+    this.refresh();
+    this.pollTimer = setInterval(() => this.refresh(), this.pollingInterval);
+  }
+
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  // Fetch the followed deployment's status once and report it
+  async refresh() {
+    const current = this.following;
+    if (!current || this.isPolling) return;
+
+    this.isPolling = true;
+    const startedAt = Date.now();
+
+    try {
+      const { deploymentId, startTime } = current;
+      const response = await fetch(
+        `${this.apiBase}/status?deploymentId=${encodeURIComponent(deploymentId)}&startTime=${encodeURIComponent(startTime || '')}`,
+        {
+          method: 'GET',
+          headers: { 'Content-Type': 'application/json', ...this.getHeaders() }
+        }
+      );
+
+      // Rate limited - just skip this poll, the next one will catch up
+      if (response.status === 429) return;
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      if (this.connection.transport === 'polling') {
+        this.setConnection({ state: 'polling', latency: Date.now() - startedAt });
+      }
+
+      // Followed something else meanwhile
+      if (this.following !== current) return;
+
+      // Still waiting for a second person - nothing to show but the wait
+      if (data.awaitingApproval) {
+        this.emitProgress({ awaitingApproval: true });
+        return;
+      }
+
+      Object.assign(current, {
+        progress: data.progress,
+        currentStage: data.currentStage,
+        agentStatuses: data.agentStatuses || {},
+        version: data.version
+      });
+      this.emitProgress();
+      (data.messages || []).forEach(message => this.addMessage(message));
+
+      if (data.isComplete) {
+        this.complete(deploymentId, {
+          outcome: data.outcome,
+          version: data.version,
+          message: data.messages?.[0]?.text || null
+        });
+      }
+    } catch (error) {
+      console.error('Polling error:', error);
+      if (this.connection.transport === 'polling') {
+        this.setConnection({ state: 'offline', latency: null });
+      }
+      this.emit('error', { deploymentId: current.deploymentId, message: 'Unable to check deployment status. Please refresh the page.' });
+    } finally {
+      this.isPolling = false;
+    }
+  }
+}
+
+export default DeploymentEvents;
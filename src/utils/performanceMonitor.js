@@ -95,12 +95,12 @@ class PerformanceMonitor {
     this.websocketPingInterval = null;
   }
 
-  startWebSocketPing(socket) {
-    if (this.websocketPingInterval) {
-      clearInterval(this.websocketPingInterval);
-    }
+  // Measure the socket's round trip now and every 30 seconds; onLatency
+  // gets each measurement (in ms)
+  startWebSocketPing(socket, onLatency) {
+    this.stopWebSocketPing();
 
-    this.websocketPingInterval = setInterval(() => {
+    const ping = () => {
       if (socket && socket.connected) {
         const startTime = Date.now();
         
@@ -117,9 +117,21 @@ class PerformanceMonitor {
           if (latency > 500) {
             console.warn(`High WebSocket latency: ${latency}ms`);
           }
+
+          if (onLatency) onLatency(latency);
         });
       }
-    }, 30000); // Ping every 30 seconds
+    };
+
+    ping();
+    this.websocketPingInterval = setInterval(ping, 30000); // Ping every 30 seconds
+  }
+
+  stopWebSocketPing() {
+    if (this.websocketPingInterval) {
+      clearInterval(this.websocketPingInterval);
+      this.websocketPingInterval = null;
+    }
   }
 
   recordDeploymentTime(duration, success = true) {
@@ -0,0 +1,158 @@
+/**
+ * Deployment History Store
+ *
+ * File-backed record of every deployment, stored as JSON lines. Each write
+ * appends a full snapshot of a deployment record; when the file is read
+ * back, the last snapshot for an id wins. This keeps writes append-only
+ * (safe if the process dies mid-deployment) while still letting a record
+ * move from in_progress to success/failed.
+ *
+ * Record shape:
+ *   {
+ *     id, user, environment,
+ *     startedAt, finishedAt,
+ *     versionBefore, versionAfter,
+ *     targetVersion, bump,  ('patch' | 'minor' | 'major', see versioning/semver.js)
+ *     commit, releaseNotes, (see versioning/release-notes.js)
+ *     agents: [{ agentId, success, summary, error, durationMs }],
+ *     logExcerpt: [{ agentId, line, stream, timestamp }],
+ *     outcome: 'in_progress' | 'success' | 'failed' | 'cancelled'
+ *              | 'pending_approval' | 'rejected' | 'expired'
+ *              | 'simulated',  (a Netlify function run without Netlify
+ *                               configured; nothing was released)
+ *     cancelledBy: { name, username }, cancelledAt,  (for 'cancelled')
+ *     approval,   (see approvals/approval-workflow.js)
+ *     scheduleId, (set when schedules/deployment-scheduler.js started it)
+ *     error
+ *   }
+ *
+ * Pass a state store (see state-store.js) instead of a file to keep the
+ * history in shared storage; records are then stored under
+ * "deployment:<id>" and re-read on every call, since other function
+ * instances may have written them.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '..', 'data', 'deployment-history.jsonl');
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const STORE_KEY_PREFIX = 'deployment:';
+
+class DeploymentHistory {
+  constructor({ file, store } = {}) {
+    this.store = store || null;
+    this.file = file || process.env.DEPLOYMENT_HISTORY_FILE || DEFAULT_HISTORY_FILE;
+    this.records = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the history file into memory (once)
+   */
+  async load() {
+    if (this.store) {
+      const entries = await this.store.list(STORE_KEY_PREFIX);
+      return new Map(entries.map(({ value }) => [value.id, value]));
+    }
+
+    if (this.records) return this.records;
+
+    const records = new Map();
+
+    try {
+      const contents = await fs.readFile(this.file, 'utf8');
+
+      contents.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          const record = JSON.parse(line);
+          records.set(record.id, { ...records.get(record.id), ...record });
+        } catch {
+          console.warn(`Skipping unreadable history line ${index + 1} in ${this.file}`);
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    this.records = records;
+    return records;
+  }
+
+  /**
+   * Insert or update a deployment record
+   */
+  async save(record) {
+    if (!record || !record.id) {
+      throw new Error('Deployment record requires an id');
+    }
+
+    if (this.store) {
+      const existing = await this.store.get(`${STORE_KEY_PREFIX}${record.id}`);
+      return this.store.set(`${STORE_KEY_PREFIX}${record.id}`, { ...existing, ...record });
+    }
+
+    const records = await this.load();
+    const merged = { ...records.get(record.id), ...record };
+    records.set(record.id, merged);
+
+    // Serialise appends so concurrent saves never interleave lines
+    const next = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.appendFile(this.file, `${JSON.stringify(merged)}\n`);
+    });
+    this.writeQueue = next.catch(() => {});
+    await next;
+
+    return merged;
+  }
+
+  async get(id) {
+    if (this.store) {
+      return this.store.get(`${STORE_KEY_PREFIX}${id}`);
+    }
+
+    const records = await this.load();
+    return records.get(id) || null;
+  }
+
+  /**
+   * List deployments, newest first
+   */
+  async list({ page = 1, pageSize = DEFAULT_PAGE_SIZE, environment, outcome } = {}) {
+    const size = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE));
+    const current = Math.max(1, parseInt(page, 10) || 1);
+
+    const matching = await this.query({ environment, outcome });
+
+    return {
+      deployments: matching.slice((current - 1) * size, current * size),
+      page: current,
+      pageSize: size,
+      total: matching.length,
+      totalPages: Math.ceil(matching.length / size)
+    };
+  }
+
+  /**
+   * Most recent finished deployment, optionally filtered by outcome
+   */
+  async latest({ environment, outcome } = {}) {
+    const finished = (await this.query({ environment, outcome }))
+      .filter(record => record.outcome !== 'in_progress' && record.outcome !== 'pending_approval');
+    return finished[0] || null;
+  }
+
+  async query({ environment, outcome } = {}) {
+    const records = await this.load();
+
+    return Array.from(records.values())
+      .filter(record => !environment || record.environment === environment)
+      .filter(record => !outcome || record.outcome === outcome)
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+  }
+}
+
+module.exports = DeploymentHistory;
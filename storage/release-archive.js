@@ -0,0 +1,104 @@
+/**
+ * Release Archive
+ *
+ * Keeps a copy of the built dashboard (dist/) for every successful
+ * deployment, keyed by version, so an earlier version can be put back
+ * without rebuilding it from source. Each environment has its own
+ * archive (see forEnvironment):
+ *
+ *   data/releases/production/2.4.2/index.html
+ *   data/releases/production/2.4.2/assets/...
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_ARCHIVE_DIR = path.join(__dirname, '..', 'data', 'releases');
+const DEFAULT_KEEP_RELEASES = 10;
+
+class ReleaseArchive {
+  constructor({ directory, keep } = {}) {
+    this.directory = directory || process.env.RELEASE_ARCHIVE_DIR || DEFAULT_ARCHIVE_DIR;
+    this.keep = keep || DEFAULT_KEEP_RELEASES;
+  }
+
+  /**
+   * Archive for one deployment environment, in <directory>/<environment>
+   */
+  static forEnvironment(environment, { directory, keep } = {}) {
+    if (!/^[a-z0-9-]+$/.test(environment || '')) {
+      throw new Error(`Invalid environment name: ${environment}`);
+    }
+
+    const root = directory || process.env.RELEASE_ARCHIVE_DIR || DEFAULT_ARCHIVE_DIR;
+    return new ReleaseArchive({ directory: path.join(root, environment), keep });
+  }
+
+  releasePath(version) {
+    if (!/^[\w.-]+$/.test(version || '')) {
+      throw new Error(`Invalid release version: ${version}`);
+    }
+    return path.join(this.directory, version);
+  }
+
+  /**
+   * Copy a build output directory into the archive
+   */
+  async save(version, sourceDir) {
+    const target = this.releasePath(version);
+
+    await fs.rm(target, { recursive: true, force: true });
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.cp(sourceDir, target, { recursive: true });
+
+    await this.prune();
+    return target;
+  }
+
+  async has(version) {
+    try {
+      await fs.access(path.join(this.releasePath(version), 'index.html'));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Replace a build output directory with an archived release
+   */
+  async restore(version, targetDir) {
+    if (!(await this.has(version))) {
+      throw new Error(`Release ${version} is not in the archive`);
+    }
+
+    await fs.rm(targetDir, { recursive: true, force: true });
+    await fs.cp(this.releasePath(version), targetDir, { recursive: true });
+    return targetDir;
+  }
+
+  /**
+   * Drop the oldest releases beyond the retention limit
+   */
+  async prune() {
+    const entries = await fs.readdir(this.directory, { withFileTypes: true });
+    const releases = await Promise.all(
+      entries
+        .filter(entry => entry.isDirectory())
+        .map(async entry => {
+          const stats = await fs.stat(path.join(this.directory, entry.name));
+          return { name: entry.name, modified: stats.mtimeMs };
+        })
+    );
+
+    const stale = releases
+      .sort((a, b) => b.modified - a.modified)
+      .slice(this.keep);
+
+    await Promise.all(stale.map(release =>
+      fs.rm(path.join(this.directory, release.name), { recursive: true, force: true })
+    ));
+  }
+}
+
+module.exports = ReleaseArchive;
@@ -0,0 +1,177 @@
+/**
+ * State Store
+ *
+ * Small key/value storage abstraction for the Netlify functions, which are
+ * stateless between invocations. Every adapter implements:
+ *
+ *   get(key)           -> value | null
+ *   set(key, value)    -> value
+ *   delete(key)        -> void
+ *   list(prefix)       -> [{ key, value }]
+ *
+ * Values are plain JSON. Adapters:
+ *   - MemoryStateStore:    a Map, for state that only matters to one process
+ *   - FileStateStore:      one JSON file, for local development and tests
+ *   - KeyValueStateStore:  wraps a hosted KV client exposing get/setJSON/
+ *                          delete/list (the Netlify Blobs store API)
+ *
+ * createStateStore() picks the adapter from STATE_STORE ('file', 'memory' or
+ * 'netlify-blobs'). Without it, deployed functions use Netlify Blobs - their
+ * bundle is read-only, so data/state.json can't be written there - and
+ * everything else the file.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_STATE_FILE = path.join(__dirname, '..', 'data', 'state.json');
+const DEFAULT_BLOBS_STORE = 'fogg-deployments';
+
+class MemoryStateStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key) ?? null;
+  }
+
+  async set(key, value) {
+    this.entries.set(key, value);
+    return value;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async list(prefix = '') {
+    return [...this.entries]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, value]) => ({ key, value }));
+  }
+}
+
+class FileStateStore {
+  constructor({ file } = {}) {
+    this.file = file || process.env.STATE_STORE_FILE || DEFAULT_STATE_FILE;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`State file ${this.file} is unreadable: ${error.message}`);
+    }
+  }
+
+  // Serialise read-modify-write cycles so concurrent updates aren't lost
+  update(mutate) {
+    const next = this.writeQueue.then(async () => {
+      const state = await this.read();
+      const result = mutate(state);
+
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      const tempFile = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(state, null, 2));
+      await fs.rename(tempFile, this.file);
+
+      return result;
+    });
+
+    this.writeQueue = next.catch(() => {});
+    return next;
+  }
+
+  async get(key) {
+    const state = await this.read();
+    return state[key] ?? null;
+  }
+
+  async set(key, value) {
+    await this.update(state => { state[key] = value; });
+    return value;
+  }
+
+  async delete(key) {
+    await this.update(state => { delete state[key]; });
+  }
+
+  async list(prefix = '') {
+    const state = await this.read();
+    return Object.keys(state)
+      .filter(key => key.startsWith(prefix))
+      .map(key => ({ key, value: state[key] }));
+  }
+}
+
+class KeyValueStateStore {
+  constructor({ client }) {
+    if (!client) {
+      throw new Error('KeyValueStateStore requires a KV client');
+    }
+    this.client = client;
+  }
+
+  async get(key) {
+    const value = await this.client.get(key, { type: 'json' });
+    return value ?? null;
+  }
+
+  async set(key, value) {
+    await this.client.setJSON(key, value);
+    return value;
+  }
+
+  async delete(key) {
+    await this.client.delete(key);
+  }
+
+  async list(prefix = '') {
+    const { blobs } = await this.client.list({ prefix });
+    return Promise.all(blobs.map(async ({ key }) => ({ key, value: await this.get(key) })));
+  }
+}
+
+// Netlify hands Lambda-style functions their Blobs context in the event
+function runningOnNetlify(event) {
+  return Boolean(event?.blobs || process.env.NETLIFY_BLOBS_CONTEXT);
+}
+
+/**
+ * options.event: the function's event, which connects Netlify Blobs to the
+ * site it runs for
+ */
+function createStateStore(options = {}) {
+  const type = options.type || process.env.STATE_STORE ||
+    (runningOnNetlify(options.event) ? 'netlify-blobs' : 'file');
+
+  switch (type) {
+    case 'memory':
+      return new MemoryStateStore();
+
+    case 'file':
+      return new FileStateStore(options);
+
+    case 'netlify-blobs': {
+      // Only needed when running against hosted storage
+      const { connectLambda, getStore } = require('@netlify/blobs');
+      if (options.event?.blobs) connectLambda(options.event);
+      return new KeyValueStateStore({
+        client: getStore(options.storeName || process.env.STATE_STORE_NAME || DEFAULT_BLOBS_STORE)
+      });
+    }
+
+    default:
+      throw new Error(`Unknown state store type: ${type}`);
+  }
+}
+
+module.exports = {
+  createStateStore,
+  MemoryStateStore,
+  FileStateStore,
+  KeyValueStateStore
+};
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ApprovalWorkflow = require('../approvals/approval-workflow');
+const DeploymentHistory = require('../storage/deployment-history');
+const { MemoryStateStore } = require('../storage/state-store');
+
+const NOW = new Date('2026-10-19T12:00:00Z').getTime();
+const LESLIE = { name: 'Leslie', username: 'leslie' };
+const RON = { name: 'Ron', username: 'ron' };
+
+// A workflow over an in-memory history, remembering every alert it sends
+function createWorkflow() {
+  const alerts = [];
+  const workflow = new ApprovalWorkflow({
+    history: new DeploymentHistory({ store: new MemoryStateStore() }),
+    channels: [{ name: 'test', sendAlert: async (type, data) => alerts.push({ type, ...data }) }],
+    dashboardUrl: 'https://fogg.example.com'
+  });
+  return { workflow, alerts };
+}
+
+function requestDeploy(workflow, fields = {}) {
+  return workflow.request(
+    { id: 'deploy_1', type: 'deploy', environment: 'production', startedAt: new Date(NOW).toISOString(), user: 'Leslie', username: 'leslie', ...fields },
+    { expiresAfter: 600, now: NOW }
+  );
+}
+
+test('a request waits for approval and tells the approvers', async () => {
+  const { workflow, alerts } = createWorkflow();
+  const record = await requestDeploy(workflow);
+
+  assert.equal(record.outcome, 'pending_approval');
+  assert.equal(record.approval.expiresAt, '2026-10-19T12:10:00.000Z');
+  assert.deepEqual((await workflow.pending({ now: NOW })).map(pending => pending.id), ['deploy_1']);
+
+  const [alert] = alerts;
+  assert.equal(alert.type, 'approval_requested');
+  assert.match(alert.message, /^Leslie wants to update Production\. Please approve or reject it at https:\/\/fogg\.example\.com/);
+});
+
+test('someone else approves or rejects, the requester cannot', async () => {
+  const { workflow, alerts } = createWorkflow();
+  const record = await requestDeploy(workflow);
+
+  assert.equal(workflow.checkDecision(record, LESLIE, NOW).code, 'SELF_APPROVAL');
+  assert.equal(workflow.checkDecision(record, RON, NOW), null);
+
+  workflow.recordDecision(record, RON, { decision: 'reject', comment: 'Not on a Friday' }, NOW);
+  assert.equal(record.outcome, 'rejected');
+  assert.equal(record.approval.status, 'rejected');
+  assert.deepEqual(record.approval.decisions.map(({ username, decision, comment }) => ({ username, decision, comment })), [
+    { username: 'ron', decision: 'rejected', comment: 'Not on a Friday' }
+  ]);
+
+  await workflow.announce(record);
+  assert.equal(alerts.at(-1).type, 'approval_rejected');
+  assert.equal(alerts.at(-1).message, 'Ron rejected Leslie\'s request to update Production ("Not on a Friday").');
+
+  // Decided requests can't be decided again
+  assert.equal(workflow.checkDecision(record, RON, NOW).code, 'APPROVAL_DECIDED');
+  assert.equal(workflow.checkDecision(null, RON, NOW).status, 404);
+});
+
+test('an approval leaves the outcome to whoever starts the deployment', async () => {
+  const { workflow } = createWorkflow();
+  const record = await requestDeploy(workflow);
+
+  workflow.recordDecision(record, RON, { decision: 'approve' }, NOW);
+
+  assert.equal(record.approval.status, 'approved');
+  assert.equal(record.outcome, 'pending_approval');
+  assert.equal(record.approval.decisions[0].comment, null);
+});
+
+test('requests nobody answers in time expire', async () => {
+  const { workflow, alerts } = createWorkflow();
+  const record = await requestDeploy(workflow);
+  const later = NOW + 600 * 1000;
+
+  assert.equal(workflow.checkDecision(record, RON, later).code, 'APPROVAL_EXPIRED');
+  assert.deepEqual(await workflow.pending({ now: later }), []);
+  const expired = await workflow.history.get('deploy_1');
+  assert.equal(expired.outcome, 'expired');
+  assert.equal(alerts.at(-1).type, 'approval_expired');
+  assert.equal(await workflow.expire(expired, later), false);
+});
+
+test('a failing channel does not stop the others', async () => {
+  const { workflow, alerts } = createWorkflow();
+  workflow.channels.unshift({ name: 'broken', sendAlert: async () => { throw new Error('SMTP down'); } });
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await requestDeploy(workflow, { type: 'promote', promotedFrom: { environment: 'staging', version: '2.4.7' } });
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.match(alerts[0].message, /^Leslie wants to promote staging version 2\.4\.7 to Production\./);
+});
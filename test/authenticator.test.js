@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Authenticator = require('../auth/authenticator');
+const UserDirectory = require('../auth/user-directory');
+
+const users = new UserDirectory({
+  users: [{ username: 'leslie', name: 'Leslie', role: 'deployer', passwordHash: UserDirectory.hashPassword('change-me') }]
+});
+
+test('signing in gives a token that identifies the user', () => {
+  const auth = new Authenticator({ enabled: true, secret: 'shh', users });
+
+  const session = auth.login('leslie', 'change-me');
+  assert.equal(session.user.name, 'Leslie');
+  assert.ok(session.user.permissions.includes('deploy'));
+
+  const { user } = auth.identify(`Bearer ${session.token}`, 'Someone Else');
+  assert.equal(user.username, 'leslie', 'the token decides who deploys, not the request body');
+
+  assert.equal(auth.login('leslie', 'wrong'), null);
+  assert.match(auth.identify(undefined).error, /sign in/);
+  assert.match(auth.identify('Bearer not-a-token').error, /sign in/);
+});
+
+test('without a secret nobody can sign in', () => {
+  const auth = new Authenticator({ enabled: true, users });
+  assert.equal(auth.login('leslie', 'change-me'), null);
+});
+
+test('with sign-in off everyone is the user they name, as an admin', () => {
+  const auth = new Authenticator({ enabled: false, users });
+
+  assert.equal(auth.identify(undefined).user.name, 'Leslie');
+  assert.deepEqual(
+    (({ name, role }) => ({ name, role }))(auth.identify(undefined, 'Ann').user),
+    { name: 'Ann', role: 'admin' }
+  );
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DeploymentEventLog = require('../pipeline/deployment-event-log');
+
+test('a client reconnecting with Last-Event-ID gets exactly what it missed', () => {
+  const log = new DeploymentEventLog();
+  log.record('deploy_1', 'deployment-started', { environment: 'production' });
+  log.record('deploy_1', 'deployment-progress', { progress: 40 });
+  log.record('deploy_2', 'deployment-started', { environment: 'staging' });
+  log.record('deploy_1', 'deployment-progress', { progress: 80 });
+
+  assert.deepEqual(log.since('deploy_1').map(entry => entry.id), [1, 2, 3]);
+  assert.deepEqual(log.since('deploy_1', 2), [{ id: 3, event: 'deployment-progress', data: { progress: 80 } }]);
+  assert.deepEqual(log.since('deploy_1', 3), []);
+  assert.deepEqual(log.since('deploy_2').map(entry => entry.id), [1], 'ids are numbered per deployment');
+  assert.deepEqual(log.since('deploy_unknown'), []);
+});
+
+test('new entries are announced as they are recorded', () => {
+  const log = new DeploymentEventLog();
+  const announced = [];
+  log.on('event', (deploymentId, entry) => announced.push(`${deploymentId}#${entry.id} ${entry.event}`));
+
+  log.record('deploy_1', 'deployment-started', {});
+  log.record('deploy_1', 'agent-update', { agentId: 'guardian', status: 'active' });
+
+  assert.deepEqual(announced, ['deploy_1#1 deployment-started', 'deploy_1#2 agent-update']);
+});
+
+test('a deployment is finished after its final event', () => {
+  const log = new DeploymentEventLog();
+  log.record('deploy_1', 'deployment-started', {});
+  assert.equal(log.isFinished('deploy_1'), false);
+
+  log.record('deploy_1', 'deployment-cancelled', {});
+  assert.equal(log.isFinished('deploy_1'), true);
+
+  log.record('deploy_2', 'approval-update', { outcome: 'approved' });
+  assert.equal(log.isFinished('deploy_2'), false);
+  log.record('deploy_2', 'approval-update', { outcome: 'rejected' });
+  assert.equal(log.isFinished('deploy_2'), true);
+});
+
+test('only recent deployments and their latest events are kept', () => {
+  const log = new DeploymentEventLog({ maxDeployments: 2, maxEvents: 2 });
+  log.record('deploy_1', 'deployment-started', {});
+  log.record('deploy_2', 'deployment-started', {});
+  for (let progress = 10; progress <= 30; progress += 10) {
+    log.record('deploy_2', 'deployment-progress', { progress });
+  }
+  log.record('deploy_3', 'deployment-started', {});
+
+  assert.equal(log.has('deploy_1'), false);
+  // The oldest events go first, but the ids carry on from where they were
+  assert.deepEqual(log.since('deploy_2').map(entry => entry.id), [3, 4]);
+  assert.deepEqual(log.since('deploy_2', 3).map(entry => entry.data.progress), [30]);
+});
+
+test('entries are written in the text/event-stream format', () => {
+  assert.equal(
+    DeploymentEventLog.format({ id: 7, event: 'deployment-progress', data: { progress: 50 } }),
+    'id: 7\nevent: deployment-progress\ndata: {"progress":50}\n\n'
+  );
+  assert.equal(
+    DeploymentEventLog.format({ event: 'ping', data: {} }),
+    'event: ping\ndata: {}\n\n'
+  );
+});
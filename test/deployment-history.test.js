@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeploymentHistory = require('../storage/deployment-history');
+const { MemoryStateStore } = require('../storage/state-store');
+
+function tempFile() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fogg-history-'));
+  test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return path.join(directory, 'deployment-history.jsonl');
+}
+
+function deployment(id, startedAt, fields = {}) {
+  return { id, environment: 'production', startedAt, outcome: 'success', ...fields };
+}
+
+test('the last snapshot of a record wins, also after a restart', async () => {
+  const file = tempFile();
+  const history = new DeploymentHistory({ file });
+
+  await history.save(deployment('deploy_1', '2026-10-19T10:00:00Z', { outcome: 'in_progress', user: 'Leslie' }));
+  await history.save({ id: 'deploy_1', outcome: 'success', versionAfter: '1.0.1' });
+
+  const expected = { ...deployment('deploy_1', '2026-10-19T10:00:00Z', { user: 'Leslie' }), versionAfter: '1.0.1' };
+  assert.deepEqual(await history.get('deploy_1'), expected);
+  assert.deepEqual(await new DeploymentHistory({ file }).get('deploy_1'), expected);
+  assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 2);
+});
+
+test('list pages newest first and filters by environment and outcome', async () => {
+  const history = new DeploymentHistory({ file: tempFile() });
+  await history.save(deployment('deploy_1', '2026-10-19T10:00:00Z'));
+  await history.save(deployment('deploy_2', '2026-10-19T11:00:00Z', { outcome: 'failed' }));
+  await history.save(deployment('deploy_3', '2026-10-19T12:00:00Z', { environment: 'staging' }));
+  await history.save(deployment('deploy_4', '2026-10-19T13:00:00Z', { outcome: 'in_progress' }));
+
+  const page = await history.list({ page: 1, pageSize: 2 });
+  assert.deepEqual(page.deployments.map(record => record.id), ['deploy_4', 'deploy_3']);
+  assert.equal(page.total, 4);
+  assert.equal(page.totalPages, 2);
+
+  const production = await history.list({ environment: 'production', outcome: 'success' });
+  assert.deepEqual(production.deployments.map(record => record.id), ['deploy_1']);
+
+  // latest() skips deployments that haven't finished
+  assert.equal((await history.latest({ environment: 'production' })).id, 'deploy_2');
+});
+
+test('a failed append does not stop later saves', async () => {
+  const blocker = tempFile();
+  fs.writeFileSync(blocker, '');
+  const history = new DeploymentHistory({ file: path.join(blocker, 'history.jsonl') });
+  history.records = new Map();
+
+  await assert.rejects(history.save(deployment('deploy_1', '2026-10-19T10:00:00Z')));
+
+  fs.rmSync(blocker);
+  await history.save(deployment('deploy_2', '2026-10-19T11:00:00Z'));
+  assert.equal((await new DeploymentHistory({ file: history.file }).get('deploy_2')).id, 'deploy_2');
+});
+
+test('records can live in a state store instead of a file', async () => {
+  const store = new MemoryStateStore();
+  const history = new DeploymentHistory({ store });
+
+  await history.save(deployment('deploy_1', '2026-10-19T10:00:00Z', { outcome: 'in_progress' }));
+  await history.save({ id: 'deploy_1', outcome: 'success' });
+
+  assert.equal((await store.get('deployment:deploy_1')).outcome, 'success');
+  assert.equal((await new DeploymentHistory({ store }).latest()).id, 'deploy_1');
+});
+
+test('a record needs an id', async () => {
+  await assert.rejects(new DeploymentHistory({ file: tempFile() }).save({ outcome: 'success' }), /requires an id/);
+});
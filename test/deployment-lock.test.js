@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DeploymentLock = require('../limits/deployment-lock');
+const { MemoryStateStore } = require('../storage/state-store');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+test('one deployment holds an environment at a time', async () => {
+  const lock = new DeploymentLock({ store: new MemoryStateStore(), ttlSeconds: 300 });
+
+  assert.deepEqual(await lock.acquire('production', 'deploy_a', { expectedSeconds: 60, now: NOW }), { acquired: true });
+  assert.deepEqual(await lock.acquire('production', 'deploy_b', { now: NOW + 1000 }), {
+    acquired: false,
+    holder: 'deploy_a',
+    retryAfter: 59
+  });
+  assert.deepEqual(await lock.acquire('staging', 'deploy_b', { now: NOW }), { acquired: true });
+});
+
+test('the holder can claim again; others only after release', async () => {
+  const lock = new DeploymentLock({ store: new MemoryStateStore() });
+  await lock.acquire('production', 'deploy_a', { now: NOW });
+
+  assert.equal((await lock.acquire('production', 'deploy_a', { now: NOW })).acquired, true);
+
+  await lock.release('production', 'deploy_b');
+  assert.equal((await lock.status('production', NOW)).holder, 'deploy_a');
+
+  await lock.release('production', 'deploy_a');
+  assert.equal(await lock.status('production', NOW), null);
+});
+
+test('an overdue lock asks for short retries, then expires', async () => {
+  const lock = new DeploymentLock({ store: new MemoryStateStore(), ttlSeconds: 300 });
+  await lock.acquire('production', 'deploy_a', { expectedSeconds: 60, now: NOW });
+
+  assert.equal((await lock.status('production', NOW + 120 * 1000)).retryAfter, 10);
+  assert.equal((await lock.status('production', NOW + 295 * 1000)).retryAfter, 5);
+  assert.equal(await lock.status('production', NOW + 300 * 1000), null);
+});
+
+test('a lock needs a state store', () => {
+  assert.throws(() => new DeploymentLock({}), /requires a state store/);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DeploymentPipeline = require('../pipeline/deployment-pipeline');
+const PipelineStage = require('../pipeline/pipeline-stage');
+const CommandStage = require('../pipeline/command-stage');
+
+// A stage that reports half way, then resolves with `result` (or throws it)
+class FakeStage extends PipelineStage {
+  constructor(id, result = { success: true }) {
+    super({ id, name: id, emoji: '🧪' });
+    this.result = result;
+    this.ran = false;
+  }
+
+  async execute({ report }) {
+    this.ran = true;
+    report(0.5, `${this.id} half way`);
+    if (this.result instanceof Error) throw this.result;
+    return this.result;
+  }
+}
+
+// Run a pipeline, collecting every event it emits
+async function runPipeline(stages, options) {
+  const pipeline = new DeploymentPipeline({ stages, cwd: __dirname });
+  const events = [];
+  for (const name of ['agent-update', 'deployment-progress', 'stage-log']) {
+    pipeline.on(name, data => events.push({ name, ...data }));
+  }
+  const result = await pipeline.run(options);
+  return { result, events };
+}
+
+function agentUpdates(events) {
+  return events.filter(event => event.name === 'agent-update').map(event => `${event.agentId}:${event.status}`);
+}
+
+test('stages run in order and fill the bar from 5% to 95%', async () => {
+  const { result, events } = await runPipeline([new FakeStage('guardian'), new FakeStage('speedster')]);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.stages.map(stage => stage.agentId), ['guardian', 'speedster']);
+  assert.deepEqual(agentUpdates(events), ['guardian:active', 'guardian:complete', 'speedster:active', 'speedster:complete']);
+
+  const progress = events.filter(event => event.name === 'deployment-progress').map(event => event.progress);
+  assert.equal(progress[0], 5);
+  assert.equal(progress.at(-1), 95);
+  assert.ok(progress.includes(28), 'guardian half way is half of its slice');
+  assert.deepEqual(progress, [...progress].sort((a, b) => a - b));
+});
+
+test('the first failing stage stops the pipeline', async () => {
+  const detective = new FakeStage('detective', { success: false, error: 'npm test exited with code 1' });
+  const architect = new FakeStage('architect');
+  const { result, events } = await runPipeline([detective, architect]);
+
+  assert.equal(result.success, false);
+  assert.equal(result.failedStage, 'detective');
+  assert.equal(result.error, 'npm test exited with code 1');
+  assert.equal(architect.ran, false);
+  assert.deepEqual(agentUpdates(events), ['detective:active', 'detective:failed']);
+});
+
+test('a stage that throws fails with the error message', async () => {
+  const { result } = await runPipeline([new FakeStage('speedster', new Error('dist/ is missing'))]);
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'dist/ is missing');
+});
+
+test('an aborted signal skips the remaining stages', async () => {
+  const controller = new AbortController();
+  const guardian = new FakeStage('guardian');
+  guardian.execute = async () => {
+    controller.abort();
+    return { success: false, cancelled: true, error: 'Cancelled' };
+  };
+  const speedster = new FakeStage('speedster');
+
+  const { result, events } = await runPipeline([guardian, speedster], { signal: controller.signal });
+
+  assert.equal(result.cancelled, true);
+  assert.equal(result.failedStage, 'guardian');
+  assert.equal(speedster.ran, false);
+  assert.deepEqual(agentUpdates(events), ['guardian:active', 'guardian:cancelled']);
+});
+
+test('command stages stream output lines and fail on a non-zero exit', async () => {
+  const passing = new CommandStage({ id: 'detective', name: 'Detective', emoji: '🔍', command: process.execPath, args: ['-e', 'console.log("ok 1"); console.error("warn")'] });
+  const failing = new CommandStage({ id: 'architect', name: 'Architect', emoji: '🏗️', command: process.execPath, args: ['-e', 'process.exit(3)'] });
+
+  const { result, events } = await runPipeline([passing, failing]);
+
+  const logs = events.filter(event => event.name === 'stage-log').map(({ agentId, line, stream }) => ({ agentId, line, stream }));
+  // stdout and stderr are separate pipes, so their lines may interleave either way
+  assert.deepEqual(logs.sort((a, b) => a.line.localeCompare(b.line)), [
+    { agentId: 'detective', line: 'ok 1', stream: 'stdout' },
+    { agentId: 'detective', line: 'warn', stream: 'stderr' }
+  ]);
+  assert.equal(result.failedStage, 'architect');
+  assert.match(result.error, /exited with code 3$/);
+  assert.equal(result.stages[1].details.exitCode, 3);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DeploymentScheduler = require('../schedules/deployment-scheduler');
+const { MemoryStateStore } = require('../storage/state-store');
+
+const { ScheduleError } = DeploymentScheduler;
+const NOW = new Date('2026-10-19T12:00:00Z');
+const LESLIE = { name: 'Leslie', username: 'leslie' };
+
+function createScheduler(blackoutWindows = []) {
+  return new DeploymentScheduler({
+    store: new MemoryStateStore(),
+    settings: { timeZone: 'UTC', blackoutWindows }
+  });
+}
+
+test('a one-off schedule is due at its time and done after it ran', async () => {
+  const scheduler = createScheduler();
+  const schedule = await scheduler.create({ environment: 'production', runAt: '2026-10-19T15:00:00Z', user: LESLIE }, NOW);
+
+  assert.equal(schedule.status, 'scheduled');
+  assert.equal(schedule.nextRunAt, '2026-10-19T15:00:00.000Z');
+  assert.deepEqual(await scheduler.due(NOW), []);
+
+  const [due] = await scheduler.due(new Date('2026-10-19T15:00:00Z'));
+  assert.equal(due.id, schedule.id);
+
+  const done = await scheduler.recordRun(due, { outcome: 'started', deploymentId: 'deploy_1' }, new Date('2026-10-19T15:00:05Z'));
+  assert.equal(done.status, 'done');
+  assert.equal(done.nextRunAt, null);
+  assert.deepEqual(done.runs.map(run => run.deploymentId), ['deploy_1']);
+  assert.deepEqual(await scheduler.list(), []);
+});
+
+test('a recurring schedule moves on to its next time', async () => {
+  const scheduler = createScheduler();
+  const schedule = await scheduler.create({ environment: 'staging', cron: '0 9 * * mon-fri', user: LESLIE }, NOW);
+
+  // 2026-10-19 is a Monday, past 9:00
+  assert.equal(schedule.nextRunAt, '2026-10-20T09:00:00.000Z');
+
+  const next = await scheduler.recordRun(schedule, { outcome: 'skipped', reason: 'blackout' }, new Date('2026-10-23T09:00:00Z'));
+  assert.equal(next.status, 'scheduled');
+  assert.equal(next.nextRunAt, '2026-10-26T09:00:00.000Z');
+});
+
+test('bad times, expressions and blackout windows are refused', async () => {
+  const scheduler = createScheduler([{ name: 'the holidays', from: '2026-12-24T00:00:00Z', until: '2026-12-27T00:00:00Z' }]);
+  const create = fields => scheduler.create({ environment: 'production', user: LESLIE, ...fields }, NOW);
+
+  await assert.rejects(create({}), ScheduleError);
+  await assert.rejects(create({ runAt: '2026-10-19T15:00:00Z', cron: '@daily' }), ScheduleError);
+  await assert.rejects(create({ runAt: 'tomorrow-ish' }), /not a valid time/);
+  await assert.rejects(create({ runAt: '2026-10-19T11:00:00Z' }), /already passed/);
+  await assert.rejects(create({ cron: '61 * * * *' }), ScheduleError);
+  await assert.rejects(create({ runAt: '2026-12-25T09:00:00Z' }), error =>
+    error instanceof ScheduleError && error.status === 409 && error.code === 'BLACKOUT_WINDOW');
+});
+
+test('a cancelled schedule stops running and cannot be cancelled twice', async () => {
+  const scheduler = createScheduler();
+  const schedule = await scheduler.create({ environment: 'production', cron: '@hourly', user: LESLIE }, NOW);
+
+  const cancelled = await scheduler.cancel(schedule.id, LESLIE, NOW);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.cancelledBy, 'Leslie');
+  assert.deepEqual(await scheduler.due(new Date('2026-10-20T00:00:00Z')), []);
+
+  await assert.rejects(scheduler.cancel(schedule.id, LESLIE, NOW), error => error.code === 'SCHEDULE_INACTIVE');
+  assert.equal(await scheduler.cancel('schedule_unknown', LESLIE, NOW), null);
+});
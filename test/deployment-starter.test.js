@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkNetlifyConfigured } = require('../netlify/lib/deployment-starter');
+const { createHandler } = require('../netlify/functions/deploy');
+const { MemoryStateStore } = require('../storage/state-store');
+
+const unconfigured = { isConfigured: () => false };
+
+test('deploys are refused when Netlify is not configured', async () => {
+  const allowed = process.env.ALLOW_SIMULATED_DEPLOYS;
+  delete process.env.ALLOW_SIMULATED_DEPLOYS;
+  test.after(() => {
+    if (allowed !== undefined) process.env.ALLOW_SIMULATED_DEPLOYS = allowed;
+  });
+
+  const store = new MemoryStateStore();
+  const deploy = createHandler({ client: unconfigured, store });
+
+  const response = await deploy({
+    httpMethod: 'POST',
+    headers: {},
+    body: JSON.stringify({ environment: 'production', user: 'Leslie' })
+  });
+
+  assert.equal(response.statusCode, 503);
+  assert.equal(JSON.parse(response.body).code, 'NETLIFY_NOT_CONFIGURED');
+  assert.deepEqual(await store.list('deployment:'), []);
+});
+
+test('simulated runs need ALLOW_SIMULATED_DEPLOYS', () => {
+  assert.equal(checkNetlifyConfigured({}, unconfigured, {}).statusCode, 503);
+  assert.equal(checkNetlifyConfigured({}, unconfigured, { ALLOW_SIMULATED_DEPLOYS: 'true' }), null);
+  assert.equal(checkNetlifyConfigured({}, { isConfigured: () => true }, {}), null);
+});
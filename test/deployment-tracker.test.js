@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TOTAL_DEPLOYMENT_TIME,
+  createTracker,
+  createDeploymentRecord,
+  getCurrentVersion,
+  setCurrentVersion,
+  syncDeployment,
+  toEvents
+} = require('../netlify/lib/deployment-tracker');
+const { createDeploymentLock } = require('../netlify/lib/request-limits');
+const { MemoryStateStore } = require('../storage/state-store');
+
+const STARTED_AT = '2026-10-19T12:00:00.000Z';
+
+// A running deployment of 1.0.0 -> 1.0.1 holding the production lock
+async function startDeployment(mode) {
+  const { store, history } = createTracker(new MemoryStateStore());
+  await setCurrentVersion(store, 'production', '1.0.0');
+
+  const record = createDeploymentRecord({
+    id: 'deploy_1',
+    mode,
+    user: 'Leslie',
+    environment: 'production',
+    versionBefore: '1.0.0',
+    targetVersion: '1.0.1',
+    startedAt: STARTED_AT
+  });
+  await history.save(record);
+  await createDeploymentLock(store).acquire('production', record.id);
+  return { store, history, record };
+}
+
+test('a simulated run finishes without releasing a version', async () => {
+  const { store, history, record } = await startDeployment('simulated');
+
+  const end = Date.parse(STARTED_AT) + TOTAL_DEPLOYMENT_TIME;
+  assert.equal(await syncDeployment(record, { store, history, now: end }), true);
+
+  const saved = await history.get('deploy_1');
+  assert.equal(saved.outcome, 'simulated');
+  assert.equal(saved.versionAfter, '1.0.0');
+  assert.equal(await getCurrentVersion(store, 'production'), '1.0.0');
+  assert.deepEqual(await history.query({ environment: 'production', outcome: 'success' }), []);
+  assert.equal(await createDeploymentLock(store).status('production'), null);
+
+  const final = toEvents(saved).at(-1);
+  assert.equal(final.event, 'deployment-complete');
+  assert.equal(final.data.simulated, true);
+  assert.equal(final.data.newVersion, '1.0.0');
+});
+
+test('a ready Netlify deploy releases the target version', async () => {
+  const { store, history, record } = await startDeployment('netlify');
+  record.netlifyDeployId = 'nf-deploy-1';
+  const client = { getDeploy: async () => ({ id: 'nf-deploy-1', state: 'ready', commit_ref: 'abc123' }) };
+
+  await syncDeployment(record, { store, history, client });
+
+  const saved = await history.get('deploy_1');
+  assert.equal(saved.outcome, 'success');
+  assert.equal(saved.commit, 'abc123');
+  assert.equal(await getCurrentVersion(store, 'production'), '1.0.1');
+  assert.equal(toEvents(saved).at(-1).data.success, true);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DNSChangeJournal = require('../dns-providers/dns-change-journal');
+
+function tempJournal() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fogg-journal-'));
+  test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return new DNSChangeJournal({ file: path.join(directory, 'dns-journal.jsonl') });
+}
+
+function change(name, fields = {}) {
+  return {
+    provider: 'porkbun',
+    providerName: 'Porkbun',
+    domain: 'fogg.test',
+    name,
+    type: 'CNAME',
+    action: 'created',
+    before: null,
+    after: { content: 'fogg-calendar.netlify.app', ttl: 300, proxied: false },
+    ...fields
+  };
+}
+
+test('entries are appended as lines and listed newest first', async () => {
+  const journal = tempJournal();
+  const first = await journal.append(change('fogg', { actor: 'leslie', reason: 'go live' }));
+  await journal.append(change('www', { provider: 'cloudflare', providerName: 'Cloudflare' }));
+  await journal.append(change('fogg', { action: 'deleted', before: first.after, after: null }));
+
+  assert.ok(first.id && first.timestamp);
+  assert.equal(first.actor, 'leslie');
+  assert.equal(first.undoOf, null);
+  assert.equal(fs.readFileSync(journal.file, 'utf8').trim().split('\n').length, 3);
+
+  assert.deepEqual((await journal.list()).map(entry => `${entry.name} ${entry.action}`), ['fogg deleted', 'www created', 'fogg created']);
+  assert.deepEqual((await journal.list({ name: 'fogg', limit: 1 })).map(entry => entry.action), ['deleted']);
+  assert.deepEqual((await journal.list({ provider: 'cloudflare' })).map(entry => entry.name), ['www']);
+  assert.deepEqual(await new DNSChangeJournal({ file: journal.file }).entries(), await journal.entries());
+});
+
+test('concurrent appends never interleave', async () => {
+  const journal = tempJournal();
+  await Promise.all(Array.from({ length: 20 }, (_, index) => journal.append(change(`host${index}`))));
+
+  assert.equal((await journal.entries()).length, 20);
+});
+
+test('entries are found by id or a unique prefix of one', async () => {
+  const journal = tempJournal();
+  const entry = await journal.append(change('fogg'));
+
+  assert.equal((await journal.get(entry.id)).id, entry.id);
+  assert.equal((await journal.get(entry.id.slice(0, 8))).id, entry.id);
+  assert.equal(await journal.get('not-an-id'), null);
+
+  await journal.append(change('www'));
+  await assert.rejects(journal.get(''), error => error.code === 'AMBIGUOUS_ID');
+});
+
+test('a missing journal file has no entries and unreadable lines are skipped', async () => {
+  const journal = tempJournal();
+  assert.deepEqual(await journal.entries(), []);
+
+  await journal.append(change('fogg'));
+  fs.appendFileSync(journal.file, '{"id": \n');
+  await journal.append(change('www'));
+
+  assert.deepEqual((await journal.entries()).map(entry => entry.name), ['fogg', 'www']);
+});
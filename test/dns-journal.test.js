@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DNSChangeJournal = require('../dns-providers/dns-change-journal');
+const { createDNSProvider } = require('../dns-providers/provider-registry');
+const { FAKE_DOMAIN, startFakeApi } = require('../dns-providers/conformance/fake-apis');
+const { DNSUndoError, undoChange } = require('../dns-journal');
+
+// A provider on its fake API, journaling to a temporary file, and undo() for
+// that journal
+async function setUp(key) {
+  const api = await startFakeApi(key);
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fogg-undo-'));
+  test.after(async () => {
+    await api.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const journal = new DNSChangeJournal({ file: path.join(directory, 'dns-journal.jsonl') });
+  const providerOptions = { apiBase: api.apiBase, credentials: api.credentials, env: {}, ...api.options };
+  return {
+    journal,
+    provider: createDNSProvider(key, { ...providerOptions, journal }),
+    undo: (id, options = {}) => undoChange(id, { journal, actor: 'leslie', providerOptions, ...options })
+  };
+}
+
+const contents = async provider => (await provider.listRecords(FAKE_DOMAIN, { name: 'fogg', type: 'CNAME' })).map(record => record.content);
+
+test('undoing a created record deletes it and is journaled', async () => {
+  const { journal, provider, undo } = await setUp('porkbun');
+  await provider.upsertRecord(FAKE_DOMAIN, { name: 'fogg', type: 'CNAME', content: 'fogg-calendar.netlify.app', ttl: 600 });
+  const [created] = await journal.list();
+
+  assert.equal((await undo(created.id.slice(0, 8))).id, created.id);
+  assert.deepEqual(await contents(provider), []);
+
+  const [undone] = await journal.list();
+  assert.equal(undone.action, 'deleted');
+  assert.equal(undone.undoOf, created.id);
+  assert.equal(undone.actor, 'leslie');
+
+  await assert.rejects(undo(created.id), error => error instanceof DNSUndoError && error.status === 409 && /already undone/.test(error.message));
+});
+
+test('undoing an update puts the old value back', async () => {
+  const { journal, provider, undo } = await setUp('porkbun');
+  await provider.upsertRecord(FAKE_DOMAIN, { name: 'fogg', type: 'CNAME', content: 'fogg-calendar.netlify.app', ttl: 600 });
+  await provider.upsertRecord(FAKE_DOMAIN, { name: 'fogg', type: 'CNAME', content: 'fogg-backup.netlify.app', ttl: 600 });
+  const [updated] = await journal.list();
+
+  await undo(updated.id);
+  assert.deepEqual(await contents(provider), ['fogg-calendar.netlify.app']);
+});
+
+test('a record changed since the entry is only undone with force', async () => {
+  const { journal, provider, undo } = await setUp('porkbun');
+  await provider.upsertRecord(FAKE_DOMAIN, { name: 'fogg', type: 'CNAME', content: 'fogg-calendar.netlify.app', ttl: 600 });
+  await provider.upsertRecord(FAKE_DOMAIN, { name: 'fogg', type: 'CNAME', content: 'fogg-backup.netlify.app', ttl: 600 });
+  const [first] = (await journal.list()).reverse();
+
+  await assert.rejects(undo(first.id), error => error.status === 409 && /has changed since/.test(error.message));
+  assert.deepEqual(await contents(provider), ['fogg-backup.netlify.app']);
+
+  await undo(first.id, { force: true });
+  assert.deepEqual(await contents(provider), []);
+});
+
+test('undoing a deletion brings the record back', async () => {
+  const { journal, provider, undo } = await setUp('porkbun');
+  await provider.upsertRecord(FAKE_DOMAIN, { name: 'fogg', type: 'CNAME', content: 'fogg-calendar.netlify.app', ttl: 600 });
+  await provider.deleteRecord(FAKE_DOMAIN, { name: 'fogg', type: 'CNAME' });
+  const [deleted] = await journal.list();
+
+  await undo(deleted.id);
+  assert.deepEqual(await contents(provider), ['fogg-calendar.netlify.app']);
+});
+
+test('undoing a failover change swaps the targets back', async () => {
+  const { journal, provider, undo } = await setUp('route53');
+  const failover = (primary, secondary) => provider.upsertFailoverRecords(FAKE_DOMAIN, {
+    name: 'fogg', ttl: 60, primary: { content: primary }, secondary: { content: secondary }
+  });
+  await failover('fogg-calendar.netlify.app', 'fogg-backup.netlify.app');
+  await failover('fogg-backup.netlify.app', 'fogg-calendar.netlify.app');
+  const [swapped, first] = await journal.list();
+
+  await undo(swapped.id);
+  const sets = await provider.listFailoverRecords(FAKE_DOMAIN, 'fogg', 'CNAME');
+  assert.equal(sets.find(set => set.role === 'PRIMARY').content, 'fogg-calendar.netlify.app');
+
+  // The first change had nothing before it to go back to
+  await assert.rejects(undo(first.id), error => error.status === 409 && /nothing to go back to/.test(error.message));
+});
+
+test('unknown, ambiguous and unregistered entries are bad requests', async () => {
+  const { journal, undo } = await setUp('porkbun');
+  const change = { providerName: 'Gandi', domain: FAKE_DOMAIN, name: 'fogg', type: 'CNAME', action: 'created', before: null, after: { content: 'x', ttl: 300 } };
+  await journal.append({ ...change, id: 'abc-1', provider: 'gandi' });
+  await journal.append({ ...change, id: 'abc-2', provider: 'porkbun' });
+
+  await assert.rejects(undo('not-an-id'), error => error instanceof DNSUndoError && error.status === 404);
+  await assert.rejects(undo(''), error => error.status === 404);
+  await assert.rejects(undo('abc'), error => error.status === 400 && /ambiguous/.test(error.message));
+  await assert.rejects(undo('abc-1'), error => error.status === 400 && /not a registered DNS provider/.test(error.message));
+});
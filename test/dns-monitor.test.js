@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DNSMonitor = require('../dns-monitor');
+const DNSZone = require('../dns-zone');
+const { createDNSProvider } = require('../dns-providers/provider-registry');
+const { FAKE_DOMAIN, startFakeApi } = require('../dns-providers/conformance/fake-apis');
+
+test('drift from the zone file is alerted once, and again when it is resolved', async () => {
+  const api = await startFakeApi('porkbun');
+  test.after(() => api.close());
+
+  const provider = createDNSProvider('porkbun', { apiBase: api.apiBase, credentials: api.credentials, env: {}, journal: null });
+  const record = { name: 'fogg', type: 'CNAME', content: 'fogg-calendar.netlify.app', ttl: 600, proxied: false };
+  await provider.upsertRecord(FAKE_DOMAIN, record);
+
+  const alerts = [];
+  const monitor = new DNSMonitor({ zoneFile: null });
+  monitor.zone = new DNSZone({ zone: { domain: FAKE_DOMAIN, prune: false, records: [record] }, provider });
+  monitor.alertChannels = [{ name: 'test', sendAlert: async (type, data) => alerts.push({ type, data }) }];
+
+  assert.deepEqual((await monitor.checkZoneDrift()).changes, []);
+  assert.deepEqual(alerts, []);
+
+  // A failover points fogg at the backup site
+  await provider.upsertRecord(FAKE_DOMAIN, { ...record, content: 'fogg-backup.netlify.app' });
+  await monitor.checkZoneDrift();
+  await monitor.checkZoneDrift();
+
+  assert.deepEqual(alerts.map(alert => alert.type), ['dns_drift']);
+  assert.match(alerts[0].data.message, /0 to create, 1 to update, 0 to delete/);
+  assert.deepEqual(alerts[0].data.issues.map(issue => issue.message), [
+    '~ fogg CNAME fogg-backup.netlify.app (ttl 600) → fogg-calendar.netlify.app (ttl 600)'
+  ]);
+
+  await provider.upsertRecord(FAKE_DOMAIN, record);
+  await monitor.checkZoneDrift();
+  assert.deepEqual(alerts.map(alert => alert.type), ['dns_drift', 'dns_drift_resolved']);
+});
+
+test('a drift check that cannot read the live records alerts nothing', async () => {
+  const monitor = new DNSMonitor();
+  monitor.zone = { plan: async () => { throw new Error('no credentials found'); } };
+  monitor.alertChannels = [];
+
+  assert.equal(await monitor.checkZoneDrift(), null);
+});
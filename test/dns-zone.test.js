@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DNSZone = require('../dns-zone');
+const { loadZoneFile } = require('../config/config-loader');
+const { createDNSProvider } = require('../dns-providers/provider-registry');
+const { FAKE_DOMAIN, startFakeApi } = require('../dns-providers/conformance/fake-apis');
+
+const DECLARED = [
+  { name: 'fogg', type: 'CNAME', content: 'fogg-calendar.netlify.app', ttl: 600, proxied: false },
+  { name: 'api', type: 'A', content: '203.0.113.10', ttl: 600, proxied: false },
+  { name: 'status', type: 'CNAME', content: 'fogg-status.netlify.app', ttl: 600, proxied: false }
+];
+
+// A zone over a provider on the fake Porkbun API
+async function createZone(fields = {}) {
+  const api = await startFakeApi('porkbun');
+  test.after(() => api.close());
+
+  const provider = createDNSProvider('porkbun', { apiBase: api.apiBase, credentials: api.credentials, env: {}, journal: null });
+  const zone = new DNSZone({ zone: { domain: FAKE_DOMAIN, provider: 'porkbun', prune: false, records: DECLARED, ...fields }, provider });
+  return { zone, provider };
+}
+
+const summary = plan => plan.changes.map(change => DNSZone.describeChange(change));
+
+test('plan lists creates, updates and deletes for the declared names only', async () => {
+  const { zone, provider } = await createZone();
+  await provider.upsertRecord(FAKE_DOMAIN, { name: 'fogg', type: 'CNAME', content: 'fogg-backup.netlify.app', ttl: 600 });
+  await provider.upsertRecord(FAKE_DOMAIN, { name: 'status', type: 'CNAME', content: 'fogg-status.netlify.app', ttl: 600 });
+  await provider.upsertRecord(FAKE_DOMAIN, { name: 'api', type: 'TXT', content: 'v=fogg0', ttl: 600 });
+  await provider.upsertRecord(FAKE_DOMAIN, { name: 'www', type: 'CNAME', content: 'elsewhere.example.com', ttl: 600 });
+
+  const plan = await zone.plan();
+
+  assert.equal(plan.domain, FAKE_DOMAIN);
+  assert.equal(plan.unchanged, 1);
+  assert.deepEqual(summary(plan), [
+    '- api TXT v=fogg0 (ttl 600)',
+    '~ fogg CNAME fogg-backup.netlify.app (ttl 600) → fogg-calendar.netlify.app (ttl 600)',
+    '+ api A 203.0.113.10 (ttl 600)'
+  ]);
+  assert.equal(DNSZone.summarize(plan), '1 to create, 1 to update, 1 to delete, 1 unchanged');
+});
+
+test('prune deletes records at undeclared names too', async () => {
+  const { zone, provider } = await createZone({ prune: true, records: DECLARED.slice(2) });
+  await provider.upsertRecord(FAKE_DOMAIN, { name: 'status', type: 'CNAME', content: 'fogg-status.netlify.app', ttl: 600 });
+  await provider.upsertRecord(FAKE_DOMAIN, { name: 'www', type: 'CNAME', content: 'elsewhere.example.com', ttl: 600 });
+
+  assert.deepEqual(summary(await zone.plan()), ['- www CNAME elsewhere.example.com (ttl 600)']);
+});
+
+test('apply makes the live records match, after which the plan is empty', async () => {
+  const { zone, provider } = await createZone();
+  await provider.upsertRecord(FAKE_DOMAIN, { name: 'fogg', type: 'CNAME', content: 'fogg-backup.netlify.app', ttl: 600 });
+  await provider.upsertRecord(FAKE_DOMAIN, { name: 'api', type: 'TXT', content: 'v=fogg0', ttl: 600 });
+
+  const plan = await zone.plan();
+  const { applied, failed } = await zone.apply(plan, { actor: 'leslie' });
+
+  assert.equal(failed, null);
+  assert.equal(applied.length, plan.changes.length);
+  assert.deepEqual((await zone.plan()).changes, []);
+  assert.equal((await zone.plan()).unchanged, DECLARED.length);
+});
+
+test('apply stops at the first change that fails', async () => {
+  const { zone } = await createZone();
+  const plan = await zone.plan();
+  zone.provider.credentials = { apiKey: 'pk1_revoked', secretKey: 'sk1_revoked' };
+
+  const { applied, failed } = await zone.apply(plan);
+
+  assert.deepEqual(applied, []);
+  assert.equal(failed.change, plan.changes[0]);
+  assert.match(failed.error, /Invalid API key/);
+});
+
+test('zone files are validated and filled in from the dns settings', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fogg-zone-'));
+  test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const write = (name, contents) => {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  const zone = loadZoneFile(write('zone.yml', [
+    'domain: candlefish.ai',
+    'ttl: 900',
+    'records:',
+    '  - { name: fogg, type: CNAME, content: fogg-calendar.netlify.app }',
+    "  - { name: '@', type: TXT, content: v=fogg1, ttl: 600 }"
+  ].join('\n')));
+  assert.equal(zone.provider, 'porkbun');
+  assert.equal(zone.prune, false);
+  assert.deepEqual(zone.records.map(record => record.ttl), [900, 600]);
+
+  const duplicated = write('duplicated.yml', [
+    'domain: candlefish.ai',
+    'records:',
+    '  - { name: fogg, type: CNAME, content: fogg-calendar.netlify.app }',
+    '  - { name: fogg, type: cname, content: fogg-backup.netlify.app }'
+  ].join('\n'));
+  assert.throws(() => loadZoneFile(duplicated), /fogg CNAME twice/);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NetlifyClient = require('../netlify/lib/netlify-client');
+
+const API_BASE = 'https://netlify.example.com/api/v1';
+
+// An axios-like client answering every request with `responses` in turn (a
+// status, or an Error for a network failure), remembering each request
+function fakeHttp(responses) {
+  const requests = [];
+  const respond = async (method, url, data, config = {}) => {
+    requests.push({ method, url, data, ...config });
+    const next = responses[Math.min(requests.length, responses.length) - 1];
+    if (next instanceof Error) throw next;
+    if (next.status >= 400) {
+      throw Object.assign(new Error(`Request failed with status code ${next.status}`), { response: next });
+    }
+    return next;
+  };
+
+  return {
+    requests,
+    post: (url, data, config) => respond('post', url, data, config),
+    get: (url, config) => respond('get', url, undefined, config)
+  };
+}
+
+function createClient(http, options = {}) {
+  return new NetlifyClient({
+    apiBase: API_BASE,
+    token: 'nf-token',
+    siteId: 'site-1',
+    buildHookUrl: null,
+    http,
+    maxRetries: 2,
+    retryDelay: 1,
+    ...options
+  });
+}
+
+test('builds start through the API for the configured branch', async () => {
+  const http = fakeHttp([{ status: 200, data: { deploy_id: 'deploy-1' } }]);
+
+  assert.deepEqual(await createClient(http, { branch: 'staging' }).triggerBuild('deploy_123'), { deployId: 'deploy-1' });
+
+  const [request] = http.requests;
+  assert.equal(request.url, `${API_BASE}/sites/site-1/builds`);
+  assert.deepEqual(request.data, { title: 'deploy_123', branch: 'staging' });
+  assert.equal(request.headers.Authorization, 'Bearer nf-token');
+});
+
+test('a build hook starts the build when there is one', async () => {
+  const http = fakeHttp([{ status: 200, data: '' }]);
+  const client = createClient(http, { buildHookUrl: 'https://api.netlify.com/build_hooks/hook-1' });
+
+  assert.deepEqual(await client.triggerBuild('deploy_123'), { deployId: null });
+  assert.equal(http.requests[0].url, 'https://api.netlify.com/build_hooks/hook-1');
+  assert.deepEqual(http.requests[0].params, { trigger_title: 'deploy_123' });
+});
+
+test('network errors and 5xx responses are retried, 4xx responses are not', async () => {
+  const flaky = fakeHttp([new Error('socket hang up'), { status: 503, headers: {} }, { status: 200, data: { deploy_id: 'deploy-1' } }]);
+  assert.deepEqual(await createClient(flaky).triggerBuild('deploy_123'), { deployId: 'deploy-1' });
+  assert.equal(flaky.requests.length, 3);
+
+  const refused = fakeHttp([{ status: 422, headers: {} }, { status: 200, data: {} }]);
+  await assert.rejects(createClient(refused).restoreDeploy('deploy-1'), /422/);
+  assert.equal(refused.requests.length, 1);
+});
+
+test('deploys are looked up by id and by the title given at trigger time', async () => {
+  const http = fakeHttp([
+    { status: 200, data: { id: 'deploy-1', state: 'building' } },
+    { status: 200, data: [{ id: 'deploy-2', title: 'other' }, { id: 'deploy-1', title: 'deploy_123' }] }
+  ]);
+  const client = createClient(http);
+
+  assert.equal((await client.getDeploy('deploy-1')).state, 'building');
+  assert.equal((await client.findDeployByTitle('deploy_123')).id, 'deploy-1');
+  assert.equal(http.requests[1].url, `${API_BASE}/sites/site-1/deploys`);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const NetlifyDNSProvider = require('../dns-providers/netlify-dns-provider');
+const { FAKE_DOMAIN, startFakeApi } = require('../dns-providers/conformance/fake-apis');
+
+// An axios instance for the fake API that remembers each request it sends
+function recordingClient(apiBase) {
+  const client = axios.create({ baseURL: apiBase, timeout: 5000 });
+  client.sent = [];
+  client.interceptors.request.use(config => {
+    client.sent.push(`${config.method.toUpperCase()} ${config.url}`);
+    return config;
+  });
+  return client;
+}
+
+test('records are created, updated and deleted through the injected client', async () => {
+  const api = await startFakeApi('netlify');
+  test.after(() => api.close());
+
+  const http = recordingClient(api.apiBase);
+  const journaled = [];
+  const provider = new NetlifyDNSProvider({
+    credentials: api.credentials,
+    env: {},
+    http,
+    journal: { append: async change => journaled.push(change) }
+  });
+
+  const created = await provider.upsertRecord(FAKE_DOMAIN, { name: 'fogg', type: 'CNAME', content: 'fogg-calendar.netlify.app', ttl: 300 });
+  assert.equal(created.action, 'created');
+  assert.deepEqual(
+    (await provider.listRecords(FAKE_DOMAIN)).map(({ name, type, content, ttl }) => ({ name, type, content, ttl })),
+    [{ name: 'fogg', type: 'CNAME', content: 'fogg-calendar.netlify.app', ttl: 300 }]
+  );
+
+  // Netlify can't edit a record: the new one is added, then the old one removed
+  const updated = await provider.upsertRecord(FAKE_DOMAIN, { name: 'fogg', type: 'CNAME', content: 'fogg-backup.netlify.app', ttl: 300 });
+  assert.equal(updated.action, 'updated');
+  assert.notEqual(updated.record.id, created.record.id);
+  assert.deepEqual((await provider.listRecords(FAKE_DOMAIN)).map(record => record.content), ['fogg-backup.netlify.app']);
+
+  const deleted = await provider.deleteRecord(FAKE_DOMAIN, { name: 'fogg', type: 'CNAME' });
+  assert.equal(deleted.deleted, true);
+  assert.deepEqual(await provider.listRecords(FAKE_DOMAIN), []);
+
+  assert.deepEqual(journaled.map(change => change.action), ['created', 'updated', 'deleted']);
+  assert.ok(http.sent.includes('POST /dns_zones'), 'creates the zone on first write');
+  assert.ok(http.sent.includes(`DELETE /dns_zones/zone1/dns_records/${created.record.id}`));
+  assert.ok(http.sent.includes(`DELETE /dns_zones/zone1/dns_records/${updated.record.id}`));
+});
+
+test('API errors come back as DNSProviderErrors with the API status', async () => {
+  const api = await startFakeApi('netlify');
+  test.after(() => api.close());
+
+  const provider = new NetlifyDNSProvider({ credentials: api.badCredentials, env: {}, http: recordingClient(api.apiBase) });
+
+  await assert.rejects(provider.listRecords(FAKE_DOMAIN), error =>
+    error.name === 'DNSProviderError' && error.status === 401 && /Invalid Token/.test(error.message));
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Authenticator = require('../auth/authenticator');
+const UserDirectory = require('../auth/user-directory');
+const { createSessionToken } = require('../auth/session-tokens');
+const { hasPermission, permissionsFor, lockedFeatureFlags, forbiddenPayload } = require('../auth/permissions');
+
+const SECRET = 'shh';
+const users = new UserDirectory({
+  users: [
+    { username: 'vic', name: 'Vic', role: 'viewer' },
+    { username: 'leslie', name: 'Leslie', role: 'deployer' },
+    { username: 'ann', name: 'Ann', role: 'admin' },
+    { username: 'old', name: 'Old' }
+  ]
+});
+const auth = new Authenticator({ enabled: true, secret: SECRET, users });
+const signedIn = username => `Bearer ${createSessionToken({ username }, SECRET)}`;
+
+test('each role can do everything the one below it can', () => {
+  assert.deepEqual(permissionsFor('viewer'), ['status:read', 'history:read', 'dns:read', 'settings:read']);
+  assert.equal(hasPermission('deployer', 'deploy'), true);
+  assert.equal(hasPermission('deployer', 'rollback'), false);
+  assert.equal(hasPermission('admin', 'rollback'), true);
+  assert.equal(hasPermission('admin', 'no-such-permission'), false);
+
+  // Unknown or missing roles are viewers
+  assert.equal(hasPermission(undefined, 'status:read'), true);
+  assert.equal(hasPermission('superuser', 'deploy'), false);
+});
+
+test('requests are authorized by the signed-in user\'s role', () => {
+  assert.equal(auth.authorize(signedIn('leslie'), 'deploy').user.name, 'Leslie');
+  assert.equal(auth.authorize(signedIn('ann'), 'settings:edit').user.role, 'admin');
+  assert.equal(auth.authorize(signedIn('old'), 'status:read').user.role, 'viewer');
+
+  assert.deepEqual(auth.authorize(signedIn('vic'), 'deploy'), {
+    status: 403,
+    body: forbiddenPayload({ role: 'viewer' }, 'deploy')
+  });
+  assert.equal(auth.authorize(signedIn('leslie'), 'rollback').body.error, 'Only admins can roll back the calendar');
+  assert.equal(auth.authorize(undefined, 'status:read').status, 401);
+  assert.equal(auth.authorize(signedIn('gone'), 'status:read').body.code, 'AUTH_REQUIRED');
+});
+
+test('settings changes may only touch the flags read on every request', () => {
+  assert.deepEqual(lockedFeatureFlags({ rollback_enabled: true, analytics: false }), []);
+  assert.deepEqual(lockedFeatureFlags({ analytics: true, authentication: false, deployment_history: false }), [
+    'authentication',
+    'deployment_history'
+  ]);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../limits/rate-limiter');
+const { MemoryStateStore } = require('../storage/state-store');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+test('a burst is allowed, then requests wait for the next token', async () => {
+  const limiter = new RateLimiter({ store: new MemoryStateStore(), requestsPerMinute: 6, burstSize: 2 });
+
+  assert.deepEqual(await limiter.take('1.2.3.4', NOW), { allowed: true, remaining: 1, retryAfter: 0 });
+  assert.deepEqual(await limiter.take('1.2.3.4', NOW), { allowed: true, remaining: 0, retryAfter: 0 });
+  assert.deepEqual(await limiter.take('1.2.3.4', NOW), { allowed: false, remaining: 0, retryAfter: 10 });
+
+  // Other clients have their own bucket
+  assert.equal((await limiter.take('5.6.7.8', NOW)).allowed, true);
+
+  // One token every 10 seconds
+  assert.equal((await limiter.take('1.2.3.4', NOW + 10 * 1000)).allowed, true);
+});
+
+test('a disabled limiter allows everything', async () => {
+  const limiter = new RateLimiter({ store: new MemoryStateStore(), enabled: false, burstSize: 1 });
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await limiter.take('1.2.3.4', NOW)).allowed, true);
+  }
+});
+
+test('only requests that change something are limited', () => {
+  assert.equal(RateLimiter.limits('POST'), true);
+  assert.equal(RateLimiter.limits('put'), true);
+  assert.equal(RateLimiter.limits('GET'), false);
+  assert.equal(RateLimiter.limits('OPTIONS'), false);
+});
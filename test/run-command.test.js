@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const runCommand = require('../pipeline/run-command');
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+test('output comes back line by line with the exit code', async () => {
+  const lines = [];
+  const result = await runCommand('bash', ['-c', 'printf "one\\n\\ntwo"; exit 4'], {
+    onLine: (line, stream) => lines.push(`${stream}:${line}`)
+  });
+
+  assert.equal(result.code, 4);
+  assert.equal(result.cancelled, false);
+  assert.deepEqual(lines, ['stdout:one', 'stdout:two']);
+  assert.equal(result.output, 'one\ntwo');
+});
+
+test('an already aborted signal never starts the command', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const lines = [];
+
+  const result = await runCommand('bash', ['-c', 'echo started'], { signal: controller.signal, onLine: line => lines.push(line) });
+
+  assert.equal(result.cancelled, true);
+  assert.deepEqual(lines, []);
+});
+
+test('aborting stops the command and everything it started', async () => {
+  const controller = new AbortController();
+  let childPid = null;
+
+  // Like deploy.sh waiting on npm: the shell waits on a process of its own
+  const result = await runCommand('bash', ['-c', 'sleep 30 & echo "$!"; wait'], {
+    signal: controller.signal,
+    onLine: line => {
+      childPid = Number(line);
+      controller.abort();
+    }
+  });
+
+  assert.equal(result.cancelled, true);
+  assert.equal(result.signal, 'SIGTERM');
+  assert.ok(childPid > 0);
+  // The sleep got the SIGTERM too; give it a moment to go
+  for (let i = 0; i < 50 && isRunning(childPid); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.equal(isRunning(childPid), false, 'the background sleep was killed with its group');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScriptDeployment = require('../pipeline/script-deployment');
+
+const { parseScriptLine } = ScriptDeployment;
+
+// Write `body` to a throwaway deploy script
+function script(body) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fogg-script-'));
+  test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = path.join(directory, 'deploy.sh');
+  fs.writeFileSync(file, body);
+  return file;
+}
+
+async function runScript(body) {
+  const deployment = new ScriptDeployment({ script: script(body) });
+  const events = [];
+  for (const name of ['agent-update', 'deployment-progress', 'stage-log']) {
+    deployment.on(name, data => events.push({ name, ...data }));
+  }
+  const result = await deployment.run();
+  return { result, events };
+}
+
+test('progress and stage lines are parsed, everything else is a log line', () => {
+  assert.deepEqual(parseScriptLine('Progress: 40 - Build finished'), { type: 'progress', progress: 40, message: 'Build finished' });
+  assert.deepEqual(parseScriptLine('Progress: 75%'), { type: 'progress', progress: 75, message: null });
+  assert.deepEqual(parseScriptLine('Progress: 250'), { type: 'progress', progress: 100, message: null });
+  assert.deepEqual(parseScriptLine('Stage: Detective ACTIVE - Running tests'), { type: 'stage', agentId: 'detective', status: 'active', message: 'Running tests' });
+  assert.deepEqual(parseScriptLine('Stage: architect complete'), { type: 'stage', agentId: 'architect', status: 'complete', message: null });
+  assert.deepEqual(parseScriptLine('Stage: architect resting'), { type: 'log', line: 'Stage: architect resting' });
+  assert.deepEqual(parseScriptLine('  npm run build  '), { type: 'log', line: 'npm run build' });
+});
+
+test('ANSI colour codes are ignored when matching', () => {
+  assert.deepEqual(parseScriptLine('\x1b[32mProgress: 60 - Deploying\x1b[0m'), { type: 'progress', progress: 60, message: 'Deploying' });
+});
+
+test('a script drives the agents and progress through its output', async () => {
+  const { result, events } = await runScript([
+    'echo "Stage: guardian active - Checking"',
+    'echo "Progress: 30"',
+    'echo "all clear"',
+    'echo "Stage: guardian complete - Clear"',
+    'echo "Progress: 20"'
+  ].join('\n'));
+
+  assert.equal(result.success, true);
+  assert.deepEqual(
+    events.filter(event => event.name === 'agent-update').map(event => `${event.agentId}:${event.status}`),
+    ['guardian:active', 'guardian:complete']
+  );
+  assert.equal(events.find(event => event.line === 'all clear').agentId, 'guardian');
+
+  // The bar never moves backwards
+  const progress = events.filter(event => event.name === 'deployment-progress').map(event => event.progress);
+  assert.deepEqual(progress, [0, 30, 30, 95]);
+  assert.equal(result.stages[0].summary, 'Clear');
+});
+
+test('a failing script fails the active agent with its last stderr line', async () => {
+  const { result, events } = await runScript([
+    'echo "Stage: detective active - Running tests"',
+    'echo "1 test failed" >&2',
+    'exit 2'
+  ].join('\n'));
+
+  assert.equal(result.success, false);
+  assert.equal(result.exitCode, 2);
+  assert.equal(result.failedStage, 'detective');
+  assert.equal(result.error, 'Deployment script failed with exit code 2: 1 test failed');
+  assert.equal(events.filter(event => event.name === 'agent-update').at(-1).status, 'failed');
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseVersion,
+  compareVersions,
+  highestVersion,
+  bumpVersion,
+  nextVersion
+} = require('../versioning/semver');
+
+test('parseVersion reads x.y.z with or without a leading v', () => {
+  assert.deepEqual(parseVersion('2.4.1'), [2, 4, 1]);
+  assert.deepEqual(parseVersion('v2.4.1'), [2, 4, 1]);
+  assert.equal(parseVersion('2.4'), null);
+  assert.equal(parseVersion(null), null);
+});
+
+test('compareVersions compares numerically, not as strings', () => {
+  assert.ok(compareVersions('1.10.0', '1.9.0') > 0);
+  assert.ok(compareVersions('v1.0.0', '1.0.1') < 0);
+  assert.equal(compareVersions('1.2.3', 'v1.2.3'), 0);
+});
+
+test('highestVersion ignores anything that is not a version', () => {
+  assert.equal(highestVersion(['1.2.0', null, 'banana', '1.10.0', '1.9.9']), '1.10.0');
+  assert.equal(highestVersion([null, undefined]), null);
+});
+
+test('bumpVersion resets the lower parts', () => {
+  assert.equal(bumpVersion('1.2.3'), '1.2.4');
+  assert.equal(bumpVersion('1.2.3', 'minor'), '1.3.0');
+  assert.equal(bumpVersion('1.2.3', 'major'), '2.0.0');
+});
+
+test('nextVersion bumps the highest release unless the project version is ahead', () => {
+  assert.equal(nextVersion({ released: '1.2.3', project: '1.0.0' }), '1.2.4');
+  assert.equal(nextVersion({ released: '1.2.3', project: 'v2.0.0', level: 'minor' }), '2.0.0');
+  assert.equal(nextVersion({ released: null, project: null, level: 'minor' }), '0.1.0');
+  assert.equal(nextVersion({ released: null, project: '1.0.0' }), '1.0.0');
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionToken, verifySessionToken } = require('../auth/session-tokens');
+
+const SECRET = 'a-long-random-string';
+const LESLIE = { username: 'leslie', name: 'Leslie' };
+
+test('a token carries who it was issued to until it expires', () => {
+  const token = createSessionToken(LESLIE, SECRET, 60);
+  const claims = verifySessionToken(token, SECRET);
+
+  assert.equal(claims.sub, 'leslie');
+  assert.equal(claims.name, 'Leslie');
+  assert.equal(claims.exp - claims.iat, 60);
+});
+
+test('forged, tampered, malformed and expired tokens are refused', () => {
+  const token = createSessionToken(LESLIE, SECRET);
+  const [payload, signature] = token.split('.');
+  const admin = Buffer.from(JSON.stringify({ sub: 'admin', exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+
+  assert.equal(verifySessionToken(token, 'another-secret'), null);
+  assert.equal(verifySessionToken(`${admin}.${signature}`, SECRET), null);
+  assert.equal(verifySessionToken(payload, SECRET), null);
+  assert.equal(verifySessionToken(undefined, SECRET), null);
+  assert.equal(verifySessionToken(token, undefined), null);
+  assert.equal(verifySessionToken(createSessionToken(LESLIE, SECRET, -1), SECRET), null);
+});
+
+test('tokens need a secret', () => {
+  assert.throws(() => createSessionToken(LESLIE, undefined), /AUTH_SECRET/);
+});
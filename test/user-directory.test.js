@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UserDirectory = require('../auth/user-directory');
+
+function usersFile(users) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fogg-users-'));
+  test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = path.join(directory, 'users.json');
+  fs.writeFileSync(file, JSON.stringify(users));
+  return file;
+}
+
+// Save the list again with a later modification time than the last save
+function save(file, users, secondsLater) {
+  fs.writeFileSync(file, JSON.stringify(users));
+  const later = new Date(Date.now() + secondsLater * 1000);
+  fs.utimesSync(file, later, later);
+}
+
+const leslie = { username: 'leslie', name: 'Leslie', role: 'deployer', passwordHash: UserDirectory.hashPassword('change-me') };
+
+test('passwords are checked against their scrypt hash', () => {
+  const users = new UserDirectory({ users: [leslie] });
+
+  assert.match(leslie.passwordHash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.notEqual(UserDirectory.hashPassword('change-me'), leslie.passwordHash, 'every hash gets its own salt');
+  assert.deepEqual(users.authenticate('LESLIE', 'change-me'), { username: 'leslie', name: 'Leslie', role: 'deployer' });
+  assert.equal(users.authenticate('leslie', 'wrong'), null);
+  assert.equal(users.authenticate('nobody', 'change-me'), null);
+  assert.equal(new UserDirectory({ users: [{ username: 'ann', passwordHash: 'plain' }] }).authenticate('ann', 'plain'), null);
+});
+
+test('the users file is read again after it is saved', () => {
+  const file = usersFile([leslie]);
+  const users = new UserDirectory({ file });
+  assert.equal(users.find('leslie').role, 'deployer');
+
+  save(file, [{ ...leslie, role: 'admin' }, { username: 'ann', role: 'viewer' }], 10);
+  assert.equal(users.find('leslie').role, 'admin');
+  assert.equal(users.find('ann').role, 'viewer');
+
+  // A save caught half-written keeps the list we had
+  fs.writeFileSync(file, '[{"username": ');
+  assert.equal(users.find('leslie').role, 'admin');
+});
+
+test('a missing users file means no users', () => {
+  const users = new UserDirectory({ file: path.join(os.tmpdir(), 'fogg-no-such-users.json') });
+  assert.deepEqual(users.load(), []);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebhookDispatcher = require('../webhooks/webhook-dispatcher');
+const { webhookEventsFor } = require('../webhooks/webhook-events');
+const { MemoryStateStore } = require('../storage/state-store');
+
+const ENDPOINT = { name: 'slack', url: 'https://hooks.example.com/fogg', secretEnv: 'FOGG_WEBHOOK_SECRET' };
+
+// An http client answering with `statuses` in turn, remembering each request
+function fakeHttp(statuses) {
+  const requests = [];
+  return {
+    requests,
+    async post(url, body, { headers }) {
+      requests.push({ url, body, headers });
+      const status = statuses[Math.min(requests.length, statuses.length) - 1];
+      if (status instanceof Error) throw status;
+      return { status, headers: {} };
+    }
+  };
+}
+
+// dispatch() doesn't wait for its deliveries
+async function settled(dispatcher) {
+  for (let i = 0; i < 100; i++) {
+    const deliveries = await dispatcher.deliveries();
+    if (deliveries.length > 0 && deliveries.every(delivery => delivery.finishedAt)) return deliveries;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Deliveries did not finish');
+}
+
+function createDispatcher(http, endpoints = [ENDPOINT]) {
+  return new WebhookDispatcher({
+    endpoints,
+    store: new MemoryStateStore(),
+    maxAttempts: 3,
+    retryDelay: 1,
+    env: { FOGG_WEBHOOK_SECRET: 'shh' },
+    http
+  });
+}
+
+test('deliveries are signed with the endpoint secret', async () => {
+  const http = fakeHttp([200]);
+  const dispatcher = createDispatcher(http);
+
+  const delivery = await dispatcher.deliver(ENDPOINT, { id: 'evt_1', event: 'deployment-started', deploymentId: 'deploy_1', data: {} });
+
+  const [request] = http.requests;
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(request.headers['X-FOGG-Event'], 'deployment-started');
+  assert.equal(request.headers['X-FOGG-Delivery'], delivery.id);
+  assert.equal(request.headers['X-FOGG-Signature-256'], WebhookDispatcher.sign('shh', request.body));
+  assert.deepEqual(await dispatcher.deliveries(), [delivery]);
+});
+
+test('server errors and network failures are retried, client errors are not', async () => {
+  const retried = fakeHttp([503, new Error('socket hang up'), 200]);
+  const delivered = await createDispatcher(retried).deliver(ENDPOINT, { id: 'evt_1', event: 'deployment-error', data: {} });
+
+  assert.equal(delivered.status, 'delivered');
+  assert.deepEqual(delivered.attempts.map(attempt => attempt.statusCode), [503, null, 200]);
+  assert.equal(new Set(retried.requests.map(request => request.body)).size, 1);
+
+  const refused = fakeHttp([404, 200]);
+  const failed = await createDispatcher(refused).deliver(ENDPOINT, { id: 'evt_2', event: 'deployment-error', data: {} });
+
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempts.length, 1);
+  assert.equal(failed.attempts[0].error, 'HTTP 404');
+});
+
+test('attempts stop at max_attempts', async () => {
+  const delivery = await createDispatcher(fakeHttp([500])).deliver(ENDPOINT, { id: 'evt_1', event: 'rollback', data: {} });
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts.length, 3);
+});
+
+test('Socket.IO events map to the webhook events endpoints subscribe to', () => {
+  assert.deepEqual(webhookEventsFor('deployment-started', {}), ['deployment-started']);
+  assert.deepEqual(webhookEventsFor('agent-update', { status: 'complete' }), ['agent-complete']);
+  assert.deepEqual(webhookEventsFor('agent-update', { status: 'working' }), []);
+  assert.deepEqual(webhookEventsFor('deployment-complete', { type: 'rollback' }), ['deployment-complete', 'rollback']);
+  assert.deepEqual(webhookEventsFor('stage-log', {}), []);
+});
+
+test('endpoints only get the events they subscribe to', async () => {
+  const http = fakeHttp([200]);
+  const dispatcher = createDispatcher(http, [
+    { name: 'everything', url: 'https://hooks.example.com/all' },
+    { name: 'rollbacks', url: 'https://hooks.example.com/rollbacks', events: ['rollback'] }
+  ]);
+
+  dispatcher.dispatch('deploy_1', 'deployment-complete', { type: 'deploy' });
+  const deliveries = await settled(dispatcher);
+
+  assert.deepEqual(deliveries.map(delivery => delivery.endpoint), ['everything']);
+  assert.deepEqual(http.requests.map(request => request.url), ['https://hooks.example.com/all']);
+});
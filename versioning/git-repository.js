@@ -0,0 +1,114 @@
+/**
+ * Git Repository
+ *
+ * Read-only questions about the dashboard's own git checkout: the commit
+ * being deployed, version tags, and the commits and files changed in
+ * between. Every method
+ * resolves null when git or the repository isn't there (e.g. inside a
+ * deployed Netlify function), so callers can carry on without them.
+ */
+
+const { execFile } = require('child_process');
+const path = require('path');
+const { isVersion, compareVersions } = require('./semver');
+
+const DEFAULT_TIMEOUT = 10000;
+const FIELD_SEPARATOR = '\x1f';
+
+// git's one-letter file statuses
+const FILE_STATUSES = {
+  A: 'added',
+  C: 'added',
+  D: 'deleted',
+  M: 'modified',
+  R: 'renamed',
+  T: 'modified',
+  '?': 'added'
+};
+
+class GitRepository {
+  constructor({ cwd = path.join(__dirname, '..'), timeout = DEFAULT_TIMEOUT } = {}) {
+    this.cwd = cwd;
+    this.timeout = timeout;
+  }
+
+  run(args) {
+    return new Promise((resolve) => {
+      execFile('git', args, { cwd: this.cwd, timeout: this.timeout, maxBuffer: 1024 * 1024 }, (error, stdout) => {
+        resolve(error ? null : stdout.trimEnd());
+      });
+    });
+  }
+
+  async head() {
+    return this.run(['rev-parse', 'HEAD']);
+  }
+
+  /**
+   * The highest vX.Y.Z (or X.Y.Z) tag, or null
+   */
+  async latestVersionTag() {
+    const output = await this.run(['tag', '--list']);
+    if (!output) return null;
+
+    const tags = output.split('\n').filter(isVersion);
+    return tags.sort(compareVersions).pop() || null;
+  }
+
+  /**
+   * Commits after `from` up to and including `to`, newest first, as
+   * [{ hash, author, date, subject }]; without `from`, the latest `limit`
+   * commits up to `to`. Merge commits are left out.
+   */
+  async commits(from, to = 'HEAD', { limit = 50 } = {}) {
+    const range = from ? `${from}..${to}` : to;
+    const format = ['%H', '%an', '%aI', '%s'].join('%x1f');
+    const output = await this.run(['log', '--no-merges', `--max-count=${limit}`, `--format=${format}`, range]);
+    if (output === null) return null;
+
+    return output.split('\n').filter(Boolean).map(line => {
+      const [hash, author, date, subject] = line.split(FIELD_SEPARATOR);
+      return { hash, author, date, subject };
+    });
+  }
+
+  /**
+   * Files that differ between commits `from` and `to`, as
+   * [{ path, status, previousPath }]
+   */
+  async changedFiles(from, to = 'HEAD') {
+    const output = await this.run(['diff', '--name-status', '-M', from, to]);
+    if (output === null) return null;
+
+    return output.split('\n').filter(Boolean).map(line => {
+      const [code, first, second] = line.split('\t');
+      return {
+        path: second || first,
+        status: FILE_STATUSES[code[0]] || 'modified',
+        previousPath: second ? first : null
+      };
+    });
+  }
+
+  /**
+   * Edited, added or deleted files not committed yet - a build from this
+   * checkout ships them too. `exclude` leaves out paths such as runtime data.
+   */
+  async uncommittedFiles({ exclude = [] } = {}) {
+    const pathspecs = ['.', ...exclude.map(file => `:(exclude)${file}`)];
+    const output = await this.run(['status', '--porcelain', '--untracked-files=all', '--', ...pathspecs]);
+    if (output === null) return null;
+
+    return output.split('\n').filter(Boolean).map(line => {
+      const code = line.slice(0, 2).trim();
+      const [first, second] = line.slice(3).split(' -> ');
+      return {
+        path: second || first,
+        status: FILE_STATUSES[code[0]] || 'modified',
+        previousPath: second ? first : null
+      };
+    });
+  }
+}
+
+module.exports = GitRepository;
@@ -0,0 +1,145 @@
+/**
+ * Pending Changes
+ *
+ * What the next deploy of an environment would ship: the commits and files
+ * between the commit live there and the candidate (the checkout's HEAD),
+ * plus edits in the checkout that aren't committed yet, described in plain
+ * language for the dashboard:
+ *
+ *   {
+ *     from, to,                    (commit hashes; from is null when unknown)
+ *     commits: [{ hash, author, date, subject }],   (newest first)
+ *     truncated,                   (more commits than listed)
+ *     files: [{ path, status, previousPath, area, description }],
+ *     uncommitted: [...],          (same shape as files)
+ *     areas: [{ area, count }],    (most touched first)
+ *     upToDate,                    (nothing new to deploy)
+ *     summary
+ *   }
+ */
+
+const GitRepository = require('./git-repository');
+const { buildReleaseNotes } = require('./release-notes');
+
+// First match wins
+const AREAS = [
+  { pattern: /^src\//, area: 'dashboard screens' },
+  { pattern: /^(public\/|index\.html$)/, area: 'pages and images' },
+  { pattern: /^netlify\//, area: 'Netlify functions' },
+  { pattern: /^config\//, area: 'settings' },
+  { pattern: /^(package(-lock)?\.json|\.nvmrc)$/, area: 'dependencies' },
+  { pattern: /\.md$/i, area: 'documentation' },
+  { pattern: /dns/i, area: 'DNS tools' }
+];
+const DEFAULT_AREA = 'deployment tools';
+
+// Written by the dashboard while it runs, not part of a release
+const RUNTIME_PATHS = ['data', 'logs', 'dist', 'node_modules'];
+
+const STATUS_VERBS = {
+  added: 'Added',
+  deleted: 'Removed',
+  modified: 'Updated',
+  renamed: 'Renamed'
+};
+
+function areaOf(file) {
+  const match = AREAS.find(({ pattern }) => pattern.test(file));
+  return match ? match.area : DEFAULT_AREA;
+}
+
+// "Renamed notes.md to NOTES.md (documentation)"
+function describeFile({ path, status, previousPath }) {
+  const verb = STATUS_VERBS[status] || 'Updated';
+  const name = previousPath ? `${previousPath} to ${path}` : path;
+  return `${verb} ${name} (${areaOf(path)})`;
+}
+
+function withDescriptions(files) {
+  return files.map(file => ({ ...file, area: areaOf(file.path), description: describeFile(file) }));
+}
+
+function countAreas(files) {
+  const counts = new Map();
+  files.forEach(({ area }) => counts.set(area, (counts.get(area) || 0) + 1));
+
+  return [...counts]
+    .map(([area, count]) => ({ area, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// ['a', 'b', 'c'] -> "a, b and c"
+function listOf(words) {
+  return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words[0];
+}
+
+function summarize({ version, commits, truncated, files, uncommitted, areas, firstRelease }) {
+  const since = version ? `version ${version}` : 'the live version';
+
+  if (!commits.length && !uncommitted.length) {
+    return `Nothing new to deploy - ${since} already has every change.`;
+  }
+
+  const parts = [];
+  if (commits.length) {
+    const count = truncated ? `More than ${commits.length}` : String(commits.length);
+    const change = commits.length === 1 && !truncated ? 'change' : 'changes';
+    parts.push(firstRelease
+      ? `${count} recent ${change} (nothing has been deployed from this checkout yet)`
+      : `${count} ${change} since ${since}`);
+  } else {
+    parts.push(`No new commits since ${since}`);
+  }
+  if (files.length) {
+    parts.push(`touching ${plural(files.length, 'file')} in the ${listOf(areas.map(({ area }) => area))}`);
+  }
+  if (uncommitted.length) {
+    parts.push(`plus ${plural(uncommitted.length, 'file')} edited but not committed yet`);
+  }
+
+  return `${parts.join(', ')}.`;
+}
+
+/**
+ * The changes shipping `to` would bring over the live commit `from` (version
+ * `version`), or null when git can't tell (no repository or no HEAD). A live
+ * commit git doesn't know - e.g. one built elsewhere - is treated like a
+ * first release.
+ */
+async function pendingChanges({ from = null, to, version = null, git = new GitRepository() } = {}) {
+  const candidate = to || await git.head();
+  if (!candidate) return null;
+
+  let base = from;
+  let notes = await buildReleaseNotes({ from: base, to: candidate, git });
+  if (!notes && base) {
+    base = null;
+    notes = await buildReleaseNotes({ from: null, to: candidate, git });
+  }
+  if (!notes) return null;
+
+  const files = withDescriptions(base && base !== candidate ? await git.changedFiles(base, candidate) || [] : []);
+  const uncommitted = withDescriptions(await git.uncommittedFiles({ exclude: RUNTIME_PATHS }) || []);
+  const areas = countAreas([...files, ...uncommitted]);
+  const upToDate = Boolean(base) && !notes.commits.length && !files.length && !uncommitted.length;
+
+  return {
+    from: base,
+    to: candidate,
+    commits: notes.commits,
+    truncated: notes.truncated,
+    files,
+    uncommitted,
+    areas,
+    upToDate,
+    summary: summarize({ ...notes, version, files, uncommitted, areas: countAreas(files), firstRelease: !base })
+  };
+}
+
+module.exports = {
+  pendingChanges
+};
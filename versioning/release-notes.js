@@ -0,0 +1,64 @@
+/**
+ * Release Notes
+ *
+ * What a release contains, from the git history: the commit messages between
+ * the commit live in an environment and the one being deployed. Stored on
+ * the deployment record as
+ *
+ *   releaseNotes: {
+ *     from, to,                    (commit hashes; from is null for a first release)
+ *     commits: [{ hash, author, date, subject }],   (newest first)
+ *     truncated                    (more than MAX_COMMITS commits)
+ *   }
+ *
+ * Also works out the project's own version: the higher of package.json's
+ * version and the latest version tag.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GitRepository = require('./git-repository');
+const { highestVersion } = require('./semver');
+
+const PACKAGE_FILE = path.join(__dirname, '..', 'package.json');
+const MAX_COMMITS = 50;
+
+// Read on every call so a pulled package.json counts without a restart
+function packageVersion(file = PACKAGE_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).version || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function projectVersion({ git = new GitRepository(), packageFile } = {}) {
+  return highestVersion([packageVersion(packageFile), await git.latestVersionTag()]);
+}
+
+/**
+ * Notes for a release of commit `to` over commit `from`, or null when git
+ * can't tell (no repository, or an unknown commit)
+ */
+async function buildReleaseNotes({ from = null, to, git = new GitRepository() }) {
+  if (!to) return null;
+  if (from === to) {
+    return { from, to, commits: [], truncated: false };
+  }
+
+  const commits = await git.commits(from, to, { limit: MAX_COMMITS + 1 });
+  if (!commits) return null;
+
+  return {
+    from,
+    to,
+    commits: commits.slice(0, MAX_COMMITS),
+    truncated: commits.length > MAX_COMMITS
+  };
+}
+
+module.exports = {
+  packageVersion,
+  projectVersion,
+  buildReleaseNotes
+};
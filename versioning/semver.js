@@ -0,0 +1,72 @@
+/**
+ * Semantic Versions
+ *
+ * MAJOR.MINOR.PATCH versions for releases. A deploy picks how much to bump:
+ *   patch - fixes and content updates (the default)
+ *   minor - new features
+ *   major - changes people will notice, e.g. a new layout
+ */
+
+const BUMP_LEVELS = ['patch', 'minor', 'major'];
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)$/;
+
+// "2.4.1" or "v2.4.1" -> [2, 4, 1], or null
+function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version || '').trim());
+  return match ? match.slice(1).map(Number) : null;
+}
+
+function isVersion(version) {
+  return parseVersion(version) !== null;
+}
+
+// Compare two x.y.z version strings numerically
+function compareVersions(a, b) {
+  const left = String(a).replace(/^v/, '').split('.').map(Number);
+  const right = String(b).replace(/^v/, '').split('.').map(Number);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// Highest of `versions`, ignoring anything that isn't a version; null if none
+function highestVersion(versions) {
+  return versions
+    .filter(isVersion)
+    .reduce((highest, version) => (!highest || compareVersions(version, highest) > 0 ? version : highest), null);
+}
+
+function bumpVersion(version, level = 'patch') {
+  const [major, minor, patch] = parseVersion(version);
+
+  switch (level) {
+    case 'major': return `${major + 1}.0.0`;
+    case 'minor': return `${major}.${minor + 1}.0`;
+    default: return `${major}.${minor}.${patch + 1}`;
+  }
+}
+
+/**
+ * The version a new release gets: the project's own version (package.json
+ * or a git tag) when it is ahead of everything released so far, otherwise
+ * the highest released version bumped by `level`
+ */
+function nextVersion({ released, project, level = 'patch' }) {
+  if (project && (!released || compareVersions(project, released) > 0)) {
+    return project.replace(/^v/, '');
+  }
+  return bumpVersion(released || '0.0.0', level);
+}
+
+module.exports = {
+  BUMP_LEVELS,
+  parseVersion,
+  isVersion,
+  compareVersions,
+  highestVersion,
+  bumpVersion,
+  nextVersion
+};
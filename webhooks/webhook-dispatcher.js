@@ -0,0 +1,234 @@
+/**
+ * Webhook Dispatcher
+ *
+ * POSTs deployment events to the endpoints in the `webhooks` section of
+ * config/production.yml. Every request carries
+ *
+ *   {
+ *     id,                  (the event's id - the same for each endpoint and retry)
+ *     event,               (see webhooks/webhook-events.js, or 'test')
+ *     deploymentId, timestamp,
+ *     data                 (the Socket.IO payload of the event)
+ *   }
+ *
+ * with X-FOGG-Event, X-FOGG-Delivery and, when the endpoint's `secret_env`
+ * variable is set, X-FOGG-Signature-256: sha256=<HMAC-SHA256 of the body>.
+ * Network errors, 408, 429 and 5xx responses are retried up to
+ * `max_attempts` times in all, `retry_delay` ms apart and doubling each time
+ * (or after the endpoint's Retry-After). Endpoints get events independently,
+ * so their order isn't guaranteed - use `timestamp`.
+ *
+ * Each delivery is logged in data/webhook-deliveries.json
+ * (WEBHOOK_DELIVERIES_FILE) under "delivery:<id>", the last MAX_DELIVERIES
+ * kept:
+ *   {
+ *     id, eventId, event, deploymentId, endpoint, url,
+ *     status: 'pending' | 'retrying' | 'delivered' | 'failed',
+ *     attempts: [{ at, statusCode, error, durationMs }],
+ *     createdAt, finishedAt, nextAttemptAt
+ *   }
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const path = require('path');
+const { TEST_EVENT, webhookEventsFor } = require('./webhook-events');
+const { createStateStore } = require('../storage/state-store');
+const { webhookSettings } = require('../config/config-loader');
+
+const DEFAULT_DELIVERIES_FILE = path.join(__dirname, '..', 'data', 'webhook-deliveries.json');
+const STORE_KEY_PREFIX = 'delivery:';
+const MAX_DELIVERIES = 200;
+const REQUEST_TIMEOUT_MS = 5000;
+const MAX_ERROR_LENGTH = 200;
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+function sign(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function newId(prefix) {
+  return `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function retryable(statusCode) {
+  return !statusCode || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+class WebhookDispatcher {
+  constructor({ endpoints = [], store, maxAttempts = 4, retryDelay = 2000, env = process.env, http } = {}) {
+    this.endpoints = endpoints;
+    this.store = store;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.env = env;
+    this.http = http || axios.create({ timeout: REQUEST_TIMEOUT_MS });
+  }
+
+  static fromEnvironment(settings = webhookSettings(), env = process.env) {
+    return new WebhookDispatcher({
+      ...settings,
+      store: createStateStore({ type: 'file', file: env.WEBHOOK_DELIVERIES_FILE || DEFAULT_DELIVERIES_FILE }),
+      env
+    });
+  }
+
+  // The endpoints without their secrets, for the dashboard
+  listEndpoints() {
+    return this.endpoints.map(({ name, url, events, secretEnv }) => ({
+      name,
+      url,
+      events,
+      signed: Boolean(secretEnv && this.env[secretEnv])
+    }));
+  }
+
+  /**
+   * Send Socket.IO event `event` of deployment `deploymentId` to every
+   * endpoint subscribed to the webhook events it stands for. Doesn't wait
+   * for the deliveries; they log their own failures.
+   */
+  dispatch(deploymentId, event, data) {
+    for (const webhookEvent of webhookEventsFor(event, data)) {
+      const payload = {
+        id: newId('evt'),
+        event: webhookEvent,
+        deploymentId,
+        timestamp: new Date().toISOString(),
+        data
+      };
+
+      this.endpoints
+        .filter(endpoint => !endpoint.events || endpoint.events.includes(webhookEvent))
+        .forEach(endpoint => {
+          this.deliver(endpoint, payload).catch(error => {
+            console.error(`Webhook delivery to ${endpoint.name} failed:`, error.message);
+          });
+        });
+    }
+  }
+
+  /**
+   * Send a test event to endpoint `name` once, without retries; resolves
+   * the delivery, or null for an unknown endpoint
+   */
+  async sendTest(name, user) {
+    const endpoint = this.endpoints.find(candidate => candidate.name === name);
+    if (!endpoint) return null;
+
+    return this.deliver(endpoint, {
+      id: newId('evt'),
+      event: TEST_EVENT,
+      deploymentId: null,
+      timestamp: new Date().toISOString(),
+      data: { message: `Test event sent by ${user.name} from the FOGG dashboard`, user: user.name }
+    }, { maxAttempts: 1 });
+  }
+
+  async deliver(endpoint, payload, { maxAttempts = this.maxAttempts } = {}) {
+    const body = JSON.stringify(payload);
+    const secret = endpoint.secretEnv && this.env[endpoint.secretEnv];
+    const delivery = {
+      id: newId('delivery'),
+      eventId: payload.id,
+      event: payload.event,
+      deploymentId: payload.deploymentId,
+      endpoint: endpoint.name,
+      url: endpoint.url,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      nextAttemptAt: null
+    };
+
+    await this.save(delivery);
+    await this.prune();
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'FOGG-Deployment-Dashboard',
+      'X-FOGG-Event': payload.event,
+      'X-FOGG-Delivery': delivery.id,
+      ...(secret && { 'X-FOGG-Signature-256': sign(secret, body) })
+    };
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const startedAt = Date.now();
+      let statusCode = null;
+      let error = null;
+      let retryAfter = null;
+
+      try {
+        const response = await this.http.post(endpoint.url, body, { headers, validateStatus: () => true });
+        statusCode = response.status;
+        retryAfter = Number(response.headers?.['retry-after']) || null;
+        if (statusCode >= 300) error = `HTTP ${statusCode}`;
+      } catch (requestError) {
+        error = requestError.message;
+      }
+
+      delivery.attempts.push({
+        at: new Date(startedAt).toISOString(),
+        statusCode,
+        error: error && error.slice(0, MAX_ERROR_LENGTH),
+        durationMs: Date.now() - startedAt
+      });
+
+      if (!error) {
+        return this.finish(delivery, 'delivered');
+      }
+      if (attempt === maxAttempts || (statusCode && !retryable(statusCode))) {
+        console.warn(`⚠️ Webhook ${payload.event} to ${endpoint.name} failed: ${error}`);
+        return this.finish(delivery, 'failed');
+      }
+
+      const delay = retryAfter ? Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS) : this.retryDelay * 2 ** (attempt - 1);
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      await this.save(delivery);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  async finish(delivery, status) {
+    delivery.status = status;
+    delivery.finishedAt = new Date().toISOString();
+    delivery.nextAttemptAt = null;
+    return this.save(delivery);
+  }
+
+  async save(delivery) {
+    return this.store.set(`${STORE_KEY_PREFIX}${delivery.id}`, delivery);
+  }
+
+  /**
+   * Deliveries newest first, optionally for one endpoint
+   */
+  async deliveries({ endpoint, limit = 50 } = {}) {
+    const entries = await this.store.list(STORE_KEY_PREFIX);
+
+    return entries
+      .map(({ value }) => value)
+      .filter(delivery => !endpoint || delivery.endpoint === endpoint)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, Math.max(1, Number(limit) || 50));
+  }
+
+  async prune() {
+    const entries = await this.store.list(STORE_KEY_PREFIX);
+    if (entries.length <= MAX_DELIVERIES) return;
+
+    const oldest = entries
+      .sort((a, b) => new Date(a.value.createdAt) - new Date(b.value.createdAt))
+      .slice(0, entries.length - MAX_DELIVERIES);
+
+    for (const { key } of oldest) {
+      await this.store.delete(key);
+    }
+  }
+}
+
+WebhookDispatcher.sign = sign;
+
+module.exports = WebhookDispatcher;
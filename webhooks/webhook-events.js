@@ -0,0 +1,50 @@
+/**
+ * Webhook events
+ *
+ * The deployment events outgoing webhooks can subscribe to, and which
+ * Socket.IO event each comes from:
+ *
+ *   deployment-started   - deployment-started
+ *   agent-complete       - agent-update with status 'complete'
+ *   deployment-complete  - deployment-complete
+ *   deployment-error     - deployment-error
+ *   rollback             - deployment-complete of a rollback (sent as well
+ *                          as deployment-complete)
+ *
+ * Kept apart from the dispatcher so config/schema.js can list them.
+ */
+
+const WEBHOOK_EVENTS = [
+  'deployment-started',
+  'agent-complete',
+  'deployment-complete',
+  'deployment-error',
+  'rollback'
+];
+
+// Sent by the dashboard's "Send test event" button, whatever an endpoint
+// subscribes to
+const TEST_EVENT = 'test';
+
+/**
+ * Webhook events for Socket.IO event `event` with payload `data`
+ */
+function webhookEventsFor(event, data) {
+  switch (event) {
+    case 'deployment-started':
+    case 'deployment-error':
+      return [event];
+    case 'agent-update':
+      return data?.status === 'complete' ? ['agent-complete'] : [];
+    case 'deployment-complete':
+      return data?.type === 'rollback' ? [event, 'rollback'] : [event];
+    default:
+      return [];
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  webhookEventsFor
+};